@@ -0,0 +1,159 @@
+// 审计日志模块（日志页的“审计日志”视图）
+
+const AUDIT_ACTION_LABELS = {
+    'tokens.add': '添加 Token',
+    'tokens.update': '更新 Token',
+    'tokens.delete': '删除 Token',
+    'tokens.import': '导入 Token',
+    'tokens.export': '导出 Token',
+    'geminicli.tokens.add': '添加 CLI Token',
+    'geminicli.tokens.update': '更新 CLI Token',
+    'geminicli.tokens.delete': '删除 CLI Token',
+    'geminicli.tokens.import': '导入 CLI Token',
+    'geminicli.tokens.export': '导出 CLI Token',
+    'config.update': '修改配置',
+    'config.rollback': '回滚配置',
+    'rotation.update': '修改轮询策略',
+    'apiKeys.create': '创建 API Key',
+    'apiKeys.update': '更新 API Key',
+    'apiKeys.delete': '删除 API Key',
+    'logs.clear': '清空日志',
+    'users.create': '添加管理员',
+    'users.update': '修改管理员',
+    'users.delete': '删除管理员',
+    'users.password': '修改密码'
+};
+
+// 结果 -> 日志样式（复用运行日志的级别配色）
+const AUDIT_STATUS_STYLES = {
+    success: { level: 'info', label: '成功' },
+    failure: { level: 'error', label: '失败' },
+    denied: { level: 'warn', label: '拒绝' }
+};
+
+let auditState = {
+    records: [],
+    total: 0,
+    offset: 0,
+    limit: 50,
+    searchKeyword: '',
+    searchTimer: null
+};
+
+// 切换运行日志 / 审计日志
+function switchLogView(view) {
+    document.querySelectorAll('.logs-view-tabs .log-filter-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.logView === view);
+    });
+    document.getElementById('runtimeLogView').classList.toggle('hidden', view !== 'runtime');
+    document.getElementById('auditLogView').classList.toggle('hidden', view !== 'audit');
+    if (view === 'audit') loadAudit();
+}
+
+// 加载审计日志（最新的在前）
+async function loadAudit(append = false) {
+    if (!append) auditState.offset = 0;
+
+    const days = parseInt(document.getElementById('auditRangeFilter').value) || 7;
+    const params = new URLSearchParams({
+        from: Date.now() - days * 24 * 60 * 60 * 1000,
+        limit: auditState.limit,
+        offset: auditState.offset
+    });
+    const action = document.getElementById('auditActionFilter').value;
+    const status = document.getElementById('auditStatusFilter').value;
+    if (action) params.set('action', action);
+    if (status) params.set('status', status);
+    if (auditState.searchKeyword) params.set('search', auditState.searchKeyword);
+
+    try {
+        const response = await authFetch(`/admin/audit?${params}`);
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.message || '获取审计日志失败');
+        }
+        auditState.records = append ? [...auditState.records, ...data.data.records] : data.data.records;
+        auditState.total = data.data.total;
+        renderAudit();
+    } catch (error) {
+        console.error('加载审计日志失败:', error);
+        showToast('加载审计日志失败: ' + error.message, 'error');
+    }
+}
+
+function filterAudit() {
+    loadAudit();
+}
+
+// 搜索（输入停止 300ms 后再请求）
+function searchAudit(keyword) {
+    auditState.searchKeyword = keyword.trim();
+    clearTimeout(auditState.searchTimer);
+    auditState.searchTimer = setTimeout(() => loadAudit(), 300);
+}
+
+function loadMoreAudit() {
+    auditState.offset += auditState.limit;
+    loadAudit(true);
+}
+
+function formatAuditValue(value) {
+    if (value === null || value === undefined) return '∅';
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function renderAuditChanges(changes) {
+    if (!changes || changes.length === 0) return '';
+    const rows = changes.map(change => `
+        <div>
+            <span class="audit-change-path">${escapeHtml(change.path)}</span>:
+            <span class="audit-change-before">${escapeHtml(formatAuditValue(change.before))}</span>
+            → <span class="audit-change-after">${escapeHtml(formatAuditValue(change.after))}</span>
+        </div>
+    `).join('');
+    return `<div class="audit-changes">${rows}</div>`;
+}
+
+function renderAudit() {
+    const container = document.getElementById('auditList');
+    if (!container) return;
+
+    if (auditState.records.length === 0) {
+        container.innerHTML = `
+            <div class="log-empty">
+                <div class="log-empty-icon">🛡️</div>
+                <div class="log-empty-text">暂无审计记录</div>
+            </div>
+        `;
+    } else {
+        container.innerHTML = auditState.records.map(record => {
+            const style = AUDIT_STATUS_STYLES[record.status] || AUDIT_STATUS_STYLES.success;
+            const time = new Date(record.timestamp).toLocaleString('zh-CN', { hour12: false });
+            const details = record.details ? `<div class="audit-meta">${escapeHtml(JSON.stringify(record.details))}</div>` : '';
+            const error = record.error ? `<div class="audit-meta">❌ ${escapeHtml(record.error)}</div>` : '';
+            return `
+                <div class="log-item ${style.level}">
+                    <div class="log-item-header">
+                        <span class="log-level-tag ${style.level}">${style.label}</span>
+                        <strong>${escapeHtml(AUDIT_ACTION_LABELS[record.action] || record.action)}</strong>
+                        ${record.target ? `<span class="audit-meta">${escapeHtml(record.target)}</span>` : ''}
+                        <span class="log-time">${time}</span>
+                    </div>
+                    <div class="audit-meta">
+                        👤 ${escapeHtml(record.actor || '未知')} · ${escapeHtml(record.ip || '')} · ${escapeHtml(record.method)} ${escapeHtml(record.route)}
+                    </div>
+                    ${details}
+                    ${error}
+                    ${renderAuditChanges(record.changes)}
+                </div>
+            `;
+        }).join('');
+    }
+
+    const loadMoreBtn = document.getElementById('loadMoreAuditBtn');
+    if (loadMoreBtn) {
+        const hasMore = auditState.records.length < auditState.total;
+        loadMoreBtn.style.display = hasMore ? 'block' : 'none';
+        loadMoreBtn.textContent = `加载更多 (${auditState.records.length}/${auditState.total})`;
+    }
+}
@@ -34,8 +34,39 @@ function showMainContent() {
     document.getElementById('mainContent').classList.remove('hidden');
 }
 
+// 当前管理员（角色：viewer / operator / owner）
+const ADMIN_ROLE_ORDER = ['viewer', 'operator', 'owner'];
+const ADMIN_ROLE_LABELS = { viewer: '只读', operator: '运维', owner: '所有者' };
+let currentAdmin = null;
+
+// 加载当前管理员角色，按角色隐藏无权限的操作（html[data-role]）
+async function loadCurrentAdmin() {
+    try {
+        const response = await authFetch('/admin/me');
+        const data = await response.json();
+        if (data.success) {
+            currentAdmin = data.data;
+            document.documentElement.dataset.role = currentAdmin.role;
+            const info = document.getElementById('currentAdminInfo');
+            if (info) {
+                info.textContent = `👤 ${currentAdmin.username}（${ADMIN_ROLE_LABELS[currentAdmin.role] || currentAdmin.role}）`;
+            }
+        }
+    } catch (e) {
+        // 忽略错误，后端仍会校验权限
+    }
+    return currentAdmin;
+}
+
+function hasAdminRole(role) {
+    if (!currentAdmin) return false;
+    return ADMIN_ROLE_ORDER.indexOf(currentAdmin.role) >= ADMIN_ROLE_ORDER.indexOf(role);
+}
+
 function silentLogout() {
     isLoggedIn = false;
+    currentAdmin = null;
+    delete document.documentElement.dataset.role;
     // 清除旧版本的 localStorage token（如果存在）
     localStorage.removeItem('authToken');
     document.documentElement.classList.remove('logged-in');
@@ -94,7 +94,9 @@ async function loadRotationStatus() {
             const strategyNames = {
                 'round_robin': '均衡负载',
                 'quota_exhausted': '额度耗尽切换',
-                'request_count': '自定义次数'
+                'request_count': '自定义次数',
+                'weighted_health': '健康加权',
+                'quota_aware': '额度优先'
             };
             const statusEl = document.getElementById('currentRotationInfo');
             if (statusEl) {
@@ -217,6 +219,10 @@ function setActiveSettingSection(id, scroll = true) {
     const select = document.getElementById('settingsSectionSelect');
     if (select) select.value = activeSettingSectionId;
 
+    if (activeSettingSectionId === 'section-history' && typeof loadConfigHistory === 'function') {
+        loadConfigHistory();
+    }
+
     if (scroll) {
         const el = document.getElementById(activeSettingSectionId);
         const container = document.getElementById('settingsPage');
@@ -377,7 +383,8 @@ async function saveConfig(e) {
 
         hideLoading();
         if (data.success) {
-            showToast('配置已保存', 'success');
+            // 端口等配置修改后仍需重启，提示中会列出
+            showToast(data.message || '配置已保存', data.data?.restartRequired?.length > 0 ? 'warning' : 'success');
             // 保存成功后重新锁定
             lockOfficialSystemPrompt();
             loadConfig();
@@ -0,0 +1,151 @@
+// 配置历史模块（设置页的“配置历史”分区）：查看版本差异、一键回滚
+
+const CONFIG_HISTORY_ACTION_LABELS = {
+    initial: '初始配置',
+    external: '配置文件被手动修改',
+    update: '保存配置',
+    rotation: '修改轮询策略',
+    rollback: '回滚'
+};
+
+// 每个版本只列出前几个修改的字段
+const CONFIG_HISTORY_MAX_KEYS = 5;
+
+let configHistoryRevisions = [];
+
+async function loadConfigHistory() {
+    try {
+        const response = await authFetch('/admin/config/history');
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.message || '获取配置历史失败');
+        }
+        configHistoryRevisions = data.data;
+        renderConfigHistory();
+    } catch (error) {
+        console.error('加载配置历史失败:', error);
+        showToast('加载配置历史失败: ' + error.message, 'error');
+    }
+}
+
+function describeConfigRevision(revision) {
+    if (revision.action === 'rollback') return `回滚到 #${revision.rolledBackFrom}`;
+    return CONFIG_HISTORY_ACTION_LABELS[revision.action] || revision.action;
+}
+
+function renderConfigHistory() {
+    const container = document.getElementById('configHistoryList');
+    if (!container) return;
+
+    if (configHistoryRevisions.length === 0) {
+        container.innerHTML = `
+            <div class="log-empty">
+                <div class="log-empty-icon">🕘</div>
+                <div class="log-empty-text">暂无历史版本，保存配置后自动记录</div>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = configHistoryRevisions.map((revision, index) => {
+        const time = new Date(revision.timestamp).toLocaleString('zh-CN', { hour12: false });
+        const keys = revision.changedKeys;
+        const keysText = keys.length > CONFIG_HISTORY_MAX_KEYS
+            ? `${keys.slice(0, CONFIG_HISTORY_MAX_KEYS).join('、')} 等 ${keys.length} 项`
+            : keys.join('、');
+        const isLatest = index === 0;
+        return `
+            <div class="config-history-item">
+                <div class="log-item-header">
+                    <strong>#${revision.id}</strong>
+                    <span>${escapeHtml(describeConfigRevision(revision))}</span>
+                    ${isLatest ? '<span class="log-level-tag info">最新</span>' : ''}
+                    <span class="audit-meta">👤 ${escapeHtml(revision.author || '—')}</span>
+                    <span class="log-time">${time}</span>
+                </div>
+                ${keysText ? `<div class="audit-meta">${escapeHtml(keysText)}</div>` : ''}
+                <div class="config-history-actions">
+                    <button type="button" class="btn btn-secondary btn-xs" onclick="toggleConfigDiff(${revision.id})">查看差异</button>
+                    ${isLatest ? '' : `<button type="button" class="btn btn-warning btn-xs" onclick="rollbackConfig(${revision.id})">回滚到此版本</button>`}
+                </div>
+                <div class="hidden" id="configDiff-${revision.id}"></div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function fetchConfigDiff(id, against = 'previous') {
+    const response = await authFetch(`/admin/config/history/${id}/diff?against=${against}`);
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.message || '获取差异失败');
+    }
+    return data.data.changes;
+}
+
+// 展开/收起该版本相对上一个版本的修改
+async function toggleConfigDiff(id) {
+    const container = document.getElementById(`configDiff-${id}`);
+    if (!container) return;
+    if (!container.classList.contains('hidden')) {
+        container.classList.add('hidden');
+        return;
+    }
+    try {
+        const changes = await fetchConfigDiff(id);
+        container.innerHTML = changes.length > 0
+            ? renderAuditChanges(changes)
+            : '<div class="audit-meta">与上一个版本相同</div>';
+        container.classList.remove('hidden');
+    } catch (error) {
+        showToast('获取差异失败: ' + error.message, 'error');
+    }
+}
+
+async function rollbackConfig(id, password = null) {
+    let changes;
+    try {
+        changes = await fetchConfigDiff(id, 'current');
+    } catch (error) {
+        showToast('获取差异失败: ' + error.message, 'error');
+        return;
+    }
+    if (changes.length === 0) {
+        showToast('该版本与当前配置相同', 'info');
+        return;
+    }
+
+    if (!password) {
+        const paths = changes.map(change => change.path);
+        const summary = paths.length > 10 ? `${paths.slice(0, 10).join('、')} 等 ${paths.length} 项` : paths.join('、');
+        const confirmed = await showConfirm(`回滚到版本 #${id} 将修改：${summary}`, '回滚配置');
+        if (!confirmed) return;
+    }
+
+    showLoading('正在回滚配置...');
+    try {
+        const response = await authFetch(`/admin/config/history/${id}/rollback`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(password ? { password } : {})
+        });
+        const data = await response.json();
+        hideLoading();
+
+        // 回滚会修改官方系统提示词时需要验证密码
+        if (response.status === 403 && !password) {
+            const input = await showPasswordPrompt(escapeHtml(data.message));
+            if (input) rollbackConfig(id, input);
+            return;
+        }
+        if (!data.success) {
+            showToast(data.message || '回滚失败', 'error');
+            return;
+        }
+        showToast(data.message, data.data.restartRequired.length > 0 ? 'warning' : 'success');
+        loadConfig();
+    } catch (error) {
+        hideLoading();
+        showToast('回滚失败: ' + error.message, 'error');
+    }
+}
@@ -196,7 +196,7 @@ function renderGeminiCliTokens(tokens) {
                     <span class="status ${token.enable ? 'enabled' : 'disabled'}">
                         ${token.enable ? '✅ 启用' : '❌ 禁用'}
                     </span>
-                    <button class="btn-icon token-refresh-btn" onclick="refreshGeminiCliToken('${safeTokenId}')" title="刷新Token">🔄</button>
+                    <button class="btn-icon token-refresh-btn operator-only" onclick="refreshGeminiCliToken('${safeTokenId}')" title="刷新Token">🔄</button>
                 </div>
                 <div class="token-header-right">
                     <span class="token-id">#${tokenNumber}</span>
@@ -211,7 +211,7 @@ function renderGeminiCliTokens(tokens) {
                 <div class="info-row ${hasProjectId ? '' : 'warning'}" title="${hasProjectId ? 'Project ID' : '缺少 Project ID，点击获取'}">
                     <span class="info-label">📁</span>
                     <span class="info-value ${hasProjectId ? '' : 'text-warning'}">${safeProjectId || '未获取'}</span>
-                    ${!hasProjectId ? `<button class="btn btn-info btn-xs" onclick="fetchGeminiCliProjectId('${safeTokenId}')" style="margin-left: auto;">获取</button>` : ''}
+                    ${!hasProjectId ? `<button class="btn btn-info btn-xs operator-only" onclick="fetchGeminiCliProjectId('${safeTokenId}')" style="margin-left: auto;">获取</button>` : ''}
                 </div>
             </div>
             <div class="token-id-row" title="Token ID: ${escapeHtml(tokenId)}">
@@ -219,10 +219,10 @@ function renderGeminiCliTokens(tokens) {
                 <span class="token-id-value">${escapeHtml(tokenId.length > 24 ? tokenId.substring(0, 12) + '...' + tokenId.substring(tokenId.length - 8) : tokenId)}</span>
             </div>
             <div class="token-actions">
-                <button class="btn ${token.enable ? 'btn-warning' : 'btn-success'} btn-xs" onclick="toggleGeminiCliToken('${safeTokenId}', ${!token.enable})" title="${token.enable ? '禁用' : '启用'}">
+                <button class="btn ${token.enable ? 'btn-warning' : 'btn-success'} btn-xs operator-only" onclick="toggleGeminiCliToken('${safeTokenId}', ${!token.enable})" title="${token.enable ? '禁用' : '启用'}">
                     ${token.enable ? '⏸️ 禁用' : '▶️ 启用'}
                 </button>
-                <button class="btn btn-danger btn-xs" onclick="deleteGeminiCliToken('${safeTokenId}')" title="删除">🗑️ 删除</button>
+                <button class="btn btn-danger btn-xs owner-only" onclick="deleteGeminiCliToken('${safeTokenId}')" title="删除">🗑️ 删除</button>
             </div>
         </div>
     `}).join('');
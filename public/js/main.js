@@ -17,9 +17,10 @@ initFilterState(); // 恢复筛选状态
         
         if (loggedIn) {
             showMainContent();
+            await loadCurrentAdmin();
             // 恢复Tab状态，switchTab 内部会根据 tab 类型加载对应数据
             const savedTab = localStorage.getItem('currentTab');
-            if (savedTab === 'settings') {
+            if (savedTab === 'settings' && hasAdminRole('owner')) {
                 switchTab('settings', false);
             } else if (savedTab === 'logs') {
                 switchTab('logs', false);
@@ -64,8 +65,9 @@ document.getElementById('login').addEventListener('submit', async (e) => {
             // 不再存储 token 到 localStorage，使用 HttpOnly Cookie
             showToast('登录成功', 'success');
             showMainContent();
+            await loadCurrentAdmin();
             loadTokens();
-            loadConfig();
+            if (hasAdminRole('owner')) loadConfig();
         } else {
             showToast(data.message || '用户名或密码错误', 'error');
         }
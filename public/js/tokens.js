@@ -851,6 +851,7 @@ async function loadTokens() {
         const data = await response.json();
         if (data.success) {
             renderTokens(data.data);
+            startQueueStatsPolling();
         } else {
             showToast('加载失败: ' + (data.message || '未知错误'), 'error');
         }
@@ -859,6 +860,34 @@ async function loadTokens() {
     }
 }
 
+// 请求队列状态轮询（仅在 Token 页面可见时请求）
+let queueStatsTimer = null;
+
+async function loadQueueStats() {
+    if (!isLoggedIn || document.getElementById('tokensPage').classList.contains('hidden')) return;
+    try {
+        const response = await authFetch('/admin/queue');
+        const data = await response.json();
+        if (data.success) {
+            const { waiting, inFlight, oldestWaitMs } = data.data;
+            const waitingEl = document.getElementById('queueWaiting');
+            waitingEl.textContent = waiting;
+            waitingEl.parentElement.title = waiting > 0
+                ? `排队等待分配账号的请求数（最久已等待 ${Math.round(oldestWaitMs / 1000)} 秒）`
+                : '排队等待分配账号的请求数';
+            document.getElementById('queueInFlight').textContent = inFlight;
+        }
+    } catch (error) {
+        // 轮询失败不提示，下次继续
+    }
+}
+
+function startQueueStatsPolling() {
+    loadQueueStats();
+    if (queueStatsTimer) return;
+    queueStatsTimer = setInterval(loadQueueStats, 5000);
+}
+
 // 正在刷新的 Token 集合（使用 tokenId）
 const refreshingTokens = new Set();
 
@@ -870,6 +899,22 @@ function cleanupRefreshingTokens() {
     }
 }
 
+// 渲染账号健康状态徽标（熔断器状态 + 错误率/延迟提示）
+function renderHealthBadge(health) {
+    if (!health || (health.samples === 0 && health.state === 'closed')) return '';
+    const labels = { closed: '🟢 健康', half_open: '🟡 探测中', open: '🔴 熔断' };
+    const tips = [
+        `健康分: ${Math.round(health.score * 100)}%`,
+        `错误率: ${Math.round(health.errorRate * 100)}%（最近 ${health.samples} 次）`
+    ];
+    if (health.latencyMs !== null) tips.push(`平均延迟: ${health.latencyMs}ms`);
+    if (health.openUntil) tips.push(`熔断至: ${new Date(health.openUntil).toLocaleTimeString()}`);
+    if (health.lastFailure) {
+        tips.push(`最近失败: ${health.lastFailure.status || ''} ${health.lastFailure.reason || ''}`.trim());
+    }
+    return `<span class="status health-${escapeHtml(health.state)}" title="${escapeHtml(tips.join('\n'))}">${labels[health.state] || escapeHtml(health.state)}</span>`;
+}
+
 function renderTokens(tokens) {
     // 只在首次加载时更新缓存
     if (tokens !== cachedTokens) {
@@ -927,7 +972,8 @@ function renderTokens(tokens) {
                     <span class="status ${token.enable ? 'enabled' : 'disabled'}">
                         ${token.enable ? '✅ 启用' : '❌ 禁用'}
                     </span>
-                    <button class="btn-icon token-refresh-btn ${isRefreshing ? 'loading' : ''}" id="refresh-btn-${escapeHtml(cardId)}" onclick="manualRefreshToken('${safeTokenId}')" title="刷新Token" ${isRefreshing ? 'disabled' : ''}>🔄</button>
+                    ${token.enable ? renderHealthBadge(token.health) : ''}
+                    <button class="btn-icon token-refresh-btn operator-only ${isRefreshing ? 'loading' : ''}" id="refresh-btn-${escapeHtml(cardId)}" onclick="manualRefreshToken('${safeTokenId}')" title="刷新Token" ${isRefreshing ? 'disabled' : ''}>🔄</button>
                 </div>
                 <div class="token-header-right">
                     <button class="btn-icon" onclick="showTokenDetail('${safeTokenId}')" title="编辑">✏️</button>
@@ -939,13 +985,18 @@ function renderTokens(tokens) {
                     <span class="info-label">📦</span>
                     <span class="info-value sensitive-info">${safeProjectId || '点击设置'}</span>
                     <span class="info-edit-icon">✏️</span>
-                    <button class="btn btn-xs btn-info fetch-project-btn" onclick="fetchProjectId(event, '${safeTokenId}')" title="从API获取Project ID">🔍</button>
+                    <button class="btn btn-xs btn-info fetch-project-btn operator-only" onclick="fetchProjectId(event, '${safeTokenId}')" title="从API获取Project ID">🔍</button>
                 </div>
                 <div class="info-row editable sensitive-row" onclick="editField(event, '${safeTokenId}', 'email', '${safeEmailJs}')" title="点击编辑">
                     <span class="info-label">📧</span>
                     <span class="info-value sensitive-info">${safeEmail || '点击设置'}</span>
                     <span class="info-edit-icon">✏️</span>
                 </div>
+                ${token.assignedProxy ? `
+                <div class="info-row" title="${token.proxy ? '已绑定代理' : '代理池自动分配'}">
+                    <span class="info-label">🌐</span>
+                    <span class="info-value">${escapeHtml(token.assignedProxy)}${token.proxy ? ' 📌' : ''}</span>
+                </div>` : ''}
             </div>
             <div class="token-id-row" title="Token ID: ${escapeHtml(tokenId)}">
                 <span class="token-id-label">🔑</span>
@@ -960,10 +1011,10 @@ function renderTokens(tokens) {
             </div>
             <div class="token-actions">
                 <button class="btn btn-info btn-xs" onclick="showQuotaModal('${safeTokenId}')" title="查看额度">📊 详情</button>
-                <button class="btn ${token.enable ? 'btn-warning' : 'btn-success'} btn-xs" onclick="toggleToken('${safeTokenId}', ${!token.enable})" title="${token.enable ? '禁用' : '启用'}">
+                <button class="btn ${token.enable ? 'btn-warning' : 'btn-success'} btn-xs operator-only" onclick="toggleToken('${safeTokenId}', ${!token.enable})" title="${token.enable ? '禁用' : '启用'}">
                     ${token.enable ? '⏸️ 禁用' : '▶️ 启用'}
                 </button>
-                <button class="btn btn-danger btn-xs" onclick="deleteToken('${safeTokenId}')" title="删除">🗑️ 删除</button>
+                <button class="btn btn-danger btn-xs owner-only" onclick="deleteToken('${safeTokenId}')" title="删除">🗑️ 删除</button>
             </div>
         </div>
     `}).join('');
@@ -1138,13 +1189,31 @@ function editField(event, tokenId, field, currentValue) {
     });
 }
 
-function showTokenDetail(tokenId) {
+// 代理池中的代理名称（未配置代理池或获取失败时为空）
+async function loadProxyNames() {
+    try {
+        const response = await authFetch('/admin/proxies');
+        const data = await response.json();
+        return data.success ? data.data.proxies.map(proxy => proxy.name) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+async function showTokenDetail(tokenId) {
     const token = cachedTokens.find(t => t.id === tokenId);
     if (!token) {
         showToast('Token不存在', 'error');
         return;
     }
 
+    // 绑定的代理已从代理池删除时也保留在选项中，避免保存时被静默清除
+    const proxyNames = await loadProxyNames();
+    if (token.proxy && !proxyNames.includes(token.proxy)) proxyNames.push(token.proxy);
+    const proxyOptions = proxyNames.map(name =>
+        `<option value="${escapeHtml(name)}" ${name === token.proxy ? 'selected' : ''}>${escapeHtml(name)}</option>`
+    ).join('');
+
     // 转义所有用户数据防止 XSS
     const safeTokenId = escapeJs(tokenId);
     const safeProjectId = escapeHtml(token.projectId || '');
@@ -1168,6 +1237,14 @@ function showTokenDetail(tokenId) {
                 <label>📧 邮箱</label>
                 <input type="email" id="editEmail" value="${safeEmail}" placeholder="账号邮箱">
             </div>
+            ${proxyNames.length > 0 ? `
+            <div class="form-group compact">
+                <label>🌐 出口代理</label>
+                <select id="editProxy">
+                    <option value="">自动分配${token.assignedProxy && !token.proxy ? `（当前：${escapeHtml(token.assignedProxy)}）` : ''}</option>
+                    ${proxyOptions}
+                </select>
+            </div>` : ''}
             <div class="form-group compact">
                 <label>🕒 最后更新时间</label>
                 <input type="text" value="${updatedAtStr}" readonly style="background: var(--bg); cursor: not-allowed;">
@@ -1185,6 +1262,9 @@ function showTokenDetail(tokenId) {
 async function saveTokenDetail(tokenId) {
     const projectId = document.getElementById('editProjectId').value.trim();
     const email = document.getElementById('editEmail').value.trim();
+    const updates = { projectId, email };
+    const proxySelect = document.getElementById('editProxy');
+    if (proxySelect) updates.proxy = proxySelect.value;
 
     showLoading('保存中...');
     try {
@@ -1193,7 +1273,7 @@ async function saveTokenDetail(tokenId) {
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ projectId, email })
+            body: JSON.stringify(updates)
         });
 
         const data = await response.json();
@@ -0,0 +1,81 @@
+// 将 data 目录下的 JSON 数据导入 SQLite 存储（data/antigravity.db）
+// 用法：npm run migrate:sqlite [-- --force]
+//   --force  目标集合已有数据时覆盖（默认跳过，避免重复导入覆盖运行中产生的数据）
+
+import fs from 'fs';
+import path from 'path';
+import log from '../src/utils/logger.js';
+import { getDataDir } from '../src/utils/paths.js';
+import { Collections, SQLITE_FILE } from '../src/storage/index.js';
+import SqliteStorage from '../src/storage/sqlite.js';
+
+const force = process.argv.includes('--force');
+const dataDir = getDataDir();
+
+function readJson(fileName) {
+  const filePath = path.join(dataDir, fileName);
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    log.error(`${fileName} 解析失败，已跳过: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 导入账号文件：兼容旧版纯数组格式和 { salt, tokens } 格式
+ */
+function migrateAccounts(storage, fileName, collection) {
+  const parsed = readJson(fileName);
+  if (!parsed) return;
+  const tokens = Array.isArray(parsed) ? parsed : (Array.isArray(parsed.tokens) ? parsed.tokens : []);
+  if (!writeCollection(storage, collection, tokens.filter(t => t?.refresh_token).map(t => [t.refresh_token, t]), fileName)) return;
+  // 沿用原盐值，保证 tokenId 不变（额度记录、管理后台操作都依赖 tokenId）
+  if (!Array.isArray(parsed) && parsed.salt) {
+    storage.set(`${collection}:meta`, 'salt', parsed.salt);
+  }
+}
+
+/**
+ * @returns {boolean} 是否已写入
+ */
+function writeCollection(storage, collection, entries, fileName) {
+  if (!force && storage.count(collection) > 0) {
+    log.warn(`${collection}: SQLite 中已有数据，跳过 ${fileName}（使用 --force 覆盖）`);
+    return false;
+  }
+  storage.replaceAll(collection, entries);
+  log.info(`${collection}: 已从 ${fileName} 导入 ${entries.length} 条记录`);
+  return true;
+}
+
+function main() {
+  const storage = new SqliteStorage(path.join(dataDir, SQLITE_FILE));
+  try {
+    migrateAccounts(storage, 'accounts.json', Collections.ACCOUNTS);
+    migrateAccounts(storage, 'geminicli_accounts.json', Collections.GEMINICLI_ACCOUNTS);
+
+    const quotas = readJson('quotas.json');
+    if (quotas) {
+      writeCollection(storage, Collections.QUOTAS, Object.entries(quotas.quotas || {}), 'quotas.json');
+    }
+
+    const blocklist = readJson('ip-blocklist.json');
+    if (blocklist) {
+      writeCollection(storage, Collections.IP_BLOCKLIST, Object.entries(blocklist.blocked_ips || {}), 'ip-blocklist.json');
+    }
+  } finally {
+    storage.close();
+  }
+
+  log.info(`迁移完成: ${path.join(dataDir, SQLITE_FILE)}`);
+  log.info('在 config.json 中设置 "storage": { "driver": "sqlite" } 后重启服务即可使用 SQLite 存储（原 JSON 文件保留不动）');
+}
+
+try {
+  main();
+} catch (error) {
+  log.error('迁移失败:', error.message);
+  process.exit(1);
+}
@@ -4,9 +4,12 @@ import AntigravityRequester from '../AntigravityRequester.js';
 import { saveBase64Image } from '../utils/imageStorage.js';
 import logger from '../utils/logger.js';
 import memoryManager from '../utils/memoryManager.js';
+import { onConfigChange } from '../utils/configReloader.js';
+import proxyPool from '../utils/proxyPool.js';
 import { httpRequest, httpStreamRequest } from '../utils/httpClient.js';
-import { MODEL_LIST_CACHE_TTL } from '../constants/index.js';
+import { MODEL_LIST_CACHE_TTL, COUNT_TOKENS_TIMEOUT, REQUESTER_IDLE_CHECK_INTERVAL } from '../constants/index.js';
 import { createApiError } from '../utils/errors.js';
+import metrics from '../utils/metrics.js';
 import fs from 'fs/promises';
 import fsSync from 'fs';
 import path from 'path';
@@ -29,24 +32,44 @@ import { getUpstreamStatus, readUpstreamErrorBody, isCallerDoesNotHavePermission
 import { createStreamLineProcessor } from './streamLineProcessor.js';
 import { runAxiosSseStream, runNativeSseStream, postJsonAndParse } from './geminiTransport.js';
 import { parseGeminiCandidateParts, toOpenAIUsage } from './geminiResponseParser.js';
+import { estimateRequestTokens, estimateTextTokens } from '../utils/tokenEstimator.js';
 
 // 请求客户端：优先使用 AntigravityRequester，失败则自动降级到 axios
 let requester = null;
 let useAxios = false;
 
-// 初始化请求客户端
-if (config.useNativeAxios === true) {
-  useAxios = true;
-  logger.info('使用原生 axios 请求');
-} else {
+// 切换到 axios 后，等旧请求器上进行中的请求结束再关闭子进程
+function closeWhenIdle(previous) {
+  const timer = setInterval(() => {
+    if (previous.pendingRequests.size > 0) return;
+    clearInterval(timer);
+    previous.close();
+    logger.info('旧的子进程请求器已关闭');
+  }, REQUESTER_IDLE_CHECK_INTERVAL);
+  timer.unref?.();
+}
+
+// 初始化请求客户端（useNativeAxios 修改后重新调用，进行中的请求继续使用原来的请求器）
+function initRequester() {
+  if (config.useNativeAxios === true) {
+    if (requester) closeWhenIdle(requester);
+    requester = null;
+    useAxios = true;
+    logger.info('使用原生 axios 请求');
+    return;
+  }
   try {
-    requester = new AntigravityRequester();
+    requester = requester || new AntigravityRequester();
+    useAxios = false;
   } catch (error) {
     logger.warn('AntigravityRequester 初始化失败，自动降级使用 axios:', error.message);
     useAxios = true;
   }
 }
 
+initRequester();
+onConfigChange('useNativeAxios', initRequester);
+
 // ==================== 调试：最终请求/原始响应完整输出（单文件追加模式） ====================
 
 // ==================== 模型列表缓存（智能管理） ====================
@@ -79,6 +102,18 @@ const DEFAULT_MODELS = Object.freeze([
   'chat_23310'
 ]);
 
+// 上游模型列表中出现过的模型（缓存过期后仍保留），用于判断客户端传入的模型名是否真实存在
+const knownModelIds = new Set(DEFAULT_MODELS);
+
+/**
+ * 是否为已知模型（默认模型或上游模型列表中出现过的模型）
+ * @param {string} model
+ * @returns {boolean}
+ */
+export function isKnownModel(model) {
+  return knownModelIds.has(model);
+}
+
 // 生成默认模型列表响应
 function getDefaultModelList() {
   const created = Math.floor(Date.now() / 1000);
@@ -125,12 +160,13 @@ function buildHeaders(token) {
   };
 }
 
-function buildRequesterConfig(headers, body = null) {
+// proxyUrl：账号使用的代理（proxyPool.getProxyUrl），为空时直连
+function buildRequesterConfig(headers, body = null, proxyUrl = null) {
   const reqConfig = {
     method: 'POST',
     headers,
     timeout_ms: config.timeout,
-    proxy: config.proxy
+    proxy: proxyUrl
   };
   if (body !== null) reqConfig.body = JSON.stringify(body);
   return reqConfig;
@@ -141,6 +177,7 @@ function buildRequesterConfig(headers, body = null) {
 async function handleApiError(error, token, dumpId = null) {
   const status = getUpstreamStatus(error);
   const errorBody = await readUpstreamErrorBody(error);
+  metrics.recordUpstreamError('antigravity', status);
 
   if (dumpId) {
     await dumpFinalRawResponse(dumpId, String(errorBody ?? ''));
@@ -160,9 +197,19 @@ async function handleApiError(error, token, dumpId = null) {
 
 // ==================== 导出函数 ====================
 
-export async function generateAssistantResponse(requestBody, token, callback) {
+/**
+ * 流式生成
+ * @param {Object} requestBody - 上游请求体
+ * @param {Object} token - 账号
+ * @param {Function} callback - 流式事件回调
+ * @param {{signal?: AbortSignal}} [options] - signal：提前结束（如命中客户端停止序列），中断后正常返回，
+ *   上游不再返回用量，改为按请求和已输出内容本地估算后发出 usage 事件
+ * @returns {Promise<{finishReason: string|null}>}
+ */
+export async function generateAssistantResponse(requestBody, token, callback, { signal = null } = {}) {
   
   const headers = buildHeaders(token);
+  const proxyUrl = proxyPool.getProxyUrl(token);
   const dumpId = isDebugDumpEnabled() ? createDumpId('stream') : null;
   const streamCollector = dumpId ? createStreamCollector() : null;
   if (dumpId) {
@@ -174,11 +221,18 @@ export async function generateAssistantResponse(requestBody, token, callback) {
     toolCalls: [],
     reasoningSignature: null,
     sessionId: requestBody.request?.sessionId,
-    model: requestBody.model
+    model: requestBody.model,
+    finishReason: null
   };
+  let usageReceived = false;
+  let outputText = '';
   const processor = createStreamLineProcessor({
     state,
-    onEvent: callback,
+    onEvent: (data) => {
+      if (data.type === 'usage') usageReceived = true;
+      else if (signal) outputText += data.content || data.reasoning_content || '';
+      callback(data);
+    },
     onRawChunk: (chunk) => collectStreamChunk(streamCollector, chunk)
   });
   
@@ -189,14 +243,26 @@ export async function generateAssistantResponse(requestBody, token, callback) {
         headers,
         data: requestBody,
         timeout: config.timeout,
-        processor
+        proxyUrl,
+        processor,
+        signal
       });
     } else {
-      const streamResponse = requester.antigravity_fetchStream(config.api.url, buildRequesterConfig(headers, requestBody));
+      const streamResponse = requester.antigravity_fetchStream(config.api.url, buildRequesterConfig(headers, requestBody, proxyUrl));
       await runNativeSseStream({
         streamResponse,
         processor,
-        onErrorChunk: (chunk) => collectStreamChunk(streamCollector, chunk)
+        onErrorChunk: (chunk) => collectStreamChunk(streamCollector, chunk),
+        signal
+      });
+    }
+
+    if (signal?.aborted && !usageReceived) {
+      const promptTokens = estimateRequestTokens(requestBody.request, { model: requestBody.model });
+      const completionTokens = estimateTextTokens(outputText);
+      callback({
+        type: 'usage',
+        usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
       });
     }
 
@@ -204,6 +270,7 @@ export async function generateAssistantResponse(requestBody, token, callback) {
     if (dumpId) {
       await dumpStreamResponse(dumpId, streamCollector);
     }
+    return { finishReason: state.finishReason || null };
   } catch (error) {
     try { processor.close(); } catch { }
     await handleApiError(error, token, dumpId);
@@ -212,17 +279,19 @@ export async function generateAssistantResponse(requestBody, token, callback) {
 
 // 内部工具：从远端拉取完整模型原始数据
 async function fetchRawModels(headers, token) {
+  const proxyUrl = proxyPool.getProxyUrl(token);
   try {
     if (useAxios) {
       const response = await httpRequest({
         method: 'POST',
         url: config.api.modelsUrl,
         headers,
-        data: {}
+        data: {},
+        proxyUrl
       });
       return response.data;
     }
-    const response = await requester.antigravity_fetch(config.api.modelsUrl, buildRequesterConfig(headers, {}));
+    const response = await requester.antigravity_fetch(config.api.modelsUrl, buildRequesterConfig(headers, {}, proxyUrl));
     if (response.status !== 200) {
       const errorBody = await response.text();
       throw { status: response.status, message: errorBody };
@@ -284,6 +353,7 @@ export async function getAvailableModels() {
   // 更新缓存
   modelListCache = result;
   modelListCacheTime = now;
+  modelList.forEach(model => knownModelIds.add(model.id));
   const currentTTL = getModelCacheTTL();
   logger.info(`模型列表已缓存 (有效期: ${currentTTL / 1000}秒, 模型数量: ${modelList.length})`);
   
@@ -318,6 +388,7 @@ export async function getModelsWithQuotas(token) {
 export async function generateAssistantResponseNoStream(requestBody, token) {
   
   const headers = buildHeaders(token);
+  const proxyUrl = proxyPool.getProxyUrl(token);
   const dumpId = isDebugDumpEnabled() ? createDumpId('no_stream') : null;
   if (dumpId) await dumpFinalRequest(dumpId, requestBody);
   let data;
@@ -329,7 +400,8 @@ export async function generateAssistantResponseNoStream(requestBody, token) {
       headers,
       body: requestBody,
       timeout: config.timeout,
-      requesterConfig: buildRequesterConfig(headers, requestBody),
+      proxyUrl,
+      requesterConfig: buildRequesterConfig(headers, requestBody, proxyUrl),
       dumpId,
       dumpFinalRawResponse,
       rawFormat: 'json'
@@ -387,21 +459,100 @@ export async function generateAssistantResponseNoStream(requestBody, token) {
   return { content: parsed.content, reasoningContent: parsed.reasoningContent, reasoningSignature: parsed.reasoningSignature, toolCalls: parsed.toolCalls, usage: usageData };
 }
 
-export async function generateImageForSD(requestBody, token) {
+/**
+ * 调用上游 countTokens 统计输入 token 数
+ * 上游只接受 contents，系统提示词和工具声明由调用方合并进 contents。
+ * 失败时只抛出错误，不走 handleApiError：计数请求的 403 不代表账号失效，不应禁用账号
+ * @param {string} model - 实际模型名
+ * @param {Array<Object>} contents - Gemini contents
+ * @param {Object} token
+ * @returns {Promise<number>} totalTokens
+ */
+export async function countTokens(model, contents, token) {
+  const headers = buildHeaders(token);
+  const body = { request: { model: `models/${model}`, contents } };
+  const proxyUrl = proxyPool.getProxyUrl(token);
+  let data;
+  try {
+    data = await postJsonAndParse({
+      useAxios,
+      requester,
+      url: config.api.countTokensUrl,
+      headers,
+      body,
+      timeout: COUNT_TOKENS_TIMEOUT,
+      proxyUrl,
+      requesterConfig: { ...buildRequesterConfig(headers, body, proxyUrl), timeout_ms: COUNT_TOKENS_TIMEOUT }
+    });
+  } catch (error) {
+    const status = getUpstreamStatus(error);
+    const errorBody = await readUpstreamErrorBody(error);
+    metrics.recordUpstreamError('antigravity', status);
+    throw createApiError(`countTokens 请求失败 (${status}): ${errorBody}`, status, errorBody);
+  }
+  const totalTokens = data?.totalTokens ?? data?.response?.totalTokens;
+  if (!Number.isFinite(Number(totalTokens))) {
+    throw createApiError(`countTokens 响应缺少 totalTokens: ${JSON.stringify(data).slice(0, 200)}`, 502);
+  }
+  return Number(totalTokens);
+}
+
+/**
+ * 中断请求时抛出的错误（不带状态码，不触发故障转移，也不计入账号健康度）
+ * @returns {Error}
+ */
+function createAbortError() {
+  const error = new Error('请求已中断');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * 等待请求完成，signal 中断时立即返回
+ * 原生请求器不支持取消，中断后上游请求仍会完成，结果直接丢弃
+ * @param {Promise} promise
+ * @param {AbortSignal|null} signal
+ * @returns {Promise}
+ */
+function raceAbort(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * 生图请求（非流式），返回生成的图片
+ * @param {Object} requestBody - 已经过 prepareImageRequest 处理的请求体
+ * @param {Object} token
+ * @param {{signal?: AbortSignal}} [options] - signal：中断请求（SD WebUI 的 /interrupt）
+ * @returns {Promise<string[]>} base64 图片数据
+ */
+export async function generateImageForSD(requestBody, token, { signal = null } = {}) {
   const headers = buildHeaders(token);
+  const proxyUrl = proxyPool.getProxyUrl(token);
   let data;
   //console.log(JSON.stringify(requestBody,null,2));
   
   try {
+    if (signal?.aborted) throw createAbortError();
     if (useAxios) {
       data = (await httpRequest({
         method: 'POST',
         url: config.api.noStreamUrl,
         headers,
-        data: requestBody
+        data: requestBody,
+        signal,
+        proxyUrl
       })).data;
     } else {
-      const response = await requester.antigravity_fetch(config.api.noStreamUrl, buildRequesterConfig(headers, requestBody));
+      const response = await raceAbort(
+        requester.antigravity_fetch(config.api.noStreamUrl, buildRequesterConfig(headers, requestBody, proxyUrl)),
+        signal
+      );
       if (response.status !== 200) {
         const errorBody = await response.text();
         throw { status: response.status, message: errorBody };
@@ -409,6 +560,7 @@ export async function generateImageForSD(requestBody, token) {
       data = await response.json();
     }
   } catch (error) {
+    if (signal?.aborted) throw createAbortError();
     await handleApiError(error, token);
   }
   
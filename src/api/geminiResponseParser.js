@@ -73,6 +73,10 @@ export function toOpenAIUsage(usageMetadata) {
   return {
     prompt_tokens: usageMetadata.promptTokenCount || 0,
     completion_tokens: usageMetadata.candidatesTokenCount || 0,
-    total_tokens: usageMetadata.totalTokenCount || 0
+    total_tokens: usageMetadata.totalTokenCount || 0,
+    // 思考 token 单独计数（candidatesTokenCount 不包含思考部分）
+    completion_tokens_details: {
+      reasoning_tokens: usageMetadata.thoughtsTokenCount || 0
+    }
   };
 }
@@ -1,37 +1,76 @@
 import { httpRequest, httpStreamRequest } from '../utils/httpClient.js';
 
-export async function runAxiosSseStream({ url, headers, data, timeout, processor } = {}) {
+export async function runAxiosSseStream({ url, headers, data, timeout, proxyUrl, processor, signal = null } = {}) {
   const response = await httpStreamRequest({
     method: 'POST',
     url,
     headers,
     data,
-    timeout
+    timeout,
+    proxyUrl,
+    signal
   });
 
   response.data.on('data', (chunk) => {
-    processor.processChunk(chunk);
+    if (!signal?.aborted) processor.processChunk(chunk);
   });
 
   await new Promise((resolve, reject) => {
+    let settled = false;
+    const settle = () => {
+      if (settled) return false;
+      settled = true;
+      signal?.removeEventListener('abort', onAbort);
+      return true;
+    };
+    // 中断（如命中客户端停止序列）时关闭连接，上游随之停止生成
+    const onAbort = () => {
+      if (!settle()) return;
+      response.data.destroy();
+      processor.close();
+      resolve();
+    };
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
     response.data.on('end', () => {
+      if (!settle()) return;
+      processor.close();
+      resolve();
+    });
+    // 出错时由调用方关闭 processor；axios 的中断监听可能先于 onAbort 触发，以取消错误结束流
+    response.data.on('error', (error) => {
+      if (!settle()) return;
+      if (!signal?.aborted) return reject(error);
       processor.close();
       resolve();
     });
-    response.data.on('error', reject);
   });
 }
 
-export async function runNativeSseStream({ streamResponse, processor, onErrorChunk } = {}) {
+export async function runNativeSseStream({ streamResponse, processor, onErrorChunk, signal = null } = {}) {
   let errorBody = '';
   let statusCode = null;
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    processor.close();
+  };
 
   await new Promise((resolve, reject) => {
+    // 原生请求器不支持取消：中断后不再处理数据并立即返回，上游请求在后台结束
+    const onAbort = () => {
+      close();
+      resolve();
+    };
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
     streamResponse
       .onStart(({ status }) => {
         statusCode = status;
       })
       .onData((chunk) => {
+        if (closed) return;
         if (statusCode !== 200) {
           errorBody += chunk;
           if (onErrorChunk) onErrorChunk(chunk);
@@ -40,14 +79,20 @@ export async function runNativeSseStream({ streamResponse, processor, onErrorChu
         }
       })
       .onEnd(() => {
-        processor.close();
+        if (closed) return;
+        signal?.removeEventListener('abort', onAbort);
+        close();
         if (statusCode !== 200) {
           reject({ status: statusCode, message: errorBody });
         } else {
           resolve();
         }
       })
-      .onError(reject);
+      .onError((error) => {
+        if (closed) return;
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      });
   });
 }
 
@@ -58,6 +103,7 @@ export async function postJsonAndParse({
   headers,
   body,
   timeout,
+  proxyUrl,
   requesterConfig,
   dumpId,
   dumpFinalRawResponse,
@@ -71,6 +117,7 @@ export async function postJsonAndParse({
         headers,
         data: body,
         timeout,
+        proxyUrl,
         responseType: 'text'
       });
       const rawText = typeof resp.data === 'string' ? resp.data : JSON.stringify(resp.data, null, 2);
@@ -83,7 +130,8 @@ export async function postJsonAndParse({
       url,
       headers,
       data: body,
-      timeout
+      timeout,
+      proxyUrl
     })).data;
   }
 
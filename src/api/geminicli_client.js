@@ -1,7 +1,9 @@
 import geminicliTokenManager from '../auth/geminicli_token_manager.js';
 import config from '../config/config.js';
 import logger from '../utils/logger.js';
+import proxyPool from '../utils/proxyPool.js';
 import { createApiError } from '../utils/errors.js';
+import metrics from '../utils/metrics.js';
 import {
   convertToToolCall
 } from './stream_parser.js';
@@ -89,6 +91,7 @@ function buildRequestBody(requestBody, model, projectId) {
 async function handleApiError(error, token) {
   const status = getUpstreamStatus(error);
   const errorBody = await readUpstreamErrorBody(error);
+  metrics.recordUpstreamError('geminicli', status);
   
   if (status === 403) {
     if (isCallerDoesNotHavePermission(errorBody)) {
@@ -113,6 +116,7 @@ async function handleApiError(error, token) {
  * @param {Object} token - Token 对象（必须包含 projectId）
  * @param {string} model - 模型名称
  * @param {Function} callback - 回调函数
+ * @returns {Promise<{finishReason: string|null}>} 上游返回的结束原因（流中途结束时为 null）
  */
 export async function generateStreamResponse(requestBody, token, model, callback) {
   if (!token.projectId) {
@@ -135,7 +139,8 @@ export async function generateStreamResponse(requestBody, token, model, callback
     toolCalls: [],
     reasoningSignature: null,
     sessionId: null, // Gemini CLI 不使用 sessionId
-    model: model
+    model: model,
+    finishReason: null
   };
   const processor = createStreamLineProcessor({
     state,
@@ -149,6 +154,7 @@ export async function generateStreamResponse(requestBody, token, model, callback
       headers,
       data: fullRequestBody,
       timeout: config.timeout,
+      proxyUrl: proxyPool.getProxyUrl(token),
       processor
     });
     
@@ -156,6 +162,7 @@ export async function generateStreamResponse(requestBody, token, model, callback
     if (dumpId) {
       await dumpStreamResponse(dumpId, streamCollector);
     }
+    return { finishReason: state.finishReason || null };
   } catch (error) {
     try { processor.close(); } catch { }
     await handleApiError(error, token);
@@ -192,6 +199,7 @@ export async function generateNoStreamResponse(requestBody, token, model) {
       headers,
       body: fullRequestBody,
       timeout: config.timeout,
+      proxyUrl: proxyPool.getProxyUrl(token),
       dumpId,
       dumpFinalRawResponse
     });
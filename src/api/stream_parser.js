@@ -2,6 +2,7 @@ import memoryManager, { registerMemoryPoolCleanup } from '../utils/memoryManager
 import { generateToolCallId } from '../utils/idGenerator.js';
 import { setSignature, shouldCacheSignature, isImageModel } from '../utils/thoughtSignatureCache.js';
 import { getOriginalToolName } from '../utils/toolNameCache.js';
+import { toOpenAIUsage } from './geminiResponseParser.js';
 import config from '../config/config.js';
 
 // 预编译的常量（避免重复创建字符串）
@@ -139,6 +140,7 @@ function parseAndEmitStreamChunk(line, state, callback) {
     }
     
     if (data.response?.candidates?.[0]?.finishReason) {
+      state.finishReason = data.response.candidates[0].finishReason;
       // 流结束时，判断是否应该缓存签名
       const hasTools = state.hasToolCalls || state.toolCalls.length > 0;
       const isImage = isImageModel(state.model);
@@ -156,16 +158,9 @@ function parseAndEmitStreamChunk(line, state, callback) {
         callback({ type: 'tool_calls', tool_calls: state.toolCalls });
         state.toolCalls = [];
       }
-      const usage = data.response?.usageMetadata;
+      const usage = toOpenAIUsage(data.response?.usageMetadata);
       if (usage) {
-        callback({
-          type: 'usage',
-          usage: {
-            prompt_tokens: usage.promptTokenCount || 0,
-            completion_tokens: usage.candidatesTokenCount || 0,
-            total_tokens: usage.totalTokenCount || 0
-          }
-        });
+        callback({ type: 'usage', usage });
       }
       // 清空累积的思考内容和状态
       state.reasoningContent = '';
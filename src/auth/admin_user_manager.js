@@ -0,0 +1,226 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import config from '../config/config.js';
+import { getDataDir } from '../utils/paths.js';
+import { AppError } from '../utils/errors.js';
+import { ADMIN_ROLES, ADMIN_PASSWORD_MIN_LENGTH } from '../constants/index.js';
+import logger from '../utils/logger.js';
+
+const ADMIN_USERS_FILE = 'admin-users.json';
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * 数据文件结构：
+ * {
+ *   "users": [{
+ *     "username": "ops",
+ *     "role": "viewer",                       // viewer / operator / owner
+ *     "passwordHash": "scrypt$<salt>$<hash>", // scrypt 加盐哈希（hex）
+ *     "createdAt": 0,
+ *     "updatedAt": 0
+ *   }]
+ * }
+ * .env 中的 ADMIN_USERNAME / ADMIN_PASSWORD 为内置 owner，不写入此文件
+ */
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPasswordHash(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// 内置管理员密码为明文配置，按哈希后比较避免长度不同时提前返回
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function invalid(message) {
+  return new AppError(message, 400, 'invalid_request_error');
+}
+
+function validateRole(role) {
+  if (!ADMIN_ROLES.includes(role)) {
+    throw invalid(`无效的角色，可选值: ${ADMIN_ROLES.join(', ')}`);
+  }
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < ADMIN_PASSWORD_MIN_LENGTH || password.length > 100) {
+    throw invalid(`密码长度需在 ${ADMIN_PASSWORD_MIN_LENGTH}-100 之间`);
+  }
+}
+
+/**
+ * 判断角色是否满足最低要求
+ * @param {string} role - 当前角色
+ * @param {string} required - 最低角色
+ * @returns {boolean}
+ */
+export function hasRole(role, required) {
+  const level = ADMIN_ROLES.indexOf(role);
+  return level !== -1 && level >= ADMIN_ROLES.indexOf(required);
+}
+
+/**
+ * 管理员账号管理器
+ * 除 .env 中的内置 owner 外，可添加多个带角色的管理员，密码以 scrypt 哈希保存
+ */
+class AdminUserManager {
+  constructor() {
+    this.filePath = null;
+    this.users = [];
+    this.initialized = false;
+    this.savePromise = Promise.resolve();
+  }
+
+  async init() {
+    if (this.initialized) return;
+    this.filePath = path.join(getDataDir(), ADMIN_USERS_FILE);
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(content);
+      this.users = Array.isArray(data.users) ? data.users : [];
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        logger.error('加载管理员列表失败:', e.message);
+      }
+      this.users = [];
+    }
+    this.initialized = true;
+  }
+
+  async save() {
+    // 串行写入防止冲突
+    this.savePromise = this.savePromise.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(this.filePath, JSON.stringify({ users: this.users }, null, 2), 'utf8');
+      } catch (e) {
+        logger.error('保存管理员列表失败:', e.message);
+      }
+    });
+    return this.savePromise;
+  }
+
+  isBuiltin(username) {
+    return username === config.admin.username;
+  }
+
+  _toPublic(user) {
+    const { passwordHash, ...rest } = user;
+    return { ...rest, builtin: false };
+  }
+
+  /**
+   * 校验用户名和密码
+   * @param {string} username
+   * @param {string} password
+   * @returns {Promise<{username: string, role: string}|null>}
+   */
+  async authenticate(username, password) {
+    await this.init();
+    if (this.isBuiltin(username)) {
+      return safeEqual(password, config.admin.password) ? { username, role: 'owner' } : null;
+    }
+    const user = this.users.find(u => u.username === username);
+    if (!user || !(await verifyPasswordHash(password, user.passwordHash))) return null;
+    return { username, role: user.role };
+  }
+
+  /**
+   * 当前角色（账号被删除或降级后，已签发的 JWT 立即失效或降权）
+   * @param {string} username
+   * @returns {Promise<string|null>}
+   */
+  async getRole(username) {
+    await this.init();
+    if (this.isBuiltin(username)) return 'owner';
+    return this.users.find(u => u.username === username)?.role || null;
+  }
+
+  async list() {
+    await this.init();
+    return [
+      { username: config.admin.username, role: 'owner', builtin: true },
+      ...this.users.map(user => this._toPublic(user))
+    ];
+  }
+
+  /**
+   * 添加管理员
+   * @param {{username: string, password: string, role: string}} data
+   * @returns {Promise<Object>}
+   */
+  async create({ username, password, role } = {}) {
+    await this.init();
+    username = typeof username === 'string' ? username.trim() : '';
+    if (!username || username.length > 100) {
+      throw invalid('用户名长度需在 1-100 之间');
+    }
+    if (this.isBuiltin(username) || this.users.some(u => u.username === username)) {
+      throw new AppError('用户名已存在', 409, 'invalid_request_error');
+    }
+    validateRole(role);
+    validatePassword(password);
+
+    const now = Date.now();
+    const user = { username, role, passwordHash: await hashPassword(password), createdAt: now, updatedAt: now };
+    this.users.push(user);
+    await this.save();
+    logger.info(`已添加管理员: ${username} (${role})`);
+    return this._toPublic(user);
+  }
+
+  /**
+   * 修改角色或密码
+   * @param {string} username
+   * @param {{password?: string, role?: string}} data
+   * @returns {Promise<Object|null>} 不存在时返回 null
+   */
+  async update(username, { password, role } = {}) {
+    await this.init();
+    if (this.isBuiltin(username)) {
+      throw new AppError('内置管理员请在 .env 中修改', 400, 'invalid_request_error');
+    }
+    const user = this.users.find(u => u.username === username);
+    if (!user) return null;
+    if (role !== undefined) validateRole(role);
+    if (password !== undefined) validatePassword(password);
+
+    if (role !== undefined) user.role = role;
+    if (password !== undefined) user.passwordHash = await hashPassword(password);
+    user.updatedAt = Date.now();
+    await this.save();
+    return this._toPublic(user);
+  }
+
+  async remove(username) {
+    await this.init();
+    if (this.isBuiltin(username)) {
+      throw new AppError('内置管理员不能删除', 400, 'invalid_request_error');
+    }
+    const index = this.users.findIndex(u => u.username === username);
+    if (index === -1) return false;
+    this.users.splice(index, 1);
+    await this.save();
+    logger.info(`已删除管理员: ${username}`);
+    return true;
+  }
+}
+
+const adminUserManager = new AdminUserManager();
+
+export default adminUserManager;
@@ -0,0 +1,307 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { getDataDir } from '../utils/paths.js';
+import { FILE_SAVE_DELAY } from '../constants/index.js';
+import logger from '../utils/logger.js';
+import { getLocalDayKey } from '../utils/dateKeys.js';
+
+const API_KEYS_FILE = 'api-keys.json';
+
+/**
+ * 数据文件结构：
+ * {
+ *   "keys": [{
+ *     "id": "短 ID",
+ *     "keyHash": "sha256 十六进制",                          // 只保存哈希，不落盘明文 Key
+ *     "keyPreview": "sk-abcd...wxyz",                        // 仅用于管理端展示
+ *     "label": "项目名称",
+ *     "allowedModels": ["gemini-*", "claude-sonnet-4-5"],   // 空数组表示不限制
+ *     "dailyRequestLimit": 0,                               // 0 表示不限制
+ *     "dailyTokenLimit": 0,                                 // 0 表示不限制
+ *     "priority": 0,                                        // 排队优先级，越大越先分配账号
+ *     "expiresAt": null,                                    // 毫秒时间戳，null 表示永不过期
+ *     "enabled": true,
+ *     "createdAt": 0,
+ *     "lastUsedAt": null,
+ *     "usage": { "day": "2025-01-01", "requests": 0, "tokens": 0, "totalRequests": 0, "totalTokens": 0 }
+ *   }]
+ * }
+ */
+
+function maskKey(key) {
+  if (!key || key.length <= 12) return key;
+  return `${key.slice(0, 7)}...${key.slice(-4)}`;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * 规范化可编辑字段
+ * @param {Object} data - 管理端提交的数据
+ * @returns {Object}
+ */
+function normalizeFields(data) {
+  const fields = {};
+  if (data.label !== undefined) fields.label = String(data.label || '').trim();
+  if (data.allowedModels !== undefined) {
+    fields.allowedModels = Array.isArray(data.allowedModels)
+      ? data.allowedModels.map(m => String(m).trim()).filter(Boolean)
+      : [];
+  }
+  if (data.dailyRequestLimit !== undefined) {
+    fields.dailyRequestLimit = Math.max(0, Math.floor(Number(data.dailyRequestLimit) || 0));
+  }
+  if (data.dailyTokenLimit !== undefined) {
+    fields.dailyTokenLimit = Math.max(0, Math.floor(Number(data.dailyTokenLimit) || 0));
+  }
+  if (data.priority !== undefined) {
+    fields.priority = Math.floor(Number(data.priority) || 0);
+  }
+  if (data.expiresAt !== undefined) {
+    const ts = data.expiresAt ? new Date(data.expiresAt).getTime() : null;
+    fields.expiresAt = Number.isFinite(ts) ? ts : null;
+  }
+  if (data.enabled !== undefined) fields.enabled = data.enabled !== false;
+  return fields;
+}
+
+/**
+ * 多租户 API Key 管理器
+ * 每个 Key 拥有独立的模型白名单、每日请求/Token 预算、过期时间和启用开关
+ * 全局 config.security.apiKey 仍作为不受限的主密钥使用
+ */
+class ApiKeyManager {
+  constructor() {
+    this.filePath = null;
+    this.keys = [];
+    this.initialized = false;
+    this.savePromise = Promise.resolve();
+    this.saveTimer = null;
+  }
+
+  async init() {
+    if (this.initialized) return;
+    this.filePath = path.join(getDataDir(), API_KEYS_FILE);
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(content);
+      this.keys = Array.isArray(data.keys) ? data.keys : [];
+      await this._migratePlaintextKeys();
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        logger.error('加载 API Key 列表失败:', e.message);
+      }
+      this.keys = [];
+    }
+    this.initialized = true;
+  }
+
+  /**
+   * 旧版本明文保存的 Key 迁移为哈希存储
+   */
+  async _migratePlaintextKeys() {
+    let migrated = 0;
+    for (const entry of this.keys) {
+      if (typeof entry.key !== 'string') continue;
+      if (!entry.keyHash) entry.keyHash = hashKey(entry.key);
+      if (!entry.keyPreview) entry.keyPreview = maskKey(entry.key);
+      delete entry.key;
+      migrated++;
+    }
+    if (migrated > 0) {
+      await this.save();
+      logger.info(`已将 ${migrated} 个 API Key 迁移为哈希存储`);
+    }
+  }
+
+  async save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    // 串行写入防止冲突
+    this.savePromise = this.savePromise.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(this.filePath, JSON.stringify({ keys: this.keys }, null, 2), 'utf8');
+      } catch (e) {
+        logger.error('保存 API Key 列表失败:', e.message);
+      }
+    });
+    return this.savePromise;
+  }
+
+  /**
+   * 延迟保存（用量统计频繁变化，合并写入）
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, FILE_SAVE_DELAY);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * 立即写入尚未保存的用量统计（关闭服务时调用）
+   */
+  flush() {
+    if (this.saveTimer) this.save();
+  }
+
+  /**
+   * 当天用量（跨天自动归零）
+   * @param {Object} entry
+   * @returns {Object}
+   */
+  _getUsage(entry) {
+    const today = getLocalDayKey();
+    if (!entry.usage) {
+      entry.usage = { day: today, requests: 0, tokens: 0, totalRequests: 0, totalTokens: 0 };
+    } else if (entry.usage.day !== today) {
+      entry.usage.day = today;
+      entry.usage.requests = 0;
+      entry.usage.tokens = 0;
+    }
+    return entry.usage;
+  }
+
+  _toPublic(entry, rawKey = null) {
+    const { keyHash, keyPreview, ...rest } = entry;
+    return {
+      ...rest,
+      key: rawKey || keyPreview,
+      usage: { ...this._getUsage(entry) }
+    };
+  }
+
+  hasKeys() {
+    return this.keys.length > 0;
+  }
+
+  list() {
+    return this.keys.map(entry => this._toPublic(entry));
+  }
+
+  async create(data = {}) {
+    await this.init();
+    const rawKey = 'sk-' + crypto.randomBytes(24).toString('hex');
+    const entry = {
+      id: crypto.randomBytes(6).toString('hex'),
+      keyHash: hashKey(rawKey),
+      keyPreview: maskKey(rawKey),
+      label: '',
+      allowedModels: [],
+      dailyRequestLimit: 0,
+      dailyTokenLimit: 0,
+      priority: 0,
+      expiresAt: null,
+      enabled: true,
+      ...normalizeFields(data),
+      createdAt: Date.now(),
+      lastUsedAt: null,
+      usage: { day: getLocalDayKey(), requests: 0, tokens: 0, totalRequests: 0, totalTokens: 0 }
+    };
+    this.keys.push(entry);
+    await this.save();
+    logger.info(`已创建 API Key: ${entry.label || entry.id}`);
+    // 完整 Key 只在创建时返回一次，服务端仅保存哈希
+    return this._toPublic(entry, rawKey);
+  }
+
+  async update(id, data = {}) {
+    await this.init();
+    const entry = this.keys.find(k => k.id === id);
+    if (!entry) return null;
+    Object.assign(entry, normalizeFields(data));
+    await this.save();
+    return this._toPublic(entry);
+  }
+
+  async remove(id) {
+    await this.init();
+    const index = this.keys.findIndex(k => k.id === id);
+    if (index === -1) return false;
+    const [entry] = this.keys.splice(index, 1);
+    await this.save();
+    logger.info(`已删除 API Key: ${entry.label || entry.id}`);
+    return true;
+  }
+
+  /**
+   * 根据客户端提供的 Key 查找并校验（启用状态、过期时间、当日预算）
+   * @param {string} rawKey
+   * @returns {{ok: boolean, entry?: Object, status?: number, message?: string}}
+   */
+  authenticate(rawKey) {
+    if (!rawKey) return { ok: false, status: 401, message: 'Invalid API Key' };
+    const hash = hashKey(rawKey);
+    const entry = this.keys.find(k => k.keyHash === hash);
+    if (!entry) return { ok: false, status: 401, message: 'Invalid API Key' };
+    if (!entry.enabled) return { ok: false, status: 401, message: 'API Key is disabled' };
+    if (entry.expiresAt && Date.now() >= entry.expiresAt) {
+      return { ok: false, status: 401, message: 'API Key has expired' };
+    }
+
+    const usage = this._getUsage(entry);
+    if (entry.dailyRequestLimit > 0 && usage.requests >= entry.dailyRequestLimit) {
+      return { ok: false, status: 429, message: 'Daily request limit exceeded for this API Key' };
+    }
+    if (entry.dailyTokenLimit > 0 && usage.tokens >= entry.dailyTokenLimit) {
+      return { ok: false, status: 429, message: 'Daily token limit exceeded for this API Key' };
+    }
+    return { ok: true, entry };
+  }
+
+  /**
+   * 检查模型是否在白名单内（支持末尾 * 通配）
+   * @param {Object} entry
+   * @param {string|null} model
+   * @returns {boolean}
+   */
+  isModelAllowed(entry, model) {
+    if (!entry.allowedModels || entry.allowedModels.length === 0 || !model) return true;
+    return entry.allowedModels.some(pattern => (
+      pattern.endsWith('*') ? model.startsWith(pattern.slice(0, -1)) : model === pattern
+    ));
+  }
+
+  /**
+   * 预占请求次数：检查当日请求预算并立即计数
+   * 检查和计数同步完成，并发请求不会同时通过检查；预占后请求失败也不退回
+   * @param {Object} entry
+   * @param {number} [count=1] - 预占的请求数（SD 批量生图按图片张数计）
+   * @returns {boolean} 超出当日预算时返回 false，不计数
+   */
+  reserveRequests(entry, count = 1) {
+    const usage = this._getUsage(entry);
+    if (entry.dailyRequestLimit > 0 && usage.requests + count > entry.dailyRequestLimit) return false;
+    usage.requests += count;
+    usage.totalRequests = (usage.totalRequests || 0) + count;
+    entry.lastUsedAt = Date.now();
+    this.scheduleSave();
+    return true;
+  }
+
+  /**
+   * 累加一次请求消耗的 token（请求次数已在 reserveRequests 中计入）
+   * @param {string} id - Key ID
+   * @param {number} tokens - 本次消耗的 token 数
+   */
+  recordTokens(id, tokens = 0) {
+    const entry = this.keys.find(k => k.id === id);
+    if (!entry) return;
+    const safeTokens = Number.isFinite(tokens) && tokens > 0 ? tokens : 0;
+    if (safeTokens === 0) return;
+    const usage = this._getUsage(entry);
+    usage.tokens += safeTokens;
+    usage.totalTokens = (usage.totalTokens || 0) + safeTokens;
+    this.scheduleSave();
+  }
+}
+
+export default new ApiKeyManager();
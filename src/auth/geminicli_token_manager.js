@@ -5,11 +5,14 @@ import { generateTokenId } from '../utils/idGenerator.js';
 import config, { getConfigJson } from '../config/config.js';
 import { GEMINICLI_OAUTH_CONFIG } from '../constants/oauth.js';
 import { buildAxiosRequestConfig, httpRequest } from '../utils/httpClient.js';
+import { onConfigChange } from '../utils/configReloader.js';
+import proxyPool from '../utils/proxyPool.js';
 import {
   DEFAULT_REQUEST_COUNT_PER_TOKEN,
   TOKEN_REFRESH_BUFFER
 } from '../constants/index.js';
-import TokenStore from './token_store.js';
+import { createTokenStore } from './token_store.js';
+import { Collections } from '../storage/index.js';
 import { TokenError } from '../utils/errors.js';
 import { getDataDir } from '../utils/paths.js';
 
@@ -40,7 +43,7 @@ class GeminiCliTokenManager {
    * @param {string} filePath - Token 数据文件路径
    */
   constructor(filePath = path.join(getDataDir(), 'geminicli_accounts.json')) {
-    this.store = new TokenStore(filePath);
+    this.store = createTokenStore(filePath, Collections.GEMINICLI_ACCOUNTS);
     /** @type {Array<Object>} */
     this.tokens = [];
     /** @type {number} */
@@ -245,7 +248,8 @@ class GeminiCliTokenManager {
           'Content-Type': 'application/x-www-form-urlencoded',
           'Accept-Encoding': 'gzip'
         },
-        data: body.toString()
+        data: body.toString(),
+        proxyUrl: proxyPool.getProxyUrl(token)
       }));
 
       token.access_token = response.data.access_token;
@@ -325,7 +329,8 @@ class GeminiCliTokenManager {
         url,
         headers,
         data: requestBody,
-        timeout: 30000
+        timeout: 30000,
+        proxyUrl: proxyPool.getProxyUrl(token)
       });
 
       const data = response.data;
@@ -405,7 +410,8 @@ class GeminiCliTokenManager {
           url,
           headers,
           data: requestBody,
-          timeout: 30000
+          timeout: 30000,
+          proxyUrl: proxyPool.getProxyUrl(token)
         });
 
         const data = response.data;
@@ -801,4 +807,11 @@ class GeminiCliTokenManager {
 export { RotationStrategy };
 
 const geminicliTokenManager = new GeminiCliTokenManager();
+
+// 配置修改后热更新轮询策略（未单独配置时跟随全局轮询策略）
+onConfigChange(['geminicli.rotation', 'rotation'], () => {
+  const { strategy, requestCount } = getConfigJson().geminicli?.rotation ? config.geminicli.rotation : config.rotation;
+  geminicliTokenManager.updateRotationConfig(strategy, requestCount);
+});
+
 export default geminicliTokenManager;
\ No newline at end of file
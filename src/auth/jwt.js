@@ -1,6 +1,12 @@
 import jwt from 'jsonwebtoken';
 import config from '../config/config.js';
+import { hasRole } from './admin_user_manager.js';
 
+/**
+ * 签发管理后台 JWT
+ * @param {{username: string, role: string}} payload - 用户名和角色（viewer / operator / owner）
+ * @returns {string}
+ */
 export const generateToken = (payload) => {
   return jwt.sign(payload, config.admin.jwtSecret, { expiresIn: '24h' });
 };
@@ -24,4 +30,16 @@ export const authMiddleware = (req, res, next) => {
   } catch (error) {
     return res.status(401).json({ error: 'Invalid token' });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * 角色校验中间件（需在认证中间件之后使用）
+ * @param {'viewer'|'operator'|'owner'} role - 最低角色
+ * @returns {Function}
+ */
+export const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.user?.role, role)) {
+    return res.status(403).json({ success: false, message: `权限不足，需要 ${role} 角色` });
+  }
+  next();
+};
@@ -3,22 +3,25 @@ import path from 'path';
 import { log } from '../utils/logger.js';
 import { getDataDir } from '../utils/paths.js';
 import { QUOTA_CACHE_TTL, QUOTA_CLEANUP_INTERVAL } from '../constants/index.js';
+import { isSqliteStorage, getSqliteStorage, Collections } from '../storage/index.js';
 
 // 每次请求消耗的额度百分比
 const REQUEST_COST_PERCENT = 0.6667;
 
 class QuotaManager {
   /**
-   * @param {string} filePath - 额度数据文件路径
+   * @param {string} filePath - 额度数据文件路径（JSON 驱动）
+   * @param {import('../storage/sqlite.js').default|null} storage - SQLite 存储（为 null 时使用 JSON 文件）
    */
-  constructor(filePath = path.join(getDataDir(), 'quotas.json')) {
+  constructor(filePath = path.join(getDataDir(), 'quotas.json'), storage = isSqliteStorage() ? getSqliteStorage() : null) {
     this.filePath = filePath;
+    this.storage = storage;
     /** @type {Map<string, {lastUpdated: number, models: Object, requestCounts: Object, resetTimes: Object}>} */
     this.cache = new Map();
     this.CACHE_TTL = QUOTA_CACHE_TTL;
     this.CLEANUP_INTERVAL = QUOTA_CLEANUP_INTERVAL;
     this.cleanupTimer = null;
-    this.ensureFileExists();
+    if (!this.storage) this.ensureFileExists();
     this.loadFromFile();
     this.startCleanupTimer();
   }
@@ -35,9 +38,10 @@ class QuotaManager {
 
   loadFromFile() {
     try {
-      const data = fs.readFileSync(this.filePath, 'utf8');
-      const parsed = JSON.parse(data);
-      Object.entries(parsed.quotas || {}).forEach(([key, value]) => {
+      const entries = this.storage
+        ? this.storage.getAll(Collections.QUOTAS)
+        : Object.entries(JSON.parse(fs.readFileSync(this.filePath, 'utf8')).quotas || {});
+      entries.forEach(([key, value]) => {
         // 确保 requestCounts 和 resetTimes 字段存在
         if (!value.requestCounts) value.requestCounts = {};
         if (!value.resetTimes) value.resetTimes = {};
@@ -49,6 +53,14 @@ class QuotaManager {
   }
 
   saveToFile() {
+    if (this.storage) {
+      try {
+        this.storage.replaceAll(Collections.QUOTAS, [...this.cache.entries()]);
+      } catch (error) {
+        log.error('保存额度数据失败:', error.message);
+      }
+      return;
+    }
     try {
       const quotas = {};
       this.cache.forEach((value, key) => {
@@ -64,6 +76,23 @@ class QuotaManager {
     }
   }
 
+  /**
+   * 持久化单个账号的额度记录（SQLite 只写这一行，JSON 文件仍整体写入）
+   * @param {string} tokenId
+   * @private
+   */
+  _persist(tokenId) {
+    if (!this.storage) {
+      this.saveToFile();
+      return;
+    }
+    try {
+      this.storage.set(Collections.QUOTAS, tokenId, this.cache.get(tokenId));
+    } catch (error) {
+      log.error('保存额度数据失败:', error.message);
+    }
+  }
+
   /**
    * 更新额度数据
    * @param {string} refreshToken - Token ID
@@ -154,7 +183,16 @@ class QuotaManager {
       requestCounts: newRequestCounts,
       resetTimes: newResetTimes
     });
-    this.saveToFile();
+    this._persist(refreshToken);
+  }
+
+  /**
+   * 获取模型所属的组 key（claude / gemini / banana / other）
+   * @param {string} modelId - 模型 ID
+   * @returns {string} 组 key
+   */
+  getGroupKey(modelId) {
+    return this._getGroupKey(modelId);
   }
 
   /**
@@ -203,7 +241,7 @@ class QuotaManager {
     }
 
     data.requestCounts[groupKey] = (data.requestCounts[groupKey] || 0) + 1;
-    this.saveToFile();
+    this._persist(refreshToken);
   }
 
   /**
@@ -247,6 +285,8 @@ class QuotaManager {
     }
 
     const groupKey = this._getGroupKey(modelId);
+    // 已过重置时间，缓存中的剩余额度已失效
+    if (this._isGroupReset(data, groupKey)) return true;
 
     // 查找该组中任意模型的额度
     for (const [id, quotaData] of Object.entries(data.models)) {
@@ -264,6 +304,73 @@ class QuotaManager {
     return true;
   }
 
+  /**
+   * 获取额度已耗尽的模型组
+   * @param {string} tokenId - Token ID
+   * @returns {string[]} 组 key 列表（如 ['claude']）
+   */
+  getExhaustedGroups(tokenId) {
+    const data = this.cache.get(tokenId);
+    if (!data || !data.models) return [];
+
+    const groups = new Set();
+    for (const [id, quotaData] of Object.entries(data.models)) {
+      const groupKey = this._getGroupKey(id);
+      if ((quotaData.r || 0) <= 0 && !this._isGroupReset(data, groupKey)) groups.add(groupKey);
+    }
+    return [...groups];
+  }
+
+  /**
+   * 模型组是否已过缓存中记录的重置时间
+   * @param {Object} data - 缓存条目
+   * @param {string} groupKey - 组 key
+   * @returns {boolean}
+   * @private
+   */
+  _isGroupReset(data, groupKey) {
+    const resetMs = Date.parse(data.resetTimes?.[groupKey]);
+    return Number.isFinite(resetMs) && Date.now() >= resetMs;
+  }
+
+  /**
+   * 获取模型组的最早重置时间
+   * @param {string} tokenId - Token ID
+   * @param {string} modelId - 模型 ID
+   * @returns {number|null} 毫秒时间戳，没有数据返回 null
+   */
+  getGroupResetTime(tokenId, modelId) {
+    const data = this.cache.get(tokenId);
+    const resetMs = Date.parse(data?.resetTimes?.[this._getGroupKey(modelId)]);
+    return Number.isFinite(resetMs) ? resetMs : null;
+  }
+
+  /**
+   * 检查额度数据是否需要后台刷新
+   * 没有数据、上次刷新后已过重置时间、或距上次刷新超过间隔（额度偏低时使用更短的间隔）时需要刷新
+   * @param {string} tokenId - Token ID
+   * @param {{interval: number, lowInterval: number, lowThreshold: number}} options
+   * @returns {boolean}
+   */
+  isRefreshDue(tokenId, { interval, lowInterval, lowThreshold }) {
+    const data = this.cache.get(tokenId);
+    if (!data || !data.lastUpdated) return true;
+
+    const now = Date.now();
+    const age = now - data.lastUpdated;
+    let lowest = 1;
+    for (const [id, quotaData] of Object.entries(data.models || {})) {
+      const resetMs = Date.parse(quotaData.t);
+      // 上次刷新后已经过了重置时间
+      if (Number.isFinite(resetMs) && resetMs <= now && resetMs > data.lastUpdated) return true;
+      const remaining = quotaData.r || 0;
+      // 已耗尽且重置时间已知的模型在重置前刷新也不会变化
+      if (remaining <= 0 && Number.isFinite(resetMs)) continue;
+      lowest = Math.min(lowest, remaining);
+    }
+    return age >= (lowest < lowThreshold ? lowInterval : interval);
+  }
+
   /**
    * 获取模型组的最小额度
    * @param {string} tokenId - Token ID
@@ -277,6 +384,7 @@ class QuotaManager {
     }
 
     const groupKey = this._getGroupKey(modelId);
+    if (this._isGroupReset(data, groupKey)) return 1;
     let minRemaining = 1;
     let found = false;
 
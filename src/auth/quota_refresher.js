@@ -0,0 +1,96 @@
+import { log } from '../utils/logger.js';
+import config from '../config/config.js';
+import { generateTokenId } from '../utils/idGenerator.js';
+import { getModelsWithQuotas } from '../api/client.js';
+import { QUOTA_REFRESH_TICK } from '../constants/index.js';
+import { onConfigChange } from '../utils/configReloader.js';
+import tokenManager from './token_manager.js';
+import quotaManager from './quota_manager.js';
+
+/**
+ * 后台额度刷新
+ * 每分钟检查一次各启用账号的额度数据，按需调用 fetchAvailableModels 刷新，
+ * 让额度优先调度和 Retry-After 计算使用接近实时的剩余额度与重置时间
+ */
+class QuotaRefresher {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    // 刷新失败的账号在下一个常规间隔前不再重试：tokenId -> 可重试时间戳
+    this.retryAt = new Map();
+  }
+
+  start() {
+    if (!config.quota.backgroundRefresh || this.timer) return;
+    this.timer = setInterval(() => {
+      this.refreshDue().catch(error => log.warn('后台刷新额度失败:', error.message));
+    }, QUOTA_REFRESH_TICK);
+    // 使用 unref 避免阻止进程退出
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 刷新所有到期账号的额度（串行执行，避免同时向上游发起大量请求）
+   * @returns {Promise<number>} 本次刷新成功的账号数
+   */
+  async refreshDue() {
+    if (this.running || tokenManager.tokens.length === 0) return 0;
+    this.running = true;
+    let refreshed = 0;
+
+    try {
+      const salt = await tokenManager.getSalt();
+      const options = {
+        interval: config.quota.refreshInterval,
+        lowInterval: config.quota.lowRefreshInterval,
+        lowThreshold: config.quota.lowThreshold
+      };
+      const now = Date.now();
+
+      for (const token of [...tokenManager.tokens]) {
+        const tokenId = generateTokenId(token.refresh_token, salt);
+        if ((this.retryAt.get(tokenId) || 0) > now) continue;
+        if (!quotaManager.isRefreshDue(tokenId, options)) continue;
+
+        try {
+          if (tokenManager.isExpired(token)) {
+            await tokenManager.refreshToken(token, true);
+          }
+          const quotas = await getModelsWithQuotas(token);
+          quotaManager.updateQuota(tokenId, quotas);
+          this.retryAt.delete(tokenId);
+          refreshed++;
+        } catch (error) {
+          this.retryAt.set(tokenId, now + options.interval);
+          log.warn(`...${token.access_token?.slice(-8) || 'unknown'}: 后台刷新额度失败: ${error.message}`);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return refreshed;
+  }
+}
+
+const quotaRefresher = new QuotaRefresher();
+
+// 开关后台刷新无需重启
+onConfigChange('quota.backgroundRefresh', () => {
+  if (config.quota.backgroundRefresh) {
+    quotaRefresher.start();
+    log.info('已开启后台额度刷新');
+  } else {
+    quotaRefresher.stop();
+    log.info('已关闭后台额度刷新');
+  }
+});
+
+export default quotaRefresher;
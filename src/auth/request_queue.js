@@ -0,0 +1,225 @@
+import config from '../config/config.js';
+import { log } from '../utils/logger.js';
+import { AppError, RateLimitError } from '../utils/errors.js';
+import tokenManager from './token_manager.js';
+
+/**
+ * 请求排队
+ * 所有需要账号的请求先进入队列，按优先级（高在前）+ 到达顺序依次分配账号；
+ * 全局或单账号并发达到上限时排队等待，而不是同时打到上游触发 429。
+ * 故障转移换号时占用随请求迁移到新账号，但换号本身不排队。
+ */
+class RequestQueue {
+  constructor() {
+    /** @type {Array<Object>} 等待中的请求（已按优先级排序） */
+    this.waiting = [];
+    /** @type {Map<string, number>} refresh_token -> 进行中的请求数 */
+    this.inFlight = new Map();
+    this.totalInFlight = 0;
+    this.dispatching = false;
+    this.dispatchRequested = false;
+    // 正在为其获取账号的队首请求
+    this.current = null;
+  }
+
+  /**
+   * 排队获取账号
+   * @param {string|null} model - 请求的模型 ID
+   * @param {{priority?: number, signal?: AbortSignal, preferIdle?: boolean}} [options]
+   *   preferIdle：优先分配没有进行中请求的账号（SD 批量生图分散到多个账号）
+   * @returns {Promise<{token: Object, position: number, waitMs: number, switchTo: Function, release: Function}|null>}
+   *   没有可用账号时返回 null
+   */
+  acquire(model, { priority = 0, signal = null, preferIdle = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const entry = {
+        model,
+        priority: Number.isFinite(priority) ? priority : 0,
+        preferIdle,
+        enqueuedAt: Date.now(),
+        position: 0,
+        done: false,
+        timer: null,
+        resolve,
+        reject
+      };
+
+      // 同优先级先到先得：插到第一个优先级更低的请求之前（正在分配的队首除外）
+      let index = this.waiting.findIndex(item => item !== this.current && item.priority < entry.priority);
+      if (index === -1) index = this.waiting.length;
+      this.waiting.splice(index, 0, entry);
+      entry.position = index;
+
+      const timeout = config.queue.timeout;
+      if (config.queue.enabled && timeout > 0) {
+        entry.timer = setTimeout(() => {
+          this._settle(entry, () => reject(new RateLimitError(`请求排队超时（已等待 ${Math.round(timeout / 1000)} 秒）`)));
+          log.warn(`请求排队超时: ${model || '未知模型'}，当前排队 ${this.waiting.length} 个`);
+        }, timeout);
+      }
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          this._settle(entry, () => reject(new AppError('客户端已断开连接', 499, 'client_closed_request')));
+        }, { once: true });
+      }
+
+      this._dispatch();
+    });
+  }
+
+  /**
+   * 结束一个等待中的请求（超时、取消、分配完成），只生效一次
+   * @private
+   */
+  _settle(entry, callback) {
+    if (entry.done) return false;
+    entry.done = true;
+    if (entry.timer) clearTimeout(entry.timer);
+    const index = this.waiting.indexOf(entry);
+    if (index !== -1) this.waiting.splice(index, 1);
+    callback();
+    return true;
+  }
+
+  /**
+   * 当前已达到单账号并发上限的账号
+   * @returns {Set<string>} refresh_token 集合
+   * @private
+   */
+  _getSaturatedAccounts() {
+    const saturated = new Set();
+    const perAccount = config.queue.enabled ? config.queue.maxConcurrentPerAccount : 0;
+    if (perAccount > 0) {
+      for (const [key, count] of this.inFlight) {
+        if (count >= perAccount) saturated.add(key);
+      }
+    }
+    return saturated;
+  }
+
+  _isGloballySaturated() {
+    const maxConcurrent = config.queue.maxConcurrent;
+    return config.queue.enabled && maxConcurrent > 0 && this.totalInFlight >= maxConcurrent;
+  }
+
+  _increment(token) {
+    this.inFlight.set(token.refresh_token, (this.inFlight.get(token.refresh_token) || 0) + 1);
+    this.totalInFlight++;
+  }
+
+  _decrement(token) {
+    const count = (this.inFlight.get(token.refresh_token) || 0) - 1;
+    if (count > 0) {
+      this.inFlight.set(token.refresh_token, count);
+    } else {
+      this.inFlight.delete(token.refresh_token);
+    }
+    this.totalInFlight = Math.max(0, this.totalInFlight - 1);
+  }
+
+  /**
+   * 串行分配账号；分配过程中有新请求或释放时再跑一轮
+   * @private
+   */
+  async _dispatch() {
+    this.dispatchRequested = true;
+    if (this.dispatching) return;
+    this.dispatching = true;
+    try {
+      while (this.dispatchRequested) {
+        this.dispatchRequested = false;
+        await this._drain();
+      }
+    } catch (error) {
+      log.error('请求队列分配失败:', error.message);
+    } finally {
+      this.dispatching = false;
+    }
+  }
+
+  /**
+   * 从队首开始分配，直到队列为空或并发已满（队首等待时后面的请求也等待，保证公平）
+   * @private
+   */
+  async _drain() {
+    while (this.waiting.length > 0 && !this._isGloballySaturated()) {
+      const entry = this.waiting[0];
+      const saturated = this._getSaturatedAccounts();
+
+      let token;
+      this.current = entry;
+      try {
+        if (entry.preferIdle && this.inFlight.size > 0) {
+          token = await tokenManager.getToken(entry.model, { exclude: new Set([...saturated, ...this.inFlight.keys()]) });
+        }
+        token ||= await tokenManager.getToken(entry.model, { exclude: saturated.size > 0 ? saturated : null });
+      } catch (error) {
+        // 如所有账号额度耗尽：直接返回给调用方
+        this._settle(entry, () => entry.reject(error));
+        continue;
+      } finally {
+        this.current = null;
+      }
+
+      if (!token) {
+        // 所有账号都已满载：等待有请求结束
+        if (saturated.size > 0) return;
+        this._settle(entry, () => entry.resolve(null));
+        continue;
+      }
+      // 等待 getToken 期间请求已超时或被取消
+      if (entry.done) continue;
+
+      this._increment(token);
+      this._settle(entry, () => entry.resolve(this._createLease(token, entry)));
+    }
+  }
+
+  /**
+   * @private
+   */
+  _createLease(token, entry) {
+    let current = token;
+    let released = false;
+    return {
+      token,
+      position: entry.position,
+      waitMs: Date.now() - entry.enqueuedAt,
+      // 故障转移换号：占用迁移到新账号
+      switchTo: (nextToken) => {
+        if (released || !nextToken || nextToken === current) return;
+        this._decrement(current);
+        this._increment(nextToken);
+        current = nextToken;
+      },
+      release: () => {
+        if (released) return;
+        released = true;
+        this._decrement(current);
+        this._dispatch();
+      }
+    };
+  }
+
+  /**
+   * 队列状态（管理后台和指标使用）
+   * @returns {{enabled: boolean, waiting: number, inFlight: number, oldestWaitMs: number, maxConcurrent: number, maxConcurrentPerAccount: number, timeout: number, accounts: Map<string, number>}}
+   */
+  getStats() {
+    const now = Date.now();
+    const oldest = this.waiting.reduce((min, item) => Math.min(min, item.enqueuedAt), now);
+    return {
+      enabled: config.queue.enabled,
+      waiting: this.waiting.length,
+      inFlight: this.totalInFlight,
+      oldestWaitMs: now - oldest,
+      maxConcurrent: config.queue.maxConcurrent,
+      maxConcurrentPerAccount: config.queue.maxConcurrentPerAccount,
+      timeout: config.queue.timeout,
+      accounts: new Map(this.inFlight)
+    };
+  }
+}
+
+const requestQueue = new RequestQueue();
+export default requestQueue;
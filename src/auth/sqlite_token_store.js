@@ -0,0 +1,93 @@
+import { log } from '../utils/logger.js';
+import { generateSalt } from '../utils/idGenerator.js';
+import { getSqliteStorage } from '../storage/index.js';
+
+/**
+ * SQLite 版 token 存储，接口与 TokenStore 一致
+ * 每个账号一行（key 为 refresh_token），盐值存放在 `${collection}:meta` 集合中；
+ * 刷新 token 等高频更新只写对应的行，不再重写全部账号
+ */
+class SqliteTokenStore {
+  /**
+   * @param {string} collection - 集合名（accounts / geminicli_accounts）
+   * @param {import('../storage/sqlite.js').default} [storage]
+   */
+  constructor(collection, storage = getSqliteStorage()) {
+    this.collection = collection;
+    this.metaCollection = `${collection}:meta`;
+    this.storage = storage;
+    this._salt = null;
+  }
+
+  /**
+   * 获取盐值（用于生成安全的 tokenId）
+   * @returns {Promise<string>} 盐值
+   */
+  async getSalt() {
+    if (this._salt) return this._salt;
+    let salt = this.storage.get(this.metaCollection, 'salt');
+    if (!salt) {
+      salt = generateSalt();
+      this.storage.set(this.metaCollection, 'salt', salt);
+      log.info('✓ 已为账号存储生成安全盐值');
+    }
+    this._salt = salt;
+    return this._salt;
+  }
+
+  /**
+   * 读取全部 token（包含禁用的）
+   * @returns {Promise<Array<object>>}
+   */
+  async readAll() {
+    try {
+      return this.storage.getAll(this.collection).map(([, token]) => token);
+    } catch (error) {
+      log.error('读取账号数据失败:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * 覆盖写入全部 token
+   * @param {Array<object>} tokens
+   */
+  async writeAll(tokens) {
+    const normalized = Array.isArray(tokens) ? tokens : [];
+    try {
+      this.storage.replaceAll(this.collection, normalized.map(token => [token.refresh_token, token]));
+    } catch (error) {
+      log.error('保存账号数据失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 将内存中启用 token 的变更合并回存储（只更新已存在的记录）
+   * @param {Array<object>} activeTokens - 内存中的启用 token 列表（可能包含 sessionId）
+   * @param {object|null} tokenToUpdate - 只需要单个更新时传入该 token
+   */
+  async mergeActiveTokens(activeTokens, tokenToUpdate = null) {
+    const targets = tokenToUpdate ? [tokenToUpdate] : (Array.isArray(activeTokens) ? activeTokens : []);
+    try {
+      // 存储为空时直接写入内存中的账号（与 JSON 驱动行为一致）
+      if (!tokenToUpdate && targets.length > 0 && this.storage.count(this.collection) === 0) {
+        this.storage.setMany(this.collection, targets.map(({ sessionId, ...plain }) => [plain.refresh_token, plain]));
+        return;
+      }
+
+      const entries = [];
+      for (const target of targets) {
+        const existing = this.storage.get(this.collection, target.refresh_token);
+        if (!existing) continue;
+        const { sessionId, ...plain } = target;
+        entries.push([target.refresh_token, { ...existing, ...plain }]);
+      }
+      if (entries.length > 0) this.storage.setMany(this.collection, entries);
+    } catch (error) {
+      log.error('保存账号数据失败:', error.message);
+    }
+  }
+}
+
+export default SqliteTokenStore;
@@ -0,0 +1,205 @@
+// 滚动窗口：最近 N 次请求结果
+const HEALTH_WINDOW_SIZE = 20;
+// 延迟 EWMA 平滑系数（越大越偏向最近的请求）
+const LATENCY_EWMA_ALPHA = 0.3;
+// 连续失败达到该次数时熔断
+const CIRCUIT_CONSECUTIVE_FAILURES = 5;
+// 窗口内样本数足够且错误率超过阈值时熔断
+const CIRCUIT_MIN_SAMPLES = 10;
+const CIRCUIT_ERROR_RATE = 0.5;
+// 熔断持续时间，到期后进入半开状态放行一个探测请求
+const CIRCUIT_OPEN_DURATION = 60 * 1000;
+// 半开探测请求超过该时间仍未回报结果时允许再次探测
+const HALF_OPEN_PROBE_TIMEOUT = 5 * 60 * 1000;
+// 计算健康分时的参考延迟（毫秒），延迟等于该值时延迟因子为 0.5
+const LATENCY_REFERENCE_MS = 10 * 1000;
+// 失败原因最大保留长度（上游错误信息可能很长）
+const MAX_REASON_LENGTH = 200;
+
+/**
+ * 熔断器状态
+ */
+export const CircuitState = {
+  CLOSED: 'closed',       // 正常
+  OPEN: 'open',           // 熔断中，不参与选号
+  HALF_OPEN: 'half_open'  // 熔断到期，放行一个探测请求
+};
+
+/**
+ * 账号健康度追踪
+ * 按 refresh_token 记录滚动错误率、延迟 EWMA、最近失败原因和熔断状态（仅保存在内存中）
+ */
+class TokenHealthTracker {
+  constructor() {
+    /** @type {Map<string, Object>} */
+    this.entries = new Map();
+  }
+
+  _get(key) {
+    let entry = this.entries.get(key);
+    if (!entry) {
+      entry = {
+        outcomes: [],            // true = 成功，false = 失败
+        latencyEwma: null,
+        consecutiveFailures: 0,
+        lastFailure: null,       // { status, reason, at }
+        state: CircuitState.CLOSED,
+        openUntil: 0,
+        probeStartedAt: 0
+      };
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  _pushOutcome(entry, ok) {
+    entry.outcomes.push(ok);
+    if (entry.outcomes.length > HEALTH_WINDOW_SIZE) entry.outcomes.shift();
+  }
+
+  _getErrorRate(entry) {
+    if (entry.outcomes.length === 0) return 0;
+    return entry.outcomes.filter(ok => !ok).length / entry.outcomes.length;
+  }
+
+  /**
+   * 熔断到期后转入半开状态
+   * @private
+   */
+  _refreshState(entry, now = Date.now()) {
+    if (entry.state === CircuitState.OPEN && now >= entry.openUntil) {
+      entry.state = CircuitState.HALF_OPEN;
+      entry.probeStartedAt = 0;
+    }
+  }
+
+  /**
+   * 记录一次成功请求
+   * @param {string} key - refresh_token
+   * @param {number|null} latencyMs - 请求耗时，null 表示不计入延迟
+   * @returns {boolean} 本次是否从熔断中恢复
+   */
+  recordSuccess(key, latencyMs = null) {
+    const entry = this._get(key);
+    this._pushOutcome(entry, true);
+    entry.consecutiveFailures = 0;
+    if (Number.isFinite(latencyMs)) {
+      entry.latencyEwma = entry.latencyEwma === null
+        ? latencyMs
+        : LATENCY_EWMA_ALPHA * latencyMs + (1 - LATENCY_EWMA_ALPHA) * entry.latencyEwma;
+    }
+    if (entry.state !== CircuitState.CLOSED) {
+      entry.state = CircuitState.CLOSED;
+      entry.probeStartedAt = 0;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 记录一次失败请求（超时、5xx 等账号/上游侧问题）
+   * @param {string} key - refresh_token
+   * @param {{status?: number, reason?: string}} failure
+   * @returns {boolean} 本次是否触发熔断
+   */
+  recordFailure(key, { status = null, reason = '' } = {}) {
+    const entry = this._get(key);
+    const now = Date.now();
+    this._pushOutcome(entry, false);
+    entry.consecutiveFailures++;
+    entry.lastFailure = { status, reason: String(reason).slice(0, MAX_REASON_LENGTH), at: now };
+
+    const shouldOpen = entry.state === CircuitState.HALF_OPEN ||
+      entry.consecutiveFailures >= CIRCUIT_CONSECUTIVE_FAILURES ||
+      (entry.outcomes.length >= CIRCUIT_MIN_SAMPLES && this._getErrorRate(entry) >= CIRCUIT_ERROR_RATE);
+    if (shouldOpen && entry.state !== CircuitState.OPEN) {
+      entry.state = CircuitState.OPEN;
+      entry.openUntil = now + CIRCUIT_OPEN_DURATION;
+      entry.probeStartedAt = 0;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 是否可以参与选号（熔断中不可用；半开状态同一时间只放行一个探测请求）
+   * @param {string} key - refresh_token
+   * @returns {boolean}
+   */
+  isAvailable(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return true;
+    const now = Date.now();
+    this._refreshState(entry, now);
+    if (entry.state === CircuitState.OPEN) return false;
+    if (entry.state === CircuitState.HALF_OPEN) {
+      return !entry.probeStartedAt || now - entry.probeStartedAt > HALF_OPEN_PROBE_TIMEOUT;
+    }
+    return true;
+  }
+
+  /**
+   * 账号被选中时调用：半开状态下标记探测请求已发出
+   * @param {string} key - refresh_token
+   */
+  markSelected(key) {
+    const entry = this.entries.get(key);
+    if (entry?.state === CircuitState.HALF_OPEN) {
+      entry.probeStartedAt = Date.now();
+    }
+  }
+
+  /**
+   * 健康分（0~1）：成功率的平方 × 延迟因子，半开状态大幅降权
+   * @param {string} key - refresh_token
+   * @returns {number}
+   */
+  getScore(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return 1;
+    this._refreshState(entry);
+    if (entry.state === CircuitState.OPEN) return 0;
+
+    const successRate = 1 - this._getErrorRate(entry);
+    const latencyFactor = entry.latencyEwma === null
+      ? 1
+      : LATENCY_REFERENCE_MS / (LATENCY_REFERENCE_MS + entry.latencyEwma);
+    const score = successRate * successRate * latencyFactor;
+    return entry.state === CircuitState.HALF_OPEN ? score * 0.1 : score;
+  }
+
+  /**
+   * 健康状态快照（用于管理后台展示）
+   * @param {string} key - refresh_token
+   * @returns {Object}
+   */
+  getSnapshot(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return { state: CircuitState.CLOSED, score: 1, errorRate: 0, samples: 0, latencyMs: null, consecutiveFailures: 0, lastFailure: null, openUntil: null };
+    }
+    this._refreshState(entry);
+    return {
+      state: entry.state,
+      score: Math.round(this.getScore(key) * 1000) / 1000,
+      errorRate: Math.round(this._getErrorRate(entry) * 1000) / 1000,
+      samples: entry.outcomes.length,
+      latencyMs: entry.latencyEwma === null ? null : Math.round(entry.latencyEwma),
+      consecutiveFailures: entry.consecutiveFailures,
+      lastFailure: entry.lastFailure,
+      openUntil: entry.state === CircuitState.OPEN ? entry.openUntil : null
+    };
+  }
+
+  /**
+   * 清除不再存在的账号记录
+   * @param {Set<string>} activeKeys - 当前账号的 refresh_token 集合
+   */
+  retain(activeKeys) {
+    for (const key of this.entries.keys()) {
+      if (!activeKeys.has(key)) this.entries.delete(key);
+    }
+  }
+}
+
+export default TokenHealthTracker;
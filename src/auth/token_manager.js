@@ -4,19 +4,25 @@ import { generateSessionId, generateProjectId, generateTokenId } from '../utils/
 import config, { getConfigJson } from '../config/config.js';
 import { OAUTH_CONFIG } from '../constants/oauth.js';
 import { buildAxiosRequestConfig } from '../utils/httpClient.js';
+import { onConfigChange } from '../utils/configReloader.js';
+import proxyPool from '../utils/proxyPool.js';
 import {
   DEFAULT_REQUEST_COUNT_PER_TOKEN,
   TOKEN_REFRESH_BUFFER
 } from '../constants/index.js';
-import TokenStore from './token_store.js';
-import { TokenError } from '../utils/errors.js';
+import { createTokenStore } from './token_store.js';
+import { Collections } from '../storage/index.js';
+import { TokenError, RateLimitError } from '../utils/errors.js';
 import quotaManager from './quota_manager.js';
+import TokenHealthTracker from './token_health.js';
 
 // 轮询策略枚举
 const RotationStrategy = {
   ROUND_ROBIN: 'round_robin',           // 均衡负载：每次请求切换
   QUOTA_EXHAUSTED: 'quota_exhausted',   // 额度耗尽才切换
-  REQUEST_COUNT: 'request_count'        // 自定义次数后切换
+  REQUEST_COUNT: 'request_count',       // 自定义次数后切换
+  WEIGHTED_HEALTH: 'weighted_health',   // 按健康分加权选择，优先健康账号
+  QUOTA_AWARE: 'quota_aware'            // 额度优先：选择当前模型组剩余额度最多的账号
 };
 
 /**
@@ -28,7 +34,7 @@ class TokenManager {
    * @param {string} filePath - Token 数据文件路径
    */
   constructor(filePath) {
-    this.store = new TokenStore(filePath);
+    this.store = createTokenStore(filePath, Collections.ACCOUNTS);
     /** @type {Array<Object>} */
     this.tokens = [];
     /** @type {number} */
@@ -48,6 +54,14 @@ class TokenManager {
     /** @type {number} */
     this.currentQuotaIndex = 0;
 
+    // 故障转移冷却：`${refresh_token}|${模型组}` -> 冷却截止时间戳
+    /** @type {Map<string, number>} */
+    this.cooldowns = new Map();
+
+    // 账号健康度：错误率、延迟 EWMA、熔断状态
+    /** @type {TokenHealthTracker} */
+    this.health = new TokenHealthTracker();
+
     /** @type {Promise<void>|null} */
     this._initPromise = null;
   }
@@ -65,6 +79,7 @@ class TokenManager {
       this.currentIndex = 0;
       this.tokenRequestCounts.clear();
       this._rebuildAvailableQuotaTokens();
+      this.health.retain(new Set(tokenArray.map(token => token.refresh_token)));
 
       // 加载轮询策略配置
       this.loadRotationConfig();
@@ -279,7 +294,8 @@ class TokenManager {
         'Content-Type': 'application/json',
         'Accept-Encoding': 'gzip'
       },
-      data: JSON.stringify(requestBody)
+      data: JSON.stringify(requestBody),
+      proxyUrl: proxyPool.getProxyUrl(token)
     }));
 
     const data = response.data;
@@ -347,7 +363,8 @@ class TokenManager {
           'Accept-Encoding': 'gzip'
         },
         data: JSON.stringify(requestBody),
-        timeout: 30000
+        timeout: 30000,
+        proxyUrl: proxyPool.getProxyUrl(token)
       }));
 
       const data = response.data;
@@ -413,7 +430,8 @@ class TokenManager {
           'Accept-Encoding': 'gzip'
         },
         data: JSON.stringify(requestBody),
-        timeout: 30000
+        timeout: 30000,
+        proxyUrl: proxyPool.getProxyUrl(token)
       }));
 
       const data = response.data;
@@ -509,7 +527,9 @@ class TokenManager {
           'Content-Type': 'application/x-www-form-urlencoded',
           'Accept-Encoding': 'gzip'
         },
-        data: body.toString()
+        data: body.toString(),
+        // 刷新与请求使用同一个出口代理
+        proxyUrl: proxyPool.getProxyUrl(token)
       }));
 
       token.access_token = response.data.access_token;
@@ -580,6 +600,84 @@ class TokenManager {
     log.info(`...${token.access_token.slice(-8)}: 额度已恢复`);
   }
 
+  /**
+   * 将账号对某个模型组标记为冷却（故障转移时调用，冷却期内优先选择其他账号）
+   * @param {Object} token - Token 对象
+   * @param {string} modelId - 模型 ID
+   * @param {number} durationMs - 冷却时长（毫秒）
+   */
+  markCoolingDown(token, modelId, durationMs) {
+    if (!token || !modelId) return;
+    const group = quotaManager.getGroupKey(modelId);
+    this.cooldowns.set(`${token.refresh_token}|${group}`, Date.now() + durationMs);
+    log.warn(`...${token.access_token.slice(-8)}: ${group} 模型组进入冷却 ${Math.ceil(durationMs / 1000)} 秒`);
+  }
+
+  /**
+   * 检查账号对某个模型组是否处于冷却期
+   * @param {Object} token - Token 对象
+   * @param {string} modelId - 模型 ID
+   * @returns {boolean}
+   */
+  isCoolingDown(token, modelId) {
+    if (!token || !modelId || this.cooldowns.size === 0) return false;
+    const key = `${token.refresh_token}|${quotaManager.getGroupKey(modelId)}`;
+    const until = this.cooldowns.get(key);
+    if (!until) return false;
+    if (Date.now() >= until) {
+      this.cooldowns.delete(key);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 创建账号跳过判断：跳过本次请求已失败的账号、处于冷却期的账号和熔断中的账号
+   * 所有候选账号都不可用时不再跳过冷却/熔断账号，避免请求直接失败
+   * @param {string|null} modelId - 模型 ID
+   * @param {Set<string>|null} exclude - 需要排除的 refresh_token 集合
+   * @returns {(token: Object) => boolean}
+   * @private
+   */
+  _createSkipFilter(modelId, exclude) {
+    const isExcluded = (token) => exclude?.has(token.refresh_token) === true;
+    const isUnavailable = (token) => this.isCoolingDown(token, modelId) || !this.health.isAvailable(token.refresh_token);
+    const allUnavailable = this.tokens.every(t => isExcluded(t) || isUnavailable(t));
+    return (token) => isExcluded(token) || (!allUnavailable && isUnavailable(token));
+  }
+
+  /**
+   * 记录一次上游请求结果（用于健康评分和熔断）
+   * 只有超时、网络错误和 5xx 计为失败；429 由冷却机制处理，其余 4xx 属于请求本身的问题
+   * @param {Object} token - Token 对象
+   * @param {{ok: boolean, latencyMs?: number, status?: number, reason?: string}} result
+   */
+  recordResult(token, { ok, latencyMs = null, status = null, reason = '' }) {
+    if (!token?.refresh_token) return;
+    const suffix = token.access_token?.slice(-8) || 'unknown';
+    if (ok || !(status >= 500)) {
+      // 上游有响应即说明账号可达，非成功请求不计入延迟
+      if (this.health.recordSuccess(token.refresh_token, ok ? latencyMs : null)) {
+        log.info(`...${suffix}: 熔断已恢复`);
+      }
+      return;
+    }
+    if (this.health.recordFailure(token.refresh_token, { status, reason })) {
+      log.warn(`...${suffix}: 连续失败或错误率过高，已熔断（最近失败: ${status} ${String(reason).slice(0, 80)}）`);
+    }
+  }
+
+  /**
+   * 获取 Token 的安全 ID（与管理后台列表中的 id 一致）
+   * @param {Object} token - Token 对象
+   * @returns {Promise<string|null>}
+   */
+  async getTokenId(token) {
+    if (!token?.refresh_token) return null;
+    const salt = await this.store.getSalt();
+    return generateTokenId(token.refresh_token, salt);
+  }
+
   /**
    * 记录一次请求（用于额度预估）
    * @param {Object} token - Token 对象
@@ -589,8 +687,7 @@ class TokenManager {
     if (!token || !modelId) return;
 
     try {
-      const salt = await this.store.getSalt();
-      const tokenId = generateTokenId(token.refresh_token, salt);
+      const tokenId = await this.getTokenId(token);
       quotaManager.recordRequest(tokenId, modelId);
     } catch (error) {
       // 记录失败不影响请求
@@ -688,10 +785,8 @@ class TokenManager {
     if (!token || !modelId) return true;
 
     try {
-      const salt = this.store._salt; // 使用同步方式获取 salt
-      if (!salt) return true; // 没有 salt，假设有额度
-
-      const tokenId = generateTokenId(token.refresh_token, salt);
+      const tokenId = this._getQuotaTokenId(token);
+      if (!tokenId) return true; // 没有 salt，假设有额度
       return quotaManager.hasQuotaForModel(tokenId, modelId);
     } catch (error) {
       // 出错时假设有额度
@@ -699,29 +794,184 @@ class TokenManager {
     }
   }
 
+  /**
+   * 同步获取额度缓存使用的 Token ID
+   * @param {Object} token - Token 对象
+   * @returns {string|null} salt 尚未加载时返回 null
+   * @private
+   */
+  _getQuotaTokenId(token) {
+    const salt = this.store._salt; // 使用同步方式获取 salt
+    return salt ? generateTokenId(token.refresh_token, salt) : null;
+  }
+
+  /**
+   * 获取 token 对指定模型组的剩余额度比例
+   * @param {Object} token - Token 对象
+   * @param {string} modelId - 模型 ID
+   * @returns {number} 0-1，没有数据时返回 1
+   * @private
+   */
+  _getRemainingQuota(token, modelId) {
+    const tokenId = this._getQuotaTokenId(token);
+    return tokenId ? quotaManager.getModelGroupQuota(tokenId, modelId) : 1;
+  }
+
+  /**
+   * 所有账号对指定模型组额度耗尽时，计算距最早重置时间的秒数
+   * @param {string} modelId - 模型 ID
+   * @returns {number|null} 秒数；任一账号缺少重置时间时返回 null
+   */
+  getQuotaRetryAfter(modelId) {
+    let earliest = Infinity;
+    for (const token of this.tokens) {
+      const tokenId = this._getQuotaTokenId(token);
+      const resetMs = tokenId ? quotaManager.getGroupResetTime(tokenId, modelId) : null;
+      if (resetMs === null) return null;
+      earliest = Math.min(earliest, resetMs);
+    }
+    if (!Number.isFinite(earliest)) return null;
+    return Math.max(1, Math.ceil((earliest - Date.now()) / 1000));
+  }
+
   /**
    * 获取可用的 token
-   * @param {string} [modelId] - 可选，请求的模型 ID，用于检查该模型的额度
+   * @param {string} [modelId] - 可选，请求的模型 ID，用于检查该模型的额度和冷却状态
+   * @param {Object} [options]
+   * @param {Set<string>} [options.exclude] - 需要排除的 refresh_token（故障转移时已失败的账号）
    * @returns {Promise<Object|null>} token 对象
    */
-  async getToken(modelId = null) {
+  async getToken(modelId = null, { exclude = null } = {}) {
     await this._ensureInitialized();
     if (this.tokens.length === 0) return null;
 
-    // 针对额度耗尽策略做单独的高性能处理
+    // 所有账号该模型组额度都已耗尽：按最早的重置时间返回 429，而不是重置状态后强行请求
+    if (modelId && this._checkAllTokensExhaustedForModel(modelId)) {
+      const retryAfter = this.getQuotaRetryAfter(modelId);
+      if (retryAfter !== null) {
+        throw new RateLimitError(
+          `所有账号的 ${quotaManager.getGroupKey(modelId)} 模型组额度已耗尽，预计 ${retryAfter} 秒后重置`,
+          retryAfter
+        );
+      }
+    }
+
+    let token;
     if (this.rotationStrategy === RotationStrategy.QUOTA_EXHAUSTED) {
-      return this._getTokenForQuotaExhaustedStrategy(modelId);
+      // 针对额度耗尽策略做单独的高性能处理
+      token = await this._getTokenForQuotaExhaustedStrategy(modelId, exclude);
+    } else if (this.rotationStrategy === RotationStrategy.WEIGHTED_HEALTH) {
+      token = await this._getTokenForWeightedHealthStrategy(modelId, exclude);
+    } else if (this.rotationStrategy === RotationStrategy.QUOTA_AWARE) {
+      token = await this._getTokenForQuotaAwareStrategy(modelId, exclude);
+    } else {
+      token = await this._getTokenForDefaultStrategy(modelId, exclude);
     }
 
-    return this._getTokenForDefaultStrategy(modelId);
+    // 半开状态的账号被选中即视为发出探测请求
+    if (token) this.health.markSelected(token.refresh_token);
+    return token;
+  }
+
+  /**
+   * 健康加权策略的 token 获取：按健康分加权随机选择，健康分越高被选中概率越大
+   * @param {string} [modelId] - 请求的模型 ID
+   * @param {Set<string>} [exclude] - 需要排除的 refresh_token
+   * @private
+   */
+  async _getTokenForWeightedHealthStrategy(modelId = null, exclude = null) {
+    const allTokensExhausted = modelId ? this._checkAllTokensExhaustedForModel(modelId) : false;
+    const shouldSkip = this._createSkipFilter(modelId, exclude);
+
+    const candidates = this.tokens.filter(token => (
+      !shouldSkip(token) && (!modelId || allTokensExhausted || this._hasQuotaForModel(token, modelId))
+    ));
+
+    while (candidates.length > 0) {
+      // 保留最低权重，让低分账号仍有机会被选中以更新健康数据
+      const weights = candidates.map(token => Math.max(this.health.getScore(token.refresh_token), 0.01));
+      const total = weights.reduce((sum, w) => sum + w, 0);
+      let pick = Math.random() * total;
+      let index = 0;
+      while (index < candidates.length - 1 && pick >= weights[index]) {
+        pick -= weights[index];
+        index++;
+      }
+      const [token] = candidates.splice(index, 1);
+
+      try {
+        const result = await this._prepareToken(token);
+        if (result === 'disable') {
+          this.disableToken(token);
+          if (this.tokens.length === 0) return null;
+          continue;
+        }
+        this.currentIndex = Math.max(0, this.tokens.indexOf(token));
+        return token;
+      } catch (error) {
+        const action = this._handleTokenError(error, token);
+        if (action === 'disable') {
+          this.disableToken(token);
+          if (this.tokens.length === 0) return null;
+        }
+        // skip: 继续尝试下一个 token
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 额度优先策略的 token 获取：选择该模型组剩余额度最多的账号，额度相同时从当前位置轮询
+   * @param {string} [modelId] - 请求的模型 ID（未提供时退化为轮询）
+   * @param {Set<string>} [exclude] - 需要排除的 refresh_token
+   * @private
+   */
+  async _getTokenForQuotaAwareStrategy(modelId = null, exclude = null) {
+    const allTokensExhausted = modelId ? this._checkAllTokensExhaustedForModel(modelId) : false;
+    const shouldSkip = this._createSkipFilter(modelId, exclude);
+    const total = this.tokens.length;
+
+    // 按当前位置展开成轮询顺序，排序稳定保证同额度账号依次使用
+    const candidates = [];
+    for (let i = 0; i < total; i++) {
+      const token = this.tokens[(this.currentIndex + i) % total];
+      if (shouldSkip(token)) continue;
+      if (modelId && !allTokensExhausted && !this._hasQuotaForModel(token, modelId)) continue;
+      candidates.push({ token, remaining: modelId ? this._getRemainingQuota(token, modelId) : 1 });
+    }
+    candidates.sort((a, b) => b.remaining - a.remaining);
+
+    for (const { token } of candidates) {
+      try {
+        const result = await this._prepareToken(token);
+        if (result === 'disable') {
+          this.disableToken(token);
+          if (this.tokens.length === 0) return null;
+          continue;
+        }
+        this.currentIndex = (this.tokens.indexOf(token) + 1) % this.tokens.length;
+        return token;
+      } catch (error) {
+        const action = this._handleTokenError(error, token);
+        if (action === 'disable') {
+          this.disableToken(token);
+          if (this.tokens.length === 0) return null;
+        }
+        // skip: 继续尝试下一个 token
+      }
+    }
+
+    return null;
   }
 
   /**
    * 额度耗尽策略的 token 获取
    * @param {string} [modelId] - 请求的模型 ID
+   * @param {Set<string>} [exclude] - 需要排除的 refresh_token
    * @private
    */
-  async _getTokenForQuotaExhaustedStrategy(modelId = null) {
+  async _getTokenForQuotaExhaustedStrategy(modelId = null, exclude = null) {
     // 如果当前没有可用 token，尝试重置额度
     if (this.availableQuotaTokenIndices.length === 0) {
       this._resetAllQuotas();
@@ -737,6 +987,7 @@ class TokenManager {
     if (modelId) {
       allTokensExhausted = this._checkAllTokensExhaustedForModel(modelId);
     }
+    const shouldSkip = this._createSkipFilter(modelId, exclude);
 
     const startIndex = this.currentQuotaIndex % totalAvailable;
 
@@ -744,6 +995,7 @@ class TokenManager {
       const listIndex = (startIndex + i) % totalAvailable;
       const tokenIndex = this.availableQuotaTokenIndices[listIndex];
       const token = this.tokens[tokenIndex];
+      if (shouldSkip(token)) continue;
 
       // 如果提供了 modelId 且不是所有 token 都耗尽，检查该 token 对该模型是否有额度
       if (modelId && !allTokensExhausted) {
@@ -780,6 +1032,9 @@ class TokenManager {
       }
     }
 
+    // 故障转移时剩余账号都已失败，不再回退到第一个账号
+    if (exclude?.size > 0) return null;
+
     // 所有可用 token 都不可用，重置额度状态
     this._resetAllQuotas();
     return this.tokens[0] || null;
@@ -788,9 +1043,10 @@ class TokenManager {
   /**
    * 默认策略（round_robin / request_count）的 token 获取
    * @param {string} [modelId] - 请求的模型 ID
+   * @param {Set<string>} [exclude] - 需要排除的 refresh_token
    * @private
    */
-  async _getTokenForDefaultStrategy(modelId = null) {
+  async _getTokenForDefaultStrategy(modelId = null, exclude = null) {
     const totalTokens = this.tokens.length;
     const startIndex = this.currentIndex;
 
@@ -799,10 +1055,12 @@ class TokenManager {
     if (modelId) {
       allTokensExhausted = this._checkAllTokensExhaustedForModel(modelId);
     }
+    const shouldSkip = this._createSkipFilter(modelId, exclude);
 
     for (let i = 0; i < totalTokens; i++) {
       const index = (startIndex + i) % totalTokens;
       const token = this.tokens[index];
+      if (shouldSkip(token)) continue;
 
       // 如果提供了 modelId 且不是所有 token 都耗尽，检查该 token 对该模型是否有额度
       if (modelId && !allTokensExhausted) {
@@ -949,7 +1207,11 @@ class TokenManager {
         enable: token.enable !== false,
         projectId: token.projectId || null,
         email: token.email || null,
-        hasQuota: token.hasQuota !== false
+        hasQuota: token.hasQuota !== false,
+        health: this.health.getSnapshot(token.refresh_token),
+        // 绑定的代理，以及实际使用的代理池代理（未使用代理池时为 null）
+        proxy: token.proxy || null,
+        assignedProxy: proxyPool.resolve(token)?.name || null
       }));
     } catch (error) {
       log.error('获取Token列表失败:', error.message);
@@ -957,6 +1219,29 @@ class TokenManager {
     }
   }
 
+  /**
+   * 获取账号池统计（用于监控指标）
+   * @returns {Promise<{total: number, enabled: number, disabled: number, quotaExhausted: Object<string, number>}>}
+   */
+  async getPoolStats() {
+    const allTokens = await this.store.readAll();
+    const salt = await this.store.getSalt();
+    const stats = { total: allTokens.length, enabled: 0, disabled: 0, quotaExhausted: {} };
+
+    for (const token of allTokens) {
+      if (token.enable === false) {
+        stats.disabled++;
+        continue;
+      }
+      stats.enabled++;
+      const tokenId = generateTokenId(token.refresh_token, salt);
+      for (const group of quotaManager.getExhaustedGroups(tokenId)) {
+        stats.quotaExhausted[group] = (stats.quotaExhausted[group] || 0) + 1;
+      }
+    }
+    return stats;
+  }
+
   /**
    * 根据 tokenId 查找完整的 token 对象
    * @param {string} tokenId - 安全的 token ID
@@ -1075,4 +1360,10 @@ class TokenManager {
 export { RotationStrategy };
 
 const tokenManager = new TokenManager();
+
+// 配置修改（保存、回滚）后热更新轮询策略
+onConfigChange('rotation', () => {
+  tokenManager.updateRotationConfig(config.rotation.strategy, config.rotation.requestCount);
+});
+
 export default tokenManager;
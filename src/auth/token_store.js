@@ -5,6 +5,8 @@ import { getDataDir } from '../utils/paths.js';
 import { FILE_CACHE_TTL } from '../constants/index.js';
 import { log } from '../utils/logger.js';
 import { generateSalt } from '../utils/idGenerator.js';
+import { isSqliteStorage } from '../storage/index.js';
+import SqliteTokenStore from './sqlite_token_store.js';
 
 /**
  * 账号数据文件结构：
@@ -301,4 +303,14 @@ class TokenStore {
   }
 }
 
+/**
+ * 按配置的存储驱动创建 token 存储
+ * @param {string} filePath - JSON 驱动使用的文件路径
+ * @param {string} collection - SQLite 驱动使用的集合名
+ * @returns {TokenStore|SqliteTokenStore}
+ */
+export function createTokenStore(filePath, collection) {
+  return isSqliteStorage() ? new SqliteTokenStore(collection) : new TokenStore(filePath);
+}
+
 export default TokenStore;
@@ -11,11 +11,32 @@ import {
   DEFAULT_HEARTBEAT_INTERVAL,
   DEFAULT_TIMEOUT,
   DEFAULT_RETRY_TIMES,
+  DEFAULT_FAILOVER_MAX_ACCOUNTS,
+  DEFAULT_FAILOVER_COOLDOWN,
+  DEFAULT_QUEUE_TIMEOUT,
+  DEFAULT_QUOTA_REFRESH_INTERVAL,
+  DEFAULT_QUOTA_LOW_REFRESH_INTERVAL,
+  DEFAULT_QUOTA_LOW_THRESHOLD,
   DEFAULT_MAX_REQUEST_SIZE,
   DEFAULT_MAX_IMAGES,
   MODEL_LIST_CACHE_TTL,
   DEFAULT_GENERATION_PARAMS,
-  MEMORY_CLEANUP_INTERVAL
+  MEMORY_CLEANUP_INTERVAL,
+  CONVERSATION_TTL,
+  DEFAULT_MAX_CONVERSATIONS,
+  DEFAULT_USAGE_RETENTION_DAYS,
+  DEFAULT_AUDIT_RETENTION_DAYS,
+  DEFAULT_CONFIG_HISTORY_MAX_REVISIONS,
+  DEFAULT_PROXY_HEALTH_CHECK_INTERVAL,
+  DEFAULT_PROXY_HEALTH_CHECK_TIMEOUT,
+  DEFAULT_PROXY_HEALTH_CHECK_URL,
+  DEFAULT_MEDIA_MAX_BYTES,
+  DEFAULT_MEDIA_FETCH_TIMEOUT,
+  DEFAULT_MEDIA_MAX_URLS,
+  DEFAULT_MEDIA_MAX_TOTAL_BYTES,
+  DEFAULT_MEDIA_FETCH_CONCURRENCY,
+  DEFAULT_ANTI_TRUNCATION_MAX_CONTINUATIONS,
+  DEFAULT_ANTI_TRUNCATION_DONE_MARKER
 } from '../constants/index.js';
 
 // 生成随机凭据的缓存
@@ -230,12 +251,14 @@ const DEFAULT_API_CONFIGS = {
     url: 'https://daily-cloudcode-pa.sandbox.googleapis.com/v1internal:streamGenerateContent?alt=sse',
     modelsUrl: 'https://daily-cloudcode-pa.sandbox.googleapis.com/v1internal:fetchAvailableModels',
     noStreamUrl: 'https://daily-cloudcode-pa.sandbox.googleapis.com/v1internal:generateContent',
+    countTokensUrl: 'https://daily-cloudcode-pa.sandbox.googleapis.com/v1internal:countTokens',
     host: 'daily-cloudcode-pa.sandbox.googleapis.com'
   },
   production: {
     url: 'https://daily-cloudcode-pa.googleapis.com/v1internal:streamGenerateContent?alt=sse',
     modelsUrl: 'https://daily-cloudcode-pa.googleapis.com/v1internal:fetchAvailableModels',
     noStreamUrl: 'https://daily-cloudcode-pa.googleapis.com/v1internal:generateContent',
+    countTokensUrl: 'https://daily-cloudcode-pa.googleapis.com/v1internal:countTokens',
     host: 'daily-cloudcode-pa.googleapis.com'
   }
 };
@@ -264,6 +287,10 @@ function getActiveApiConfig(jsonConfig) {
     url: customConfig?.url || defaultConfig.url,
     modelsUrl: customConfig?.modelsUrl || defaultConfig.modelsUrl,
     noStreamUrl: customConfig?.noStreamUrl || defaultConfig.noStreamUrl,
+    // 自定义了 noStreamUrl（如反代地址）时，countTokens 默认走同一个上游
+    countTokensUrl: customConfig?.countTokensUrl ||
+      customConfig?.noStreamUrl?.replace(':generateContent', ':countTokens') ||
+      defaultConfig.countTokensUrl,
     host: customConfig?.host || defaultConfig.host,
     userAgent: jsonConfig.api?.userAgent || 'antigravity/1.13.3 windows/amd64'
   };
@@ -308,6 +335,77 @@ export function buildConfig(jsonConfig) {
       strategy: jsonConfig.rotation?.strategy || 'round_robin',
       requestCount: jsonConfig.rotation?.requestCount || 10
     },
+    // 会话历史（previous_response_id / X-Conversation-Id）
+    conversation: {
+      persist: jsonConfig.conversation?.persist === true,   // 是否持久化到 data/conversations
+      ttl: jsonConfig.conversation?.ttl || CONVERSATION_TTL, // 过期时间（毫秒）
+      maxConversations: jsonConfig.conversation?.maxConversations || DEFAULT_MAX_CONVERSATIONS
+    },
+    // 跨账号故障转移（上游 429/5xx 时换号重试）
+    failover: {
+      maxAccounts: jsonConfig.failover?.maxAccounts || DEFAULT_FAILOVER_MAX_ACCOUNTS, // 单个请求最多尝试的账号数
+      cooldown: jsonConfig.failover?.cooldown || DEFAULT_FAILOVER_COOLDOWN           // 失败账号冷却时间（毫秒）
+    },
+    // 存储驱动：json（默认）/ sqlite（需安装 better-sqlite3，可用 npm run migrate:sqlite 导入现有数据）
+    storage: {
+      driver: jsonConfig.storage?.driver === 'sqlite' ? 'sqlite' : 'json'
+    },
+    // 请求排队（并发上限为 0 表示不限制，默认均不限制，需要时在 config.json 中开启）
+    queue: {
+      enabled: jsonConfig.queue?.enabled !== false,
+      maxConcurrent: jsonConfig.queue?.maxConcurrent ?? 0,                     // 全局最大并发
+      maxConcurrentPerAccount: jsonConfig.queue?.maxConcurrentPerAccount ?? 0, // 单账号最大并发
+      timeout: jsonConfig.queue?.timeout ?? DEFAULT_QUEUE_TIMEOUT              // 最长排队时间（毫秒）
+    },
+    // 额度感知调度（后台从 fetchAvailableModels 刷新各账号额度）
+    quota: {
+      backgroundRefresh: jsonConfig.quota?.backgroundRefresh !== false,                             // 是否启用后台刷新
+      refreshInterval: jsonConfig.quota?.refreshInterval || DEFAULT_QUOTA_REFRESH_INTERVAL,          // 常规刷新间隔（毫秒）
+      lowRefreshInterval: jsonConfig.quota?.lowRefreshInterval || DEFAULT_QUOTA_LOW_REFRESH_INTERVAL, // 额度偏低时的刷新间隔（毫秒）
+      lowThreshold: jsonConfig.quota?.lowThreshold ?? DEFAULT_QUOTA_LOW_THRESHOLD                    // 额度偏低阈值（0-1）
+    },
+    // 媒体输入：下载客户端传入的远程图片/文档 URL 并转为 inlineData
+    media: {
+      fetchRemote: jsonConfig.media?.fetchRemote !== false,                        // 是否允许下载远程 URL
+      maxBytes: jsonConfig.media?.maxBytes || DEFAULT_MEDIA_MAX_BYTES,            // 单个文件大小上限（字节）
+      timeout: jsonConfig.media?.timeout || DEFAULT_MEDIA_FETCH_TIMEOUT,          // 下载超时（毫秒）
+      maxUrls: jsonConfig.media?.maxUrls || DEFAULT_MEDIA_MAX_URLS,               // 单个请求最多包含的 URL 数
+      maxTotalBytes: jsonConfig.media?.maxTotalBytes || DEFAULT_MEDIA_MAX_TOTAL_BYTES, // 单个请求的总大小上限（字节）
+      concurrency: jsonConfig.media?.concurrency || DEFAULT_MEDIA_FETCH_CONCURRENCY, // 单个请求的并发下载数
+      allowPrivateNetwork: jsonConfig.media?.allowPrivateNetwork === true         // 是否允许访问内网地址（默认禁止，防止 SSRF）
+    },
+    // 流式抗截断（"流式抗截断/" 前缀模型或 X-Stream-Mode: anti-truncation）
+    antiTruncation: {
+      maxContinuations: jsonConfig.antiTruncation?.maxContinuations ?? DEFAULT_ANTI_TRUNCATION_MAX_CONTINUATIONS, // 最多续写次数
+      doneMarker: jsonConfig.antiTruncation?.doneMarker || DEFAULT_ANTI_TRUNCATION_DONE_MARKER                  // 结束标记
+    },
+    // 用量账本
+    usage: {
+      retentionDays: jsonConfig.usage?.retentionDays || DEFAULT_USAGE_RETENTION_DAYS
+    },
+    // 管理操作审计日志
+    audit: {
+      retentionDays: jsonConfig.audit?.retentionDays || DEFAULT_AUDIT_RETENTION_DAYS
+    },
+    // 配置版本历史（PUT /admin/config 等修改后的快照，可回滚）
+    configHistory: {
+      maxRevisions: jsonConfig.configHistory?.maxRevisions || DEFAULT_CONFIG_HISTORY_MAX_REVISIONS
+    },
+    // 代理池：账号绑定（accounts.json 中的 proxy 字段）或粘性分配出口代理，未使用代理池时使用 PROXY
+    proxyPool: {
+      proxies: (jsonConfig.proxyPool?.proxies || []).map(proxy => ({
+        name: proxy.name,
+        url: proxy.url,
+        enabled: proxy.enabled !== false
+      })),
+      assignment: jsonConfig.proxyPool?.assignment === 'pinned' ? 'pinned' : 'sticky',     // sticky：未绑定的账号自动分配；pinned：只有绑定的账号使用代理池
+      healthCheck: {
+        enabled: jsonConfig.proxyPool?.healthCheck?.enabled !== false,
+        interval: jsonConfig.proxyPool?.healthCheck?.interval || DEFAULT_PROXY_HEALTH_CHECK_INTERVAL, // 检查间隔（毫秒）
+        timeout: jsonConfig.proxyPool?.healthCheck?.timeout || DEFAULT_PROXY_HEALTH_CHECK_TIMEOUT,    // 单次检查超时（毫秒）
+        url: jsonConfig.proxyPool?.healthCheck?.url || DEFAULT_PROXY_HEALTH_CHECK_URL
+      }
+    },
     // 日志配置
     log: {
       maxSizeMB: jsonConfig.log?.maxSizeMB || 10,    // 单个日志文件最大 MB
@@ -322,7 +420,9 @@ export function buildConfig(jsonConfig) {
       top_p: jsonConfig.defaults?.topP ?? DEFAULT_GENERATION_PARAMS.top_p,
       top_k: jsonConfig.defaults?.topK ?? DEFAULT_GENERATION_PARAMS.top_k,
       max_tokens: jsonConfig.defaults?.maxTokens ?? DEFAULT_GENERATION_PARAMS.max_tokens,
-      thinking_budget: jsonConfig.defaults?.thinkingBudget ?? DEFAULT_GENERATION_PARAMS.thinking_budget
+      thinking_budget: jsonConfig.defaults?.thinkingBudget ?? DEFAULT_GENERATION_PARAMS.thinking_budget,
+      // 客户端停止序列与默认停止序列的关系：merge（合并）或 replace（替换）
+      stop_sequences_mode: jsonConfig.defaults?.stopSequencesMode === 'replace' ? 'replace' : 'merge'
     },
     security: {
       maxRequestSize: jsonConfig.server?.maxRequestSize || DEFAULT_MAX_REQUEST_SIZE,
@@ -376,6 +476,11 @@ export function buildConfig(jsonConfig) {
         top_k: jsonConfig.geminicli?.defaults?.topK ?? jsonConfig.defaults?.topK ?? DEFAULT_GENERATION_PARAMS.top_k,
         max_tokens: jsonConfig.geminicli?.defaults?.maxTokens ?? jsonConfig.defaults?.maxTokens ?? DEFAULT_GENERATION_PARAMS.max_tokens,
         thinking_budget: jsonConfig.geminicli?.defaults?.thinkingBudget ?? jsonConfig.defaults?.thinkingBudget ?? DEFAULT_GENERATION_PARAMS.thinking_budget
+      },
+      // 流式抗截断（"流式抗截断/" 前缀模型），未配置时沿用全局 antiTruncation
+      antiTruncation: {
+        maxContinuations: jsonConfig.geminicli?.antiTruncation?.maxContinuations ?? jsonConfig.antiTruncation?.maxContinuations ?? DEFAULT_ANTI_TRUNCATION_MAX_CONTINUATIONS,
+        doneMarker: jsonConfig.geminicli?.antiTruncation?.doneMarker || jsonConfig.antiTruncation?.doneMarker || DEFAULT_ANTI_TRUNCATION_DONE_MARKER
       }
     }
   };
@@ -400,5 +505,10 @@ export function getConfigJson() {
 export function saveConfigJson(data) {
   const existing = getConfigJson();
   const merged = deepMerge(existing, data);
-  fs.writeFileSync(configJsonPath, JSON.stringify(merged, null, 2), 'utf8');
+  writeConfigJson(merged);
+}
+
+// 整体覆盖 config.json（不与现有内容合并，用于回滚到历史版本）
+export function writeConfigJson(data) {
+  fs.writeFileSync(configJsonPath, JSON.stringify(data, null, 2), 'utf8');
 }
@@ -0,0 +1,209 @@
+/**
+ * config.json 与 .env 的校验规则
+ * 管理接口保存配置（PUT /admin/config）和回滚历史版本前先校验，避免写入错误的字段名或取值导致服务异常
+ * @module config/configSchema
+ */
+
+import { validateJsonSchema } from '../utils/jsonSchema.js';
+
+const boolean = { type: 'boolean' };
+const string = { type: 'string' };
+const positiveInt = { type: 'integer', minimum: 1 };
+const nonNegativeInt = { type: 'integer', minimum: 0 };
+const httpUrl = { type: 'string', pattern: '^https?://\\S+$' };
+// 代理地址：HTTP / HTTPS / SOCKS5，可包含账号密码
+const PROXY_URL_SCHEMES = 'https?|socks5h?';
+
+// 字段全部可选（PUT /admin/config 只提交修改的部分），不允许未知字段（拼写错误）
+function section(properties) {
+  return { type: 'object', properties, additionalProperties: false };
+}
+
+const rotationSchema = section({
+  strategy: { enum: ['round_robin', 'quota_exhausted', 'request_count', 'weighted_health', 'quota_aware'] },
+  requestCount: positiveInt
+});
+
+const generationDefaultsSchema = section({
+  temperature: { type: 'number', minimum: 0, maximum: 2 },
+  topP: { type: 'number', minimum: 0, maximum: 1 },
+  topK: positiveInt,
+  maxTokens: positiveInt,
+  thinkingBudget: { type: 'integer', minimum: -1 },
+  stopSequencesMode: { enum: ['merge', 'replace'] }
+});
+
+const antiTruncationSchema = section({
+  maxContinuations: nonNegativeInt,
+  doneMarker: { type: 'string', minLength: 1 }
+});
+
+const upstreamSchema = section({
+  url: httpUrl,
+  modelsUrl: httpUrl,
+  noStreamUrl: httpUrl,
+  countTokensUrl: httpUrl,
+  host: string
+});
+
+/**
+ * config.json 结构（与 buildConfig 读取的字段一致）
+ * @type {Object}
+ */
+export const CONFIG_JSON_SCHEMA = section({
+  server: section({
+    port: { type: 'integer', minimum: 1, maximum: 65535 },
+    host: { type: 'string', minLength: 1 },
+    // express 请求体大小：数字（字节）或 "500mb" 这类字符串
+    maxRequestSize: { anyOf: [positiveInt, { type: 'string', pattern: '^\\d+(\\.\\d+)?\\s*([kKmMgGtT]?[bB])?$' }] },
+    heartbeatInterval: positiveInt,
+    memoryCleanupInterval: nonNegativeInt,
+    memoryThreshold: { type: 'number', minimum: 0 }
+  }),
+  cache: section({ modelListTTL: nonNegativeInt }),
+  rotation: rotationSchema,
+  conversation: section({ persist: boolean, ttl: positiveInt, maxConversations: positiveInt }),
+  failover: section({ maxAccounts: positiveInt, cooldown: nonNegativeInt }),
+  storage: section({ driver: { enum: ['json', 'sqlite'] } }),
+  queue: section({
+    enabled: boolean,
+    maxConcurrent: nonNegativeInt,
+    maxConcurrentPerAccount: nonNegativeInt,
+    timeout: nonNegativeInt
+  }),
+  quota: section({
+    backgroundRefresh: boolean,
+    refreshInterval: positiveInt,
+    lowRefreshInterval: positiveInt,
+    lowThreshold: { type: 'number', minimum: 0, maximum: 1 }
+  }),
+  usage: section({ retentionDays: positiveInt }),
+  audit: section({ retentionDays: positiveInt }),
+  configHistory: section({ maxRevisions: positiveInt }),
+  proxyPool: section({
+    proxies: {
+      type: 'array',
+      items: {
+        ...section({
+          // 账号通过名称绑定代理
+          name: { type: 'string', pattern: '^[A-Za-z0-9_.-]+$' },
+          url: { type: 'string', pattern: `^(${PROXY_URL_SCHEMES})://\\S+$` },
+          enabled: boolean
+        }),
+        required: ['name', 'url']
+      }
+    },
+    assignment: { enum: ['sticky', 'pinned'] },
+    healthCheck: section({ enabled: boolean, interval: positiveInt, timeout: positiveInt, url: httpUrl })
+  }),
+  media: section({
+    fetchRemote: boolean,
+    maxBytes: positiveInt,
+    timeout: positiveInt,
+    maxUrls: positiveInt,
+    maxTotalBytes: positiveInt,
+    concurrency: positiveInt,
+    allowPrivateNetwork: boolean
+  }),
+  antiTruncation: antiTruncationSchema,
+  log: section({
+    maxSizeMB: { type: 'number', exclusiveMinimum: 0 },
+    maxFiles: positiveInt,
+    maxMemory: positiveInt
+  }),
+  api: section({
+    use: { enum: ['sandbox', 'production'] },
+    sandbox: upstreamSchema,
+    production: upstreamSchema,
+    userAgent: { type: 'string', minLength: 1 }
+  }),
+  defaults: generationDefaultsSchema,
+  other: section({
+    timeout: positiveInt,
+    retryTimes: nonNegativeInt,
+    maxImages: positiveInt,
+    forceIPv4: boolean,
+    skipProjectIdFetch: boolean,
+    useNativeAxios: boolean,
+    useContextSystemPrompt: boolean,
+    officialPromptPosition: { enum: ['before', 'after'] },
+    mergeSystemPrompt: boolean,
+    passSignatureToClient: boolean,
+    useFallbackSignature: boolean,
+    cacheAllSignatures: boolean,
+    cacheToolSignatures: boolean,
+    cacheImageSignatures: boolean,
+    cacheThinking: boolean,
+    fakeNonStream: boolean
+  }),
+  geminicli: section({
+    enabled: boolean,
+    api: section({ url: httpUrl, noStreamUrl: httpUrl, host: string, userAgent: string }),
+    rotation: rotationSchema,
+    defaults: generationDefaultsSchema,
+    antiTruncation: antiTruncationSchema
+  })
+});
+
+// .env 中除系统提示词外的值都是单行
+const singleLine = { type: 'string', pattern: '^[^\\r\\n]*$' };
+// 空字符串表示不使用
+const optionalUrl = (schemes) => ({ type: 'string', pattern: `^$|^(${schemes})://\\S+$` });
+
+/**
+ * .env 键值（未列出的键只要求为单行字符串）
+ * @type {Object}
+ */
+export const ENV_SCHEMA = {
+  type: 'object',
+  properties: {
+    API_KEY: singleLine,
+    ADMIN_USERNAME: singleLine,
+    ADMIN_PASSWORD: singleLine,
+    JWT_SECRET: singleLine,
+    PROXY: optionalUrl(PROXY_URL_SCHEMES),
+    IMAGE_BASE_URL: optionalUrl('https?'),
+    SYSTEM_INSTRUCTION: string,
+    OFFICIAL_SYSTEM_PROMPT: string
+  },
+  additionalProperties: singleLine
+};
+
+// .env 键名（同时用于 updateEnvFile 构造正则，必须限制字符）
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * 校验配置（可以是完整配置，也可以是只包含修改部分的补丁）
+ * @param {{env?: Object, json?: Object}} data
+ * @returns {string[]} 错误列表（字段路径以 env. / json. 开头），为空表示通过
+ */
+export function validateConfig({ env, json } = {}) {
+  const errors = [];
+  if (json !== undefined && json !== null) {
+    errors.push(...validateJsonSchema(json, CONFIG_JSON_SCHEMA).map(error => error.replace(/^\$/, 'json')));
+    const proxies = json.proxyPool?.proxies;
+    if (Array.isArray(proxies)) {
+      const names = new Set();
+      proxies.forEach((proxy, index) => {
+        if (!proxy?.name) return;
+        if (names.has(proxy.name)) errors.push(`json.proxyPool.proxies[${index}].name: 代理名称重复`);
+        names.add(proxy.name);
+      });
+    }
+  }
+  if (env !== undefined && env !== null) {
+    if (env && typeof env === 'object' && !Array.isArray(env)) {
+      for (const key of Object.keys(env)) {
+        if (!ENV_KEY_PATTERN.test(key)) errors.push(`env.${key}: 无效的键名`);
+      }
+    }
+    errors.push(...validateJsonSchema(env, ENV_SCHEMA).map(error => error.replace(/^\$/, 'env')));
+  }
+  return errors;
+}
+
+export default {
+  CONFIG_JSON_SCHEMA,
+  ENV_SCHEMA,
+  validateConfig
+};
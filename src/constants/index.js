@@ -29,12 +29,72 @@ export const QUOTA_CACHE_TTL = 5 * 60 * 1000;
  */
 export const QUOTA_CLEANUP_INTERVAL = 60 * 60 * 1000;
 
+/**
+ * 后台额度刷新检查间隔（毫秒）- 1分钟
+ * @type {number}
+ */
+export const QUOTA_REFRESH_TICK = 60 * 1000;
+
+/**
+ * 后台额度刷新默认间隔（毫秒）- 10分钟
+ * @type {number}
+ */
+export const DEFAULT_QUOTA_REFRESH_INTERVAL = 10 * 60 * 1000;
+
+/**
+ * 额度偏低时的后台刷新间隔（毫秒）- 2分钟
+ * @type {number}
+ */
+export const DEFAULT_QUOTA_LOW_REFRESH_INTERVAL = 2 * 60 * 1000;
+
+/**
+ * 额度偏低阈值（剩余比例低于该值时加快刷新）
+ * @type {number}
+ */
+export const DEFAULT_QUOTA_LOW_THRESHOLD = 0.2;
+
 /**
  * 模型列表缓存默认有效期（毫秒）- 1小时
  * @type {number}
  */
 export const MODEL_LIST_CACHE_TTL = 60 * 60 * 1000;
 
+/**
+ * 会话历史默认有效期（毫秒）- 3天
+ * @type {number}
+ */
+export const CONVERSATION_TTL = 3 * 24 * 60 * 60 * 1000;
+
+/**
+ * 会话历史默认最大条数
+ * @type {number}
+ */
+export const DEFAULT_MAX_CONVERSATIONS = 1000;
+
+/**
+ * 用量记录默认保留天数
+ * @type {number}
+ */
+export const DEFAULT_USAGE_RETENTION_DAYS = 30;
+
+/**
+ * 管理操作审计日志默认保留天数
+ * @type {number}
+ */
+export const DEFAULT_AUDIT_RETENTION_DAYS = 365;
+
+/**
+ * 用量统计和审计日志单次查询的最大时间跨度（天），查询按天读取文件
+ * @type {number}
+ */
+export const MAX_QUERY_RANGE_DAYS = 366;
+
+/**
+ * 配置历史默认保留的版本数
+ * @type {number}
+ */
+export const DEFAULT_CONFIG_HISTORY_MAX_REVISIONS = 100;
+
 // ==================== 内存管理常量 ====================
 
 /**
@@ -76,6 +136,165 @@ export const DEFAULT_TIMEOUT = 300000;
  */
 export const DEFAULT_RETRY_TIMES = 3;
 
+/**
+ * 故障转移：单个请求最多尝试的不同账号数
+ * @type {number}
+ */
+export const DEFAULT_FAILOVER_MAX_ACCOUNTS = 3;
+
+/**
+ * 故障转移：失败账号对该模型组的默认冷却时间（毫秒）
+ * @type {number}
+ */
+export const DEFAULT_FAILOVER_COOLDOWN = 60 * 1000;
+
+/**
+ * 请求排队：默认最长等待时间（毫秒）
+ * @type {number}
+ */
+export const DEFAULT_QUEUE_TIMEOUT = 60 * 1000;
+
+/**
+ * 结构化输出模拟：回复不符合 JSON Schema 时最多重新请求的次数
+ * @type {number}
+ */
+export const STRUCTURED_OUTPUT_MAX_RETRIES = 2;
+
+/**
+ * 流式抗截断：默认最多续写次数
+ * @type {number}
+ */
+export const DEFAULT_ANTI_TRUNCATION_MAX_CONTINUATIONS = 3;
+
+/**
+ * 流式抗截断：默认结束标记（模型在完整回答末尾输出，不会转发给客户端）
+ * @type {string}
+ */
+export const DEFAULT_ANTI_TRUNCATION_DONE_MARKER = '[done]';
+
+/**
+ * 上游 token 计数请求超时时间（毫秒），超时后改用本地估算
+ * @type {number}
+ */
+export const COUNT_TOKENS_TIMEOUT = 10 * 1000;
+
+/**
+ * 热切换到 axios 后检查旧子进程请求器是否空闲的间隔（毫秒），空闲后关闭
+ * @type {number}
+ */
+export const REQUESTER_IDLE_CHECK_INTERVAL = 1000;
+
+// ==================== 代理池相关常量 ====================
+
+/**
+ * 通过代理建立连接（含代理认证和 CONNECT / SOCKS5 握手）的超时时间（毫秒）
+ * @type {number}
+ */
+export const PROXY_CONNECT_TIMEOUT = 10 * 1000;
+
+/**
+ * 代理健康检查默认间隔（毫秒）
+ * @type {number}
+ */
+export const DEFAULT_PROXY_HEALTH_CHECK_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * 代理健康检查默认超时时间（毫秒）
+ * @type {number}
+ */
+export const DEFAULT_PROXY_HEALTH_CHECK_TIMEOUT = 10 * 1000;
+
+/**
+ * 代理健康检查默认请求地址（能返回任意 HTTP 响应即视为代理可用）
+ * @type {string}
+ */
+export const DEFAULT_PROXY_HEALTH_CHECK_URL = 'https://www.google.com/generate_204';
+
+/**
+ * 远程媒体下载：单个文件默认大小上限（字节）
+ * @type {number}
+ */
+export const DEFAULT_MEDIA_MAX_BYTES = 20 * 1024 * 1024;
+
+/**
+ * 远程媒体下载：默认超时时间（毫秒）
+ * @type {number}
+ */
+export const DEFAULT_MEDIA_FETCH_TIMEOUT = 15 * 1000;
+
+/**
+ * 远程媒体下载：最多跟随的重定向次数
+ * @type {number}
+ */
+export const MEDIA_MAX_REDIRECTS = 3;
+
+/**
+ * 远程媒体下载：单个请求默认最多包含的 URL 数
+ * @type {number}
+ */
+export const DEFAULT_MEDIA_MAX_URLS = 16;
+
+/**
+ * 远程媒体下载：单个请求默认的总大小上限（字节）
+ * @type {number}
+ */
+export const DEFAULT_MEDIA_MAX_TOTAL_BYTES = 50 * 1024 * 1024;
+
+/**
+ * 远程媒体下载：单个请求默认的并发下载数
+ * @type {number}
+ */
+export const DEFAULT_MEDIA_FETCH_CONCURRENCY = 4;
+
+/**
+ * 远程媒体缓存：有效期（毫秒）
+ * count_tokens 与随后的正式请求、多轮对话重发的历史消息会引用同一批 URL
+ * @type {number}
+ */
+export const MEDIA_CACHE_TTL = 5 * 60 * 1000;
+
+/**
+ * 远程媒体缓存：总大小上限（字节）
+ * @type {number}
+ */
+export const MEDIA_CACHE_MAX_BYTES = 64 * 1024 * 1024;
+
+/**
+ * 图片生成：默认模型（/v1/images 请求的 model 不是生图模型时使用）
+ * @type {string}
+ */
+export const DEFAULT_IMAGE_MODEL = 'gemini-3-pro-image';
+
+/**
+ * 图片生成：单次请求最多生成的图片数（n）
+ * @type {number}
+ */
+export const IMAGE_GENERATION_MAX_N = 4;
+
+/**
+ * 图片生成：上游 imageConfig.aspectRatio 支持的宽高比
+ * @type {string[]}
+ */
+export const IMAGE_ASPECT_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
+
+/**
+ * SD WebUI：单次请求最多生成的图片数（batch_size × n_iter）
+ * @type {number}
+ */
+export const SD_MAX_BATCH_IMAGES = 16;
+
+/**
+ * SD WebUI：批量生成时同时进行的上游请求数
+ * @type {number}
+ */
+export const SD_MAX_PARALLEL = 4;
+
+/**
+ * SD WebUI：还没有完成记录时，预估单张图片的生成时间（毫秒）
+ * @type {number}
+ */
+export const SD_DEFAULT_IMAGE_DURATION = 30 * 1000;
+
 /**
  * 默认最大请求体大小
  * @type {string}
@@ -155,3 +374,18 @@ export const DEFAULT_STOP_SEQUENCES = [
 // 注意：管理员凭据（用户名、密码、JWT密钥）现在由 config.js 自动生成随机值
 // 如果用户未配置，启动时会在控制台显示生成的凭据
 // 不再使用硬编码的默认值，提高安全性
+
+/**
+ * 管理后台角色（按权限从低到高）
+ * viewer：只读（Token 列表、额度、日志、用量）
+ * operator：在 viewer 基础上可添加、启用/禁用、刷新 Token
+ * owner：全部权限（删除、导出/导入 Token，修改配置和官方系统提示词，管理 API Key 和管理员账号）
+ * @type {string[]}
+ */
+export const ADMIN_ROLES = ['viewer', 'operator', 'owner'];
+
+/**
+ * 管理员密码最小长度
+ * @type {number}
+ */
+export const ADMIN_PASSWORD_MIN_LENGTH = 8;
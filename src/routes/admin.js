@@ -1,18 +1,26 @@
 import express from 'express';
-import { generateToken, authMiddleware, verifyToken } from '../auth/jwt.js';
+import { generateToken, authMiddleware, verifyToken, requireRole } from '../auth/jwt.js';
 import tokenManager from '../auth/token_manager.js';
 import geminicliTokenManager from '../auth/geminicli_token_manager.js';
 import quotaManager from '../auth/quota_manager.js';
 import oauthManager from '../auth/oauth_manager.js';
-import config, { getConfigJson, saveConfigJson } from '../config/config.js';
+import apiKeyManager from '../auth/api_key_manager.js';
+import adminUserManager from '../auth/admin_user_manager.js';
+import requestQueue from '../auth/request_queue.js';
+import usageLedger, { GROUP_FIELDS } from '../utils/usageLedger.js';
+import auditLog, { diffObjects, redactSecrets } from '../utils/auditLog.js';
+import configHistory from '../utils/configHistory.js';
+import config, { getConfigJson, saveConfigJson, writeConfigJson } from '../config/config.js';
+import { validateConfig } from '../config/configSchema.js';
 import logger from '../utils/logger.js';
-import memoryManager from '../utils/memoryManager.js';
-import { parseEnvFile, updateEnvFile } from '../utils/envParser.js';
-import { reloadConfig } from '../utils/configReloader.js';
+import { parseEnvFile, updateEnvFile, removeEnvKeys } from '../utils/envParser.js';
+import { reloadConfig, reloadFromFiles, getRestartRequiredKeys } from '../utils/configReloader.js';
 import { deepMerge } from '../utils/deepMerge.js';
 import { getModelsWithQuotas } from '../api/client.js';
 import { getEnvPath } from '../utils/paths.js';
-import dotenv from 'dotenv';
+import { generateTokenId } from '../utils/idGenerator.js';
+import proxyPool from '../utils/proxyPool.js';
+import { MAX_QUERY_RANGE_DAYS } from '../constants/index.js';
 
 const envPath = getEnvPath();
 
@@ -35,7 +43,8 @@ const COOKIE_OPTIONS = {
 };
 
 // 从 Cookie 或 Header 获取 JWT Token 的中间件
-const cookieAuthMiddleware = (req, res, next) => {
+// 角色以当前账号数据为准：账号被删除后 JWT 立即失效，修改角色后立即生效
+const cookieAuthMiddleware = async (req, res, next) => {
   // 优先从 Cookie 获取
   let token = req.cookies?.authToken;
 
@@ -49,11 +58,14 @@ const cookieAuthMiddleware = (req, res, next) => {
     return res.status(401).json({ error: 'Token required' });
   }
 
+  let decoded;
   try {
-    const decoded = verifyToken(token);
-    req.user = decoded;
-    next();
+    decoded = verifyToken(token);
   } catch (error) {
+    decoded = null;
+  }
+  const role = decoded ? await adminUserManager.getRole(decoded.username) : null;
+  if (!role) {
     // 清除无效的 Cookie
     res.clearCookie('authToken', {
       ...COOKIE_OPTIONS,
@@ -61,6 +73,8 @@ const cookieAuthMiddleware = (req, res, next) => {
     });
     return res.status(401).json({ error: 'Invalid token' });
   }
+  req.user = { ...decoded, role };
+  next();
 };
 
 // 登录速率限制 - 防止暴力破解
@@ -140,7 +154,7 @@ function recordLoginAttempt(ip, success) {
 }
 
 // 登录接口
-router.post('/login', (req, res) => {
+router.post('/login', async (req, res) => {
   const clientIP = getClientIP(req);
 
   // 检查速率限制
@@ -165,9 +179,10 @@ router.post('/login', (req, res) => {
     return res.status(400).json({ success: false, message: '输入过长' });
   }
 
-  if (username === config.admin.username && password === config.admin.password) {
+  const user = await adminUserManager.authenticate(username, password);
+  if (user) {
     recordLoginAttempt(clientIP, true);
-    const token = generateToken({ username, role: 'admin' });
+    const token = generateToken({ username, role: user.role });
 
     // 设置 HttpOnly Cookie
     // 动态设置 secure: 如果通过 https 访问 (req.secure) 或在生产环境，则启用 secure
@@ -177,11 +192,11 @@ router.post('/login', (req, res) => {
     });
 
     // 同时返回 token（兼容旧版本前端）
-    logger.info(`管理员登录成功 IP: ${clientIP}`);
-    res.json({ success: true, token });
+    logger.info(`管理员登录成功: ${username} (${user.role}) IP: ${clientIP}`);
+    res.json({ success: true, token, role: user.role });
   } else {
     recordLoginAttempt(clientIP, false);
-    logger.warn(`管理员登录失败 IP: ${clientIP}`);
+    logger.warn(`管理员登录失败: ${username} IP: ${clientIP}`);
     res.status(401).json({ success: false, message: '用户名或密码错误' });
   }
 });
@@ -195,13 +210,97 @@ router.post('/logout', (req, res) => {
   res.json({ success: true, message: '已登出' });
 });
 
-// 验证密码（用于敏感操作）
-function verifyPassword(password) {
-  return password === config.admin.password;
+// 当前登录的管理员和角色
+router.get('/me', cookieAuthMiddleware, (req, res) => {
+  res.json({ success: true, data: { username: req.user.username, role: req.user.role } });
+});
+
+// 修改自己的密码（内置管理员请修改 .env）
+router.put('/me/password', cookieAuthMiddleware, async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  try {
+    if (!currentPassword || !(await verifyPassword(req, currentPassword))) {
+      audit(req, 'users.password', { target: req.user.username, status: 'denied', error: '当前密码错误' });
+      return res.status(403).json({ success: false, message: '当前密码错误' });
+    }
+    await adminUserManager.update(req.user.username, { password: newPassword });
+    audit(req, 'users.password', { target: req.user.username });
+    res.json({ success: true, message: '密码已修改' });
+  } catch (error) {
+    logger.error('修改密码失败:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+});
+
+// 验证当前登录管理员的密码（用于敏感操作）
+async function verifyPassword(req, password) {
+  return !!(await adminUserManager.authenticate(req.user.username, password));
+}
+
+// ==================== 审计日志 ====================
+
+/**
+ * 记录一次管理操作（操作人取自 JWT，before/after 中的敏感字段由 auditLog 脱敏）
+ * @param {Request} req - Express请求对象
+ * @param {string} action - 操作类型，如 tokens.add、config.update
+ * @param {{target?: string|null, status?: 'success'|'failure'|'denied', before?: Object|null, after?: Object|null, details?: Object, error?: string}} [fields]
+ */
+function audit(req, action, { status = 'success', ...fields } = {}) {
+  auditLog.record({
+    actor: req.user?.username || null,
+    ip: getClientIP(req),
+    method: req.method,
+    route: req.originalUrl.split('?')[0],
+    action,
+    status,
+    ...fields
+  });
+}
+
+// 账号管理器返回 { success, message }，失败时不抛异常
+function resultStatus(result) {
+  return result?.success === false ? 'failure' : 'success';
+}
+
+async function getTokenIdFor(manager, refreshToken) {
+  return generateTokenId(refreshToken, await manager.store.getSalt());
+}
+
+// 配置快照：.env 与 config.json（密钥类字段由审计日志脱敏）
+function configSnapshot() {
+  return { env: parseEnvFile(envPath), json: getConfigJson() };
+}
+
+// 热重载后的提示：附上仍需重启才能生效的配置
+function describeReload(message, { restartRequired }) {
+  return restartRequired.length > 0 ? `${message}，${restartRequired.join('、')} 需重启后生效` : message;
+}
+
+// 是否修改了官方系统提示词（正规化换行符后再比较，避免 \r\n 和 \n 不一致导致误判）
+function officialPromptChanged(envUpdates) {
+  if (!envUpdates || envUpdates.OFFICIAL_SYSTEM_PROMPT === undefined) return false;
+  const normalizeNewlines = (str) => (str || '').replace(/\r\n/g, '\n').replace(/\r/g, '\n').trim();
+  const currentEnv = parseEnvFile(envPath);
+  return normalizeNewlines(envUpdates.OFFICIAL_SYSTEM_PROMPT) !== normalizeNewlines(currentEnv.OFFICIAL_SYSTEM_PROMPT);
+}
+
+// 配置校验失败的响应
+function rejectInvalidConfig(req, res, action, errors) {
+  const message = `配置校验失败: ${errors.join('; ')}`;
+  audit(req, action, { status: 'failure', error: message });
+  return res.status(400).json({ success: false, message, errors });
+}
+
+// API Key 快照（不含用量统计）
+function apiKeySnapshot(id) {
+  const entry = apiKeyManager.list().find(k => k.id === id);
+  if (!entry) return null;
+  const { usage, lastUsedAt, ...rest } = entry;
+  return rest;
 }
 
 // Token管理API - 需要JWT认证（使用 Cookie 优先）
-router.get('/tokens', cookieAuthMiddleware, async (req, res) => {
+router.get('/tokens', cookieAuthMiddleware, requireRole('viewer'), async (req, res) => {
   try {
     const tokens = await tokenManager.getTokenList();
     res.json({ success: true, data: tokens });
@@ -211,7 +310,7 @@ router.get('/tokens', cookieAuthMiddleware, async (req, res) => {
   }
 });
 
-router.post('/tokens', cookieAuthMiddleware, async (req, res) => {
+router.post('/tokens', cookieAuthMiddleware, requireRole('operator'), async (req, res) => {
   const { access_token, refresh_token, expires_in, timestamp, enable, projectId, email } = req.body;
   if (!access_token || !refresh_token) {
     return res.status(400).json({ success: false, message: 'access_token和refresh_token必填' });
@@ -225,15 +324,22 @@ router.post('/tokens', cookieAuthMiddleware, async (req, res) => {
   try {
     const result = await tokenManager.addToken(tokenData);
     logger.info(`添加新Token: ${access_token.substring(0, 8)}...`);
+    audit(req, 'tokens.add', {
+      target: await getTokenIdFor(tokenManager, refresh_token),
+      status: resultStatus(result),
+      after: tokenData,
+      error: result.success === false ? result.message : null
+    });
     res.json(result);
   } catch (error) {
     logger.error('添加Token失败:', error.message);
+    audit(req, 'tokens.add', { status: 'failure', error: error.message });
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
 // 使用 tokenId 替代 refreshToken
-router.put('/tokens/:tokenId', cookieAuthMiddleware, async (req, res) => {
+router.put('/tokens/:tokenId', cookieAuthMiddleware, requireRole('operator'), async (req, res) => {
   const { tokenId } = req.params;
   const updates = req.body;
 
@@ -241,29 +347,53 @@ router.put('/tokens/:tokenId', cookieAuthMiddleware, async (req, res) => {
   delete updates.access_token;
   delete updates.refresh_token;
 
+  // proxy：绑定的代理名称，空值表示按代理池分配规则选择
+  if (updates.proxy === '') updates.proxy = null;
+  if (updates.proxy !== undefined && updates.proxy !== null && !proxyPool.has(updates.proxy)) {
+    return res.status(400).json({ success: false, message: `代理池中没有名为 ${updates.proxy} 的代理` });
+  }
+
   try {
+    const before = await tokenManager.findTokenById(tokenId);
     const result = await tokenManager.updateTokenById(tokenId, updates);
     logger.info(`更新Token: ${tokenId}`);
+    audit(req, 'tokens.update', {
+      target: tokenId,
+      status: resultStatus(result),
+      before,
+      after: await tokenManager.findTokenById(tokenId),
+      error: result.success === false ? result.message : null
+    });
     res.json(result);
   } catch (error) {
     logger.error('更新Token失败:', error.message);
+    audit(req, 'tokens.update', { target: tokenId, status: 'failure', error: error.message });
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
-router.delete('/tokens/:tokenId', cookieAuthMiddleware, async (req, res) => {
+router.delete('/tokens/:tokenId', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
   const { tokenId } = req.params;
   try {
+    const before = await tokenManager.findTokenById(tokenId);
     const result = await tokenManager.deleteTokenById(tokenId);
     logger.info(`删除Token: ${tokenId}`);
+    audit(req, 'tokens.delete', {
+      target: tokenId,
+      status: resultStatus(result),
+      before,
+      after: result.success === false ? before : null,
+      error: result.success === false ? result.message : null
+    });
     res.json(result);
   } catch (error) {
     logger.error('删除Token失败:', error.message);
+    audit(req, 'tokens.delete', { target: tokenId, status: 'failure', error: error.message });
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
-router.post('/tokens/reload', cookieAuthMiddleware, async (req, res) => {
+router.post('/tokens/reload', cookieAuthMiddleware, requireRole('operator'), async (req, res) => {
   try {
     await tokenManager.reload();
     logger.info('手动触发Token热重载');
@@ -275,7 +405,7 @@ router.post('/tokens/reload', cookieAuthMiddleware, async (req, res) => {
 });
 
 // 刷新指定Token的access_token（使用 tokenId）
-router.post('/tokens/:tokenId/refresh', cookieAuthMiddleware, async (req, res) => {
+router.post('/tokens/:tokenId/refresh', cookieAuthMiddleware, requireRole('operator'), async (req, res) => {
   const { tokenId } = req.params;
   try {
     const result = await tokenManager.refreshTokenById(tokenId);
@@ -289,7 +419,7 @@ router.post('/tokens/:tokenId/refresh', cookieAuthMiddleware, async (req, res) =
 });
 
 // 手动获取指定Token的Project ID（使用 tokenId）
-router.post('/tokens/:tokenId/fetch-project-id', cookieAuthMiddleware, async (req, res) => {
+router.post('/tokens/:tokenId/fetch-project-id', cookieAuthMiddleware, requireRole('operator'), async (req, res) => {
   const { tokenId } = req.params;
   try {
     const result = await tokenManager.fetchProjectIdForToken(tokenId);
@@ -303,15 +433,17 @@ router.post('/tokens/:tokenId/fetch-project-id', cookieAuthMiddleware, async (re
 });
 
 // 导出所有 Token（需要密码验证）
-router.post('/tokens/export', cookieAuthMiddleware, async (req, res) => {
+router.post('/tokens/export', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
   const { password } = req.body;
 
-  if (!password || !verifyPassword(password)) {
+  if (!password || !(await verifyPassword(req, password))) {
+    audit(req, 'tokens.export', { status: 'denied', error: '密码验证失败' });
     return res.status(403).json({ success: false, message: '密码验证失败' });
   }
 
   try {
     const allTokens = await tokenManager.store.readAll();
+    audit(req, 'tokens.export', { details: { count: allTokens.length } });
 
     // 导出格式：包含完整的 token 数据
     logger.info('导出所有Token数据');
@@ -333,6 +465,7 @@ router.post('/tokens/export', cookieAuthMiddleware, async (req, res) => {
     res.json({ success: true, data: exportData });
   } catch (error) {
     logger.error('导出Token失败:', error.message);
+    audit(req, 'tokens.export', { status: 'failure', error: error.message });
     res.status(500).json({ success: false, message: error.message });
   }
 });
@@ -484,10 +617,11 @@ function smartParseGeminiCliToken(rawToken) {
 }
 
 // 导入 Token（需要密码验证，支持智能字段映射）
-router.post('/tokens/import', cookieAuthMiddleware, async (req, res) => {
+router.post('/tokens/import', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
   const { password, data, mode = 'merge' } = req.body;
 
-  if (!password || !verifyPassword(password)) {
+  if (!password || !(await verifyPassword(req, password))) {
+    audit(req, 'tokens.import', { status: 'denied', error: '密码验证失败' });
     return res.status(403).json({ success: false, message: '密码验证失败' });
   }
 
@@ -542,6 +676,9 @@ router.post('/tokens/import', cookieAuthMiddleware, async (req, res) => {
     await tokenManager.reload();
 
     logger.info(`导入Token: 新增 ${addedCount}, 更新 ${updatedCount}, 跳过 ${skippedCount}`);
+    audit(req, 'tokens.import', {
+      details: { mode, added: addedCount, updated: updatedCount, skipped: skippedCount }
+    });
     res.json({
       success: true,
       message: `导入完成：新增 ${addedCount} 个，更新 ${updatedCount} 个，跳过 ${skippedCount} 个`,
@@ -549,11 +686,12 @@ router.post('/tokens/import', cookieAuthMiddleware, async (req, res) => {
     });
   } catch (error) {
     logger.error('导入Token失败:', error.message);
+    audit(req, 'tokens.import', { status: 'failure', details: { mode }, error: error.message });
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
-router.post('/oauth/exchange', cookieAuthMiddleware, async (req, res) => {
+router.post('/oauth/exchange', cookieAuthMiddleware, requireRole('operator'), async (req, res) => {
   const { code, port, mode = 'antigravity' } = req.body;
   if (!code || !port) {
     return res.status(400).json({ success: false, message: 'code和port必填' });
@@ -579,12 +717,12 @@ router.post('/oauth/exchange', cookieAuthMiddleware, async (req, res) => {
 });
 
 // 获取配置
-router.get('/config', cookieAuthMiddleware, (req, res) => {
+router.get('/config', cookieAuthMiddleware, requireRole('owner'), (req, res) => {
   try {
     const envData = parseEnvFile(envPath);
     const jsonData = getConfigJson();
 
-    res.json({ success: true, data: { env: envData, json: jsonData } });
+    res.json({ success: true, data: { env: envData, json: jsonData, restartRequired: getRestartRequiredKeys() } });
   } catch (error) {
     logger.error('读取配置失败:', error.message);
     res.status(500).json({ success: false, message: error.message });
@@ -592,49 +730,172 @@ router.get('/config', cookieAuthMiddleware, (req, res) => {
 });
 
 // 更新配置
-router.put('/config', cookieAuthMiddleware, (req, res) => {
+router.put('/config', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
   try {
     const { env: envUpdates, json: jsonUpdates, password } = req.body;
 
+    // 先校验再写入，避免错误的字段名或取值导致服务异常
+    const errors = validateConfig({ env: envUpdates, json: jsonUpdates });
+    if (errors.length > 0) {
+      return rejectInvalidConfig(req, res, 'config.update', errors);
+    }
+
     // 安全检查：如果修改了官方系统提示词，必须验证密码
-    if (envUpdates && envUpdates.OFFICIAL_SYSTEM_PROMPT !== undefined) {
-      const currentEnv = parseEnvFile(envPath);
-      // 正规化换行符后再比较（避免 \r\n 和 \n 不一致导致误判）
-      const normalizeNewlines = (str) => (str || '').replace(/\r\n/g, '\n').replace(/\r/g, '\n').trim();
-      const newValue = normalizeNewlines(envUpdates.OFFICIAL_SYSTEM_PROMPT);
-      const oldValue = normalizeNewlines(currentEnv.OFFICIAL_SYSTEM_PROMPT);
-
-      // 只有当值真正改变时才检查
-      if (newValue !== oldValue) {
-        if (!password || !verifyPassword(password)) {
-          logger.warn(`尝试修改官方系统提示词但密码验证失败 IP: ${getClientIP(req)}`);
-          return res.status(403).json({
-            success: false,
-            message: '修改官方系统提示词需要验证管理员密码'
-          });
-        }
+    if (officialPromptChanged(envUpdates)) {
+      if (!password || !(await verifyPassword(req, password))) {
+        logger.warn(`尝试修改官方系统提示词但密码验证失败 IP: ${getClientIP(req)}`);
+        audit(req, 'config.update', { status: 'denied', error: '修改官方系统提示词需要验证管理员密码' });
+        return res.status(403).json({
+          success: false,
+          message: '修改官方系统提示词需要验证管理员密码'
+        });
       }
     }
 
+    const before = configSnapshot();
     if (envUpdates) updateEnvFile(envPath, envUpdates);
     if (jsonUpdates) saveConfigJson(deepMerge(getConfigJson(), jsonUpdates));
+    const after = configSnapshot();
+    audit(req, 'config.update', { before, after });
+    await configHistory.record(before, after, { author: req.user.username, action: 'update' });
 
-    dotenv.config({ override: true });
-    reloadConfig();
-
-    // 应用可热更新的运行时配置
-    memoryManager.setCleanupInterval(config.server.memoryCleanupInterval);
+    const reloaded = reloadFromFiles();
 
     logger.info('系统配置已更新并热重载');
-    res.json({ success: true, message: '配置已保存并生效（端口/HOST修改需重启）' });
+    res.json({
+      success: true,
+      message: describeReload('配置已保存并生效', reloaded),
+      data: reloaded
+    });
   } catch (error) {
     logger.error('更新配置失败:', error.message);
+    audit(req, 'config.update', { status: 'failure', error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ==================== 配置历史 ====================
+
+// 版本列表（最新的在前）
+router.get('/config/history', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
+  try {
+    res.json({ success: true, data: await configHistory.list() });
+  } catch (error) {
+    logger.error('获取配置历史失败:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// 单个版本的配置（密钥类字段脱敏）
+router.get('/config/history/:id', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
+  try {
+    const revision = await configHistory.get(Number(req.params.id));
+    if (!revision) {
+      return res.status(404).json({ success: false, message: '版本不存在' });
+    }
+    const { snapshot, ...meta } = revision;
+    res.json({ success: true, data: { ...meta, snapshot: redactSecrets(snapshot) } });
+  } catch (error) {
+    logger.error('获取配置版本失败:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// 版本差异：against 为 previous（默认，该版本修改了什么）、current（回滚会修改什么）或另一个版本号
+router.get('/config/history/:id/diff', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
+  try {
+    const revision = await configHistory.get(Number(req.params.id));
+    if (!revision) {
+      return res.status(404).json({ success: false, message: '版本不存在' });
+    }
+
+    const against = req.query.against || 'previous';
+    let base;
+    if (against === 'previous') {
+      base = (await configHistory.getPrevious(revision.id))?.snapshot ?? null;
+    } else if (against === 'current') {
+      base = configSnapshot();
+    } else {
+      const other = await configHistory.get(Number(against));
+      if (!other) {
+        return res.status(404).json({ success: false, message: `版本 ${against} 不存在` });
+      }
+      base = other.snapshot;
+    }
+
+    res.json({ success: true, data: { id: revision.id, against, changes: diffObjects(base, revision.snapshot) } });
+  } catch (error) {
+    logger.error('获取配置差异失败:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// 回滚时不删除的 .env 键：删除后会重新生成随机的管理员凭据
+const ROLLBACK_KEEP_ENV_KEYS = ['ADMIN_USERNAME', 'ADMIN_PASSWORD', 'JWT_SECRET'];
+
+// 回滚到指定版本：整体恢复 config.json 和 .env（快照之后新增的 .env 键删除），并热重载
+router.post('/config/history/:id/rollback', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const revision = await configHistory.get(id);
+    if (!revision) {
+      return res.status(404).json({ success: false, message: '版本不存在' });
+    }
+
+    const { env: targetEnv = {}, json: targetJson = {} } = revision.snapshot;
+    const errors = validateConfig({ env: targetEnv, json: targetJson });
+    if (errors.length > 0) {
+      return rejectInvalidConfig(req, res, 'config.rollback', errors);
+    }
+
+    const currentEnv = parseEnvFile(envPath);
+    const envUpdates = Object.fromEntries(
+      Object.entries(targetEnv).filter(([key, value]) => currentEnv[key] !== value)
+    );
+    const envRemovals = Object.keys(currentEnv)
+      .filter(key => !(key in targetEnv) && !ROLLBACK_KEEP_ENV_KEYS.includes(key));
+
+    // 回滚同样会修改官方系统提示词时，需要验证密码
+    if (officialPromptChanged(envUpdates) || envRemovals.includes('OFFICIAL_SYSTEM_PROMPT')) {
+      const { password } = req.body || {};
+      if (!password || !(await verifyPassword(req, password))) {
+        audit(req, 'config.rollback', { target: String(id), status: 'denied', error: '修改官方系统提示词需要验证管理员密码' });
+        return res.status(403).json({
+          success: false,
+          message: '该版本的官方系统提示词与当前不同，需要验证管理员密码'
+        });
+      }
+    }
+
+    const before = configSnapshot();
+    if (Object.keys(envUpdates).length > 0) updateEnvFile(envPath, envUpdates);
+    if (envRemovals.length > 0) {
+      removeEnvKeys(envPath, envRemovals);
+      // dotenv 重新加载不会清除已删除的键
+      envRemovals.forEach(key => delete process.env[key]);
+    }
+    writeConfigJson(targetJson);
+    const after = configSnapshot();
+    const created = await configHistory.record(before, after, { author: req.user.username, action: 'rollback', rolledBackFrom: id });
+    audit(req, 'config.rollback', { target: String(id), before, after });
+
+    const reloaded = reloadFromFiles();
+
+    logger.info(`配置已回滚到版本 #${id}`);
+    res.json({
+      success: true,
+      message: describeReload(`已回滚到版本 #${id}`, reloaded),
+      data: { revision: created?.id ?? null, changes: diffObjects(before, after), restartRequired: reloaded.restartRequired }
+    });
+  } catch (error) {
+    logger.error('回滚配置失败:', error.message);
+    audit(req, 'config.rollback', { target: String(id), status: 'failure', error: error.message });
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
 // 获取轮询策略配置
-router.get('/rotation', cookieAuthMiddleware, (req, res) => {
+router.get('/rotation', cookieAuthMiddleware, requireRole('viewer'), (req, res) => {
   try {
     const rotationConfig = tokenManager.getRotationConfig();
     res.json({ success: true, data: rotationConfig });
@@ -645,12 +906,12 @@ router.get('/rotation', cookieAuthMiddleware, (req, res) => {
 });
 
 // 更新轮询策略配置
-router.put('/rotation', cookieAuthMiddleware, (req, res) => {
+router.put('/rotation', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
   try {
     const { strategy, requestCount } = req.body;
 
     // 验证策略值
-    const validStrategies = ['round_robin', 'quota_exhausted', 'request_count'];
+    const validStrategies = ['round_robin', 'quota_exhausted', 'request_count', 'weighted_health', 'quota_aware'];
     if (strategy && !validStrategies.includes(strategy)) {
       return res.status(400).json({
         success: false,
@@ -658,8 +919,8 @@ router.put('/rotation', cookieAuthMiddleware, (req, res) => {
       });
     }
 
-    // 更新内存中的配置
-    tokenManager.updateRotationConfig(strategy, requestCount);
+    const before = tokenManager.getRotationConfig();
+    const configBefore = configSnapshot();
 
     // 保存到config.json
     const currentConfig = getConfigJson();
@@ -667,14 +928,58 @@ router.put('/rotation', cookieAuthMiddleware, (req, res) => {
     if (strategy) currentConfig.rotation.strategy = strategy;
     if (requestCount) currentConfig.rotation.requestCount = requestCount;
     saveConfigJson(currentConfig);
+    await configHistory.record(configBefore, configSnapshot(), { author: req.user.username, action: 'rotation' });
 
-    // 重载配置到内存
+    // 重载配置，轮询策略通过配置变更订阅生效
     reloadConfig();
 
     logger.info(`轮询策略已更新: ${strategy || '未变'}, 请求次数: ${requestCount || '未变'}`);
+    audit(req, 'rotation.update', { before, after: tokenManager.getRotationConfig() });
     res.json({ success: true, message: '轮询策略已更新', data: tokenManager.getRotationConfig() });
   } catch (error) {
     logger.error('更新轮询配置失败:', error.message);
+    audit(req, 'rotation.update', { status: 'failure', error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// 获取请求队列状态（排队数、进行中请求数、各账号并发）
+router.get('/queue', cookieAuthMiddleware, requireRole('viewer'), async (req, res) => {
+  try {
+    const { accounts, ...stats } = requestQueue.getStats();
+    const salt = await tokenManager.getSalt();
+    const perAccount = [];
+    for (const [refreshToken, inFlight] of accounts) {
+      perAccount.push({ id: generateTokenId(refreshToken, salt), inFlight });
+    }
+    res.json({ success: true, data: { ...stats, accounts: perAccount } });
+  } catch (error) {
+    logger.error('获取队列状态失败:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ==================== 代理池 ====================
+
+// 获取代理池状态（健康检查结果、每个代理分配的账号数）
+router.get('/proxies', cookieAuthMiddleware, requireRole('viewer'), async (req, res) => {
+  try {
+    const accounts = await tokenManager.getTokenList();
+    res.json({ success: true, data: proxyPool.getStatus(accounts) });
+  } catch (error) {
+    logger.error('获取代理池状态失败:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// 立即检查所有代理
+router.post('/proxies/check', cookieAuthMiddleware, requireRole('operator'), async (req, res) => {
+  try {
+    await proxyPool.checkAll();
+    const accounts = await tokenManager.getTokenList();
+    res.json({ success: true, message: '代理检查完成', data: proxyPool.getStatus(accounts) });
+  } catch (error) {
+    logger.error('检查代理失败:', error.message);
     res.status(500).json({ success: false, message: error.message });
   }
 });
@@ -682,7 +987,7 @@ router.put('/rotation', cookieAuthMiddleware, (req, res) => {
 // ==================== 日志管理 API ====================
 
 // 获取日志列表
-router.get('/logs', cookieAuthMiddleware, (req, res) => {
+router.get('/logs', cookieAuthMiddleware, requireRole('viewer'), (req, res) => {
   try {
     const { level, search, limit, offset } = req.query;
     const options = {
@@ -701,7 +1006,7 @@ router.get('/logs', cookieAuthMiddleware, (req, res) => {
 });
 
 // 获取日志统计
-router.get('/logs/stats', cookieAuthMiddleware, (req, res) => {
+router.get('/logs/stats', cookieAuthMiddleware, requireRole('viewer'), (req, res) => {
   try {
     const stats = logger.getLogStats();
     res.json({ success: true, data: stats });
@@ -712,10 +1017,11 @@ router.get('/logs/stats', cookieAuthMiddleware, (req, res) => {
 });
 
 // 清空日志
-router.delete('/logs', cookieAuthMiddleware, (req, res) => {
+router.delete('/logs', cookieAuthMiddleware, requireRole('owner'), (req, res) => {
   try {
     logger.clearLogs();
     logger.info('日志已清空');
+    audit(req, 'logs.clear');
     res.json({ success: true, message: '日志已清空' });
   } catch (error) {
     logger.error('清空日志失败:', error.message);
@@ -723,12 +1029,263 @@ router.delete('/logs', cookieAuthMiddleware, (req, res) => {
   }
 });
 
+// ==================== API Key 管理 API ====================
+
+// 获取 API Key 列表（Key 以掩码显示）
+router.get('/api-keys', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
+  try {
+    await apiKeyManager.init();
+    res.json({ success: true, data: apiKeyManager.list() });
+  } catch (error) {
+    logger.error('获取 API Key 列表失败:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// 创建 API Key（仅在创建时返回完整 Key）
+router.post('/api-keys', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
+  try {
+    const data = await apiKeyManager.create(req.body || {});
+    audit(req, 'apiKeys.create', { target: data.id, after: apiKeySnapshot(data.id) });
+    res.json({ success: true, message: 'API Key 已创建，请妥善保存', data });
+  } catch (error) {
+    logger.error('创建 API Key 失败:', error.message);
+    audit(req, 'apiKeys.create', { status: 'failure', error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// 更新 API Key（label / allowedModels / 每日预算 / priority / expiresAt / enabled）
+router.put('/api-keys/:id', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
+  try {
+    await apiKeyManager.init();
+    const before = apiKeySnapshot(req.params.id);
+    const data = await apiKeyManager.update(req.params.id, req.body || {});
+    if (!data) {
+      return res.status(404).json({ success: false, message: 'API Key 不存在' });
+    }
+    audit(req, 'apiKeys.update', { target: req.params.id, before, after: apiKeySnapshot(req.params.id) });
+    res.json({ success: true, message: 'API Key 已更新', data });
+  } catch (error) {
+    logger.error('更新 API Key 失败:', error.message);
+    audit(req, 'apiKeys.update', { target: req.params.id, status: 'failure', error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// 删除 API Key
+router.delete('/api-keys/:id', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
+  try {
+    await apiKeyManager.init();
+    const before = apiKeySnapshot(req.params.id);
+    const removed = await apiKeyManager.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'API Key 不存在' });
+    }
+    audit(req, 'apiKeys.delete', { target: req.params.id, before, after: null });
+    res.json({ success: true, message: 'API Key 已删除' });
+  } catch (error) {
+    logger.error('删除 API Key 失败:', error.message);
+    audit(req, 'apiKeys.delete', { target: req.params.id, status: 'failure', error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ==================== 管理员账号 API ====================
+
+// 获取管理员列表（含 .env 中的内置 owner）
+router.get('/users', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
+  try {
+    res.json({ success: true, data: await adminUserManager.list() });
+  } catch (error) {
+    logger.error('获取管理员列表失败:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// 添加管理员（username / password / role）
+router.post('/users', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
+  try {
+    const data = await adminUserManager.create(req.body || {});
+    audit(req, 'users.create', { target: data.username, after: data });
+    res.json({ success: true, message: '管理员已添加', data });
+  } catch (error) {
+    logger.error('添加管理员失败:', error.message);
+    audit(req, 'users.create', { target: req.body?.username, status: 'failure', error: error.message });
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+});
+
+// 修改管理员角色或重置密码
+router.put('/users/:username', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
+  const { username } = req.params;
+  const { role, password } = req.body || {};
+  try {
+    const before = (await adminUserManager.list()).find(u => u.username === username) || null;
+    const data = await adminUserManager.update(username, { role, password });
+    if (!data) {
+      return res.status(404).json({ success: false, message: '管理员不存在' });
+    }
+    audit(req, 'users.update', {
+      target: username,
+      before,
+      after: data,
+      details: password !== undefined ? { passwordReset: true } : null
+    });
+    res.json({ success: true, message: '管理员已更新', data });
+  } catch (error) {
+    logger.error('更新管理员失败:', error.message);
+    audit(req, 'users.update', { target: username, status: 'failure', error: error.message });
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+});
+
+// 删除管理员（已签发的登录凭据随之失效）
+router.delete('/users/:username', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
+  const { username } = req.params;
+  try {
+    const before = (await adminUserManager.list()).find(u => u.username === username) || null;
+    const removed = await adminUserManager.remove(username);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: '管理员不存在' });
+    }
+    audit(req, 'users.delete', { target: username, before, after: null });
+    res.json({ success: true, message: '管理员已删除' });
+  } catch (error) {
+    logger.error('删除管理员失败:', error.message);
+    audit(req, 'users.delete', { target: username, status: 'failure', error: error.message });
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+});
+
+// ==================== 用量统计 API ====================
+
+/**
+ * 解析查询时间范围（from/to 支持毫秒时间戳或日期字符串，默认最近 24 小时）
+ * 跨度不能超过 MAX_QUERY_RANGE_DAYS 天
+ * @param {Object} query
+ * @param {number} [defaultSpan] - 未指定 from 时的默认跨度（毫秒）
+ * @returns {{from: number, to: number}|{error: string}}
+ */
+function parseTimeRange(query, defaultSpan = 24 * 60 * 60 * 1000) {
+  const parseTime = (value, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    const ts = /^\d+$/.test(value) ? Number(value) : new Date(value).getTime();
+    return Number.isFinite(ts) ? ts : NaN;
+  };
+  const to = parseTime(query.to, Date.now());
+  const from = parseTime(query.from, to - defaultSpan);
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) return { error: '无效的时间范围' };
+  if (to - from > MAX_QUERY_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `时间范围不能超过 ${MAX_QUERY_RANGE_DAYS} 天` };
+  }
+  return { from, to };
+}
+
+// 获取聚合用量（按 hour/day 分桶，按 account/model/apiKey/route/status 分组）
+router.get('/usage', cookieAuthMiddleware, requireRole('viewer'), async (req, res) => {
+  try {
+    const range = parseTimeRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, message: range.error });
+    }
+    const bucket = req.query.bucket || 'hour';
+    const groupBy = req.query.groupBy || 'model';
+    if (!['hour', 'day'].includes(bucket)) {
+      return res.status(400).json({ success: false, message: '无效的 bucket，可选值: hour, day' });
+    }
+    if (!(groupBy in GROUP_FIELDS)) {
+      return res.status(400).json({
+        success: false,
+        message: `无效的 groupBy，可选值: ${Object.keys(GROUP_FIELDS).join(', ')}`
+      });
+    }
+
+    const records = await usageLedger.query(range.from, range.to);
+    res.json({
+      success: true,
+      data: {
+        from: range.from,
+        to: range.to,
+        bucket,
+        groupBy,
+        totals: usageLedger.summarize(records),
+        items: usageLedger.aggregate(records, { bucket, groupBy })
+      }
+    });
+  } catch (error) {
+    logger.error('获取用量统计失败:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// 获取原始用量记录（最新的在前）
+router.get('/usage/records', cookieAuthMiddleware, requireRole('viewer'), async (req, res) => {
+  try {
+    const range = parseTimeRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, message: range.error });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const records = (await usageLedger.query(range.from, range.to)).reverse();
+    res.json({
+      success: true,
+      data: { total: records.length, records: records.slice(offset, offset + limit) }
+    });
+  } catch (error) {
+    logger.error('获取用量记录失败:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// 导出用量记录为 CSV
+router.get('/usage/export', cookieAuthMiddleware, requireRole('viewer'), async (req, res) => {
+  try {
+    const range = parseTimeRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, message: range.error });
+    }
+    const records = await usageLedger.query(range.from, range.to);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="usage-${range.from}-${range.to}.csv"`);
+    res.send(usageLedger.toCsv(records));
+  } catch (error) {
+    logger.error('导出用量记录失败:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ==================== 审计日志 API ====================
+
+// 查询管理操作审计日志（最新的在前，默认最近 7 天）
+// 支持按 action（前缀匹配）、actor、status 筛选，search 匹配 IP、路由、目标和差异内容
+router.get('/audit', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
+  try {
+    const range = parseTimeRange(req.query, 7 * 24 * 60 * 60 * 1000);
+    if (range.error) {
+      return res.status(400).json({ success: false, message: range.error });
+    }
+    const { action, actor, status, search } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const records = await auditLog.query(range.from, range.to, { action, actor, status, search });
+    res.json({
+      success: true,
+      data: { from: range.from, to: range.to, total: records.length, records: records.slice(offset, offset + limit) }
+    });
+  } catch (error) {
+    logger.error('获取审计日志失败:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // ==================== Token 额度 API ====================
 
 // ==================== Gemini CLI Token 管理 API ====================
 
 // 获取 Gemini CLI Token 列表
-router.get('/geminicli/tokens', cookieAuthMiddleware, async (req, res) => {
+router.get('/geminicli/tokens', cookieAuthMiddleware, requireRole('viewer'), async (req, res) => {
   try {
     const tokens = await geminicliTokenManager.getTokenList();
     res.json({ success: true, data: tokens });
@@ -739,7 +1296,7 @@ router.get('/geminicli/tokens', cookieAuthMiddleware, async (req, res) => {
 });
 
 // 添加 Gemini CLI Token
-router.post('/geminicli/tokens', cookieAuthMiddleware, async (req, res) => {
+router.post('/geminicli/tokens', cookieAuthMiddleware, requireRole('operator'), async (req, res) => {
   const { access_token, refresh_token, expires_in, timestamp, enable, email } = req.body;
   if (!access_token || !refresh_token) {
     return res.status(400).json({ success: false, message: 'access_token和refresh_token必填' });
@@ -752,15 +1309,22 @@ router.post('/geminicli/tokens', cookieAuthMiddleware, async (req, res) => {
   try {
     const result = await geminicliTokenManager.addToken(tokenData);
     logger.info(`[GeminiCLI] 添加新Token: ${access_token.substring(0, 8)}...`);
+    audit(req, 'geminicli.tokens.add', {
+      target: await getTokenIdFor(geminicliTokenManager, refresh_token),
+      status: resultStatus(result),
+      after: tokenData,
+      error: result.success === false ? result.message : null
+    });
     res.json(result);
   } catch (error) {
     logger.error('[GeminiCLI] 添加Token失败:', error.message);
+    audit(req, 'geminicli.tokens.add', { status: 'failure', error: error.message });
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
 // 更新 Gemini CLI Token
-router.put('/geminicli/tokens/:tokenId', cookieAuthMiddleware, async (req, res) => {
+router.put('/geminicli/tokens/:tokenId', cookieAuthMiddleware, requireRole('operator'), async (req, res) => {
   const { tokenId } = req.params;
   const updates = req.body;
 
@@ -769,30 +1333,48 @@ router.put('/geminicli/tokens/:tokenId', cookieAuthMiddleware, async (req, res)
   delete updates.refresh_token;
 
   try {
+    const before = await geminicliTokenManager.findTokenById(tokenId);
     const result = await geminicliTokenManager.updateTokenById(tokenId, updates);
     logger.info(`[GeminiCLI] 更新Token: ${tokenId}`);
+    audit(req, 'geminicli.tokens.update', {
+      target: tokenId,
+      status: resultStatus(result),
+      before,
+      after: await geminicliTokenManager.findTokenById(tokenId),
+      error: result.success === false ? result.message : null
+    });
     res.json(result);
   } catch (error) {
     logger.error('[GeminiCLI] 更新Token失败:', error.message);
+    audit(req, 'geminicli.tokens.update', { target: tokenId, status: 'failure', error: error.message });
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
 // 删除 Gemini CLI Token
-router.delete('/geminicli/tokens/:tokenId', cookieAuthMiddleware, async (req, res) => {
+router.delete('/geminicli/tokens/:tokenId', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
   const { tokenId } = req.params;
   try {
+    const before = await geminicliTokenManager.findTokenById(tokenId);
     const result = await geminicliTokenManager.deleteTokenById(tokenId);
     logger.info(`[GeminiCLI] 删除Token: ${tokenId}`);
+    audit(req, 'geminicli.tokens.delete', {
+      target: tokenId,
+      status: resultStatus(result),
+      before,
+      after: result.success === false ? before : null,
+      error: result.success === false ? result.message : null
+    });
     res.json(result);
   } catch (error) {
     logger.error('[GeminiCLI] 删除Token失败:', error.message);
+    audit(req, 'geminicli.tokens.delete', { target: tokenId, status: 'failure', error: error.message });
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
 // 热重载 Gemini CLI Token
-router.post('/geminicli/tokens/reload', cookieAuthMiddleware, async (req, res) => {
+router.post('/geminicli/tokens/reload', cookieAuthMiddleware, requireRole('operator'), async (req, res) => {
   try {
     await geminicliTokenManager.reload();
     logger.info('[GeminiCLI] 手动触发Token热重载');
@@ -804,7 +1386,7 @@ router.post('/geminicli/tokens/reload', cookieAuthMiddleware, async (req, res) =
 });
 
 // 刷新指定 Gemini CLI Token
-router.post('/geminicli/tokens/:tokenId/refresh', cookieAuthMiddleware, async (req, res) => {
+router.post('/geminicli/tokens/:tokenId/refresh', cookieAuthMiddleware, requireRole('operator'), async (req, res) => {
   const { tokenId } = req.params;
   try {
     const result = await geminicliTokenManager.refreshTokenById(tokenId);
@@ -818,7 +1400,7 @@ router.post('/geminicli/tokens/:tokenId/refresh', cookieAuthMiddleware, async (r
 });
 
 // 手动获取指定 Gemini CLI Token 的 Project ID
-router.post('/geminicli/tokens/:tokenId/fetch-project-id', cookieAuthMiddleware, async (req, res) => {
+router.post('/geminicli/tokens/:tokenId/fetch-project-id', cookieAuthMiddleware, requireRole('operator'), async (req, res) => {
   const { tokenId } = req.params;
   try {
     const result = await geminicliTokenManager.fetchProjectIdForToken(tokenId);
@@ -832,15 +1414,17 @@ router.post('/geminicli/tokens/:tokenId/fetch-project-id', cookieAuthMiddleware,
 });
 
 // 导出 Gemini CLI Token（需要密码验证）
-router.post('/geminicli/tokens/export', cookieAuthMiddleware, async (req, res) => {
+router.post('/geminicli/tokens/export', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
   const { password } = req.body;
 
-  if (!password || !verifyPassword(password)) {
+  if (!password || !(await verifyPassword(req, password))) {
+    audit(req, 'geminicli.tokens.export', { status: 'denied', error: '密码验证失败' });
     return res.status(403).json({ success: false, message: '密码验证失败' });
   }
 
   try {
     const allTokens = await geminicliTokenManager.store.readAll();
+    audit(req, 'geminicli.tokens.export', { details: { count: allTokens.length } });
 
     logger.info('[GeminiCLI] 导出所有Token数据');
     const exportData = {
@@ -860,15 +1444,17 @@ router.post('/geminicli/tokens/export', cookieAuthMiddleware, async (req, res) =
     res.json({ success: true, data: exportData });
   } catch (error) {
     logger.error('[GeminiCLI] 导出Token失败:', error.message);
+    audit(req, 'geminicli.tokens.export', { status: 'failure', error: error.message });
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
 // 导入 Gemini CLI Token（需要密码验证）
-router.post('/geminicli/tokens/import', cookieAuthMiddleware, async (req, res) => {
+router.post('/geminicli/tokens/import', cookieAuthMiddleware, requireRole('owner'), async (req, res) => {
   const { password, data, mode = 'merge' } = req.body;
 
-  if (!password || !verifyPassword(password)) {
+  if (!password || !(await verifyPassword(req, password))) {
+    audit(req, 'geminicli.tokens.import', { status: 'denied', error: '密码验证失败' });
     return res.status(403).json({ success: false, message: '密码验证失败' });
   }
 
@@ -917,6 +1503,9 @@ router.post('/geminicli/tokens/import', cookieAuthMiddleware, async (req, res) =
     await geminicliTokenManager.reload();
 
     logger.info(`[GeminiCLI] 导入Token: 新增 ${addedCount}, 更新 ${updatedCount}, 跳过 ${skippedCount}`);
+    audit(req, 'geminicli.tokens.import', {
+      details: { mode, added: addedCount, updated: updatedCount, skipped: skippedCount }
+    });
     res.json({
       success: true,
       message: `导入完成：新增 ${addedCount} 个，更新 ${updatedCount} 个，跳过 ${skippedCount} 个`,
@@ -924,6 +1513,7 @@ router.post('/geminicli/tokens/import', cookieAuthMiddleware, async (req, res) =
     });
   } catch (error) {
     logger.error('[GeminiCLI] 导入Token失败:', error.message);
+    audit(req, 'geminicli.tokens.import', { status: 'failure', details: { mode }, error: error.message });
     res.status(500).json({ success: false, message: error.message });
   }
 });
@@ -931,7 +1521,7 @@ router.post('/geminicli/tokens/import', cookieAuthMiddleware, async (req, res) =
 // ==================== Token 额度 API ====================
 
 // 获取指定Token的模型额度（使用 tokenId）
-router.get('/tokens/:tokenId/quotas', cookieAuthMiddleware, async (req, res) => {
+router.get('/tokens/:tokenId/quotas', cookieAuthMiddleware, requireRole('viewer'), async (req, res) => {
   try {
     const { tokenId } = req.params;
     const forceRefresh = req.query.refresh === 'true';
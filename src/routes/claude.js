@@ -4,7 +4,7 @@
  */
 
 import { Router } from 'express';
-import { handleClaudeRequest } from '../server/handlers/claude.js';
+import { handleClaudeRequest, handleClaudeCountTokens } from '../server/handlers/claude.js';
 
 const router = Router();
 
@@ -19,57 +19,9 @@ router.post('/messages', (req, res) => {
 
 /**
  * POST /v1/messages/count_tokens
- * 估算请求的 token 数量
+ * 统计请求的输入 token 数（优先使用上游计数，失败时本地估算）
  * Claude Code 在 /init 时会频繁调用此端点
  */
-router.post('/messages/count_tokens', (req, res) => {
-  try {
-    const { messages, system } = req.body;
-
-    // 简单的 token 估算：大约 4 个字符 = 1 个 token
-    let totalChars = 0;
-
-    // 计算 system 提示词
-    if (system) {
-      if (typeof system === 'string') {
-        totalChars += system.length;
-      } else if (Array.isArray(system)) {
-        for (const item of system) {
-          if (item.text) totalChars += item.text.length;
-        }
-      }
-    }
-
-    // 计算消息内容
-    if (messages && Array.isArray(messages)) {
-      for (const msg of messages) {
-        if (typeof msg.content === 'string') {
-          totalChars += msg.content.length;
-        } else if (Array.isArray(msg.content)) {
-          for (const part of msg.content) {
-            if (part.type === 'text' && part.text) {
-              totalChars += part.text.length;
-            }
-          }
-        }
-      }
-    }
-
-    // 估算 token 数量（中文约 2 字符/token，英文约 4 字符/token，取平均 3）
-    const estimatedTokens = Math.ceil(totalChars / 3);
-
-    res.json({
-      input_tokens: estimatedTokens
-    });
-  } catch (error) {
-    res.status(400).json({
-      type: 'error',
-      error: {
-        type: 'invalid_request_error',
-        message: error.message || 'Failed to count tokens'
-      }
-    });
-  }
-});
+router.post('/messages/count_tokens', handleClaudeCountTokens);
 
 export default router;
\ No newline at end of file
@@ -4,7 +4,7 @@
  */
 
 import { Router } from 'express';
-import { handleGeminiModelsList, handleGeminiModelDetail, handleGeminiRequest } from '../server/handlers/gemini.js';
+import { handleGeminiModelsList, handleGeminiModelDetail, handleGeminiRequest, handleGeminiCountTokens } from '../server/handlers/gemini.js';
 
 const router = Router();
 
@@ -39,4 +39,12 @@ router.post('/models/:model\\:generateContent', (req, res) => {
   handleGeminiRequest(req, res, modelName, isStream);
 });
 
+/**
+ * POST /v1beta/models/:model:countTokens
+ * 统计输入 token 数
+ */
+router.post('/models/:model\\:countTokens', (req, res) => {
+  handleGeminiCountTokens(req, res, req.params.model);
+});
+
 export default router;
\ No newline at end of file
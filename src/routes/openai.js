@@ -1,15 +1,25 @@
 /**
  * OpenAI API 路由
- * 处理 /v1/chat/completions 和 /v1/models 端点
+ * 处理 /v1/chat/completions、/v1/models 和 /v1/images/* 端点
  */
 
-import { Router } from 'express';
+import express, { Router } from 'express';
 import { getAvailableModels } from '../api/client.js';
 import { handleOpenAIRequest } from '../server/handlers/openai.js';
+import { handleImageGeneration, handleImageEdit } from '../server/handlers/images.js';
+import config from '../config/config.js';
 import logger from '../utils/logger.js';
+import { onConfigChange } from '../utils/configReloader.js';
 
 const router = Router();
 
+// 与 JSON 解析中间件相同，请求体大小上限修改后替换，无需重启
+const createMultipartParser = () => express.raw({ type: 'multipart/form-data', limit: config.security.maxRequestSize });
+let multipartParser = createMultipartParser();
+onConfigChange('security.maxRequestSize', () => {
+  multipartParser = createMultipartParser();
+});
+
 /**
  * GET /v1/models
  * 获取可用模型列表
@@ -30,4 +40,20 @@ router.get('/models', async (req, res) => {
  */
 router.post('/chat/completions', handleOpenAIRequest);
 
+/**
+ * POST /v1/images/generations
+ * 文本生成图片
+ */
+router.post('/images/generations', handleImageGeneration);
+
+/**
+ * POST /v1/images/edits
+ * 图片编辑（multipart/form-data 或 JSON）
+ */
+router.post(
+  '/images/edits',
+  (req, res, next) => multipartParser(req, res, next),
+  handleImageEdit
+);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+/**
+ * OpenAI Responses API 路由
+ * 处理 /v1/responses 端点
+ */
+
+import { Router } from 'express';
+import { handleResponsesRequest, handleDeleteResponse } from '../server/handlers/responses.js';
+
+const router = Router();
+
+/**
+ * POST /v1/responses
+ * 处理 Responses API 请求
+ */
+router.post('/responses', handleResponsesRequest);
+
+/**
+ * DELETE /v1/responses/:id
+ * 删除已保存的 response 会话历史
+ */
+router.delete('/responses/:id', handleDeleteResponse);
+
+export default router;
@@ -1,7 +1,6 @@
 import express from 'express';
-import { getAvailableModels, generateImageForSD } from '../api/client.js';
-import { generateRequestBody, prepareImageRequest } from '../utils/utils.js';
-import tokenManager from '../auth/token_manager.js';
+import { getAvailableModels } from '../api/client.js';
+import { handleSdGeneration, handleSdProgress, handleSdInterrupt } from '../server/handlers/sd.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -58,23 +57,9 @@ const SD_MOCK_DATA = {
   scripts: [
     { name: 'None', is_alwayson: false, is_img2img: false },
     { name: 'X/Y/Z plot', is_alwayson: false, is_img2img: false }
-  ],
-  progress: {
-    progress: 0,
-    eta_relative: 0,
-    state: { skipped: false, interrupted: false, job: '', job_count: 0, job_timestamp: '0', job_no: 0 },
-    current_image: null,
-    textinfo: null
-  }
+  ]
 };
 
-// 构建图片生成请求体
-function buildImageRequestBody(prompt, token) {
-  const messages = [{ role: 'user', content: prompt }];
-  const requestBody = generateRequestBody(messages, 'gemini-3-pro-image', {}, null, token);
-  return prepareImageRequest(requestBody);
-}
-
 // GET 路由
 router.get('/sd-models', async (req, res) => {
   try {
@@ -108,90 +93,18 @@ router.get('/embeddings', (req, res) => res.json({ loaded: SD_MOCK_DATA.embeddin
 router.get('/hypernetworks', (req, res) => res.json(SD_MOCK_DATA.hypernetworks));
 router.get('/scripts', (req, res) => res.json({ txt2img: SD_MOCK_DATA.scripts, img2img: SD_MOCK_DATA.scripts }));
 router.get('/script-info', (req, res) => res.json([]));
-router.get('/progress', (req, res) => res.json(SD_MOCK_DATA.progress));
+router.get('/progress', handleSdProgress);
 router.get('/cmd-flags', (req, res) => res.json({}));
 router.get('/memory', (req, res) => res.json({ ram: { free: 8589934592, used: 8589934592, total: 17179869184 }, cuda: { system: { free: 0, used: 0, total: 0 } } }));
 
 // POST 路由
-router.post('/img2img', async (req, res) => {
-  const { prompt, init_images } = req.body;
-  
-  try {
-    if (!prompt) {
-      return res.status(400).json({ error: 'prompt is required' });
-    }
-    
-    const token = await tokenManager.getToken();
-    if (!token) {
-      throw new Error('没有可用的token');
-    }
-    
-    // 构建包含图片的消息
-    const content = [{ type: 'text', text: prompt }];
-    if (init_images && init_images.length > 0) {
-      init_images.forEach(img => {
-        const format = img.startsWith('/9j/') ? 'jpeg' : 'png';
-        content.push({ type: 'image_url', image_url: { url: `data:image/${format};base64,${img}` } });
-      });
-    }
-    
-    const messages = [{ role: 'user', content }];
-    const requestBody = prepareImageRequest(
-      generateRequestBody(messages, 'gemini-3-pro-image', {}, null, token)
-    );
-    
-    const images = await generateImageForSD(requestBody, token);
-    
-    if (images.length === 0) {
-      throw new Error('未生成图片');
-    }
-    
-    res.json({
-      images,
-      parameters: req.body,
-      info: JSON.stringify({ prompt })
-    });
-  } catch (error) {
-    logger.error('SD图生图失败:', error.message);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-router.post('/txt2img', async (req, res) => {
-  const { prompt, negative_prompt, steps, cfg_scale, width, height, seed, sampler_name } = req.body;
-  
-  try {
-    if (!prompt) {
-      return res.status(400).json({ error: 'prompt is required' });
-    }
-    
-    const token = await tokenManager.getToken();
-    if (!token) {
-      throw new Error('没有可用的token');
-    }
-    
-    const requestBody = buildImageRequestBody(prompt, token);
-    const images = await generateImageForSD(requestBody, token);
-    
-    if (images.length === 0) {
-      throw new Error('未生成图片');
-    }
-    
-    res.json({
-      images,
-      parameters: { prompt, negative_prompt, steps, cfg_scale, width, height, seed, sampler_name },
-      info: JSON.stringify({ prompt, seed: seed || -1 })
-    });
-  } catch (error) {
-    logger.error('SD生图失败:', error.message);
-    res.status(500).json({ error: error.message });
-  }
-});
+router.post('/txt2img', (req, res) => handleSdGeneration(req, res, 'txt2img'));
+router.post('/img2img', (req, res) => handleSdGeneration(req, res, 'img2img'));
 
 router.post('/options', (req, res) => res.json({}));
 router.post('/refresh-checkpoints', (req, res) => res.json(null));
 router.post('/refresh-loras', (req, res) => res.json(null));
-router.post('/interrupt', (req, res) => res.json(null));
+router.post('/interrupt', handleSdInterrupt);
 router.post('/skip', (req, res) => res.json(null));
 
 export default router;
@@ -12,7 +12,7 @@
  * @param {Array|null} toolCalls
  * @param {string} stopReason
  * @param {Object|null} usage
- * @param {{passSignatureToClient?: boolean}} options
+ * @param {{passSignatureToClient?: boolean, stopSequence?: string|null}} options
  * @returns {Object}
  */
 export const createClaudeResponse = (
@@ -80,7 +80,7 @@ export const createClaudeResponse = (
     content: contentBlocks,
     model,
     stop_reason: stopReason,
-    stop_sequence: null,
+    stop_sequence: options.stopSequence ?? null,
     usage: usage
       ? {
           input_tokens: usage.prompt_tokens || 0,
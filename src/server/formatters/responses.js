@@ -0,0 +1,390 @@
+/**
+ * OpenAI Responses API 响应格式化工具
+ * 提供非流式 response 对象构建和流式事件状态管理
+ */
+
+const randomSuffix = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * 生成 Responses 各类对象 ID
+ * @param {string} prefix - resp / msg / rs / fc
+ * @returns {string}
+ */
+export const createResponsesId = (prefix) => `${prefix}_${randomSuffix()}`;
+
+/**
+ * 创建 Responses SSE 事件
+ * @param {string} eventType - 事件类型
+ * @param {Object} data - 事件数据
+ * @returns {string}
+ */
+export const createResponsesStreamEvent = (eventType, data) => {
+  return `event: ${eventType}\ndata: ${JSON.stringify(data)}\n\n`;
+};
+
+/**
+ * 将 OpenAI Chat usage 转换为 Responses usage
+ * @param {Object|null} usage - { prompt_tokens, completion_tokens, total_tokens, completion_tokens_details? }
+ * @returns {Object|null}
+ */
+export const toResponsesUsage = (usage) => {
+  if (!usage) return null;
+  return {
+    input_tokens: usage.prompt_tokens || 0,
+    input_tokens_details: { cached_tokens: 0 },
+    output_tokens: usage.completion_tokens || 0,
+    output_tokens_details: {
+      reasoning_tokens: usage.completion_tokens_details?.reasoning_tokens || 0
+    },
+    total_tokens: usage.total_tokens || 0
+  };
+};
+
+/**
+ * 根据请求体生成 response 对象的公共字段
+ * @param {Object} request - Responses 请求体
+ * @returns {Object}
+ */
+const pickRequestEcho = (request = {}) => ({
+  instructions: request.instructions ?? null,
+  max_output_tokens: request.max_output_tokens ?? null,
+  parallel_tool_calls: request.parallel_tool_calls ?? true,
+  previous_response_id: request.previous_response_id ?? null,
+  reasoning: {
+    effort: request.reasoning?.effort ?? null,
+    summary: request.reasoning?.summary ?? null
+  },
+  store: request.store !== false,
+  temperature: request.temperature ?? null,
+  text: { format: request.text?.format || { type: 'text' } },
+  tool_choice: request.tool_choice ?? 'auto',
+  tools: Array.isArray(request.tools) ? request.tools : [],
+  top_p: request.top_p ?? null,
+  metadata: request.metadata ?? {}
+});
+
+/**
+ * 创建 response 对象
+ * @param {{
+ *   id: string,
+ *   createdAt: number,
+ *   model: string,
+ *   status: string,
+ *   output?: Array,
+ *   usage?: Object|null,
+ *   error?: Object|null,
+ *   request?: Object
+ * }} args
+ * @returns {Object}
+ */
+export const createResponseObject = (args) => {
+  const { id, createdAt, model, status, output = [], usage = null, error = null, request } = args;
+  return {
+    id,
+    object: 'response',
+    created_at: createdAt,
+    status,
+    error,
+    incomplete_details: null,
+    model,
+    output,
+    usage: toResponsesUsage(usage),
+    ...pickRequestEcho(request)
+  };
+};
+
+/**
+ * 创建 reasoning 输出项
+ * @param {string} id
+ * @param {string} text - 思维链文本（作为 summary 输出）
+ * @param {string|null} signature - 思维签名（作为 encrypted_content 输出）
+ * @returns {Object}
+ */
+const createReasoningItem = (id, text, signature) => {
+  const item = {
+    id,
+    type: 'reasoning',
+    summary: text ? [{ type: 'summary_text', text }] : []
+  };
+  if (signature) item.encrypted_content = signature;
+  return item;
+};
+
+/**
+ * 创建 assistant message 输出项
+ * @param {string} id
+ * @param {string} text
+ * @param {string} status
+ * @returns {Object}
+ */
+const createMessageItem = (id, text, status = 'completed') => ({
+  id,
+  type: 'message',
+  status,
+  role: 'assistant',
+  content: status === 'in_progress' ? [] : [{ type: 'output_text', text, annotations: [] }]
+});
+
+/**
+ * 创建 function_call 输出项
+ * @param {string} id
+ * @param {Object} toolCall - OpenAI 格式工具调用
+ * @param {string} status
+ * @returns {Object}
+ */
+const createFunctionCallItem = (id, toolCall, status = 'completed') => ({
+  id,
+  type: 'function_call',
+  status,
+  call_id: toolCall.id,
+  name: toolCall.function.name,
+  arguments: status === 'in_progress' ? '' : (toolCall.function.arguments || '')
+});
+
+/**
+ * 创建 Responses 非流式响应
+ * @param {{
+ *   id: string,
+ *   createdAt: number,
+ *   model: string,
+ *   content: string|null,
+ *   reasoningContent?: string|null,
+ *   reasoningSignature?: string|null,
+ *   toolCalls?: Array|null,
+ *   usage?: Object|null,
+ *   request?: Object,
+ *   includeSignature?: boolean
+ * }} args
+ * @returns {Object}
+ */
+export const createResponsesResponse = (args) => {
+  const {
+    id,
+    createdAt,
+    model,
+    content,
+    reasoningContent = null,
+    reasoningSignature = null,
+    toolCalls = null,
+    usage = null,
+    request,
+    includeSignature = false
+  } = args;
+
+  const output = [];
+  if (reasoningContent || (reasoningSignature && includeSignature)) {
+    output.push(createReasoningItem(
+      createResponsesId('rs'),
+      reasoningContent,
+      includeSignature ? reasoningSignature : null
+    ));
+  }
+  if (content) {
+    output.push(createMessageItem(createResponsesId('msg'), content));
+  }
+  if (toolCalls && toolCalls.length > 0) {
+    for (const toolCall of toolCalls) {
+      output.push(createFunctionCallItem(createResponsesId('fc'), toolCall));
+    }
+  }
+
+  return createResponseObject({ id, createdAt, model, status: 'completed', output, usage, request });
+};
+
+/**
+ * Responses 流式事件状态管理器
+ * 将上游的 reasoning / text / tool_calls 回调转换为有序的 Responses 事件序列
+ * 每个方法返回需要写出的 SSE 字符串数组
+ */
+export class ResponsesStreamState {
+  /**
+   * @param {{id: string, createdAt: number, model: string, request?: Object, includeSignature?: boolean}} options
+   */
+  constructor({ id, createdAt, model, request, includeSignature = false }) {
+    this.id = id;
+    this.createdAt = createdAt;
+    this.model = model;
+    this.request = request;
+    this.includeSignature = includeSignature;
+    this.sequenceNumber = 0;
+    this.output = [];
+    // 当前打开的输出项：{ kind: 'reasoning'|'message', item, text }
+    this.current = null;
+  }
+
+  event(type, data) {
+    return createResponsesStreamEvent(type, { type, sequence_number: this.sequenceNumber++, ...data });
+  }
+
+  snapshot(status, usage = null, error = null) {
+    return createResponseObject({
+      id: this.id,
+      createdAt: this.createdAt,
+      model: this.model,
+      status,
+      output: this.output,
+      usage,
+      error,
+      request: this.request
+    });
+  }
+
+  createStart() {
+    return [
+      this.event('response.created', { response: this.snapshot('in_progress') }),
+      this.event('response.in_progress', { response: this.snapshot('in_progress') })
+    ];
+  }
+
+  /**
+   * 关闭当前打开的 reasoning / message 输出项
+   * @returns {string[]}
+   */
+  closeCurrent() {
+    const current = this.current;
+    if (!current) return [];
+    this.current = null;
+
+    const outputIndex = this.output.length;
+    const events = [];
+    if (current.kind === 'reasoning') {
+      const item = createReasoningItem(current.item.id, current.text, current.signature);
+      events.push(
+        this.event('response.reasoning_summary_text.done', {
+          item_id: item.id, output_index: outputIndex, summary_index: 0, text: current.text
+        }),
+        this.event('response.reasoning_summary_part.done', {
+          item_id: item.id, output_index: outputIndex, summary_index: 0,
+          part: { type: 'summary_text', text: current.text }
+        }),
+        this.event('response.output_item.done', { output_index: outputIndex, item })
+      );
+      this.output.push(item);
+    } else {
+      const item = createMessageItem(current.item.id, current.text);
+      const part = item.content[0];
+      events.push(
+        this.event('response.output_text.done', {
+          item_id: item.id, output_index: outputIndex, content_index: 0, text: current.text
+        }),
+        this.event('response.content_part.done', {
+          item_id: item.id, output_index: outputIndex, content_index: 0, part
+        }),
+        this.event('response.output_item.done', { output_index: outputIndex, item })
+      );
+      this.output.push(item);
+    }
+    return events;
+  }
+
+  /**
+   * 处理思维链增量
+   * @param {string} text
+   * @param {string|null} signature
+   * @returns {string[]}
+   */
+  handleReasoning(text, signature = null) {
+    const events = [];
+    if (this.current?.kind !== 'reasoning') {
+      events.push(...this.closeCurrent());
+      const item = { id: createResponsesId('rs'), type: 'reasoning', summary: [] };
+      this.current = { kind: 'reasoning', item, text: '', signature: null };
+      const outputIndex = this.output.length;
+      events.push(
+        this.event('response.output_item.added', { output_index: outputIndex, item }),
+        this.event('response.reasoning_summary_part.added', {
+          item_id: item.id, output_index: outputIndex, summary_index: 0,
+          part: { type: 'summary_text', text: '' }
+        })
+      );
+    }
+    if (signature && this.includeSignature) this.current.signature = signature;
+    if (text) {
+      this.current.text += text;
+      events.push(this.event('response.reasoning_summary_text.delta', {
+        item_id: this.current.item.id, output_index: this.output.length, summary_index: 0, delta: text
+      }));
+    }
+    return events;
+  }
+
+  /**
+   * 处理正文增量
+   * @param {string} text
+   * @returns {string[]}
+   */
+  handleText(text) {
+    if (!text) return [];
+    const events = [];
+    if (this.current?.kind !== 'message') {
+      events.push(...this.closeCurrent());
+      const item = createMessageItem(createResponsesId('msg'), '', 'in_progress');
+      this.current = { kind: 'message', item, text: '' };
+      const outputIndex = this.output.length;
+      events.push(
+        this.event('response.output_item.added', { output_index: outputIndex, item }),
+        this.event('response.content_part.added', {
+          item_id: item.id, output_index: outputIndex, content_index: 0,
+          part: { type: 'output_text', text: '', annotations: [] }
+        })
+      );
+    }
+    this.current.text += text;
+    events.push(this.event('response.output_text.delta', {
+      item_id: this.current.item.id, output_index: this.output.length, content_index: 0, delta: text
+    }));
+    return events;
+  }
+
+  /**
+   * 处理工具调用（上游一次性返回完整参数）
+   * @param {Array} toolCalls - OpenAI 格式工具调用
+   * @returns {string[]}
+   */
+  handleToolCalls(toolCalls) {
+    const events = this.closeCurrent();
+    for (const toolCall of toolCalls) {
+      const outputIndex = this.output.length;
+      const id = createResponsesId('fc');
+      const args = toolCall.function.arguments || '';
+      const item = createFunctionCallItem(id, toolCall);
+      events.push(
+        this.event('response.output_item.added', {
+          output_index: outputIndex, item: createFunctionCallItem(id, toolCall, 'in_progress')
+        }),
+        this.event('response.function_call_arguments.delta', {
+          item_id: id, output_index: outputIndex, delta: args
+        }),
+        this.event('response.function_call_arguments.done', {
+          item_id: id, output_index: outputIndex, arguments: args
+        }),
+        this.event('response.output_item.done', { output_index: outputIndex, item })
+      );
+      this.output.push(item);
+    }
+    return events;
+  }
+
+  /**
+   * 结束响应
+   * @param {Object|null} usage - OpenAI Chat 格式 usage
+   * @returns {string[]}
+   */
+  createCompleted(usage) {
+    const events = this.closeCurrent();
+    this.response = this.snapshot('completed', usage);
+    events.push(this.event('response.completed', { response: this.response }));
+    return events;
+  }
+
+  /**
+   * 响应失败
+   * @param {Object} error - { code, message }
+   * @returns {string[]}
+   */
+  createFailed(error) {
+    const events = this.closeCurrent();
+    events.push(this.event('response.failed', { response: this.snapshot('failed', null, error) }));
+    return events;
+  }
+}
@@ -3,20 +3,26 @@
  * 处理 /v1/messages 请求，支持流式和非流式响应
  */
 
-import { generateAssistantResponse, generateAssistantResponseNoStream } from '../../api/client.js';
+import { generateAssistantResponseNoStream } from '../../api/client.js';
 import { generateClaudeRequestBody, prepareImageRequest } from '../../utils/utils.js';
+import { resolveClaudeMedia } from '../../utils/media.js';
 import { normalizeClaudeParameters } from '../../utils/parameterNormalizer.js';
-import { buildClaudeErrorPayload } from '../../utils/errors.js';
+import { buildClaudeErrorPayload, setRetryAfterHeader } from '../../utils/errors.js';
 import logger from '../../utils/logger.js';
 import config from '../../config/config.js';
 import tokenManager from '../../auth/token_manager.js';
 import { createClaudeResponse } from '../formatters/claude.js';
 import { validateIncomingChatRequest } from '../validators/chat.js';
 import { getSafeRetries } from './common/retry.js';
+import { acquireToken, switchToken } from './common/queue.js';
+import { applyConversationHistory, saveConversationTurn, resolveConversationId, getConversationOwner } from './common/conversation.js';
+import { StopSequenceMatcher } from './common/stop.js';
+import { resolveStreamMode, stripModePrefixes, streamAssistantResponse, collectAssistantResponse } from './common/streamMode.js';
+import { countRequestTokens } from './common/countTokens.js';
 import {
   setStreamHeaders,
   createHeartbeat,
-  with429Retry
+  withFailover
 } from '../stream.js';
 
 /**
@@ -50,18 +56,29 @@ export const createClaudeStreamEvent = (eventType, data) => {
  */
 export const handleClaudeRequest = async (req, res, isStream) => {
   const body = req.body || {};
-  const { messages, model, system, tools, ...rawParams } = body;
+  const { messages, model: requestedModel, system, tools, ...rawParams } = body;
 
   try {
     const validation = validateIncomingChatRequest('claude', body);
     if (!validation.ok) {
       return res.status(validation.status).json(buildClaudeErrorPayload({ message: validation.message }, validation.status));
     }
-    if (typeof model !== 'string' || !model) {
+    if (typeof requestedModel !== 'string' || !requestedModel) {
       return res.status(400).json(buildClaudeErrorPayload({ message: 'model is required' }, 400));
     }
+    // 模型名前缀 / X-Stream-Mode 选择假流式、假非流和抗截断
+    const mode = resolveStreamMode(req, requestedModel);
+    const { model } = mode;
+    // 服务端会话：携带 X-Conversation-Id 时只需发送新一轮消息，历史由服务端拼接
+    const { id: conversationId, error: conversationError } = await resolveConversationId(req, res);
+    if (conversationError) {
+      return res.status(conversationError.status).json(buildClaudeErrorPayload({ message: conversationError.message }, conversationError.status));
+    }
+    const conversationOwner = getConversationOwner(req);
+    // 远程图片 / 文档 URL 在排队前下载，故障转移重建请求体时复用
+    const resolvedMessages = await resolveClaudeMedia(messages);
 
-    const token = await tokenManager.getToken(model);
+    const token = await acquireToken(req, res, model);
     if (!token) {
       throw new Error('没有可用的token，请运行 npm run login 获取token');
     }
@@ -70,14 +87,43 @@ export const handleClaudeRequest = async (req, res, isStream) => {
     const parameters = normalizeClaudeParameters(rawParams);
 
     const isImageModel = model.includes('-image');
-    const requestBody = generateClaudeRequestBody(messages, model, parameters, tools, system, token);
-
-    if (isImageModel) {
-      prepareImageRequest(requestBody);
-    }
+    // 故障转移切换账号时需要用新账号的 projectId/sessionId 重建请求体
+    const buildBody = async (currentToken) => {
+      const requestBody = generateClaudeRequestBody(resolvedMessages, model, parameters, tools, system, currentToken);
+      if (conversationId) {
+        await applyConversationHistory(requestBody, conversationId, conversationOwner);
+      }
+      if (isImageModel) {
+        prepareImageRequest(requestBody);
+      }
+      return requestBody;
+    };
+    const plan = { token, requestBody: await buildBody(token) };
 
     const msgId = `msg_${Date.now()}`;
-    const safeRetries = getSafeRetries(config.retryTimes);
+    const failoverOptions = {
+      model,
+      buildBody,
+      maxRetries: getSafeRetries(config.retryTimes),
+      onSwitch: (nextToken) => switchToken(res, nextToken),
+      onAttempt: (currentToken) => tokenManager.recordRequest(currentToken, model)
+    };
+    const saveTurn = (result) => conversationId ? saveConversationTurn(conversationId, plan.requestBody, result, conversationOwner) : null;
+    const stopMatcher = new StopSequenceMatcher(parameters.stop_sequences);
+    // disable_parallel_tool_use：上游无对应参数，只保留第一个工具调用
+    const limitToolCalls = parameters.tool_choice?.disable_parallel_tool_use === true
+      ? (calls) => calls.slice(0, 1)
+      : (calls) => calls;
+    // 完整获取回复（非流式、假流式、生图模型）；
+    // 抗截断需要流式获取以便续写，有客户端停止序列时流式获取以便命中后中断上游
+    const stopSequences = stopMatcher.sequences;
+    const generateComplete = (loggerPrefix) => (mode.antiTruncation || stopMatcher.enabled) && !isImageModel
+      ? collectAssistantResponse(plan, { ...failoverOptions, loggerPrefix, stopSequences }, mode)
+      : withFailover(
+        plan,
+        ({ requestBody, token }) => generateAssistantResponseNoStream(requestBody, token),
+        { ...failoverOptions, loggerPrefix }
+      );
 
     if (isStream) {
       setStreamHeaders(res);
@@ -89,6 +135,9 @@ export const handleClaudeRequest = async (req, res, isStream) => {
         let hasToolCall = false;
         let currentBlockType = null;
         let reasoningSent = false;
+        const turn = { content: '', reasoningContent: '', reasoningSignature: null, toolCalls: [] };
+        // 命中停止序列后中断上游，不再等待剩余输出
+        const stopController = new AbortController();
 
         // 发送 message_start
         res.write(createClaudeStreamEvent('message_start', {
@@ -105,35 +154,65 @@ export const handleClaudeRequest = async (req, res, isStream) => {
           }
         }));
 
-        if (isImageModel) {
-          // 生图模型：使用非流式获取结果后以流式格式返回
-          const { content, usage } = await with429Retry(
-            () => generateAssistantResponseNoStream(requestBody, token),
-            safeRetries,
-            'claude.stream.image ',
-            () => tokenManager.recordRequest(token, model)
-          );
-
-          // 发送文本块
-          res.write(createClaudeStreamEvent('content_block_start', {
-            type: "content_block_start",
-            index: 0,
-            content_block: { type: "text", text: "" }
-          }));
-          res.write(createClaudeStreamEvent('content_block_delta', {
-            type: "content_block_delta",
-            index: 0,
-            delta: { type: "text_delta", text: content || '' }
-          }));
-          res.write(createClaudeStreamEvent('content_block_stop', {
-            type: "content_block_stop",
-            index: 0
-          }));
+        if (isImageModel || mode.fakeStream) {
+          // 生图模型、假流式：使用非流式获取结果后以流式格式返回
+          const result = await generateComplete(isImageModel ? 'claude.stream.image ' : 'claude.fake_stream ');
+          const { usage, reasoningSignature } = result;
+          const reasoningContent = isImageModel ? '' : result.reasoningContent;
+          const content = isImageModel ? result.content : stopMatcher.truncate(result.content);
+          const toolCalls = isImageModel || stopMatcher.stopped ? [] : limitToolCalls(result.toolCalls || []);
+          await saveTurn(isImageModel ? { content, reasoningSignature } : { content, reasoningContent, reasoningSignature, toolCalls });
+          res.locals.usage = usage;
+
+          // 每个内容块一次性发送 start / delta / stop
+          const writeBlock = (contentBlock, delta) => {
+            res.write(createClaudeStreamEvent('content_block_start', {
+              type: "content_block_start",
+              index: contentIndex,
+              content_block: contentBlock
+            }));
+            res.write(createClaudeStreamEvent('content_block_delta', {
+              type: "content_block_delta",
+              index: contentIndex,
+              delta
+            }));
+            res.write(createClaudeStreamEvent('content_block_stop', {
+              type: "content_block_stop",
+              index: contentIndex
+            }));
+            contentIndex++;
+          };
+
+          if (reasoningContent) {
+            const contentBlock = { type: "thinking", thinking: "" };
+            const delta = { type: "thinking_delta", thinking: reasoningContent };
+            if (reasoningSignature && config.passSignatureToClient) {
+              contentBlock.signature = reasoningSignature;
+              delta.signature = reasoningSignature;
+            }
+            writeBlock(contentBlock, delta);
+          }
+          if (content || toolCalls.length === 0) {
+            writeBlock({ type: "text", text: "" }, { type: "text_delta", text: content || '' });
+          }
+          for (const tc of toolCalls) {
+            try {
+              const inputObj = JSON.parse(tc.function.arguments);
+              const toolContentBlock = { type: "tool_use", id: tc.id, name: tc.function.name, input: {} };
+              if (tc.thoughtSignature && config.passSignatureToClient) {
+                toolContentBlock.signature = tc.thoughtSignature;
+              }
+              writeBlock(toolContentBlock, { type: "input_json_delta", partial_json: JSON.stringify(inputObj) });
+            } catch (e) {
+              // 解析失败，跳过
+            }
+          }
 
           // 发送 message_delta 和 message_stop
+          const stopReason = stopMatcher.claudeStopReason(toolCalls.length > 0);
           res.write(createClaudeStreamEvent('message_delta', {
             type: "message_delta",
-            delta: { stop_reason: 'end_turn', stop_sequence: null },
+            delta: { stop_reason: stopReason, stop_sequence: stopMatcher.matched },
             usage: usage ? { output_tokens: usage.completion_tokens || 0 } : { output_tokens: 0 }
           }));
           res.write(createClaudeStreamEvent('message_stop', {
@@ -145,11 +224,52 @@ export const handleClaudeRequest = async (req, res, isStream) => {
           return;
         }
 
-        await with429Retry(
-          () => generateAssistantResponse(requestBody, token, (data) => {
+        // 输出普通文本内容
+        const writeText = (textContent) => {
+          turn.content += textContent;
+
+          // 如果 thinking 还没发送且内容是空的，跳过（避免在 thinking 之前创建空的 text block）
+          if (!reasoningSent && !textContent) {
+            return;
+          }
+
+          if (currentBlockType === 'thinking') {
+            // 结束思维块
+            res.write(createClaudeStreamEvent('content_block_stop', {
+              type: "content_block_stop",
+              index: contentIndex
+            }));
+            contentIndex++;
+            currentBlockType = null;
+          }
+          if (currentBlockType !== 'text') {
+            // 开始文本块
+            res.write(createClaudeStreamEvent('content_block_start', {
+              type: "content_block_start",
+              index: contentIndex,
+              content_block: { type: "text", text: "" }
+            }));
+            currentBlockType = 'text';
+          }
+          // 发送文本增量
+          res.write(createClaudeStreamEvent('content_block_delta', {
+            type: "content_block_delta",
+            index: contentIndex,
+            delta: { type: "text_delta", text: textContent }
+          }));
+        };
+
+        await streamAssistantResponse(
+          plan,
+          (data) => {
             if (data.type === 'usage') {
               usageData = data.usage;
+            } else if (stopMatcher.stopped) {
+              // 已命中停止序列：丢弃后续输出
+              return;
             } else if (data.type === 'reasoning') {
+              turn.reasoningContent += data.reasoning_content || '';
+              if (data.thoughtSignature) turn.reasoningSignature = data.thoughtSignature;
               // 思维链内容 - 使用 thinking 类型
               if (!reasoningSent) {
                 // 如果之前已经发送了 text block，先关闭它
@@ -185,7 +305,9 @@ export const handleClaudeRequest = async (req, res, isStream) => {
                 delta: delta
               }));
             } else if (data.type === 'tool_calls') {
+              const toolCalls = limitToolCalls(data.tool_calls);
               hasToolCall = true;
+              turn.toolCalls.push(...toolCalls);
               // 结束之前的块（如果有）
               if (currentBlockType) {
                 res.write(createClaudeStreamEvent('content_block_stop', {
@@ -195,7 +317,7 @@ export const handleClaudeRequest = async (req, res, isStream) => {
                 contentIndex++;
               }
               // 工具调用
-              for (const tc of data.tool_calls) {
+              for (const tc of toolCalls) {
                 try {
                   const inputObj = JSON.parse(tc.function.arguments);
                   const toolContentBlock = { type: "tool_use", id: tc.id, name: tc.function.name, input: {} };
@@ -225,43 +347,19 @@ export const handleClaudeRequest = async (req, res, isStream) => {
               currentBlockType = null;
             } else {
               // 普通文本内容
-              const textContent = data.content || '';
-
-              // 如果 thinking 还没发送且内容是空的，跳过（避免在 thinking 之前创建空的 text block）
-              if (!reasoningSent && !textContent) {
-                return;
-              }
-
-              if (currentBlockType === 'thinking') {
-                // 结束思维块
-                res.write(createClaudeStreamEvent('content_block_stop', {
-                  type: "content_block_stop",
-                  index: contentIndex
-                }));
-                contentIndex++;
-                currentBlockType = null;
-              }
-              if (currentBlockType !== 'text') {
-                // 开始文本块
-                res.write(createClaudeStreamEvent('content_block_start', {
-                  type: "content_block_start",
-                  index: contentIndex,
-                  content_block: { type: "text", text: "" }
-                }));
-                currentBlockType = 'text';
-              }
-              // 发送文本增量
-              res.write(createClaudeStreamEvent('content_block_delta', {
-                type: "content_block_delta",
-                index: contentIndex,
-                delta: { type: "text_delta", text: textContent }
-              }));
+              const textContent = stopMatcher.push(data.content || '');
+              if (stopMatcher.stopped) stopController.abort();
+              if (stopMatcher.enabled && !textContent) return;
+              writeText(textContent);
             }
-          }),
-          safeRetries,
-          'claude.stream ',
-          () => tokenManager.recordRequest(token, model)
+          },
+          { ...failoverOptions, loggerPrefix: 'claude.stream ', signal: stopController.signal },
+          mode
         );
+        const rest = stopMatcher.flush();
+        if (rest) writeText(rest);
+        await saveTurn(turn);
+        res.locals.usage = usageData;
 
         // 结束最后一个内容块
         if (currentBlockType) {
@@ -272,10 +370,10 @@ export const handleClaudeRequest = async (req, res, isStream) => {
         }
 
         // 发送 message_delta
-        const stopReason = hasToolCall ? 'tool_use' : 'end_turn';
+        const stopReason = stopMatcher.claudeStopReason(hasToolCall);
         res.write(createClaudeStreamEvent('message_delta', {
           type: "message_delta",
-          delta: { stop_reason: stopReason, stop_sequence: null },
+          delta: { stop_reason: stopReason, stop_sequence: stopMatcher.matched },
           usage: usageData ? { output_tokens: usageData.completion_tokens || 0 } : { output_tokens: 0 }
         }));
 
@@ -288,6 +386,7 @@ export const handleClaudeRequest = async (req, res, isStream) => {
         res.end();
       } catch (error) {
         clearInterval(heartbeatTimer);
+        res.locals.upstreamStatus = error.statusCode || error.status || 500;
         if (!res.writableEnded) {
           const statusCode = error.statusCode || error.status || 500;
           res.write(createClaudeStreamEvent('error', buildClaudeErrorPayload(error, statusCode)));
@@ -296,39 +395,20 @@ export const handleClaudeRequest = async (req, res, isStream) => {
         logger.error('Claude 流式请求失败:', error.message);
         return;
       }
-    } else if (config.fakeNonStream && !isImageModel) {
+    } else if (mode.fakeNonStream && !isImageModel) {
       // 假非流模式：使用流式API获取数据，组装成非流式响应
       req.setTimeout(0);
       res.setTimeout(0);
 
-      let content = '';
-      let reasoningContent = '';
-      let reasoningSignature = null;
-      const toolCalls = [];
-      let usageData = null;
-
       try {
-        await with429Retry(
-          () => generateAssistantResponse(requestBody, token, (data) => {
-            if (data.type === 'usage') {
-              usageData = data.usage;
-            } else if (data.type === 'reasoning') {
-              reasoningContent += data.reasoning_content || '';
-              if (data.thoughtSignature) {
-                reasoningSignature = data.thoughtSignature;
-              }
-            } else if (data.type === 'tool_calls') {
-              toolCalls.push(...data.tool_calls);
-            } else if (data.type === 'text') {
-              content += data.content || '';
-            }
-          }),
-          safeRetries,
-          'claude.fake_no_stream ',
-          () => tokenManager.recordRequest(token, model)
-        );
+        const result = await collectAssistantResponse(plan, { ...failoverOptions, loggerPrefix: 'claude.fake_no_stream ', stopSequences }, mode);
+        const { reasoningContent, reasoningSignature, usage: usageData } = result;
+        const content = stopMatcher.truncate(result.content);
+        const toolCalls = stopMatcher.stopped ? [] : limitToolCalls(result.toolCalls);
+        await saveTurn({ content, reasoningContent, reasoningSignature, toolCalls });
+        res.locals.usage = usageData;
 
-        const stopReason = toolCalls.length > 0 ? 'tool_use' : 'end_turn';
+        const stopReason = stopMatcher.claudeStopReason(toolCalls.length > 0);
         const response = createClaudeResponse(
           msgId,
           model,
@@ -338,13 +418,14 @@ export const handleClaudeRequest = async (req, res, isStream) => {
           toolCalls,
           stopReason,
           usageData,
-          { passSignatureToClient: config.passSignatureToClient }
+          { passSignatureToClient: config.passSignatureToClient, stopSequence: stopMatcher.matched }
         );
 
         res.json(response);
       } catch (error) {
         logger.error('Claude 假非流请求失败:', error.message);
         if (res.headersSent) return;
+        setRetryAfterHeader(res, error);
         const statusCode = error.statusCode || error.status || 500;
         res.status(statusCode).json(buildClaudeErrorPayload(error, statusCode));
       }
@@ -353,14 +434,14 @@ export const handleClaudeRequest = async (req, res, isStream) => {
       req.setTimeout(0);
       res.setTimeout(0);
 
-      const { content, reasoningContent, reasoningSignature, toolCalls, usage } = await with429Retry(
-        () => generateAssistantResponseNoStream(requestBody, token),
-        safeRetries,
-        'claude.no_stream ',
-        () => tokenManager.recordRequest(token, model)
-      );
+      const result = await generateComplete('claude.no_stream ');
+      const { reasoningContent, reasoningSignature, usage } = result;
+      const content = stopMatcher.truncate(result.content);
+      const toolCalls = stopMatcher.stopped ? [] : limitToolCalls(result.toolCalls);
+      await saveTurn({ content, reasoningContent, reasoningSignature, toolCalls });
+      res.locals.usage = usage;
 
-      const stopReason = toolCalls.length > 0 ? 'tool_use' : 'end_turn';
+      const stopReason = stopMatcher.claudeStopReason(toolCalls.length > 0);
       const response = createClaudeResponse(
         msgId,
         model,
@@ -370,7 +451,7 @@ export const handleClaudeRequest = async (req, res, isStream) => {
         toolCalls,
         stopReason,
         usage,
-        { passSignatureToClient: config.passSignatureToClient }
+        { passSignatureToClient: config.passSignatureToClient, stopSequence: stopMatcher.matched }
       );
 
       res.json(response);
@@ -378,7 +459,43 @@ export const handleClaudeRequest = async (req, res, isStream) => {
   } catch (error) {
     logger.error('Claude 请求失败:', error.message);
     if (res.headersSent) return;
+    setRetryAfterHeader(res, error);
     const statusCode = error.statusCode || error.status || 500;
     res.status(statusCode).json(buildClaudeErrorPayload(error, statusCode));
   }
-};
\ No newline at end of file
+};
+/**
+ * 处理 Claude 格式的 token 计数请求（/v1/messages/count_tokens）
+ * Claude Code 在 /init 和压缩上下文前会频繁调用此端点，因此不排队、不计入账号请求次数
+ * @param {Request} req - Express请求对象
+ * @param {Response} res - Express响应对象
+ */
+export const handleClaudeCountTokens = async (req, res) => {
+  const body = req.body || {};
+  const { messages, model: requestedModel, system, tools, ...rawParams } = body;
+
+  try {
+    const validation = validateIncomingChatRequest('claude', body);
+    if (!validation.ok) {
+      return res.status(validation.status).json(buildClaudeErrorPayload({ message: validation.message }, validation.status));
+    }
+    if (typeof requestedModel !== 'string' || !requestedModel) {
+      return res.status(400).json(buildClaudeErrorPayload({ message: 'model is required' }, 400));
+    }
+    const model = stripModePrefixes(requestedModel);
+    const resolvedMessages = await resolveClaudeMedia(messages);
+    const parameters = normalizeClaudeParameters(rawParams);
+
+    const { tokens, source } = await countRequestTokens(
+      model,
+      (token) => generateClaudeRequestBody(resolvedMessages, model, parameters, tools, system, token),
+      { loggerPrefix: 'claude.count_tokens ' }
+    );
+    res.setHeader('X-Token-Count-Source', source);
+    res.json({ input_tokens: tokens });
+  } catch (error) {
+    logger.error('Claude token 计数失败:', error.message);
+    const statusCode = error.statusCode || error.status || 400;
+    res.status(statusCode).json(buildClaudeErrorPayload(error, statusCode));
+  }
+};
@@ -0,0 +1,171 @@
+/**
+ * 流式抗截断
+ * 长输出经常被上游截断：达到 maxOutputTokens（finishReason 为 MAX_TOKENS）、中途断连，
+ * 或者模型自己提前结束。这里要求模型在完整回答末尾输出结束标记，流结束时检查标记：
+ * 没有标记就把已输出的内容作为 model 轮次追加到对话中，让模型从断点继续，
+ * 多次请求的文本拼接成一个连续的流写给客户端（结束标记本身不会输出）。
+ */
+
+import { StopSequenceMatcher } from './stop.js';
+import { addUsage } from './structured.js';
+import logger from '../../../utils/logger.js';
+
+// 续写时最多检查的重复前缀长度；模型续写时常会把断点前的几个词再输出一遍
+const OVERLAP_WINDOW = 200;
+// 重复前缀的最小长度，过短的重合（如一个空格、一个标点）视为巧合
+const MIN_OVERLAP = 8;
+
+/**
+ * 在系统提示词末尾追加结束标记约定
+ * @param {Object} request - Gemini 请求（含 contents / systemInstruction）
+ * @param {string} doneMarker
+ */
+function applyDoneMarkerInstruction(request, doneMarker) {
+  const part = {
+    text: `When your response is complete, end it with the exact marker ${doneMarker} on its own. ` +
+      `Never output ${doneMarker} anywhere else, and never output it before the response is finished.`
+  };
+  if (Array.isArray(request.systemInstruction?.parts)) {
+    request.systemInstruction = { ...request.systemInstruction, parts: [...request.systemInstruction.parts, part] };
+  } else {
+    request.systemInstruction = { role: 'user', parts: [part] };
+  }
+}
+
+/**
+ * 构建续写轮次：已输出的内容作为 model 轮次，再要求从断点继续
+ * @param {string} partialText
+ * @param {string} doneMarker
+ * @returns {Array<Object>}
+ */
+function buildContinuationTurns(partialText, doneMarker) {
+  return [
+    { role: 'model', parts: [{ text: partialText }] },
+    {
+      role: 'user',
+      parts: [{
+        text: 'Your previous response was cut off. Continue exactly from where it stopped, ' +
+          'without repeating any earlier text and without any preamble. ' +
+          `End with ${doneMarker} when the response is complete.`
+      }]
+    }
+  ];
+}
+
+/**
+ * 续写开头与已输出内容末尾的重合长度
+ * @param {string} previous - 已输出的文本
+ * @param {string} next - 续写开头
+ * @returns {number}
+ */
+function findOverlap(previous, next) {
+  const max = Math.min(previous.length, next.length, OVERLAP_WINDOW);
+  for (let length = max; length >= MIN_OVERLAP; length--) {
+    if (previous.endsWith(next.slice(0, length))) return length;
+  }
+  return 0;
+}
+
+/**
+ * 带抗截断的流式生成
+ * generate 每次调用对应一次上游流式请求：发送前用 prepare 处理 Gemini 请求（request 字段），
+ * 需返回 { finishReason }（连接中断时抛出错误即可）。
+ * onEvent 收到的事件与上游流式事件相同：文本已去掉结束标记、去掉续写时的重复前缀，
+ * 续写请求的思考内容不会转发（客户端已经收到过第一次的思考），用量为所有请求之和并在最后发出一次。
+ * @param {(prepare: (request: Object) => Object, onEvent: Function) => Promise<{finishReason?: string|null}|void>} generate
+ * @param {Function} onEvent - 事件回调
+ * @param {{maxContinuations: number, doneMarker: string, loggerPrefix?: string, signal?: AbortSignal}} options
+ *   signal 中断后（如命中客户端停止序列）不再续写
+ * @returns {Promise<{continuations: number, finishReason: string|null}>}
+ */
+export async function generateWithAntiTruncation(generate, onEvent, { maxContinuations, doneMarker, loggerPrefix = '', signal = null }) {
+  const marker = new StopSequenceMatcher([doneMarker]);
+  let collected = '';
+  let usage = null;
+  let finishReason = null;
+  let continuations = 0;
+
+  for (let attempt = 0; ; attempt++) {
+    // 返回新对象，不修改原请求（故障转移时会用原请求重建）
+    const continuation = attempt === 0 ? [] : buildContinuationTurns(collected, doneMarker);
+    const prepare = (request) => {
+      const prepared = { ...request, contents: [...(request.contents || []), ...continuation] };
+      applyDoneMarkerInstruction(prepared, doneMarker);
+      return prepared;
+    };
+
+    let received = '';
+    let hasToolCalls = false;
+    // 续写开头先暂存，确认与已输出内容的重合部分后再输出
+    let head = attempt === 0 ? null : '';
+
+    const emitText = (text) => {
+      collected += text;
+      const output = marker.push(text);
+      if (output) onEvent({ type: 'text', content: output });
+    };
+    const releaseHead = () => {
+      if (head === null) return;
+      const text = head.slice(findOverlap(collected, head));
+      head = null;
+      if (text) emitText(text);
+    };
+
+    const handleEvent = (data) => {
+      if (!data) return;
+      if (data.type === 'usage') {
+        usage = addUsage(usage, data.usage);
+        return;
+      }
+      if (data.type === 'reasoning') {
+        if (attempt === 0) onEvent(data);
+        return;
+      }
+      if (data.type === 'tool_calls') {
+        hasToolCalls = true;
+        releaseHead();
+        onEvent(data);
+        return;
+      }
+      if (!data.content || marker.stopped) return;
+      received += data.content;
+      if (head === null) {
+        emitText(data.content);
+        return;
+      }
+      head += data.content;
+      if (head.length >= OVERLAP_WINDOW) releaseHead();
+    };
+
+    let dropped = false;
+    try {
+      const result = await generate(prepare, handleEvent);
+      finishReason = result?.finishReason || null;
+    } catch (error) {
+      // 首次请求还没有输出时按普通错误处理；已有输出时保留已输出的内容
+      if (attempt === 0 && !received) throw error;
+      dropped = true;
+      finishReason = null;
+      logger.warn(`${loggerPrefix}${received ? '上游流中断' : '续写请求失败'}: ${error.message}`);
+    }
+    releaseHead();
+
+    if (marker.stopped || hasToolCalls || signal?.aborted) break;
+    // 安全拦截等原因结束时续写也不会有结果
+    const truncated = dropped || !finishReason || finishReason === 'MAX_TOKENS' || finishReason === 'STOP';
+    if (!truncated) break;
+    if (attempt > 0 && !received) break;
+    if (continuations >= maxContinuations) {
+      logger.warn(`${loggerPrefix}输出仍未完成，已达到最大续写次数 ${maxContinuations}`);
+      break;
+    }
+
+    continuations++;
+    logger.info(`${loggerPrefix}输出被截断（${dropped ? '连接中断' : finishReason || '未返回 finishReason'}），第 ${continuations} 次续写`);
+  }
+
+  const rest = marker.flush();
+  if (rest) onEvent({ type: 'text', content: rest });
+  if (usage) onEvent({ type: 'usage', usage });
+  return { continuations, finishReason: marker.stopped ? 'STOP' : finishReason };
+}
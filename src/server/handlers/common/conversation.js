@@ -0,0 +1,119 @@
+/**
+ * 会话历史拼接工具
+ * 将会话存储中的 Antigravity contents 拼到本轮请求前，并在响应完成后追加 model 轮次
+ * 会话按 API Key 隔离：只能续接和删除同一个 API Key 创建的会话
+ */
+
+import conversationStore from '../../../utils/conversationStore.js';
+import {
+  createThoughtPart,
+  createFunctionCallPart,
+  processToolName,
+  findFunctionNameById
+} from '../../../utils/converters/common.js';
+
+// X-Conversation-Id 取该值时新建会话
+const NEW_CONVERSATION = 'new';
+
+/**
+ * 会话所有者：请求使用的 API Key ID，主密钥或未启用鉴权时为 null
+ * @param {Request} req
+ * @returns {string|null}
+ */
+export function getConversationOwner(req) {
+  return req.apiKey?.id ?? null;
+}
+
+/**
+ * 解析请求头 X-Conversation-Id
+ * new 表示新建会话，生成的 ID 通过响应头 X-Conversation-Id 返回；其他值必须是当前 API Key 已有的会话
+ * @param {Request} req
+ * @param {Response} res
+ * @returns {Promise<{id: string|null, error?: {status: number, message: string}}>}
+ */
+export async function resolveConversationId(req, res) {
+  const header = req.get('x-conversation-id');
+  if (!header) return { id: null };
+  if (header === NEW_CONVERSATION) {
+    const id = conversationStore.createId();
+    res.set('X-Conversation-Id', id);
+    return { id };
+  }
+  if (!conversationStore.isValidId(header)) {
+    return { id: null, error: { status: 400, message: 'invalid X-Conversation-Id' } };
+  }
+  if (!(await conversationStore.get(header, getConversationOwner(req)))) {
+    return { id: null, error: { status: 404, message: `Conversation with id '${header}' not found.` } };
+  }
+  return { id: header };
+}
+
+/**
+ * 读取会话历史并拼接到请求体 contents 前
+ * @param {Object} requestBody - Antigravity 请求体
+ * @param {string} conversationId - 会话 ID
+ * @param {string|null} owner - 请求方的 API Key ID
+ * @returns {Promise<boolean>} 会话是否存在
+ */
+export async function applyConversationHistory(requestBody, conversationId, owner) {
+  const record = await conversationStore.get(conversationId, owner);
+  if (!record) return false;
+
+  const contents = [...record.contents, ...requestBody.request.contents];
+  // 本轮的 functionResponse 可能引用上一轮的 functionCall，转换时查不到函数名，这里补齐
+  for (const content of requestBody.request.contents) {
+    if (content.role !== 'user') continue;
+    for (const part of content.parts) {
+      if (part.functionResponse && !part.functionResponse.name) {
+        part.functionResponse.name = findFunctionNameById(part.functionResponse.id, record.contents);
+      }
+    }
+  }
+  requestBody.request.contents = contents;
+  return true;
+}
+
+/**
+ * 将本轮响应结果还原为 Antigravity model 消息
+ * @param {Object} requestBody - Antigravity 请求体
+ * @param {{content?: string, reasoningContent?: string, reasoningSignature?: string|null, toolCalls?: Array}} result
+ * @returns {Object|null}
+ */
+function buildModelContent(requestBody, { content, reasoningContent, reasoningSignature, toolCalls }) {
+  const parts = [];
+  // 无签名时不创建 thought part（上游会拒绝无签名的思维块）
+  if (reasoningSignature) {
+    parts.push(createThoughtPart(reasoningContent, reasoningSignature));
+  }
+  if (content) {
+    parts.push({ text: content });
+  }
+  for (const toolCall of toolCalls || []) {
+    let args;
+    try {
+      args = JSON.parse(toolCall.function.arguments || '{}');
+    } catch {
+      args = toolCall.function.arguments;
+    }
+    // 工具名需要与上游看到的（sanitize 后的）名称一致
+    const safeName = processToolName(toolCall.function.name, requestBody.request.sessionId, requestBody.model);
+    parts.push(createFunctionCallPart(toolCall.id, safeName, args, toolCall.thoughtSignature));
+  }
+  return parts.length > 0 ? { role: 'model', parts } : null;
+}
+
+/**
+ * 保存本轮完整历史（请求 contents + model 响应）
+ * @param {string} conversationId - 会话 ID
+ * @param {Object} requestBody - Antigravity 请求体（已拼接历史）
+ * @param {Object} result - 本轮响应结果
+ * @param {string|null} owner - 请求方的 API Key ID
+ * @returns {Promise<void>}
+ */
+export async function saveConversationTurn(conversationId, requestBody, result, owner) {
+  const modelContent = buildModelContent(requestBody, result);
+  const contents = modelContent
+    ? [...requestBody.request.contents, modelContent]
+    : requestBody.request.contents;
+  await conversationStore.save(conversationId, { owner, model: requestBody.model, contents });
+}
@@ -0,0 +1,68 @@
+/**
+ * 输入 token 计数（/v1/messages/count_tokens、/v1beta/models/{model}:countTokens）
+ * 请求先按正常生成请求转换，再调用上游 countTokens；没有可用账号、上游不支持该模型或请求失败时改用本地估算
+ */
+
+import { countTokens } from '../../../api/client.js';
+import tokenManager from '../../../auth/token_manager.js';
+import { estimateRequestTokens } from '../../../utils/tokenEstimator.js';
+import logger from '../../../utils/logger.js';
+
+// 上游 countTokens 明确不支持的模型（404 / 501），之后直接本地估算，避免每次多一次失败请求
+const unsupportedModels = new Set();
+
+/**
+ * 将系统提示词和工具声明合并进 contents（上游 countTokens 只接受 contents）
+ * @param {Object} request - 转换后的上游请求
+ * @returns {Array<Object>}
+ */
+function toCountContents(request) {
+  const contents = [];
+  const systemParts = request.systemInstruction?.parts || [];
+  if (systemParts.length > 0) {
+    contents.push({ role: 'user', parts: systemParts });
+  }
+  const declarations = (request.tools || []).flatMap(tool => tool?.functionDeclarations || []);
+  if (declarations.length > 0) {
+    contents.push({ role: 'user', parts: [{ text: JSON.stringify(declarations) }] });
+  }
+  return [...contents, ...(request.contents || [])];
+}
+
+/**
+ * 统计请求的输入 token 数
+ * @param {string} model - 实际模型名
+ * @param {(token: Object) => Object|Promise<Object>} buildBody - 构建上游请求体，同故障转移的 buildBody
+ * @param {{loggerPrefix?: string}} [options]
+ * @returns {Promise<{tokens: number, source: 'upstream'|'estimate'}>}
+ */
+export async function countRequestTokens(model, buildBody, { loggerPrefix = '' } = {}) {
+  let token = null;
+  if (!unsupportedModels.has(model)) {
+    try {
+      token = await tokenManager.getToken(model);
+    } catch (error) {
+      // 额度耗尽等情况不影响计数
+      logger.debug(`${loggerPrefix}获取账号失败，使用本地估算: ${error.message}`);
+    }
+  }
+
+  // 没有账号时 sessionId / projectId 为空，不影响 contents 的转换
+  const requestBody = await buildBody(token || {});
+  const { request } = requestBody;
+
+  if (token) {
+    try {
+      return { tokens: await countTokens(requestBody.model, toCountContents(request), token), source: 'upstream' };
+    } catch (error) {
+      const status = error.statusCode || error.status;
+      if (status === 404 || status === 501) {
+        unsupportedModels.add(model);
+        logger.info(`${loggerPrefix}上游不支持 ${model} 的 countTokens，之后使用本地估算`);
+      } else {
+        logger.warn(`${loggerPrefix}上游 countTokens 失败，使用本地估算: ${error.message}`);
+      }
+    }
+  }
+  return { tokens: estimateRequestTokens(request, { model: requestBody.model }), source: 'estimate' };
+}
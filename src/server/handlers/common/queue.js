@@ -0,0 +1,48 @@
+/**
+ * 请求排队工具：处理器通过队列获取账号，并在响应结束时释放并发占用
+ */
+
+import requestQueue from '../../../auth/request_queue.js';
+
+/**
+ * 排队获取账号，写入排队位置/等待时间响应头和 res.locals.token
+ * @param {Request} req - Express请求对象（按 req.apiKey.priority 排队）
+ * @param {Response} res - Express响应对象
+ * @param {string} model - 请求的模型 ID
+ * @returns {Promise<Object|null>} token 对象，没有可用账号时返回 null
+ */
+export async function acquireToken(req, res, model) {
+  // 排队期间客户端断开时取消等待
+  const controller = new AbortController();
+  const onClose = () => controller.abort();
+  res.once('close', onClose);
+
+  let lease;
+  try {
+    lease = await requestQueue.acquire(model, { priority: req.apiKey?.priority, signal: controller.signal });
+  } finally {
+    res.off('close', onClose);
+  }
+  if (!lease) return null;
+
+  if (res.writableEnded || res.destroyed) {
+    lease.release();
+  } else {
+    res.once('close', lease.release);
+  }
+  res.locals.queueLease = lease;
+  res.locals.token = lease.token;
+  res.setHeader('X-Queue-Position', String(lease.position));
+  res.setHeader('X-Queue-Wait-Ms', String(lease.waitMs));
+  return lease.token;
+}
+
+/**
+ * 故障转移换号：同步更新 res.locals.token 和并发占用
+ * @param {Response} res - Express响应对象
+ * @param {Object} token - 新账号
+ */
+export function switchToken(res, token) {
+  res.locals.token = token;
+  res.locals.queueLease?.switchTo(token);
+}
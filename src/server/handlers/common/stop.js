@@ -0,0 +1,110 @@
+/**
+ * 客户端停止序列检测
+ * 上游按 stopSequences 停止时会去掉序列本身，也不返回命中的是哪一个，所以 OpenAI / Claude 端点不把客户端停止序列
+ * 发送给上游（见 resolveStopSequences 的 matchLocally）。这里在输出文本中查找客户端停止序列：
+ * 命中时截断文本、丢弃后续输出，并记录命中的序列，供 finish_reason / stop_reason / stop_sequence 使用；
+ * 处理器随即中断上游请求（generateAssistantResponse 的 signal），不再等待上游生成结束。
+ */
+export class StopSequenceMatcher {
+  /**
+   * @param {string[]|undefined} stopSequences - 规范化后的客户端停止序列
+   */
+  constructor(stopSequences) {
+    this.sequences = stopSequences || [];
+    this.maxLength = this.sequences.reduce((max, item) => Math.max(max, item.length), 0);
+    // 可能是停止序列开头的文本尾部，等下一段文本到达后再决定是否输出
+    this.pending = '';
+    /** @type {string|null} 命中的停止序列 */
+    this.matched = null;
+  }
+
+  get enabled() {
+    return this.sequences.length > 0;
+  }
+
+  get stopped() {
+    return this.matched !== null;
+  }
+
+  /**
+   * 查找最早出现的停止序列（同一位置取最长的）
+   * @private
+   */
+  _find(text) {
+    let hit = null;
+    for (const sequence of this.sequences) {
+      const index = text.indexOf(sequence);
+      if (index === -1) continue;
+      if (!hit || index < hit.index || (index === hit.index && sequence.length > hit.sequence.length)) {
+        hit = { index, sequence };
+      }
+    }
+    return hit;
+  }
+
+  /**
+   * 文本末尾可能构成停止序列前缀的长度
+   * @private
+   */
+  _partialLength(text) {
+    for (let length = Math.min(this.maxLength - 1, text.length); length > 0; length--) {
+      const suffix = text.slice(text.length - length);
+      if (this.sequences.some(sequence => sequence.startsWith(suffix))) return length;
+    }
+    return 0;
+  }
+
+  /**
+   * 处理一段流式文本
+   * @param {string} text
+   * @returns {string} 可以立即输出的文本
+   */
+  push(text) {
+    if (!this.enabled) return text;
+    if (this.stopped || !text) return '';
+
+    const buffer = this.pending + text;
+    const hit = this._find(buffer);
+    if (hit) {
+      this.matched = hit.sequence;
+      this.pending = '';
+      return buffer.slice(0, hit.index);
+    }
+    const keep = this._partialLength(buffer);
+    this.pending = buffer.slice(buffer.length - keep);
+    return buffer.slice(0, buffer.length - keep);
+  }
+
+  /**
+   * 流结束时取出暂存的文本
+   * @returns {string}
+   */
+  flush() {
+    const rest = this.pending;
+    this.pending = '';
+    return rest;
+  }
+
+  /**
+   * 截断完整文本（非流式）
+   * @param {string} text
+   * @returns {string}
+   */
+  truncate(text) {
+    if (!this.enabled || !text) return text;
+    const hit = this._find(text);
+    if (!hit) return text;
+    this.matched = hit.sequence;
+    return text.slice(0, hit.index);
+  }
+
+  /**
+   * Claude 格式的 stop_reason
+   * @param {boolean} hasToolCalls - 是否返回了工具调用
+   * @returns {'stop_sequence'|'tool_use'|'end_turn'}
+   */
+  claudeStopReason(hasToolCalls) {
+    if (this.stopped) return 'stop_sequence';
+    return hasToolCalls ? 'tool_use' : 'end_turn';
+  }
+}
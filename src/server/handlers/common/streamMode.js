@@ -0,0 +1,167 @@
+/**
+ * 响应模式选择与上游流式生成
+ * 每个请求可以通过模型名前缀或 X-Stream-Mode 请求头选择：
+ * - 假流式：流式请求改用非流式获取完整结果，等待期间只发送心跳，最后一次性输出
+ * - 假非流：非流式请求改用流式获取数据后组装为非流式响应（未指定时沿用 config.fakeNonStream）
+ * - 流式抗截断：输出被截断时自动续写，多次请求拼接为一个完整回复
+ * 客户端停止序列在本地匹配（见 stop.js），命中后中断上游请求，不再等待上游生成结束
+ */
+
+import { generateAssistantResponse } from '../../../api/client.js';
+import config from '../../../config/config.js';
+import { withFailover } from '../../stream.js';
+import { generateWithAntiTruncation } from './antiTruncation.js';
+import { StopSequenceMatcher } from './stop.js';
+
+// 模型名前缀（与 Gemini CLI 端点一致），可叠加，如 "流式抗截断/假非流/gemini-2.5-pro"
+const MODE_PREFIXES = {
+  '假流式/': 'fakeStream',
+  '假非流/': 'fakeNonStream',
+  '流式抗截断/': 'antiTruncation'
+};
+
+// X-Stream-Mode 请求头取值（逗号分隔）
+const MODE_HEADER_VALUES = {
+  'fake-stream': { fakeStream: true },
+  'fake-non-stream': { fakeNonStream: true },
+  'native': { fakeStream: false, fakeNonStream: false },
+  'anti-truncation': { antiTruncation: true }
+};
+
+/**
+ * 去掉模型名中的响应模式前缀
+ * @param {string} model
+ * @returns {{model: string, modes: Object}}
+ */
+function splitModePrefixes(model) {
+  const modes = {};
+  let rest = model;
+  for (let matched = true; matched;) {
+    matched = false;
+    for (const [prefix, mode] of Object.entries(MODE_PREFIXES)) {
+      if (rest.startsWith(prefix)) {
+        modes[mode] = true;
+        rest = rest.slice(prefix.length);
+        matched = true;
+      }
+    }
+  }
+  return { model: rest, modes };
+}
+
+/**
+ * 去掉模型名中的响应模式前缀（用于 API Key 模型白名单、用量统计等）
+ * @param {string} model
+ * @returns {string}
+ */
+export function stripModePrefixes(model) {
+  return typeof model === 'string' ? splitModePrefixes(model).model : model;
+}
+
+/**
+ * 解析请求的响应模式
+ * 请求头优先于模型名前缀；native 表示关闭假流式和假非流
+ * @param {Request} req - Express请求对象
+ * @param {string} requestedModel - 请求中的模型名（可能带前缀）
+ * @returns {{model: string, fakeStream: boolean, fakeNonStream: boolean, antiTruncation: boolean}}
+ */
+export function resolveStreamMode(req, requestedModel) {
+  const { model, modes } = splitModePrefixes(requestedModel);
+  const mode = { fakeStream: false, fakeNonStream: config.fakeNonStream, antiTruncation: false, ...modes };
+
+  const header = req.get('x-stream-mode');
+  if (header) {
+    for (const value of header.split(',').map(item => item.trim().toLowerCase()).filter(Boolean)) {
+      Object.assign(mode, MODE_HEADER_VALUES[value]);
+    }
+  }
+  return { model, ...mode };
+}
+
+/**
+ * 流式调用上游，已向客户端输出内容后不再切换账号；开启抗截断时自动续写
+ * @param {{token: Object, requestBody: Object}} plan - 同 withFailover
+ * @param {Function} onEvent - 上游流式事件回调（抗截断时文本已去掉结束标记，用量在最后发出一次）
+ * @param {Object} options - withFailover 选项（含 loggerPrefix），另可传入 signal：
+ *   中断时结束上游请求并正常返回（已中断时不再续写）
+ * @param {{antiTruncation?: boolean}} mode - resolveStreamMode 的返回值
+ * @returns {Promise<void>}
+ */
+export async function streamAssistantResponse(plan, onEvent, { signal = null, ...options }, { antiTruncation = false } = {}) {
+  const generate = (prepare, handleEvent) => {
+    let outputStarted = false;
+    return withFailover(
+      plan,
+      ({ requestBody, token }) => generateAssistantResponse(
+        prepare ? { ...requestBody, request: prepare(requestBody.request) } : requestBody,
+        token,
+        (data) => {
+          if (data.type !== 'usage') outputStarted = true;
+          handleEvent(data);
+        },
+        { signal }
+      ),
+      { ...options, canFailover: () => !outputStarted }
+    );
+  };
+
+  if (!antiTruncation) {
+    await generate(null, onEvent);
+    return;
+  }
+  await generateWithAntiTruncation(generate, onEvent, {
+    ...config.antiTruncation,
+    loggerPrefix: options.loggerPrefix,
+    signal
+  });
+}
+
+/**
+ * 流式调用上游并收集为完整结果（假非流、开启抗截断时的非流式和假流式）
+ * 未开启抗截断时换号重试会丢弃上一次的部分结果
+ * 传入 stopSequences 时，输出中出现客户端停止序列后立即中断上游（结果仍包含停止序列，由处理器截断）
+ * @param {{token: Object, requestBody: Object}} plan - 同 withFailover
+ * @param {Object} options - withFailover 选项（含 loggerPrefix），另可传入 stopSequences
+ * @param {{antiTruncation?: boolean}} mode - resolveStreamMode 的返回值
+ * @returns {Promise<{content: string, reasoningContent: string, reasoningSignature: string|null, toolCalls: Array, usage: Object|null}>}
+ */
+export async function collectAssistantResponse(plan, { stopSequences = null, ...options }, { antiTruncation = false } = {}) {
+  const controller = new AbortController();
+  let result;
+  let stopMatcher;
+  const reset = () => {
+    result = { content: '', reasoningContent: '', reasoningSignature: null, toolCalls: [], usage: null };
+    stopMatcher = new StopSequenceMatcher(stopSequences);
+  };
+  const collect = (data) => {
+    if (data.type === 'usage') {
+      result.usage = data.usage;
+    } else if (data.type === 'reasoning') {
+      result.reasoningContent += data.reasoning_content || '';
+      if (data.thoughtSignature) result.reasoningSignature = data.thoughtSignature;
+    } else if (data.type === 'tool_calls') {
+      result.toolCalls.push(...data.tool_calls);
+    } else if (data.type === 'text') {
+      result.content += data.content || '';
+      if (stopMatcher.enabled && !stopMatcher.stopped) {
+        stopMatcher.push(data.content || '');
+        if (stopMatcher.stopped) controller.abort();
+      }
+    }
+  };
+
+  reset();
+  if (antiTruncation) {
+    await streamAssistantResponse(plan, collect, { ...options, signal: controller.signal }, { antiTruncation });
+  } else {
+    await withFailover(
+      plan,
+      ({ requestBody, token }) => {
+        reset();
+        return generateAssistantResponse(requestBody, token, collect, { signal: controller.signal });
+      },
+      options
+    );
+  }
+  return result;
+}
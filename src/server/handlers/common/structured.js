@@ -0,0 +1,133 @@
+/**
+ * 结构化输出模拟
+ * Gemini 模型通过 responseSchema 原生约束输出；Claude 等其他模型不支持，
+ * 这里把 schema 写入系统提示词，校验回复，不符合时把错误反馈给模型重新生成
+ */
+
+import { generateAssistantResponseNoStream } from '../../../api/client.js';
+import { modelMapping } from '../../../utils/utils.js';
+import { supportsResponseSchema, getResponseFormatSchema } from '../../../utils/parameterNormalizer.js';
+import { validateJsonSchema, parseJsonReply } from '../../../utils/jsonSchema.js';
+import { AppError } from '../../../utils/errors.js';
+import { STRUCTURED_OUTPUT_MAX_RETRIES } from '../../../constants/index.js';
+import logger from '../../../utils/logger.js';
+import { withFailover } from '../../stream.js';
+
+/**
+ * 获取需要模拟的结构化输出 schema（上游原生支持时返回 null）
+ * @param {string} model - 请求的模型名
+ * @param {{responseFormat?: Object, generationConfig?: Object}} source - OpenAI response_format 或 Gemini generationConfig
+ * @returns {{name: string, schema: Object}|null}
+ */
+export function getEmulatedSchema(model, { responseFormat, generationConfig } = {}) {
+  if (supportsResponseSchema(modelMapping(model))) return null;
+  const formatSchema = getResponseFormatSchema(responseFormat);
+  if (formatSchema) return formatSchema;
+  const nativeSchema = generationConfig?.responseJsonSchema || generationConfig?.responseSchema;
+  if (nativeSchema && typeof nativeSchema === 'object') {
+    return { name: 'response', schema: nativeSchema };
+  }
+  return null;
+}
+
+/**
+ * 在系统提示词末尾追加 schema 约束
+ * @param {Object} requestBody - Antigravity 请求体
+ * @param {Object} schema
+ */
+function applySchemaInstruction(requestBody, schema) {
+  const part = {
+    text: 'Respond with a single JSON value that conforms to the JSON Schema below. ' +
+      'Output only the JSON itself, with no code fences, comments or extra text.\n\n' +
+      `JSON Schema:\n${JSON.stringify(schema)}`
+  };
+  const request = requestBody.request;
+  if (Array.isArray(request.systemInstruction?.parts)) {
+    request.systemInstruction.parts.push(part);
+  } else {
+    request.systemInstruction = { role: 'user', parts: [part] };
+  }
+}
+
+/**
+ * 累加多次请求的用量
+ * @param {Object|null} total
+ * @param {Object|null} usage
+ * @returns {Object|null}
+ */
+export function addUsage(total, usage) {
+  if (!usage) return total;
+  if (!total) return usage;
+  return {
+    prompt_tokens: (total.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+    completion_tokens: (total.completion_tokens || 0) + (usage.completion_tokens || 0),
+    total_tokens: (total.total_tokens || 0) + (usage.total_tokens || 0),
+    completion_tokens_details: {
+      reasoning_tokens: (total.completion_tokens_details?.reasoning_tokens || 0) +
+        (usage.completion_tokens_details?.reasoning_tokens || 0)
+    }
+  };
+}
+
+/**
+ * 非流式生成并校验结构化输出，不符合 schema 时带上错误信息重新请求
+ * 用量为所有尝试之和；重试次数用尽仍不符合时抛出 502
+ * @param {{token: Object, requestBody: Object}} plan - 同 withFailover
+ * @param {{name: string, schema: Object}} target - getEmulatedSchema 的返回值
+ * @param {Object} options - withFailover 选项（需要包含 buildBody）
+ * @returns {Promise<{content: string, reasoningContent: string, reasoningSignature: string|null, toolCalls: Array, usage: Object|null}>}
+ */
+export async function generateStructuredOutput(plan, { schema }, options) {
+  // 重新请求时追加的对话轮次；故障转移重建请求体时需要一并带上
+  const extraContents = [];
+  const prepare = (requestBody) => {
+    if (requestBody) {
+      applySchemaInstruction(requestBody, schema);
+      requestBody.request.contents.push(...extraContents);
+    }
+    return requestBody;
+  };
+  const failoverOptions = {
+    ...options,
+    buildBody: async (token) => prepare(await options.buildBody(token))
+  };
+  prepare(plan.requestBody);
+
+  let usage = null;
+  for (let attempt = 0; ; attempt++) {
+    const result = await withFailover(
+      plan,
+      ({ requestBody, token }) => generateAssistantResponseNoStream(requestBody, token),
+      failoverOptions
+    );
+    usage = addUsage(usage, result.usage);
+
+    // 模型选择调用工具时不做校验
+    if (result.toolCalls?.length > 0) {
+      return { ...result, usage };
+    }
+
+    const parsed = parseJsonReply(result.content);
+    const errors = parsed.ok ? validateJsonSchema(parsed.value, schema) : [parsed.error];
+    if (errors.length === 0) {
+      return { ...result, content: parsed.text, usage };
+    }
+    if (attempt >= STRUCTURED_OUTPUT_MAX_RETRIES) {
+      throw new AppError(`模型输出不符合 JSON Schema（已重试 ${attempt} 次）: ${errors.join('; ')}`, 502, 'upstream_api_error');
+    }
+
+    logger.warn(`${options.loggerPrefix || ''}模型输出不符合 JSON Schema，第 ${attempt + 1} 次重新请求: ${errors[0]}`);
+    const turns = [
+      { role: 'model', parts: [{ text: result.content || ' ' }] },
+      {
+        role: 'user',
+        parts: [{
+          text: `Your previous reply does not conform to the required JSON Schema:\n- ${errors.join('\n- ')}\n` +
+            'Reply again with only the corrected JSON.'
+        }]
+      }
+    ];
+    extraContents.push(...turns);
+    plan.requestBody.request.contents.push(...turns);
+  }
+}
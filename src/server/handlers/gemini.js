@@ -3,21 +3,24 @@
  * 处理 /v1beta/models/* 请求，支持流式和非流式响应
  */
 
-import { generateAssistantResponse, generateAssistantResponseNoStream, getAvailableModels } from '../../api/client.js';
+import { generateAssistantResponseNoStream, getAvailableModels } from '../../api/client.js';
 import { generateGeminiRequestBody, prepareImageRequest } from '../../utils/utils.js';
-import { buildGeminiErrorPayload } from '../../utils/errors.js';
+import { buildGeminiErrorPayload, setRetryAfterHeader } from '../../utils/errors.js';
 import logger from '../../utils/logger.js';
 import config from '../../config/config.js';
-import tokenManager from '../../auth/token_manager.js';
 import { createGeminiResponse } from '../formatters/gemini.js';
 import { validateIncomingChatRequest } from '../validators/chat.js';
 import { getSafeRetries } from './common/retry.js';
+import { acquireToken, switchToken } from './common/queue.js';
+import { getEmulatedSchema, generateStructuredOutput } from './common/structured.js';
+import { resolveStreamMode, stripModePrefixes, streamAssistantResponse, collectAssistantResponse } from './common/streamMode.js';
+import { countRequestTokens } from './common/countTokens.js';
 import {
   setStreamHeaders,
   createHeartbeat,
   writeStreamData,
   endStream,
-  with429Retry
+  withFailover
 } from '../stream.js';
 
 /**
@@ -95,44 +98,68 @@ export const handleGeminiModelDetail = async (req, res) => {
  * 处理 Gemini 格式的聊天请求
  * @param {Request} req - Express请求对象
  * @param {Response} res - Express响应对象
- * @param {string} modelName - 模型名称
+ * @param {string} requestedModel - 模型名称（可能带响应模式前缀）
  * @param {boolean} isStream - 是否流式响应
  */
-export const handleGeminiRequest = async (req, res, modelName, isStream) => {
-  const safeRetries = getSafeRetries(config.retryTimes);
-
+export const handleGeminiRequest = async (req, res, requestedModel, isStream) => {
   try {
     const body = req.body || {};
     const validation = validateIncomingChatRequest('gemini', body);
     if (!validation.ok) {
       return res.status(validation.status).json(buildGeminiErrorPayload({ message: validation.message }, validation.status));
     }
+    // 模型名前缀 / X-Stream-Mode 选择假流式、假非流和抗截断
+    const mode = resolveStreamMode(req, requestedModel);
+    const modelName = mode.model;
 
-    const token = await tokenManager.getToken();
+    const token = await acquireToken(req, res, modelName);
     if (!token) {
       throw new Error('没有可用的token，请运行 npm run login 获取token');
     }
 
     const isImageModel = modelName.includes('-image');
-    const requestBody = generateGeminiRequestBody(body, modelName, token);
-
-    if (isImageModel) {
-      prepareImageRequest(requestBody);
-    }
+    // 故障转移切换账号时需要用新账号的 projectId/sessionId 重建请求体
+    const buildBody = (currentToken) => {
+      const requestBody = generateGeminiRequestBody(body, modelName, currentToken);
+      if (isImageModel) {
+        prepareImageRequest(requestBody);
+      }
+      return requestBody;
+    };
+    const plan = { token, requestBody: buildBody(token) };
+    const failoverOptions = {
+      model: modelName,
+      buildBody,
+      maxRetries: getSafeRetries(config.retryTimes),
+      onSwitch: (nextToken) => switchToken(res, nextToken)
+    };
+    // 上游不支持 responseSchema 的模型：校验完整回复并在不符合时重试
+    const structured = getEmulatedSchema(modelName, { generationConfig: body.generationConfig });
+    // 生图模型、结构化输出模拟和假流式需要拿到完整回复后再返回；抗截断需要流式获取以便续写
+    const generateComplete = (loggerPrefix) => {
+      if (structured) return generateStructuredOutput(plan, structured, { ...failoverOptions, loggerPrefix });
+      if (mode.antiTruncation && !isImageModel) return collectAssistantResponse(plan, { ...failoverOptions, loggerPrefix }, mode);
+      return withFailover(
+        plan,
+        ({ requestBody, token }) => generateAssistantResponseNoStream(requestBody, token),
+        { ...failoverOptions, loggerPrefix }
+      );
+    };
 
     if (isStream) {
       setStreamHeaders(res);
       const heartbeatTimer = createHeartbeat(res);
 
       try {
-        if (isImageModel) {
-          // 生图模型：使用非流式获取结果后一次性返回
-          const { content, usage, reasoningSignature } = await with429Retry(
-            () => generateAssistantResponseNoStream(requestBody, token),
-            safeRetries,
-            'gemini.stream.image '
+        if (isImageModel || structured || mode.fakeStream) {
+          // 生图模型、结构化输出模拟、假流式：使用非流式获取结果后一次性返回
+          const { content, reasoningContent, usage, reasoningSignature, toolCalls } = await generateComplete(
+            isImageModel ? 'gemini.stream.image ' : (structured ? 'gemini.stream.structured ' : 'gemini.fake_stream ')
           );
-          const chunk = createGeminiResponse(content, null, reasoningSignature, null, 'STOP', usage, { passSignatureToClient: config.passSignatureToClient });
+          res.locals.usage = usage;
+          const chunk = isImageModel
+            ? createGeminiResponse(content, null, reasoningSignature, null, 'STOP', usage, { passSignatureToClient: config.passSignatureToClient })
+            : createGeminiResponse(content, reasoningContent || null, reasoningSignature, toolCalls, 'STOP', usage, { passSignatureToClient: config.passSignatureToClient });
           writeStreamData(res, chunk);
           clearInterval(heartbeatTimer);
           endStream(res, false);
@@ -142,8 +169,9 @@ export const handleGeminiRequest = async (req, res, modelName, isStream) => {
         let usageData = null;
         let hasToolCall = false;
 
-        await with429Retry(
-          () => generateAssistantResponse(requestBody, token, (data) => {
+        await streamAssistantResponse(
+          plan,
+          (data) => {
             if (data.type === 'usage') {
               usageData = data.usage;
             } else if (data.type === 'reasoning') {
@@ -160,10 +188,11 @@ export const handleGeminiRequest = async (req, res, modelName, isStream) => {
               const chunk = createGeminiResponse(data.content, null, null, null, null, null, { passSignatureToClient: config.passSignatureToClient });
               writeStreamData(res, chunk);
             }
-          }),
-          safeRetries,
-          'gemini.stream '
+          },
+          { ...failoverOptions, loggerPrefix: 'gemini.stream ' },
+          mode
         );
+        res.locals.usage = usageData;
 
         // 发送结束块和 usage
         const finishReason = hasToolCall ? "STOP" : "STOP"; // Gemini 工具调用也是 STOP
@@ -174,6 +203,7 @@ export const handleGeminiRequest = async (req, res, modelName, isStream) => {
         endStream(res, false);
       } catch (error) {
         clearInterval(heartbeatTimer);
+        res.locals.upstreamStatus = error.statusCode || error.status || 500;
         if (!res.writableEnded) {
           const statusCode = error.statusCode || error.status || 500;
           writeStreamData(res, buildGeminiErrorPayload(error, statusCode));
@@ -182,36 +212,18 @@ export const handleGeminiRequest = async (req, res, modelName, isStream) => {
         logger.error('Gemini 流式请求失败:', error.message);
         return;
       }
-    } else if (config.fakeNonStream && !isImageModel) {
+    } else if (mode.fakeNonStream && !isImageModel && !structured) {
       // 假非流模式：使用流式API获取数据，组装成非流式响应
       req.setTimeout(0);
       res.setTimeout(0);
 
-      let content = '';
-      let reasoningContent = '';
-      let reasoningSignature = null;
-      const toolCalls = [];
-      let usageData = null;
-
       try {
-        await with429Retry(
-          () => generateAssistantResponse(requestBody, token, (data) => {
-            if (data.type === 'usage') {
-              usageData = data.usage;
-            } else if (data.type === 'reasoning') {
-              reasoningContent += data.reasoning_content || '';
-              if (data.thoughtSignature) {
-                reasoningSignature = data.thoughtSignature;
-              }
-            } else if (data.type === 'tool_calls') {
-              toolCalls.push(...data.tool_calls);
-            } else if (data.type === 'text') {
-              content += data.content || '';
-            }
-          }),
-          safeRetries,
-          'gemini.fake_no_stream '
+        const { content, reasoningContent, reasoningSignature, toolCalls, usage: usageData } = await collectAssistantResponse(
+          plan,
+          { ...failoverOptions, loggerPrefix: 'gemini.fake_no_stream ' },
+          mode
         );
+        res.locals.usage = usageData;
 
         const finishReason = "STOP";
         const response = createGeminiResponse(content, reasoningContent || null, reasoningSignature, toolCalls, finishReason, usageData, { passSignatureToClient: config.passSignatureToClient });
@@ -219,6 +231,7 @@ export const handleGeminiRequest = async (req, res, modelName, isStream) => {
       } catch (error) {
         logger.error('Gemini 假非流请求失败:', error.message);
         if (res.headersSent) return;
+        setRetryAfterHeader(res, error);
         const statusCode = error.statusCode || error.status || 500;
         res.status(statusCode).json(buildGeminiErrorPayload(error, statusCode));
       }
@@ -227,11 +240,8 @@ export const handleGeminiRequest = async (req, res, modelName, isStream) => {
       req.setTimeout(0);
       res.setTimeout(0);
 
-      const { content, reasoningContent, reasoningSignature, toolCalls, usage } = await with429Retry(
-        () => generateAssistantResponseNoStream(requestBody, token),
-        safeRetries,
-        'gemini.no_stream '
-      );
+      const { content, reasoningContent, reasoningSignature, toolCalls, usage } = await generateComplete('gemini.no_stream ');
+      res.locals.usage = usage;
 
       const finishReason = toolCalls.length > 0 ? "STOP" : "STOP";
       const response = createGeminiResponse(content, reasoningContent, reasoningSignature, toolCalls, finishReason, usage, { passSignatureToClient: config.passSignatureToClient });
@@ -240,7 +250,38 @@ export const handleGeminiRequest = async (req, res, modelName, isStream) => {
   } catch (error) {
     logger.error('Gemini 请求失败:', error.message);
     if (res.headersSent) return;
+    setRetryAfterHeader(res, error);
     const statusCode = error.statusCode || error.status || 500;
     res.status(statusCode).json(buildGeminiErrorPayload(error, statusCode));
   }
 };
+
+/**
+ * 处理 Gemini 格式的 token 计数请求（/v1beta/models/{model}:countTokens）
+ * 请求体为 { contents } 或 { generateContentRequest }，后者可以带系统提示词和工具声明
+ * @param {Request} req - Express请求对象
+ * @param {Response} res - Express响应对象
+ * @param {string} requestedModel - 路径中的模型名（可能带响应模式前缀）
+ */
+export const handleGeminiCountTokens = async (req, res, requestedModel) => {
+  try {
+    const body = req.body?.generateContentRequest || req.body || {};
+    const validation = validateIncomingChatRequest('gemini', body);
+    if (!validation.ok) {
+      return res.status(validation.status).json(buildGeminiErrorPayload({ message: validation.message }, validation.status));
+    }
+    const modelName = stripModePrefixes(requestedModel);
+
+    const { tokens, source } = await countRequestTokens(
+      modelName,
+      (token) => generateGeminiRequestBody(body, modelName, token),
+      { loggerPrefix: 'gemini.count_tokens ' }
+    );
+    res.setHeader('X-Token-Count-Source', source);
+    res.json({ totalTokens: tokens });
+  } catch (error) {
+    logger.error('Gemini token 计数失败:', error.message);
+    const statusCode = error.statusCode || error.status || 400;
+    res.status(statusCode).json(buildGeminiErrorPayload(error, statusCode));
+  }
+};
@@ -33,6 +33,7 @@ import {
 import { setSignature, getSignature, shouldCacheSignature, isImageModel } from '../../utils/thoughtSignatureCache.js';
 import { getSafeRetries } from './common/retry.js';
 import { disableTimeouts } from './common/timeouts.js';
+import { generateWithAntiTruncation } from './common/antiTruncation.js';
 
 /**
  * 处理 Gemini CLI 格式的聊天请求（支持 OpenAI/Gemini/Claude 格式）
@@ -82,13 +83,27 @@ export const handleGeminiCliRequest = async (req, res, forceFormat = null) => {
           responseModel
         });
 
-        await with429Retry(
-          () => generateStreamResponse(geminiRequest, token, actualModel, (data) => writer.onEvent(data)),
+        const generate = (request, onEvent) => with429Retry(
+          () => generateStreamResponse(request, token, actualModel, onEvent),
           safeRetries,
           '[GeminiCLI] chat.stream ',
           () => recordRequest(token)
         );
 
+        if (features.antiTruncation) {
+          // 流式抗截断：输出被截断时自动续写，拼接为一个连续的流
+          await generateWithAntiTruncation(
+            (prepare, onEvent) => generate(prepare(geminiRequest), onEvent),
+            (data) => writer.onEvent(data),
+            {
+              ...config.geminicli.antiTruncation,
+              loggerPrefix: '[GeminiCLI] chat.stream '
+            }
+          );
+        } else {
+          await generate(geminiRequest, (data) => writer.onEvent(data));
+        }
+
         writer.finalize();
 
         clearInterval(heartbeatTimer);
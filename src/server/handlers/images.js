@@ -0,0 +1,231 @@
+/**
+ * OpenAI Images API 处理器
+ * 处理 /v1/images/generations 和 /v1/images/edits 请求，使用生图模型（默认 gemini-3-pro-image）生成图片
+ */
+
+import { generateImageForSD } from '../../api/client.js';
+import { generateRequestBody, prepareImageRequest, resolveImageConfig } from '../../utils/utils.js';
+import { resolveOpenAIMedia, parseDataUrl } from '../../utils/media.js';
+import { saveBase64Image } from '../../utils/imageStorage.js';
+import { AppError, AuthorizationError, buildOpenAIErrorPayload, setRetryAfterHeader } from '../../utils/errors.js';
+import { DEFAULT_IMAGE_MODEL, IMAGE_GENERATION_MAX_N } from '../../constants/index.js';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+import tokenManager from '../../auth/token_manager.js';
+import apiKeyManager from '../../auth/api_key_manager.js';
+import { getSafeRetries } from './common/retry.js';
+import { acquireToken, switchToken } from './common/queue.js';
+import { withFailover } from '../stream.js';
+
+// 蒙版说明：OpenAI 约定蒙版透明区域为需要编辑的区域，上游没有蒙版参数，以附加图片的形式说明
+const MASK_INSTRUCTION = 'The last image is a mask. Only change the regions where the mask is transparent; ' +
+  'keep everything else in the original image unchanged.';
+
+function invalidRequest(message) {
+  return new AppError(message, 400, 'invalid_request_error');
+}
+
+/**
+ * 按 base64 文件头判断图片类型（上游返回的 inlineData 只保留了数据）
+ * @param {string} data - base64
+ * @returns {string}
+ */
+function detectImageMimeType(data) {
+  if (data.startsWith('/9j/')) return 'image/jpeg';
+  if (data.startsWith('UklGR')) return 'image/webp';
+  return 'image/png';
+}
+
+/**
+ * 解析通用参数：model、n、size、response_format
+ * 非生图模型名（如 dall-e-3、gpt-image-1）使用默认生图模型
+ * @param {Object} body
+ * @returns {{model: string, n: number, imageOptions: Object, responseFormat: string}}
+ */
+function parseImageParams(body) {
+  const model = typeof body.model === 'string' && body.model.includes('-image') ? body.model : DEFAULT_IMAGE_MODEL;
+
+  const n = body.n === undefined || body.n === null || body.n === '' ? 1 : Number(body.n);
+  if (!Number.isInteger(n) || n < 1 || n > IMAGE_GENERATION_MAX_N) {
+    throw invalidRequest(`n must be an integer between 1 and ${IMAGE_GENERATION_MAX_N}`);
+  }
+
+  // size：WxH、1K / 2K / 4K 或 auto（未指定时按模型名后缀）
+  let imageOptions = {};
+  const size = typeof body.size === 'string' ? body.size.trim() : '';
+  if (/^[124]K$/i.test(size)) {
+    imageOptions = { imageSize: size.toUpperCase() };
+  } else if (size && size !== 'auto') {
+    const match = size.match(/^(\d+)x(\d+)$/);
+    if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+      throw invalidRequest(`invalid size: ${size}（支持 WIDTHxHEIGHT、1K、2K、4K 或 auto）`);
+    }
+    imageOptions = resolveImageConfig(Number(match[1]), Number(match[2]));
+  }
+
+  const responseFormat = body.response_format || 'url';
+  if (responseFormat !== 'url' && responseFormat !== 'b64_json') {
+    throw invalidRequest(`invalid response_format: ${responseFormat}（支持 url、b64_json）`);
+  }
+  return { model, n, imageOptions, responseFormat };
+}
+
+/**
+ * 生成 n 张图片并返回 OpenAI Images 响应
+ * 上游每次只生成一张（candidateCount 为 1），按顺序请求，故障转移后的账号用于后续图片
+ * @param {Request} req - Express请求对象
+ * @param {Response} res - Express响应对象
+ * @param {Array} messages - OpenAI 格式消息（提示词和输入图片）
+ * @param {{model: string, n: number, imageOptions: Object, responseFormat: string}} params
+ * @param {string} loggerPrefix
+ */
+async function generateImages(req, res, messages, { model, n, imageOptions, responseFormat }, loggerPrefix) {
+  if (req.apiKey && !apiKeyManager.isModelAllowed(req.apiKey, model)) {
+    throw new AuthorizationError(`Model ${model} is not allowed for this API Key`);
+  }
+
+  const token = await acquireToken(req, res, model);
+  if (!token) {
+    throw new Error('没有可用的token，请运行 npm run login 获取token');
+  }
+
+  const buildBody = (currentToken) => prepareImageRequest(
+    generateRequestBody(messages, model, {}, null, currentToken),
+    imageOptions
+  );
+  const plan = { token, requestBody: buildBody(token) };
+  const failoverOptions = {
+    model,
+    buildBody,
+    maxRetries: getSafeRetries(config.retryTimes),
+    loggerPrefix,
+    onSwitch: (nextToken) => switchToken(res, nextToken),
+    onAttempt: (currentToken) => tokenManager.recordRequest(currentToken, model)
+  };
+
+  req.setTimeout(0);
+  res.setTimeout(0);
+
+  const images = [];
+  while (images.length < n) {
+    const generated = await withFailover(
+      plan,
+      ({ requestBody, token }) => generateImageForSD(requestBody, token),
+      failoverOptions
+    );
+    if (generated.length === 0) {
+      throw new AppError('未生成图片（提示词可能被上游安全策略拦截）', 502, 'upstream_api_error');
+    }
+    images.push(...generated);
+  }
+
+  const data = images.slice(0, n).map(image => (
+    responseFormat === 'b64_json'
+      ? { b64_json: image }
+      : { url: saveBase64Image(image, detectImageMimeType(image)) }
+  ));
+  res.json({ created: Math.floor(Date.now() / 1000), data });
+}
+
+function sendImageError(res, error, message) {
+  logger.error(`${message}:`, error.message);
+  if (res.headersSent) return;
+  setRetryAfterHeader(res, error);
+  const statusCode = error.statusCode || error.status || 500;
+  res.status(statusCode).json(buildOpenAIErrorPayload(error, statusCode));
+}
+
+/**
+ * 处理 /v1/images/generations
+ * @param {Request} req - Express请求对象
+ * @param {Response} res - Express响应对象
+ */
+export const handleImageGeneration = async (req, res) => {
+  const body = req.body || {};
+  try {
+    if (typeof body.prompt !== 'string' || !body.prompt.trim()) {
+      throw invalidRequest('prompt is required');
+    }
+    const params = parseImageParams(body);
+    const messages = [{ role: 'user', content: body.prompt }];
+    await generateImages(req, res, messages, params, 'images.generations ');
+  } catch (error) {
+    sendImageError(res, error, '图片生成失败');
+  }
+};
+
+/**
+ * 读取 multipart/form-data 请求体（路由中由 express.raw 读取为 Buffer）
+ * 文件字段转换为 data URL，同名字段（image、image[]）合并为数组
+ * @param {Request} req
+ * @returns {Promise<Object>}
+ */
+async function parseMultipartBody(req) {
+  let form;
+  try {
+    form = await new Response(req.body, { headers: { 'content-type': req.get('content-type') } }).formData();
+  } catch (error) {
+    throw invalidRequest(`无法解析 multipart 请求体: ${error.message}`);
+  }
+  const body = {};
+  for (const [rawKey, value] of form.entries()) {
+    const key = rawKey.endsWith('[]') ? rawKey.slice(0, -2) : rawKey;
+    let item = value;
+    if (typeof value !== 'string') {
+      const data = Buffer.from(await value.arrayBuffer()).toString('base64');
+      // 部分客户端上传文件时不带类型（application/octet-stream）
+      const mimeType = value.type?.startsWith('image/') ? value.type : detectImageMimeType(data);
+      item = `data:${mimeType};base64,${data}`;
+    }
+    if (key === 'image') {
+      (body.image ||= []).push(item);
+    } else {
+      body[key] = item;
+    }
+  }
+  return body;
+}
+
+/**
+ * 统一图片输入：字符串（data URL / http(s) URL / 纯 base64）或 { image_url }
+ * @param {string|Object} image
+ * @returns {string}
+ */
+function toImageUrl(image) {
+  const url = typeof image === 'string' ? image : (image?.image_url?.url || image?.image_url || image?.url);
+  if (typeof url !== 'string' || !url) {
+    throw invalidRequest('invalid image');
+  }
+  if (parseDataUrl(url) || /^https?:\/\//i.test(url)) return url;
+  return `data:${detectImageMimeType(url)};base64,${url}`;
+}
+
+/**
+ * 处理 /v1/images/edits
+ * 支持 multipart/form-data（image / image[]、mask 为文件）和 JSON（image / images 为 data URL 或 URL）
+ * @param {Request} req - Express请求对象
+ * @param {Response} res - Express响应对象
+ */
+export const handleImageEdit = async (req, res) => {
+  try {
+    const body = Buffer.isBuffer(req.body) ? await parseMultipartBody(req) : (req.body || {});
+    if (typeof body.prompt !== 'string' || !body.prompt.trim()) {
+      throw invalidRequest('prompt is required');
+    }
+    const images = [body.image, body.images].flat().filter(Boolean);
+    if (images.length === 0) {
+      throw invalidRequest('image is required');
+    }
+    const params = parseImageParams(body);
+
+    const content = [{ type: 'text', text: body.mask ? `${body.prompt}\n\n${MASK_INSTRUCTION}` : body.prompt }];
+    for (const image of body.mask ? [...images, body.mask] : images) {
+      content.push({ type: 'image_url', image_url: { url: toImageUrl(image) } });
+    }
+    // 远程图片 URL 在排队前下载
+    const messages = await resolveOpenAIMedia([{ role: 'user', content }]);
+    await generateImages(req, res, messages, params, 'images.edits ');
+  } catch (error) {
+    sendImageError(res, error, '图片编辑失败');
+  }
+};
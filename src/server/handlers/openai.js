@@ -3,9 +3,11 @@
  * 处理 /v1/chat/completions 请求，支持流式和非流式响应
  */
 
-import { generateAssistantResponse, generateAssistantResponseNoStream } from '../../api/client.js';
+import { generateAssistantResponseNoStream } from '../../api/client.js';
 import { generateRequestBody, prepareImageRequest } from '../../utils/utils.js';
-import { buildOpenAIErrorPayload } from '../../utils/errors.js';
+import { resolveOpenAIMedia } from '../../utils/media.js';
+import { normalizeStopSequences } from '../../utils/parameterNormalizer.js';
+import { buildOpenAIErrorPayload, setRetryAfterHeader } from '../../utils/errors.js';
 import logger from '../../utils/logger.js';
 import config from '../../config/config.js';
 import tokenManager from '../../auth/token_manager.js';
@@ -15,13 +17,18 @@ import {
 } from '../formatters/openai.js';
 import { validateIncomingChatRequest } from '../validators/chat.js';
 import { getSafeRetries } from './common/retry.js';
+import { acquireToken, switchToken } from './common/queue.js';
+import { applyConversationHistory, saveConversationTurn, resolveConversationId, getConversationOwner } from './common/conversation.js';
+import { StopSequenceMatcher } from './common/stop.js';
+import { getEmulatedSchema, generateStructuredOutput } from './common/structured.js';
+import { resolveStreamMode, streamAssistantResponse, collectAssistantResponse } from './common/streamMode.js';
 import {
   createResponseMeta,
   setStreamHeaders,
   createHeartbeat,
   writeStreamData,
   endStream,
-  with429Retry
+  withFailover
 } from '../stream.js';
 
 /**
@@ -31,31 +38,81 @@ import {
  */
 export const handleOpenAIRequest = async (req, res) => {
   const body = req.body || {};
-  const { messages, model, stream = false, tools, ...params } = body;
+  const { messages, model: requestedModel, stream = false, tools, ...params } = body;
 
   try {
     const validation = validateIncomingChatRequest('openai', body);
     if (!validation.ok) {
       return res.status(validation.status).json({ error: validation.message });
     }
-    if (typeof model !== 'string' || !model) {
+    if (typeof requestedModel !== 'string' || !requestedModel) {
       return res.status(400).json({ error: 'model is required' });
     }
+    // 模型名前缀 / X-Stream-Mode 选择假流式、假非流和抗截断
+    const mode = resolveStreamMode(req, requestedModel);
+    const { model } = mode;
+    // 服务端会话：携带 X-Conversation-Id 时只需发送新一轮消息，历史由服务端拼接
+    const { id: conversationId, error: conversationError } = await resolveConversationId(req, res);
+    if (conversationError) {
+      return res.status(conversationError.status).json({ error: conversationError.message });
+    }
+    const conversationOwner = getConversationOwner(req);
+    // 远程图片 / 文件 URL 在排队前下载，故障转移重建请求体时复用
+    const resolvedMessages = await resolveOpenAIMedia(messages);
 
-    const token = await tokenManager.getToken(model);
+    const token = await acquireToken(req, res, model);
     if (!token) {
       throw new Error('没有可用的token，请运行 npm run login 获取token');
     }
 
     const isImageModel = model.includes('-image');
-    const requestBody = generateRequestBody(messages, model, params, tools, token);
-
-    if (isImageModel) {
-      prepareImageRequest(requestBody);
-    }
-    //console.log(JSON.stringify(requestBody,null,2));
+    // 故障转移切换账号时需要用新账号的 projectId/sessionId 重建请求体
+    const buildBody = async (currentToken) => {
+      const requestBody = generateRequestBody(resolvedMessages, model, params, tools, currentToken);
+      if (conversationId) {
+        await applyConversationHistory(requestBody, conversationId, conversationOwner);
+      }
+      if (isImageModel) {
+        prepareImageRequest(requestBody);
+      }
+      return requestBody;
+    };
+    const plan = { token, requestBody: await buildBody(token) };
+    //console.log(JSON.stringify(plan.requestBody,null,2));
     const { id, created } = createResponseMeta();
-    const safeRetries = getSafeRetries(config.retryTimes);
+    const failoverOptions = {
+      model,
+      buildBody,
+      maxRetries: getSafeRetries(config.retryTimes),
+      onSwitch: (nextToken) => switchToken(res, nextToken),
+      onAttempt: (currentToken) => tokenManager.recordRequest(currentToken, model)
+    };
+    const saveTurn = (result) => conversationId ? saveConversationTurn(conversationId, plan.requestBody, result, conversationOwner) : null;
+    const stopMatcher = new StopSequenceMatcher(normalizeStopSequences(params.stop));
+    // 上游不支持 responseSchema 的模型：校验完整回复并在不符合时重试
+    const structured = getEmulatedSchema(model, { responseFormat: params.response_format });
+    // 生图模型、结构化输出模拟和假流式需要拿到完整回复后再返回；
+    // 抗截断需要流式获取以便续写，有客户端停止序列时流式获取以便命中后中断上游
+    const stopSequences = stopMatcher.sequences;
+    const generateComplete = (loggerPrefix) => {
+      if (structured) return generateStructuredOutput(plan, structured, { ...failoverOptions, loggerPrefix });
+      if ((mode.antiTruncation || stopMatcher.enabled) && !isImageModel) {
+        return collectAssistantResponse(plan, { ...failoverOptions, loggerPrefix, stopSequences }, mode);
+      }
+      return withFailover(
+        plan,
+        ({ requestBody, token }) => generateAssistantResponseNoStream(requestBody, token),
+        { ...failoverOptions, loggerPrefix }
+      );
+    };
+    // 根据配置决定是否透传工具调用中的签名
+    const toStreamToolCalls = (toolCalls) => toolCalls.map((toolCall, index) => {
+      if (config.passSignatureToClient) {
+        return { index, ...toolCall };
+      }
+      const { thoughtSignature, ...rest } = toolCall;
+      return { index, ...rest };
+    });
 
     if (stream) {
       setStreamHeaders(res);
@@ -64,28 +121,42 @@ export const handleOpenAIRequest = async (req, res) => {
       const heartbeatTimer = createHeartbeat(res);
 
       try {
-        if (isImageModel) {
-          const { content, usage, reasoningSignature } = await with429Retry(
-            () => generateAssistantResponseNoStream(requestBody, token),
-            safeRetries,
-            'chat.stream.image ',
-            () => tokenManager.recordRequest(token, model)
+        if (isImageModel || structured || mode.fakeStream) {
+          const result = await generateComplete(
+            isImageModel ? 'chat.stream.image ' : (structured ? 'chat.stream.structured ' : 'chat.fake_stream ')
           );
+          const { reasoningContent, usage, reasoningSignature } = result;
+          const content = isImageModel ? result.content : stopMatcher.truncate(result.content);
+          const toolCalls = stopMatcher.stopped ? [] : result.toolCalls;
+          const hasToolCall = !isImageModel && toolCalls.length > 0;
           const delta = { content };
+          if (!isImageModel && reasoningContent) delta.reasoning_content = reasoningContent;
           if (reasoningSignature && config.passSignatureToClient) {
             delta.thoughtSignature = reasoningSignature;
           }
+          if (hasToolCall) delta.tool_calls = toStreamToolCalls(toolCalls);
           writeStreamData(res, createStreamChunk(id, created, model, delta));
-          writeStreamData(res, { ...createStreamChunk(id, created, model, {}, 'stop'), usage });
+          writeStreamData(res, { ...createStreamChunk(id, created, model, {}, hasToolCall ? 'tool_calls' : 'stop'), usage });
+          await saveTurn(isImageModel ? { content, reasoningSignature } : { content, reasoningContent, reasoningSignature, toolCalls });
+          res.locals.usage = usage;
         } else {
           let hasToolCall = false;
           let usageData = null;
+          const turn = { content: '', reasoningContent: '', reasoningSignature: null, toolCalls: [] };
+          // 命中停止序列后中断上游，不再等待剩余输出
+          const stopController = new AbortController();
 
-          await with429Retry(
-            () => generateAssistantResponse(requestBody, token, (data) => {
+          await streamAssistantResponse(
+            plan,
+            (data) => {
               if (data.type === 'usage') {
                 usageData = data.usage;
+              } else if (stopMatcher.stopped) {
+                // 已命中停止序列：丢弃后续输出
+                return;
               } else if (data.type === 'reasoning') {
+                turn.reasoningContent += data.reasoning_content || '';
+                if (data.thoughtSignature) turn.reasoningSignature = data.thoughtSignature;
                 const delta = { reasoning_content: data.reasoning_content };
                 if (data.thoughtSignature && config.passSignatureToClient) {
                   delta.thoughtSignature = data.thoughtSignature;
@@ -93,34 +164,37 @@ export const handleOpenAIRequest = async (req, res) => {
                 writeStreamData(res, createStreamChunk(id, created, model, delta));
               } else if (data.type === 'tool_calls') {
                 hasToolCall = true;
-                // 根据配置决定是否透传工具调用中的签名
-                const toolCallsWithIndex = data.tool_calls.map((toolCall, index) => {
-                  if (config.passSignatureToClient) {
-                    return { index, ...toolCall };
-                  } else {
-                    const { thoughtSignature, ...rest } = toolCall;
-                    return { index, ...rest };
-                  }
-                });
-                const delta = { tool_calls: toolCallsWithIndex };
+                turn.toolCalls.push(...data.tool_calls);
+                const delta = { tool_calls: toStreamToolCalls(data.tool_calls) };
                 writeStreamData(res, createStreamChunk(id, created, model, delta));
               } else {
-                const delta = { content: data.content };
-                writeStreamData(res, createStreamChunk(id, created, model, delta));
+                const content = stopMatcher.push(data.content || '');
+                if (stopMatcher.stopped) stopController.abort();
+                if (!content) return;
+                turn.content += content;
+                writeStreamData(res, createStreamChunk(id, created, model, { content }));
               }
-            }),
-            safeRetries,
-            'chat.stream ',
-            () => tokenManager.recordRequest(token, model)
+            },
+            { ...failoverOptions, loggerPrefix: 'chat.stream ', signal: stopController.signal },
+            mode
           );
+          const rest = stopMatcher.flush();
+          if (rest) {
+            turn.content += rest;
+            writeStreamData(res, createStreamChunk(id, created, model, { content: rest }));
+          }
 
           writeStreamData(res, { ...createStreamChunk(id, created, model, {}, hasToolCall ? 'tool_calls' : 'stop'), usage: usageData });
+          await saveTurn(turn);
+          res.locals.usage = usageData;
         }
 
         clearInterval(heartbeatTimer);
         endStream(res);
       } catch (error) {
         clearInterval(heartbeatTimer);
+        // 流式响应头已发送（200），记录真实错误状态供用量统计
+        res.locals.upstreamStatus = error.statusCode || error.status || 500;
         if (!res.writableEnded) {
           const statusCode = error.statusCode || error.status || 500;
           writeStreamData(res, buildOpenAIErrorPayload(error, statusCode));
@@ -129,37 +203,18 @@ export const handleOpenAIRequest = async (req, res) => {
         logger.error('生成响应失败:', error.message);
         return;
       }
-    } else if (config.fakeNonStream && !isImageModel) {
+    } else if (mode.fakeNonStream && !isImageModel && !structured) {
       // 假非流模式：使用流式API获取数据，组装成非流式响应
       req.setTimeout(0);
       res.setTimeout(0);
 
-      let content = '';
-      let reasoningContent = '';
-      let reasoningSignature = null;
-      const toolCalls = [];
-      let usageData = null;
-
       try {
-        await with429Retry(
-          () => generateAssistantResponse(requestBody, token, (data) => {
-            if (data.type === 'usage') {
-              usageData = data.usage;
-            } else if (data.type === 'reasoning') {
-              reasoningContent += data.reasoning_content || '';
-              if (data.thoughtSignature) {
-                reasoningSignature = data.thoughtSignature;
-              }
-            } else if (data.type === 'tool_calls') {
-              toolCalls.push(...data.tool_calls);
-            } else if (data.type === 'text') {
-              content += data.content || '';
-            }
-          }),
-          safeRetries,
-          'chat.fake_no_stream ',
-          () => tokenManager.recordRequest(token, model)
-        );
+        const result = await collectAssistantResponse(plan, { ...failoverOptions, loggerPrefix: 'chat.fake_no_stream ', stopSequences }, mode);
+        const { reasoningContent, reasoningSignature, usage: usageData } = result;
+        const content = stopMatcher.truncate(result.content);
+        const toolCalls = stopMatcher.stopped ? [] : result.toolCalls;
+        await saveTurn({ content, reasoningContent, reasoningSignature, toolCalls });
+        res.locals.usage = usageData;
 
         // 构建非流式响应
         const message = { role: 'assistant' };
@@ -190,6 +245,7 @@ export const handleOpenAIRequest = async (req, res) => {
       } catch (error) {
         logger.error('假非流生成响应失败:', error.message);
         if (res.headersSent) return;
+        setRetryAfterHeader(res, error);
         const statusCode = error.statusCode || error.status || 500;
         return res.status(statusCode).json(buildOpenAIErrorPayload(error, statusCode));
       }
@@ -198,12 +254,12 @@ export const handleOpenAIRequest = async (req, res) => {
       req.setTimeout(0); // 禁用请求超时
       res.setTimeout(0); // 禁用响应超时
 
-      const { content, reasoningContent, reasoningSignature, toolCalls, usage } = await with429Retry(
-        () => generateAssistantResponseNoStream(requestBody, token),
-        safeRetries,
-        'chat.no_stream ',
-        () => tokenManager.recordRequest(token, model)
-      );
+      const result = await generateComplete('chat.no_stream ');
+      const { reasoningContent, reasoningSignature, usage } = result;
+      const content = stopMatcher.truncate(result.content);
+      const toolCalls = stopMatcher.stopped ? [] : result.toolCalls;
+      await saveTurn({ content, reasoningContent, reasoningSignature, toolCalls });
+      res.locals.usage = usage;
 
       // DeepSeek 格式：reasoning_content 在 content 之前
       const message = { role: 'assistant' };
@@ -237,6 +293,7 @@ export const handleOpenAIRequest = async (req, res) => {
   } catch (error) {
     logger.error('生成响应失败:', error.message);
     if (res.headersSent) return;
+    setRetryAfterHeader(res, error);
     const statusCode = error.statusCode || error.status || 500;
     return res.status(statusCode).json(buildOpenAIErrorPayload(error, statusCode));
   }
@@ -0,0 +1,227 @@
+/**
+ * OpenAI Responses API 处理器
+ * 处理 /v1/responses 请求，支持流式（typed events）和非流式响应
+ */
+
+import { generateAssistantResponseNoStream } from '../../api/client.js';
+import { generateResponsesRequestBody, responsesParamsToOpenAI, responsesInputToMessages, prepareImageRequest } from '../../utils/utils.js';
+import { resolveOpenAIMedia } from '../../utils/media.js';
+import { buildOpenAIErrorPayload, setRetryAfterHeader } from '../../utils/errors.js';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+import tokenManager from '../../auth/token_manager.js';
+import {
+  ResponsesStreamState,
+  createResponsesId,
+  createResponsesResponse
+} from '../formatters/responses.js';
+import { getSafeRetries } from './common/retry.js';
+import { acquireToken, switchToken } from './common/queue.js';
+import { applyConversationHistory, saveConversationTurn, getConversationOwner } from './common/conversation.js';
+import { getEmulatedSchema, generateStructuredOutput } from './common/structured.js';
+import { resolveStreamMode, streamAssistantResponse, collectAssistantResponse } from './common/streamMode.js';
+import conversationStore from '../../utils/conversationStore.js';
+import { setStreamHeaders, createHeartbeat, withFailover } from '../stream.js';
+
+/**
+ * 处理 OpenAI Responses 格式请求
+ * @param {Request} req - Express请求对象
+ * @param {Response} res - Express响应对象
+ */
+export const handleResponsesRequest = async (req, res) => {
+  const body = req.body || {};
+  const { model: requestedModel, input, stream = false, previous_response_id: previousResponseId } = body;
+
+  try {
+    if (typeof requestedModel !== 'string' || !requestedModel) {
+      return res.status(400).json({ error: { message: 'model is required', type: 'invalid_request_error', code: 400 } });
+    }
+    if (typeof input !== 'string' && !Array.isArray(input)) {
+      return res.status(400).json({ error: { message: 'input must be a string or an array', type: 'invalid_request_error', code: 400 } });
+    }
+    // 模型名前缀 / X-Stream-Mode 选择假流式、假非流和抗截断
+    const mode = resolveStreamMode(req, requestedModel);
+    const { model } = mode;
+    // 远程图片 / 文件 URL 在排队前下载，故障转移重建请求体时复用
+    const inputMessages = await resolveOpenAIMedia(responsesInputToMessages(input));
+
+    const token = await acquireToken(req, res, model);
+    if (!token) {
+      throw new Error('没有可用的token，请运行 npm run login 获取token');
+    }
+
+    const isImageModel = model.includes('-image');
+    // 故障转移切换账号时需要用新账号的 projectId/sessionId 重建请求体；会话不存在时返回 null
+    const buildBody = async (currentToken) => {
+      const requestBody = generateResponsesRequestBody({ ...body, model }, currentToken, inputMessages);
+      if (previousResponseId && !(await applyConversationHistory(requestBody, previousResponseId, getConversationOwner(req)))) {
+        return null;
+      }
+      if (isImageModel) {
+        prepareImageRequest(requestBody);
+      }
+      return requestBody;
+    };
+    const plan = { token, requestBody: await buildBody(token) };
+    if (!plan.requestBody) {
+      return res.status(404).json({
+        error: { message: `Previous response with id '${previousResponseId}' not found.`, type: 'invalid_request_error', code: 404 }
+      });
+    }
+
+    const id = createResponsesId('resp');
+    const createdAt = Math.floor(Date.now() / 1000);
+    const failoverOptions = {
+      model,
+      buildBody,
+      maxRetries: getSafeRetries(config.retryTimes),
+      onSwitch: (nextToken) => switchToken(res, nextToken),
+      onAttempt: (currentToken) => tokenManager.recordRequest(currentToken, model)
+    };
+    // 上游不支持 responseSchema 的模型：校验完整回复并在不符合时重试
+    const structured = getEmulatedSchema(model, { responseFormat: responsesParamsToOpenAI(body).response_format });
+    // 生图模型、结构化输出模拟和假流式需要拿到完整回复后再返回；抗截断需要流式获取以便续写
+    const generateComplete = (loggerPrefix) => {
+      if (structured) return generateStructuredOutput(plan, structured, { ...failoverOptions, loggerPrefix });
+      if (mode.antiTruncation && !isImageModel) return collectAssistantResponse(plan, { ...failoverOptions, loggerPrefix }, mode);
+      return withFailover(
+        plan,
+        ({ requestBody, token }) => generateAssistantResponseNoStream(requestBody, token),
+        { ...failoverOptions, loggerPrefix }
+      );
+    };
+    // 签名通过 reasoning.encrypted_content 下发
+    const includeSignature = config.passSignatureToClient ||
+      (Array.isArray(body.include) && body.include.includes('reasoning.encrypted_content'));
+
+    const remember = async (result) => {
+      if (body.store === false) return;
+      await saveConversationTurn(id, plan.requestBody, result, getConversationOwner(req));
+    };
+
+    if (stream) {
+      setStreamHeaders(res);
+      const heartbeatTimer = createHeartbeat(res);
+      const state = new ResponsesStreamState({ id, createdAt, model, request: body, includeSignature });
+      const write = (events) => {
+        for (const event of events) res.write(event);
+      };
+
+      const result = { content: '', reasoningContent: '', reasoningSignature: null, toolCalls: [] };
+      let usageData = null;
+
+      try {
+        write(state.createStart());
+
+        if (isImageModel) {
+          const { content, usage, reasoningSignature } = await generateComplete('responses.stream.image ');
+          result.content = content;
+          result.reasoningSignature = reasoningSignature;
+          usageData = usage;
+          write(state.handleText(content));
+        } else if (structured || mode.fakeStream) {
+          const complete = await generateComplete(structured ? 'responses.stream.structured ' : 'responses.fake_stream ');
+          Object.assign(result, {
+            content: complete.content,
+            reasoningContent: complete.reasoningContent || '',
+            reasoningSignature: complete.reasoningSignature,
+            toolCalls: complete.toolCalls
+          });
+          usageData = complete.usage;
+          if (result.reasoningContent) write(state.handleReasoning(result.reasoningContent, result.reasoningSignature));
+          write(state.handleText(result.content));
+          if (result.toolCalls.length > 0) write(state.handleToolCalls(result.toolCalls));
+        } else {
+          await streamAssistantResponse(
+            plan,
+            (data) => {
+              if (data.type === 'usage') {
+                usageData = data.usage;
+              } else if (data.type === 'reasoning') {
+                result.reasoningContent += data.reasoning_content || '';
+                if (data.thoughtSignature) result.reasoningSignature = data.thoughtSignature;
+                write(state.handleReasoning(data.reasoning_content, data.thoughtSignature));
+              } else if (data.type === 'tool_calls') {
+                result.toolCalls.push(...data.tool_calls);
+                write(state.handleToolCalls(data.tool_calls));
+              } else {
+                result.content += data.content || '';
+                write(state.handleText(data.content));
+              }
+            },
+            { ...failoverOptions, loggerPrefix: 'responses.stream ' },
+            mode
+          );
+        }
+
+        res.locals.usage = usageData;
+        // 先保存再发送 response.completed：保存失败时以 response.failed 结束，不会出现在 completed 之后
+        await remember(result);
+        write(state.createCompleted(usageData));
+        clearInterval(heartbeatTimer);
+        res.end();
+      } catch (error) {
+        clearInterval(heartbeatTimer);
+        res.locals.upstreamStatus = error.statusCode || error.status || 500;
+        if (!res.writableEnded) {
+          const statusCode = error.statusCode || error.status || 500;
+          const { error: payload } = buildOpenAIErrorPayload(error, statusCode);
+          write(state.createFailed({ code: String(payload.code ?? statusCode), message: payload.message }));
+          res.end();
+        }
+        logger.error('Responses 流式请求失败:', error.message);
+      }
+      return;
+    }
+
+    // 非流式请求：设置较长超时，避免大模型响应超时
+    req.setTimeout(0);
+    res.setTimeout(0);
+
+    let result;
+    if (mode.fakeNonStream && !isImageModel && !structured) {
+      // 假非流模式：使用流式API获取数据，组装成非流式响应
+      result = await collectAssistantResponse(plan, { ...failoverOptions, loggerPrefix: 'responses.fake_no_stream ' }, mode);
+    } else {
+      result = await generateComplete('responses.no_stream ');
+    }
+
+    res.locals.usage = result.usage;
+    await remember(result);
+    res.json(createResponsesResponse({
+      id,
+      createdAt,
+      model,
+      content: result.content,
+      reasoningContent: result.reasoningContent,
+      reasoningSignature: result.reasoningSignature,
+      toolCalls: result.toolCalls,
+      usage: result.usage,
+      request: body,
+      includeSignature
+    }));
+  } catch (error) {
+    logger.error('Responses 请求失败:', error.message);
+    if (res.headersSent) return;
+    setRetryAfterHeader(res, error);
+    const statusCode = error.statusCode || error.status || 500;
+    return res.status(statusCode).json(buildOpenAIErrorPayload(error, statusCode));
+  }
+};
+
+/**
+ * 删除已保存的 response（及其会话历史）
+ * @param {Request} req - Express请求对象
+ * @param {Response} res - Express响应对象
+ */
+export const handleDeleteResponse = async (req, res) => {
+  const { id } = req.params;
+  // 只能删除当前 API Key 创建的 response
+  const deleted = await conversationStore.delete(id, getConversationOwner(req));
+  if (!deleted) {
+    return res.status(404).json({
+      error: { message: `Response with id '${id}' not found.`, type: 'invalid_request_error', code: 404 }
+    });
+  }
+  res.json({ id, object: 'response', deleted: true });
+};
@@ -0,0 +1,256 @@
+/**
+ * SD WebUI 兼容处理器
+ * 处理 /sdapi/v1/txt2img、/img2img、/progress 和 /interrupt：
+ * 宽高映射为最接近的上游分辨率和宽高比，batch_size × n_iter 张图片分散到多个账号并行生成；
+ * 每张图片单独经过请求队列获取账号、单独记入用量账本，并按张数计入 API Key 的每日请求预算
+ */
+
+import { generateImageForSD } from '../../api/client.js';
+import { generateRequestBody, prepareImageRequest, resolveImageConfig } from '../../utils/utils.js';
+import { DEFAULT_IMAGE_MODEL, SD_MAX_BATCH_IMAGES, SD_MAX_PARALLEL } from '../../constants/index.js';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+import tokenManager from '../../auth/token_manager.js';
+import requestQueue from '../../auth/request_queue.js';
+import apiKeyManager from '../../auth/api_key_manager.js';
+import usageLedger from '../../utils/usageLedger.js';
+import sdJobTracker from '../../utils/sdJobTracker.js';
+import { getSafeRetries } from './common/retry.js';
+import { withFailover } from '../stream.js';
+
+// SD WebUI 的 seed 取值范围
+const MAX_SEED = 2 ** 32 - 1;
+
+function toPositiveInt(value, fallback) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+}
+
+/**
+ * 构建提示词消息（img2img 附带初始图片）
+ * 上游没有反向提示词参数，写入提示词中
+ * @param {Object} body - SD WebUI 请求体
+ * @returns {Array} OpenAI 格式消息
+ */
+function buildMessages({ prompt, negative_prompt, init_images }) {
+  const text = negative_prompt ? `${prompt}\n\nAvoid: ${negative_prompt}` : prompt;
+  if (!Array.isArray(init_images) || init_images.length === 0) {
+    return [{ role: 'user', content: text }];
+  }
+  const content = [{ type: 'text', text }];
+  init_images.forEach(img => {
+    const format = img.startsWith('/9j/') ? 'jpeg' : 'png';
+    content.push({ type: 'image_url', image_url: { url: `data:image/${format};base64,${img}` } });
+  });
+  return [{ role: 'user', content }];
+}
+
+/**
+ * 记录一张图片的用量（批量请求不设置 res.locals.token，用量中间件不会重复记录）
+ * @param {Request} req - Express请求对象
+ * @param {Object} token - 最终使用的账号
+ * @param {number} startedAt - 开始时间
+ * @param {number} status - 状态码
+ */
+function recordImageUsage(req, token, startedAt, status) {
+  tokenManager.getTokenId(token)
+    .then(account => usageLedger.record({
+      timestamp: startedAt,
+      route: req.originalUrl.split('?')[0],
+      model: DEFAULT_IMAGE_MODEL,
+      account,
+      email: token.email,
+      apiKeyId: req.apiKey?.id,
+      apiKeyLabel: req.apiKey?.label,
+      status,
+      stream: false,
+      latencyMs: Date.now() - startedAt,
+      usage: null
+    }))
+    .catch(error => logger.warn('记录用量失败:', error.message));
+}
+
+/**
+ * 并行生成一批图片
+ * 每张图片单独排队获取账号（受全局/单账号并发上限约束），优先分配空闲账号；
+ * 中断（/interrupt 或客户端断开）后不再发起新请求，返回已完成的图片；
+ * 某张图片失败时停止整批，已有图片时返回已完成的部分
+ * @param {Request} req - Express请求对象（按 req.apiKey.priority 排队）
+ * @param {Object} job - sdJobTracker 任务
+ * @param {Array} messages - OpenAI 格式消息
+ * @param {Object} imageOptions - prepareImageRequest 的 imageSize / aspectRatio
+ * @param {number[]} seeds - 每张图片的 seed
+ * @returns {Promise<{images: string[], seeds: number[]}>}
+ */
+async function generateBatch(req, job, messages, imageOptions, seeds) {
+  const { signal } = job.controller;
+  const results = new Array(job.total).fill(null);
+  let next = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (next < job.total && !signal.aborted) {
+      const index = next++;
+      const lease = await requestQueue.acquire(DEFAULT_IMAGE_MODEL, { priority: req.apiKey?.priority, signal, preferIdle: true });
+      if (!lease) throw new Error('没有可用的token');
+
+      const buildBody = (currentToken) => {
+        const requestBody = prepareImageRequest(
+          generateRequestBody(messages, DEFAULT_IMAGE_MODEL, {}, null, currentToken),
+          imageOptions
+        );
+        requestBody.request.generationConfig.seed = seeds[index];
+        return requestBody;
+      };
+      let currentToken = lease.token;
+      let status = 200;
+      const startedAt = Date.now();
+      try {
+        const images = await withFailover(
+          { token: lease.token, requestBody: buildBody(lease.token) },
+          ({ requestBody, token }) => generateImageForSD(requestBody, token, { signal }),
+          {
+            model: DEFAULT_IMAGE_MODEL,
+            buildBody,
+            maxRetries: getSafeRetries(config.retryTimes),
+            loggerPrefix: `sd.${job.type} `,
+            onSwitch: (nextToken) => {
+              lease.switchTo(nextToken);
+              currentToken = nextToken;
+            },
+            onAttempt: (attemptToken) => tokenManager.recordRequest(attemptToken, DEFAULT_IMAGE_MODEL)
+          }
+        );
+        if (images.length === 0) throw new Error('未生成图片');
+        results[index] = images[0];
+        sdJobTracker.complete(job, images[0], Date.now() - startedAt);
+      } catch (error) {
+        status = signal.aborted ? 499 : (error.statusCode || error.status || 500);
+        throw error;
+      } finally {
+        lease.release();
+        recordImageUsage(req, currentToken, startedAt, status);
+      }
+    }
+  };
+
+  const workers = Array.from({ length: job.parallel }, () => worker().catch((error) => {
+    // 中断后排队中或进行中的请求被取消
+    if (error.name === 'AbortError' || signal.aborted) return;
+    failure ||= error;
+    // 一张失败即停止整批，避免继续消耗额度
+    job.controller.abort();
+  }));
+  await Promise.all(workers);
+
+  const done = results.map((image, index) => ({ image, seed: seeds[index] })).filter(item => item.image);
+  if (failure) {
+    if (done.length === 0) throw failure;
+    logger.warn(`sd.${job.type} 部分图片生成失败，返回已完成的 ${done.length}/${job.total} 张: ${failure.message}`);
+  }
+  return { images: done.map(item => item.image), seeds: done.map(item => item.seed) };
+}
+
+/**
+ * 处理 /sdapi/v1/txt2img 和 /sdapi/v1/img2img
+ * @param {Request} req - Express请求对象
+ * @param {Response} res - Express响应对象
+ * @param {'txt2img'|'img2img'} type
+ */
+export const handleSdGeneration = async (req, res, type) => {
+  const body = req.body || {};
+  const { prompt, negative_prompt, steps, cfg_scale, sampler_name } = body;
+  let job = null;
+
+  try {
+    if (!prompt) {
+      return res.status(400).json({ error: 'prompt is required' });
+    }
+    const batchSize = toPositiveInt(body.batch_size, 1);
+    const nIter = toPositiveInt(body.n_iter, 1);
+    const total = batchSize * nIter;
+    if (total > SD_MAX_BATCH_IMAGES) {
+      return res.status(400).json({ error: `batch_size × n_iter must not exceed ${SD_MAX_BATCH_IMAGES}` });
+    }
+    // 每张图片计一次请求：验证时已预占 1 次，这里预占其余张数
+    if (req.apiKey && total > 1 && !apiKeyManager.reserveRequests(req.apiKey, total - 1)) {
+      return res.status(429).json({ error: 'Daily request limit exceeded for this API Key' });
+    }
+
+    // 未指定宽高时使用上游默认（1K、1:1）
+    const width = toPositiveInt(body.width, null);
+    const height = toPositiveInt(body.height, null);
+    const imageOptions = width && height ? resolveImageConfig(width, height) : {};
+
+    // seed 为 -1 或未指定时随机；批量生成时依次加 1（与 SD WebUI 一致）
+    const requestedSeed = Number(body.seed);
+    const seed = Number.isInteger(requestedSeed) && requestedSeed >= 0 && requestedSeed <= MAX_SEED
+      ? requestedSeed
+      : Math.floor(Math.random() * MAX_SEED);
+    const seeds = Array.from({ length: total }, (_, index) => (seed + index) % (MAX_SEED + 1));
+
+    job = sdJobTracker.start(type, total, SD_MAX_PARALLEL, req.apiKey?.id);
+    res.on('close', () => {
+      if (!res.writableFinished) job.controller.abort();
+    });
+    req.setTimeout(0);
+    res.setTimeout(0);
+
+    const result = await generateBatch(req, job, buildMessages(body), imageOptions, seeds);
+    if (result.images.length === 0 && !job.interrupted) {
+      throw new Error('未生成图片');
+    }
+    if (job.interrupted) {
+      logger.info(`sd.${type} 已中断，返回已完成的 ${result.images.length}/${total} 张`);
+    }
+
+    res.json({
+      images: result.images,
+      parameters: { ...body, seed, batch_size: batchSize, n_iter: nIter },
+      info: JSON.stringify({
+        prompt,
+        all_prompts: result.images.map(() => prompt),
+        negative_prompt: negative_prompt || '',
+        seed: result.seeds[0] ?? seed,
+        all_seeds: result.seeds,
+        width: width || undefined,
+        height: height || undefined,
+        sampler_name,
+        steps,
+        cfg_scale,
+        batch_size: batchSize,
+        n_iter: nIter,
+        job_timestamp: job.timestamp,
+        interrupted: job.interrupted,
+        image_size: imageOptions.imageSize || '1K',
+        aspect_ratio: imageOptions.aspectRatio || '1:1'
+      })
+    });
+  } catch (error) {
+    logger.error(type === 'img2img' ? 'SD图生图失败:' : 'SD生图失败:', error.message);
+    if (res.headersSent) return;
+    res.status(error.statusCode || error.status || 500).json({ error: error.message });
+  } finally {
+    if (job) sdJobTracker.finish(job);
+  }
+};
+
+/**
+ * 处理 /sdapi/v1/progress
+ * @param {Request} req - Express请求对象
+ * @param {Response} res - Express响应对象
+ */
+export const handleSdProgress = (req, res) => {
+  res.json(sdJobTracker.getProgress(req.apiKey?.id, { skipCurrentImage: req.query.skip_current_image === 'true' }));
+};
+
+/**
+ * 处理 /sdapi/v1/interrupt：中断当前 API Key 进行中的任务
+ * @param {Request} req - Express请求对象
+ * @param {Response} res - Express响应对象
+ */
+export const handleSdInterrupt = (req, res) => {
+  const count = sdJobTracker.interrupt(req.apiKey?.id);
+  if (count > 0) logger.info(`SD 任务已中断（${count} 个）`);
+  res.json(null);
+};
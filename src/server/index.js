@@ -7,23 +7,35 @@ import express from 'express';
 import cors from 'cors';
 import cookieParser from 'cookie-parser';
 import path from 'path';
-import { closeRequester } from '../api/client.js';
+import { closeRequester, isKnownModel } from '../api/client.js';
 import logger from '../utils/logger.js';
 import logWsServer from '../utils/logWsServer.js';
 import config from '../config/config.js';
 import memoryManager from '../utils/memoryManager.js';
+import { onConfigChange } from '../utils/configReloader.js';
 import { getPublicDir, getRelativePath } from '../utils/paths.js';
 import { errorHandler } from '../utils/errors.js';
 import { getChunkPoolSize, clearChunkPool } from './stream.js';
 import ipBlockManager from '../utils/ipBlockManager.js';
+import apiKeyManager from '../auth/api_key_manager.js';
+import tokenManager from '../auth/token_manager.js';
+import quotaRefresher from '../auth/quota_refresher.js';
+import proxyPool from '../utils/proxyPool.js';
+import requestQueue from '../auth/request_queue.js';
+import usageLedger from '../utils/usageLedger.js';
+import metrics from '../utils/metrics.js';
+import { closeStorage } from '../storage/index.js';
 
 // 路由模块
 import adminRouter from '../routes/admin.js';
 import sdRouter from '../routes/sd.js';
 import openaiRouter from '../routes/openai.js';
+import responsesRouter from '../routes/responses.js';
 import geminiRouter from '../routes/gemini.js';
 import claudeRouter from '../routes/claude.js';
 import cliRouter from '../routes/cli.js';
+import { stripModePrefixes } from './handlers/common/streamMode.js';
+import { DEFAULT_IMAGE_MODEL } from '../constants/index.js';
 
 const publicDir = getPublicDir();
 
@@ -32,8 +44,10 @@ const app = express();
 // 信任反向代理，以便正确获取 HTTPS 协议状态 (req.secure) 和客户端 IP
 app.set('trust proxy', true);
 
-// 初始化 IP 封禁管理器
-ipBlockManager.init();
+// 初始化 IP 封禁管理器和多租户 API Key 管理器
+// API Key 必须在开始监听前加载完成，否则启动瞬间 hasKeys() 为 false 会放行所有请求
+await ipBlockManager.init();
+await apiKeyManager.init();
 
 // 全局 IP 封禁检查中间件
 app.use((req, res, next) => {
@@ -52,13 +66,35 @@ app.use((req, res, next) => {
 // ==================== 内存管理 ====================
 memoryManager.start(config.server.memoryCleanupInterval);
 
+// ==================== 配置热更新 ====================
+// 其余模块在各自文件中订阅（代理、请求方式、轮询策略、后台额度刷新）
+function applyLogConfig() {
+  logWsServer.updateConfig({
+    logMaxSizeMB: config.log?.maxSizeMB,
+    logMaxFiles: config.log?.maxFiles,
+    logMaxMemory: config.log?.maxMemory
+  });
+}
+
+onConfigChange('server.memoryCleanupInterval', () => {
+  memoryManager.setCleanupInterval(config.server.memoryCleanupInterval);
+});
+onConfigChange('security.maxRequestSize', () => {
+  jsonParser = express.json({ limit: config.security.maxRequestSize });
+});
+onConfigChange('log', applyLogConfig);
+
 // ==================== 基础中间件 ====================
 app.use(cors({
   origin: true,
-  credentials: true
+  credentials: true,
+  // 允许浏览器端客户端读取排队信息和重试等待时间
+  exposedHeaders: ['X-Queue-Position', 'X-Queue-Wait-Ms', 'Retry-After']
 }));
 app.use(cookieParser());
-app.use(express.json({ limit: config.security.maxRequestSize }));
+// 请求体大小上限修改后替换解析中间件，无需重启
+let jsonParser = express.json({ limit: config.security.maxRequestSize });
+app.use((req, res, next) => jsonParser(req, res, next));
 
 // 静态文件服务
 app.use('/images', express.static(path.join(publicDir, 'images')));
@@ -83,47 +119,162 @@ app.use((req, res, next) => {
   if (!ignorePaths.some(p => fullPath.startsWith(p))) {
     const start = Date.now();
     res.on('finish', () => {
-      logger.request(req.method, fullPath, res.statusCode, Date.now() - start);
+      logger.request(req.method, fullPath, res.statusCode, Date.now() - start, req.apiKey?.label || req.apiKey?.id);
     });
   }
   next();
 });
 
-// SD API 路由
-app.use('/sdapi/v1', sdRouter);
-
 // ==================== API Key 验证中间件 ====================
+
+/**
+ * 从请求中提取客户端提供的 API Key
+ * @param {Request} req
+ * @returns {string|undefined}
+ */
+function extractApiKey(req) {
+  if (req.path.startsWith('/v1beta/')) {
+    return req.query.key || req.headers['x-goog-api-key'];
+  }
+  const authHeader = req.headers.authorization || req.headers['x-api-key'];
+  // SD WebUI 客户端使用 HTTP Basic 认证（--api-auth 用户名:密码），密码填 API Key
+  if (req.path.startsWith('/sdapi/') && authHeader?.startsWith('Basic ')) {
+    const credentials = Buffer.from(authHeader.slice(6), 'base64').toString();
+    return credentials.slice(credentials.indexOf(':') + 1);
+  }
+  return authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
+}
+
+/**
+ * 提取请求的模型名（请求体 model 字段或 Gemini 路径中的 models/{model}:action）
+ * @param {Request} req
+ * @returns {string|null}
+ */
+function extractRequestModel(req) {
+  // SD WebUI 生图固定使用默认生图模型（路由处理期间 req.path 为挂载点下的相对路径，这里使用 originalUrl）
+  const fullPath = req.originalUrl.split('?')[0];
+  if (fullPath.startsWith('/sdapi/')) {
+    return /\/(txt2img|img2img)$/.test(fullPath) ? DEFAULT_IMAGE_MODEL : null;
+  }
+  // 去掉响应模式前缀（假流式/、假非流/、流式抗截断/），按实际模型做白名单校验和用量统计
+  if (typeof req.body?.model === 'string') return stripModePrefixes(req.body.model);
+  const match = req.path.match(/\/models\/([^/:]+):/);
+  if (!match) return null;
+  try {
+    return stripModePrefixes(decodeURIComponent(match[1]));
+  } catch {
+    return match[1];
+  }
+}
+
 app.use((req, res, next) => {
-  if (req.path.startsWith('/v1/') || req.path.startsWith('/cli/v1/')) {
-    const apiKey = config.security?.apiKey;
-    if (apiKey) {
-      const authHeader = req.headers.authorization || req.headers['x-api-key'];
-      const providedKey = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
-      if (providedKey !== apiKey) {
-        ipBlockManager.recordViolation(req.ip, 'auth_fail');
-        logger.warn(`API Key 验证失败: ${req.method} ${req.path} (提供的Key: ${providedKey ? providedKey.substring(0, 10) + '...' : '无'})`);
-        return res.status(401).json({ error: 'Invalid API Key' });
-      }
+  const isProtected = req.path.startsWith('/v1/') || req.path.startsWith('/cli/v1/') ||
+    req.path.startsWith('/v1beta/') || req.path.startsWith('/sdapi/');
+  if (!isProtected) return next();
+
+  const masterKey = config.security?.apiKey;
+  // 未配置主密钥且没有多租户 Key 时不做校验
+  if (!masterKey && !apiKeyManager.hasKeys()) return next();
+
+  const providedKey = extractApiKey(req);
+  // 主密钥不受模型白名单和预算限制
+  if (masterKey && providedKey === masterKey) return next();
+
+  const result = apiKeyManager.authenticate(providedKey);
+  if (!result.ok) {
+    if (result.status === 401) {
+      ipBlockManager.recordViolation(req.ip, 'auth_fail');
     }
-  } else if (req.path.startsWith('/v1beta/')) {
-    const apiKey = config.security?.apiKey;
-    if (apiKey) {
-      const providedKey = req.query.key || req.headers['x-goog-api-key'];
-      if (providedKey !== apiKey) {
-        ipBlockManager.recordViolation(req.ip, 'auth_fail');
-        logger.warn(`API Key 验证失败: ${req.method} ${req.path} (提供的Key: ${providedKey ? providedKey.substring(0, 10) + '...' : '无'})`);
-        return res.status(401).json({ error: 'Invalid API Key' });
-      }
+    logger.warn(`API Key 验证失败: ${req.method} ${req.path} (提供的Key: ${providedKey ? providedKey.substring(0, 10) + '...' : '无'}, 原因: ${result.message})`);
+    return res.status(result.status).json({ error: result.message });
+  }
+
+  const keyEntry = result.entry;
+  const model = extractRequestModel(req);
+  if (!apiKeyManager.isModelAllowed(keyEntry, model)) {
+    logger.warn(`API Key [${keyEntry.label || keyEntry.id}] 无权使用模型 ${model}`);
+    return res.status(403).json({ error: `Model ${model} is not allowed for this API Key` });
+  }
+
+  req.apiKey = keyEntry;
+  if (req.method === 'POST') {
+    // 验证时即预占请求次数，并发突发请求不会超出当日预算，失败的请求同样计数
+    if (!apiKeyManager.reserveRequests(keyEntry)) {
+      logger.warn(`API Key [${keyEntry.label || keyEntry.id}] 已达到当日请求上限`);
+      return res.status(429).json({ error: 'Daily request limit exceeded for this API Key' });
     }
+    // 处理器拿到 usage 后写入 res.locals.usage，无论状态码都按实际消耗累加 token
+    res.once('close', () => {
+      if (res.locals.usage) apiKeyManager.recordTokens(keyEntry.id, res.locals.usage.total_tokens || 0);
+    });
   }
   next();
 });
 
+// ==================== 请求指标中间件 ====================
+// 放在 API Key 验证之后，只统计通过验证的请求；标签值都来自有限集合，客户端无法制造任意多的序列
+const METRICS_PATH_PREFIXES = ['/v1/', '/v1beta/', '/cli/', '/sdapi/'];
+
+app.use((req, res, next) => {
+  if (!METRICS_PATH_PREFIXES.some(p => req.path.startsWith(p))) return next();
+  const start = Date.now();
+  res.once('close', () => {
+    // 使用路由模板作为标签（如 /v1beta/models/:model:generateContent），未匹配路由的请求统一归为 other
+    const route = req.route ? req.baseUrl + String(req.route.path).replace(/\\:/g, ':') : 'other';
+    // 模型名来自请求，不在已知模型列表中的统一归为 other
+    const model = extractRequestModel(req);
+    const status = !res.writableFinished ? 499 : (res.locals.upstreamStatus || res.statusCode);
+    metrics.recordRequest({
+      route,
+      model: model && !isKnownModel(model) ? 'other' : model,
+      status,
+      durationMs: Date.now() - start
+    });
+  });
+  next();
+});
+
+// ==================== 用量记录中间件 ====================
+// 处理器在获取账号后写入 res.locals.token，完成时写入 res.locals.usage
+app.use((req, res, next) => {
+  const start = Date.now();
+  const route = req.originalUrl.split('?')[0];
+  res.once('close', () => {
+    const token = res.locals.token;
+    if (!token) return;
+    // 客户端提前断开记为 499；流式错误以处理器记录的上游状态为准
+    const status = !res.writableFinished ? 499 : (res.locals.upstreamStatus || res.statusCode);
+    const latencyMs = Date.now() - start;
+    tokenManager.getTokenId(token)
+      .then(account => usageLedger.record({
+        timestamp: start,
+        route,
+        model: extractRequestModel(req),
+        account,
+        email: token.email,
+        apiKeyId: req.apiKey?.id,
+        apiKeyLabel: req.apiKey?.label,
+        status,
+        stream: req.body?.stream === true || route.includes('streamGenerateContent'),
+        latencyMs,
+        usage: res.locals.usage
+      }))
+      .catch(error => logger.warn('记录用量失败:', error.message));
+  });
+  next();
+});
+
 // ==================== API 路由 ====================
 
+// SD WebUI 兼容 API
+app.use('/sdapi/v1', sdRouter);
+
 // OpenAI 兼容 API
 app.use('/v1', openaiRouter);
 
+// OpenAI Responses API
+app.use('/v1', responsesRouter);
+
 // Gemini 兼容 API
 app.use('/v1beta', geminiRouter);
 
@@ -154,6 +305,54 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', uptime: process.uptime() });
 });
 
+// ==================== Prometheus 指标 ====================
+
+const tokenPoolGauge = metrics.gauge('tokens', '账号池中的账号数量', ['state']);
+const quotaExhaustedGauge = metrics.gauge('tokens_quota_exhausted', '额度已耗尽的启用账号数量（按模型组）', ['group']);
+const memoryPoolGauge = metrics.gauge('memory_pool_size', '对象池容量上限（按池）', ['pool']);
+const chunkPoolGauge = metrics.gauge('chunk_pool_objects', 'chunk 对象池当前缓存的对象数');
+const queueWaitingGauge = metrics.gauge('queue_waiting_requests', '排队等待分配账号的请求数');
+const queueInFlightGauge = metrics.gauge('queue_in_flight_requests', '已分配账号、正在处理的请求数');
+
+metrics.registerCollector(async () => {
+  const stats = await tokenManager.getPoolStats();
+  tokenPoolGauge.set({ state: 'enabled' }, stats.enabled);
+  tokenPoolGauge.set({ state: 'disabled' }, stats.disabled);
+  const groups = new Set(['claude', 'gemini', 'banana', ...Object.keys(stats.quotaExhausted)]);
+  for (const group of groups) {
+    quotaExhaustedGauge.set({ group }, stats.quotaExhausted[group] || 0);
+  }
+});
+
+metrics.registerCollector(() => {
+  for (const [pool, size] of Object.entries(memoryManager.getPoolSizes())) {
+    memoryPoolGauge.set({ pool }, size);
+  }
+  chunkPoolGauge.set({}, getChunkPoolSize());
+});
+
+metrics.registerCollector(() => {
+  const stats = requestQueue.getStats();
+  queueWaitingGauge.set({}, stats.waiting);
+  queueInFlightGauge.set({}, stats.inFlight);
+});
+
+// 与模型接口相同：配置了主密钥或存在多租户 Key 时，需携带主密钥或有效的多租户 Key
+app.get('/metrics', async (req, res) => {
+  const masterKey = config.security?.apiKey;
+  if (masterKey || apiKeyManager.hasKeys()) {
+    const providedKey = extractApiKey(req);
+    // 多租户 Key 只校验启用状态和过期时间，当日预算用尽不影响读取指标
+    const result = masterKey && providedKey === masterKey ? { ok: true } : apiKeyManager.authenticate(providedKey);
+    if (!result.ok && result.status !== 429) {
+      ipBlockManager.recordViolation(req.ip, 'auth_fail');
+      return res.status(401).json({ error: result.message });
+    }
+  }
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(await metrics.render());
+});
+
 // 404 处理 (未匹配到任何路由)
 app.use((req, res, next) => {
   // 白名单路径：这些路径的 404 不触发 IP 封禁
@@ -199,12 +398,14 @@ const server = app.listen(config.server.port, config.server.host, () => {
 
   // 初始化 WebSocket 日志服务
   logWsServer.initialize(server);
-  logWsServer.updateConfig({
-    logMaxSizeMB: config.log?.maxSizeMB,
-    logMaxFiles: config.log?.maxFiles,
-    logMaxMemory: config.log?.maxMemory
-  });
+  applyLogConfig();
   logger.info('WebSocket 日志服务已启动: /ws/logs');
+
+  // 后台刷新账号额度（额度优先调度和 Retry-After 依赖）
+  quotaRefresher.start();
+
+  // 代理池健康检查
+  proxyPool.start();
 });
 
 server.on('error', (error) => {
@@ -228,6 +429,10 @@ const shutdown = () => {
   memoryManager.stop();
   logger.info('已停止内存管理器');
 
+  // 停止后台额度刷新
+  quotaRefresher.stop();
+  proxyPool.stop();
+
   // 关闭子进程请求器
   closeRequester();
   logger.info('已关闭子进程请求器');
@@ -236,11 +441,17 @@ const shutdown = () => {
   clearChunkPool();
   logger.info('已清理对象池');
 
+  // 写入尚未落盘的用量统计
+  usageLedger.flush();
+  apiKeyManager.flush();
+
   // 关闭 WebSocket 日志服务
   logWsServer.close();
   logger.info('已关闭 WebSocket 日志服务');
 
   server.close(() => {
+    // 等进行中的请求结束后再关闭数据库
+    closeStorage();
     logger.info('服务器已关闭');
     process.exit(0);
   });
@@ -6,14 +6,16 @@
 import config from '../config/config.js';
 import logger from '../utils/logger.js';
 import memoryManager, { registerMemoryPoolCleanup } from '../utils/memoryManager.js';
+import metrics from '../utils/metrics.js';
+import tokenManager from '../auth/token_manager.js';
 import { DEFAULT_HEARTBEAT_INTERVAL } from '../constants/index.js';
 
 // ==================== 心跳机制（防止 CF 超时） ====================
-const HEARTBEAT_INTERVAL = config.server.heartbeatInterval || DEFAULT_HEARTBEAT_INTERVAL;
 const SSE_HEARTBEAT = Buffer.from(': heartbeat\n\n');
 
 /**
  * 创建心跳定时器
+ * 间隔在创建时读取，修改 heartbeatInterval 后新的流式请求立即生效，进行中的请求保持原间隔
  * @param {Response} res - Express响应对象
  * @returns {NodeJS.Timeout} 定时器
  */
@@ -21,10 +23,11 @@ export const createHeartbeat = (res) => {
   const timer = setInterval(() => {
     if (!res.writableEnded) {
       res.write(SSE_HEARTBEAT);
+      metrics.heartbeats.inc();
     } else {
       clearInterval(timer);
     }
-  }, HEARTBEAT_INTERVAL);
+  }, config.server.heartbeatInterval || DEFAULT_HEARTBEAT_INTERVAL);
 
   // 响应结束时清理
   res.on('close', () => clearInterval(timer));
@@ -58,6 +61,9 @@ export const setStreamHeaders = (res) => {
   res.setHeader('X-Accel-Buffering', 'no'); // 禁用 nginx 缓冲
   // 立即发送响应头，确保客户端尽快建立连接
   res.flushHeaders();
+  // 活跃流计数：连接关闭（正常结束或客户端断开）时减一
+  metrics.activeStreams.inc();
+  res.once('close', () => metrics.activeStreams.dec());
 };
 
 // ==================== 对象池（减少 GC） ====================
@@ -279,3 +285,104 @@ export const with429Retry = async (fn, maxRetries, loggerPrefix = '', onAttempt
     }
   }
 };
+
+// ==================== 跨账号故障转移（处理 429/5xx） ====================
+
+/**
+ * 判断错误是否应换号重试（限流或上游服务端错误）
+ * @param {number} status - HTTP 状态码
+ * @returns {boolean}
+ */
+function isFailoverStatus(status) {
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+/**
+ * 带跨账号故障转移的执行器
+ * 上游返回 429/5xx 时将当前账号对该模型组标记冷却，换一个账号重建请求体后重试，
+ * 直到累计 config.failover.maxAccounts 个不同账号失败；没有其他可用账号时，429 退回同账号退避重试
+ * @param {{token: Object, requestBody: Object}} plan - 执行计划，切换账号时原地更新
+ * @param {Function} fn - 要执行的异步函数，接收 plan
+ * @param {Object} options
+ * @param {string} options.model - 请求的模型 ID（用于选号和冷却分组）
+ * @param {Function} options.buildBody - 为新账号重建请求体：async (token) => requestBody|null
+ * @param {number} [options.maxRetries] - 无其他账号时同账号 429 的最大重试次数
+ * @param {string} [options.loggerPrefix] - 日志前缀
+ * @param {Function} [options.canFailover] - 是否仍可重试（流式请求已向客户端输出内容时返回 false）
+ * @param {Function} [options.onSwitch] - 切换账号后的回调，接收新 token
+ * @param {Function} [options.onAttempt] - 每次尝试时的回调，接收当前 token（用于记录请求次数）
+ * @returns {Promise<any>}
+ */
+export const withFailover = async (plan, fn, options) => {
+  const {
+    model,
+    buildBody,
+    maxRetries = 0,
+    loggerPrefix = '',
+    canFailover = null,
+    onSwitch = null,
+    onAttempt = null
+  } = options;
+  const retries = Number.isFinite(maxRetries) && maxRetries > 0 ? Math.floor(maxRetries) : 0;
+  const maxAccounts = Math.max(1, Math.floor(config.failover.maxAccounts));
+  const failed = new Set();
+  let attempt = 0;
+
+  while (true) {
+    const startedAt = Date.now();
+    try {
+      if (typeof onAttempt === 'function') {
+        onAttempt(plan.token);
+      }
+      const result = await fn(plan);
+      tokenManager.recordResult(plan.token, { ok: true, latencyMs: Date.now() - startedAt });
+      return result;
+    } catch (error) {
+      const status = Number(error.status || error.statusCode || error.response?.status);
+      // 只有上游错误计入账号健康度（处理器内部异常没有状态码）
+      if (status) {
+        tokenManager.recordResult(plan.token, { ok: false, status, reason: error.message });
+      }
+      if (!isFailoverStatus(status) || (typeof canFailover === 'function' && !canFailover())) {
+        throw error;
+      }
+
+      const explicitDelayMs = status === 429 ? getUpstreamRetryDelayMs(error) : null;
+      const failedSuffix = plan.token.access_token.slice(-8);
+      tokenManager.markCoolingDown(plan.token, model, Math.max(explicitDelayMs ?? 0, config.failover.cooldown));
+      failed.add(plan.token.refresh_token);
+
+      const nextToken = failed.size < maxAccounts
+        ? await tokenManager.getToken(model, { exclude: failed })
+        : null;
+      if (nextToken) {
+        const nextBody = await buildBody(nextToken);
+        // 无法为新账号重建请求（如会话历史已过期），直接返回原错误
+        if (!nextBody) throw error;
+        plan.token = nextToken;
+        plan.requestBody = nextBody;
+        if (typeof onSwitch === 'function') {
+          onSwitch(nextToken);
+        }
+        logger.warn(
+          `${loggerPrefix}账号 ...${failedSuffix} 返回 ${status}，切换到账号 ...${nextToken.access_token.slice(-8)}` +
+          `（已失败 ${failed.size}/${maxAccounts} 个）`
+        );
+        continue;
+      }
+
+      // 没有可切换的账号（只有一个账号或 maxAccounts 为 1）：429 沿用同账号退避重试
+      if (failed.size === 1 && status === 429 && attempt < retries) {
+        attempt++;
+        const waitMs = computeBackoffMs(attempt, explicitDelayMs);
+        logger.warn(`${loggerPrefix}收到 429 且无其他可用账号，等待 ${waitMs}ms 后进行第 ${attempt} 次重试（共 ${retries} 次）`);
+        await sleep(waitMs);
+        continue;
+      }
+      if (failed.size > 1) {
+        logger.warn(`${loggerPrefix}已有 ${failed.size} 个账号失败，停止故障转移`);
+      }
+      throw error;
+    }
+  }
+};
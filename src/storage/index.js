@@ -0,0 +1,50 @@
+// 存储驱动选择：json（默认，每类数据一个 JSON 文件，变更时整体重写）
+// 或 sqlite（所有数据存放在 data/antigravity.db，按记录更新）
+
+import path from 'path';
+import config from '../config/config.js';
+import { getDataDir } from '../utils/paths.js';
+import SqliteStorage from './sqlite.js';
+
+export const StorageDriver = {
+  JSON: 'json',
+  SQLITE: 'sqlite'
+};
+
+export const SQLITE_FILE = 'antigravity.db';
+
+// 各类数据在 SQLite 中的集合名
+export const Collections = {
+  ACCOUNTS: 'accounts',
+  GEMINICLI_ACCOUNTS: 'geminicli_accounts',
+  QUOTAS: 'quotas',
+  IP_BLOCKLIST: 'ip_blocklist'
+};
+
+let sqliteStorage = null;
+
+/**
+ * 当前是否使用 SQLite 驱动（启动时确定，修改后需重启）
+ * @returns {boolean}
+ */
+export function isSqliteStorage() {
+  return config.storage.driver === StorageDriver.SQLITE;
+}
+
+/**
+ * 获取共享的 SQLite 存储实例（首次使用时打开数据库）
+ * @returns {SqliteStorage}
+ */
+export function getSqliteStorage() {
+  if (!sqliteStorage) {
+    sqliteStorage = new SqliteStorage(path.join(getDataDir(), SQLITE_FILE));
+  }
+  return sqliteStorage;
+}
+
+/**
+ * 关闭 SQLite 数据库（关闭服务时调用）
+ */
+export function closeStorage() {
+  sqliteStorage?.close();
+}
@@ -0,0 +1,176 @@
+// SQLite 存储驱动：所有集合存放在同一个数据库的 kv 表中，按行更新，避免整文件重写
+// 依赖可选包 better-sqlite3（同步 API，与额度管理等同步调用方式一致）
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { log } from '../utils/logger.js';
+
+const require = createRequire(import.meta.url);
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS kv (
+    collection TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (collection, key)
+  );
+`;
+
+/**
+ * 键值集合存储：每个集合是一组 key -> JSON 值，读取时按首次写入顺序返回
+ */
+class SqliteStorage {
+  /**
+   * @param {string} filePath - 数据库文件路径
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.db = null;
+    this.statements = null;
+  }
+
+  /**
+   * 打开数据库（首次调用时建表）
+   * @returns {import('better-sqlite3').Database}
+   */
+  open() {
+    if (this.db) return this.db;
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error(`SQLite 存储需要安装 better-sqlite3（npm install better-sqlite3）: ${error.message}`);
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.db = new Database(this.filePath);
+    // WAL 模式下读写互不阻塞，单行更新不需要重写整个文件
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+    this.statements = {
+      // 更新已有 key 时保留 rowid，读取顺序不变
+      upsert: this.db.prepare(`
+        INSERT INTO kv (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `),
+      get: this.db.prepare('SELECT value FROM kv WHERE collection = ? AND key = ?'),
+      getAll: this.db.prepare('SELECT key, value FROM kv WHERE collection = ? ORDER BY rowid'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM kv WHERE collection = ?'),
+      delete: this.db.prepare('DELETE FROM kv WHERE collection = ? AND key = ?'),
+      clear: this.db.prepare('DELETE FROM kv WHERE collection = ?')
+    };
+    log.info(`已打开 SQLite 存储: ${this.filePath}`);
+    return this.db;
+  }
+
+  /**
+   * 读取集合中的全部记录
+   * @param {string} collection
+   * @returns {Array<[string, any]>} [key, value] 列表
+   */
+  getAll(collection) {
+    this.open();
+    const entries = [];
+    for (const row of this.statements.getAll.all(collection)) {
+      try {
+        entries.push([row.key, JSON.parse(row.value)]);
+      } catch {
+        log.warn(`SQLite 存储中 ${collection}/${row.key} 数据损坏，已跳过`);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * @param {string} collection
+   * @param {string} key
+   * @returns {any|null}
+   */
+  get(collection, key) {
+    this.open();
+    const row = this.statements.get.get(collection, key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  /**
+   * @param {string} collection
+   * @returns {number}
+   */
+  count(collection) {
+    this.open();
+    return this.statements.count.get(collection).count;
+  }
+
+  /**
+   * 写入或更新单条记录
+   * @param {string} collection
+   * @param {string} key
+   * @param {any} value
+   */
+  set(collection, key, value) {
+    this.open();
+    this.statements.upsert.run(collection, key, JSON.stringify(value), Date.now());
+  }
+
+  /**
+   * 在一个事务中写入多条记录
+   * @param {string} collection
+   * @param {Array<[string, any]>} entries
+   */
+  setMany(collection, entries) {
+    this.open();
+    const now = Date.now();
+    this.db.transaction(() => {
+      for (const [key, value] of entries) {
+        this.statements.upsert.run(collection, key, JSON.stringify(value), now);
+      }
+    })();
+  }
+
+  /**
+   * @param {string} collection
+   * @param {string} key
+   */
+  delete(collection, key) {
+    this.open();
+    this.statements.delete.run(collection, key);
+  }
+
+  /**
+   * 用给定记录整体替换集合（顺序与 entries 一致）
+   * @param {string} collection
+   * @param {Array<[string, any]>} entries
+   */
+  replaceAll(collection, entries) {
+    this.open();
+    const now = Date.now();
+    this.db.transaction(() => {
+      this.statements.clear.run(collection);
+      for (const [key, value] of entries) {
+        this.statements.upsert.run(collection, key, JSON.stringify(value), now);
+      }
+    })();
+  }
+
+  /**
+   * 清空集合
+   * @param {string} collection
+   */
+  clear(collection) {
+    this.open();
+    this.statements.clear.run(collection);
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.statements = null;
+    }
+  }
+}
+
+export default SqliteStorage;
@@ -0,0 +1,214 @@
+// 管理操作审计日志：记录管理接口对账号、配置、轮询策略等关键状态的修改
+// 只追加写入 data/audit/YYYY-MM-DD.jsonl（每行一条），记录操作人、来源 IP、路由以及修改前后的差异，敏感字段脱敏
+
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+import memoryManager from './memoryManager.js';
+import { getDataDir } from './paths.js';
+import { getLocalDayKey } from './dateKeys.js';
+import logger from './logger.js';
+
+const AUDIT_DIR = 'audit';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REDACTED = '[REDACTED]';
+// 差异中单个字符串值的最大长度（系统提示词等长文本只保留开头）
+const MAX_VALUE_LENGTH = 200;
+
+// 敏感字段名：access_token / refresh_token、密码、密钥、API Key、Cookie 等
+const SECRET_KEY_PATTERN = /(^|_)(access|refresh|id)_?token$|^token$|secret|password|passwd|api_?key$|^key$|credential|cookie|authorization/i;
+
+function isSecretKey(key) {
+  return SECRET_KEY_PATTERN.test(key);
+}
+
+/**
+ * 脱敏单个值：去掉 URL 中的账号密码（如代理地址），截断过长的字符串
+ * @param {*} value
+ * @returns {*}
+ */
+function sanitizeValue(value) {
+  if (typeof value !== 'string') return value;
+  const masked = value.replace(/(\w+:\/\/)[^\s/@:]+(:[^\s/@]*)?@/g, `$1${REDACTED}@`);
+  return masked.length > MAX_VALUE_LENGTH
+    ? `${masked.slice(0, MAX_VALUE_LENGTH)}…（共 ${masked.length} 字符）`
+    : masked;
+}
+
+/**
+ * 递归脱敏对象：敏感字段替换为 [REDACTED]
+ * @param {*} value
+ * @returns {*}
+ */
+export function redactSecrets(value) {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = isSecretKey(key) && item !== undefined && item !== null && item !== ''
+        ? REDACTED
+        : redactSecrets(item);
+    }
+    return result;
+  }
+  return sanitizeValue(value);
+}
+
+// 展开为 路径 -> 值（数组整体作为一个值比较）
+function flatten(value, prefix, out) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, item] of Object.entries(value)) {
+      flatten(item, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out.set(prefix, value);
+  }
+  return out;
+}
+
+/**
+ * 计算修改前后的差异（按字段路径），敏感字段只标记已修改、不记录值
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Array<{path: string, before: *, after: *}>}
+ */
+export function diffObjects(before, after) {
+  const oldFields = flatten(before, '', new Map());
+  const newFields = flatten(after, '', new Map());
+  const paths = new Set([...oldFields.keys(), ...newFields.keys()]);
+  const changes = [];
+
+  for (const fieldPath of paths) {
+    const oldValue = oldFields.get(fieldPath);
+    const newValue = newFields.get(fieldPath);
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+
+    const secret = fieldPath.split('.').some(isSecretKey);
+    const show = (value) => {
+      if (value === undefined || value === null) return null;
+      return secret ? REDACTED : redactSecrets(value);
+    };
+    changes.push({ path: fieldPath, before: show(oldValue), after: show(newValue) });
+  }
+  return changes.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+class AuditLog {
+  constructor() {
+    this.dir = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  _getDir() {
+    if (!this.dir) this.dir = path.join(getDataDir(), AUDIT_DIR);
+    return this.dir;
+  }
+
+  /**
+   * 追加一条审计记录（立即写入，不合并延迟）
+   * @param {{
+   *   actor: string|null, ip: string, method: string, route: string, action: string,
+   *   target?: string|null, status: 'success'|'failure'|'denied',
+   *   before?: Object|null, after?: Object|null, details?: Object|null, error?: string|null
+   * }} entry
+   * @returns {Promise<void>}
+   */
+  record(entry) {
+    const record = {
+      timestamp: Date.now(),
+      actor: entry.actor || null,
+      ip: entry.ip,
+      method: entry.method,
+      route: entry.route,
+      action: entry.action,
+      target: entry.target || null,
+      status: entry.status,
+      changes: entry.before !== undefined || entry.after !== undefined
+        ? diffObjects(entry.before ?? null, entry.after ?? null)
+        : [],
+      details: entry.details ? redactSecrets(entry.details) : null,
+      error: entry.error || null
+    };
+    const file = path.join(this._getDir(), `${getLocalDayKey(record.timestamp)}.jsonl`);
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await fs.mkdir(this._getDir(), { recursive: true });
+        await fs.appendFile(file, JSON.stringify(record) + '\n', 'utf8');
+      } catch (error) {
+        logger.error('写入审计日志失败:', error.message);
+      }
+    });
+    return this.writeQueue;
+  }
+
+  /**
+   * 查询时间范围内的记录（最新的在前）
+   * @param {number} from - 起始时间（毫秒，含）
+   * @param {number} to - 结束时间（毫秒，不含）
+   * @param {{action?: string, actor?: string, status?: string, search?: string}} [filters]
+   *   action 支持前缀匹配（如 tokens 匹配 tokens.add / tokens.delete），search 匹配 IP、路由、目标和差异内容
+   * @returns {Promise<Array>}
+   */
+  async query(from, to, { action, actor, status, search } = {}) {
+    await this.writeQueue;
+    const keyword = search ? search.toLowerCase() : null;
+    const records = [];
+
+    for (let t = from - DAY_MS; t < to + DAY_MS; t += DAY_MS) {
+      let content;
+      try {
+        content = await fs.readFile(path.join(this._getDir(), `${getLocalDayKey(t)}.jsonl`), 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') logger.warn('读取审计日志失败:', error.message);
+        continue;
+      }
+      for (const line of content.split('\n')) {
+        if (!line) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          continue; // 跳过损坏的行
+        }
+        if (record.timestamp < from || record.timestamp >= to) continue;
+        if (action && record.action !== action && !record.action.startsWith(`${action}.`)) continue;
+        if (actor && record.actor !== actor) continue;
+        if (status && record.status !== status) continue;
+        if (keyword && !line.toLowerCase().includes(keyword)) continue;
+        records.push(record);
+      }
+    }
+    return records.sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * 删除超过保留天数的记录文件
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    const oldestKey = getLocalDayKey(Date.now() - config.audit.retentionDays * DAY_MS);
+    let files;
+    try {
+      files = await fs.readdir(this._getDir());
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.warn('扫描审计日志目录失败:', error.message);
+      return;
+    }
+    for (const name of files) {
+      // 文件名形如 YYYY-MM-DD.jsonl，可直接按字符串比较
+      if (name.endsWith('.jsonl') && name.slice(0, -'.jsonl'.length) < oldestKey) {
+        await fs.unlink(path.join(this._getDir(), name)).catch(() => {});
+      }
+    }
+  }
+}
+
+const auditLog = new AuditLog();
+
+// 定时清理由 memoryManager 统一触发
+memoryManager.registerCleanup(() => {
+  auditLog.prune().catch(error => logger.warn('清理审计日志失败:', error.message));
+});
+
+export default auditLog;
@@ -0,0 +1,144 @@
+// 配置版本历史：管理接口每次修改 config.json / .env 后保存一份完整快照，用于查看差异和回滚
+// 保存在 data/config-history.json，只保留最近 configHistory.maxRevisions 个版本
+
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+import { getDataDir } from './paths.js';
+import { diffObjects } from './auditLog.js';
+import logger from './logger.js';
+
+const HISTORY_FILE = 'config-history.json';
+
+/**
+ * 数据文件结构：
+ * {
+ *   "nextId": 3,
+ *   "revisions": [{
+ *     "id": 2,
+ *     "timestamp": 0,
+ *     "author": "admin",          // 修改人（initial / external 版本为 null）
+ *     "action": "update",         // initial / external / update / rotation / rollback
+ *     "rolledBackFrom": null,     // rollback 版本：回滚到的目标版本号
+ *     "snapshot": { "env": {}, "json": {} }
+ *   }]
+ * }
+ * 快照包含 .env 原文（与 .env 相同，含密钥），接口返回时脱敏
+ */
+
+function sameSnapshot(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+class ConfigHistory {
+  constructor() {
+    this.filePath = null;
+    this.revisions = [];
+    this.nextId = 1;
+    this.initialized = false;
+    this.savePromise = Promise.resolve();
+  }
+
+  async init() {
+    if (this.initialized) return;
+    this.filePath = path.join(getDataDir(), HISTORY_FILE);
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.revisions = Array.isArray(data.revisions) ? data.revisions : [];
+      this.nextId = data.nextId || (this.revisions.at(-1)?.id ?? 0) + 1;
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        logger.error('加载配置历史失败:', e.message);
+      }
+      this.revisions = [];
+    }
+    this.initialized = true;
+  }
+
+  async save() {
+    // 串行写入防止冲突
+    this.savePromise = this.savePromise.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(this.filePath, JSON.stringify({ nextId: this.nextId, revisions: this.revisions }, null, 2), 'utf8');
+      } catch (e) {
+        logger.error('保存配置历史失败:', e.message);
+      }
+    });
+    return this.savePromise;
+  }
+
+  _push(snapshot, { author = null, action, rolledBackFrom = null }) {
+    const revision = { id: this.nextId++, timestamp: Date.now(), author, action, rolledBackFrom, snapshot };
+    this.revisions.push(revision);
+    return revision;
+  }
+
+  /**
+   * 记录一次修改后的配置
+   * 修改前的配置与最新版本不一致时（首次记录或文件被手动修改过），先把修改前的配置记为 initial / external 版本，保证可以回滚到修改前
+   * @param {{env: Object, json: Object}} before - 修改前的配置
+   * @param {{env: Object, json: Object}} after - 修改后的配置
+   * @param {{author: string|null, action: string, rolledBackFrom?: number}} meta
+   * @returns {Promise<Object|null>} 新版本（配置没有变化时返回 null）
+   */
+  async record(before, after, meta) {
+    await this.init();
+    const latest = this.revisions.at(-1);
+    if (!latest || !sameSnapshot(latest.snapshot, before)) {
+      this._push(before, { action: latest ? 'external' : 'initial' });
+    }
+    if (sameSnapshot(before, after)) {
+      await this.save();
+      return null;
+    }
+
+    const revision = this._push(after, meta);
+    const maxRevisions = config.configHistory.maxRevisions;
+    if (this.revisions.length > maxRevisions) {
+      this.revisions.splice(0, this.revisions.length - maxRevisions);
+    }
+    await this.save();
+    return revision;
+  }
+
+  /**
+   * 版本列表（最新的在前，不含快照），changedKeys 为相对上一个版本修改的字段
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    await this.init();
+    return this.revisions.map((revision, index) => {
+      const { snapshot, ...meta } = revision;
+      const previous = this.revisions[index - 1]?.snapshot;
+      return {
+        ...meta,
+        changedKeys: previous ? diffObjects(previous, snapshot).map(change => change.path) : []
+      };
+    }).reverse();
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Promise<Object|null>} 包含快照的版本
+   */
+  async get(id) {
+    await this.init();
+    return this.revisions.find(revision => revision.id === id) || null;
+  }
+
+  /**
+   * 上一个版本（不存在时返回 null）
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async getPrevious(id) {
+    await this.init();
+    const index = this.revisions.findIndex(revision => revision.id === id);
+    return index > 0 ? this.revisions[index - 1] : null;
+  }
+}
+
+const configHistory = new ConfigHistory();
+
+export default configHistory;
@@ -1,9 +1,90 @@
+import dotenv from 'dotenv';
 import config, { getConfigJson, buildConfig } from '../config/config.js';
+import { diffObjects } from './auditLog.js';
+import { getEnvPath } from './paths.js';
+import logger from './logger.js';
+
+// ==================== 配置变更订阅 ====================
+// 各模块在导入时订阅自己关心的配置项（与 memoryManager.registerCleanup 类似），
+// reloadConfig() 重建 config 对象后，按变化的配置路径通知对应模块应用新值
+
+/**
+ * 需要重启才能生效的配置：监听地址和存储驱动
+ * @type {string[]}
+ */
+const RESTART_REQUIRED_KEYS = ['server.port', 'server.host', 'storage.driver'];
+
+/** @type {Array<{keys: string[], handler: Function}>} */
+const subscribers = [];
+
+function getPath(object, keyPath) {
+  return keyPath.split('.').reduce((value, key) => value?.[key], object);
+}
+
+// 启动时的取值，用于判断哪些修改还需要重启（改回原值后不再需要）
+const startupValues = new Map(RESTART_REQUIRED_KEYS.map(key => [key, getPath(config, key)]));
+
+function matches(changedPath, key) {
+  return changedPath === key || changedPath.startsWith(`${key}.`);
+}
+
+/**
+ * 订阅配置变更
+ * @param {string|string[]} keys - config 对象中的路径（如 proxy、rotation、server.heartbeatInterval），同时匹配其子路径
+ * @param {(changedKeys: string[]) => void} handler - 新配置生效后调用，参数为匹配到的变化路径
+ * @returns {() => void} 取消订阅
+ */
+export function onConfigChange(keys, handler) {
+  const subscriber = { keys: Array.isArray(keys) ? keys : [keys], handler };
+  subscribers.push(subscriber);
+  return () => {
+    const index = subscribers.indexOf(subscriber);
+    if (index !== -1) subscribers.splice(index, 1);
+  };
+}
+
+/**
+ * 与启动时相比已修改、但需要重启才能生效的配置
+ * @returns {string[]}
+ */
+export function getRestartRequiredKeys() {
+  return RESTART_REQUIRED_KEYS.filter(key => getPath(config, key) !== startupValues.get(key));
+}
 
 /**
- * 重新加载配置到 config 对象
+ * 重新加载配置到 config 对象，并通知订阅了变化配置项的模块
+ * @returns {{changed: string[], restartRequired: string[]}} 变化的配置路径，以及仍需重启才能生效的配置
  */
 export function reloadConfig() {
+  const previous = JSON.parse(JSON.stringify(config));
   const newConfig = buildConfig(getConfigJson());
   Object.assign(config, newConfig);
+
+  const changed = diffObjects(previous, JSON.parse(JSON.stringify(config))).map(change => change.path);
+  for (const { keys, handler } of subscribers) {
+    const matched = changed.filter(changedPath => keys.some(key => matches(changedPath, key)));
+    if (matched.length === 0) continue;
+    try {
+      handler(matched);
+    } catch (error) {
+      // 单个模块应用失败不影响其他模块
+      logger.error(`应用配置变更失败 (${matched.join(', ')}):`, error.message);
+    }
+  }
+
+  const restartRequired = getRestartRequiredKeys();
+  if (restartRequired.length > 0) {
+    logger.warn(`以下配置需重启后生效: ${restartRequired.join(', ')}`);
+  }
+  return { changed, restartRequired };
+}
+
+/**
+ * 重新读取 .env 和 config.json 并热重载
+ * 保存配置和回滚历史版本后调用
+ * @returns {{changed: string[], restartRequired: string[]}}
+ */
+export function reloadFromFiles() {
+  dotenv.config({ path: getEnvPath(), override: true });
+  return reloadConfig();
 }
@@ -0,0 +1,204 @@
+// 会话历史存储：按 response id / 会话 id 保存已转换的 Antigravity contents（含 thoughtSignature）
+// 客户端只需发送新一轮消息，历史由服务端拼接，签名不再依赖 thoughtSignatureCache 的环形缓存
+// 每个会话记录创建它的 API Key（owner），其他 API Key 读取、续接和删除时视为不存在
+// 默认仅保存在内存中；开启 conversation.persist 后每个会话写入 data/conversations/<id>.json
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import config from '../config/config.js';
+import memoryManager from './memoryManager.js';
+import { getDataDir } from './paths.js';
+import logger from './logger.js';
+
+const CONVERSATION_DIR = 'conversations';
+// 持久化模式下内存中只保留最近使用的少量会话，其余按需从磁盘读取
+const PERSIST_MEMORY_ENTRIES = 50;
+// 会话 ID 同时用作文件名，只允许安全字符
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+class ConversationStore {
+  constructor() {
+    // id -> { id, owner, model, contents, createdAt, updatedAt }（Map 插入顺序即 LRU 顺序）
+    this.cache = new Map();
+    this.dir = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  isValidId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+  }
+
+  /**
+   * 生成新的会话 ID
+   * @returns {string}
+   */
+  createId() {
+    return `conv_${randomUUID().replace(/-/g, '')}`;
+  }
+
+  _getDir() {
+    if (!this.dir) this.dir = path.join(getDataDir(), CONVERSATION_DIR);
+    return this.dir;
+  }
+
+  _filePath(id) {
+    return path.join(this._getDir(), `${id}.json`);
+  }
+
+  _isExpired(record, now = Date.now()) {
+    return now - record.updatedAt > config.conversation.ttl;
+  }
+
+  _remember(record) {
+    this.cache.delete(record.id);
+    this.cache.set(record.id, record);
+    const limit = config.conversation.persist
+      ? Math.min(PERSIST_MEMORY_ENTRIES, config.conversation.maxConversations)
+      : config.conversation.maxConversations;
+    while (this.cache.size > limit) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * 获取会话
+   * @param {string} id - 会话 ID
+   * @param {string|null} owner - 请求方的 API Key ID（主密钥为 null），与会话所有者不一致时返回 null
+   * @returns {Promise<{id: string, owner: string|null, model: string, contents: Array, createdAt: number, updatedAt: number}|null>}
+   */
+  async get(id, owner) {
+    if (!this.isValidId(id)) return null;
+
+    let record = this.cache.get(id) || null;
+    if (!record && config.conversation.persist) {
+      try {
+        record = JSON.parse(await fs.readFile(this._filePath(id), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn(`读取会话 ${id} 失败:`, error.message);
+        }
+        return null;
+      }
+    }
+    if (!record) return null;
+
+    if (this._isExpired(record)) {
+      await this._remove(id);
+      return null;
+    }
+    this._remember(record);
+    return (record.owner ?? null) === (owner ?? null) ? record : null;
+  }
+
+  /**
+   * 保存会话（覆盖）
+   * @param {string} id - 会话 ID
+   * @param {{owner: string|null, model: string, contents: Array}} data - owner：创建会话的 API Key ID
+   * @returns {Promise<void>}
+   */
+  async save(id, { owner, model, contents }) {
+    if (!this.isValidId(id)) return;
+    const now = Date.now();
+    const previous = this.cache.get(id);
+    const record = { id, owner: owner ?? null, model, contents, createdAt: previous?.createdAt || now, updatedAt: now };
+    this._remember(record);
+
+    if (config.conversation.persist) {
+      await this._enqueueWrite(id, JSON.stringify(record));
+    }
+  }
+
+  /**
+   * 删除会话
+   * @param {string} id - 会话 ID
+   * @param {string|null} owner - 请求方的 API Key ID，只能删除自己的会话
+   * @returns {Promise<boolean>} 是否存在并被删除
+   */
+  async delete(id, owner) {
+    if (!(await this.get(id, owner))) return false;
+    return this._remove(id);
+  }
+
+  async _remove(id) {
+    let existed = this.cache.delete(id);
+    if (config.conversation.persist) {
+      try {
+        await fs.unlink(this._filePath(id));
+        existed = true;
+      } catch (error) {
+        if (error.code !== 'ENOENT') logger.warn(`删除会话 ${id} 失败:`, error.message);
+      }
+    }
+    return existed;
+  }
+
+  _enqueueWrite(id, content) {
+    // 串行写入，使用临时文件 + rename 避免写入中断导致文件损坏
+    const task = this.writeQueue.then(async () => {
+      const dir = this._getDir();
+      const tempPath = path.join(dir, `.${id}.${randomUUID()}.tmp`);
+      try {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(tempPath, content, 'utf8');
+        await fs.rename(tempPath, this._filePath(id));
+      } catch (error) {
+        logger.error(`保存会话 ${id} 失败:`, error.message);
+        await fs.unlink(tempPath).catch(() => {});
+      }
+    });
+    this.writeQueue = task;
+    return task;
+  }
+
+  /**
+   * 清理过期会话，并将磁盘上的会话数量控制在 maxConversations 以内
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    const now = Date.now();
+    for (const [id, record] of this.cache) {
+      if (this._isExpired(record, now)) this.cache.delete(id);
+    }
+    if (!config.conversation.persist) return;
+
+    let files;
+    try {
+      files = (await fs.readdir(this._getDir())).filter(name => name.endsWith('.json'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.warn('扫描会话目录失败:', error.message);
+      return;
+    }
+
+    const entries = [];
+    for (const name of files) {
+      try {
+        const stat = await fs.stat(path.join(this._getDir(), name));
+        entries.push({ name, mtime: stat.mtimeMs });
+      } catch {
+        // 文件已被并发删除
+      }
+    }
+    entries.sort((a, b) => b.mtime - a.mtime);
+
+    let removed = 0;
+    for (let i = 0; i < entries.length; i++) {
+      const { name, mtime } = entries[i];
+      if (i >= config.conversation.maxConversations || now - mtime > config.conversation.ttl) {
+        this.cache.delete(name.slice(0, -'.json'.length));
+        await fs.unlink(path.join(this._getDir(), name)).catch(() => {});
+        removed++;
+      }
+    }
+    if (removed > 0) logger.info(`已清理 ${removed} 个过期会话`);
+  }
+}
+
+const conversationStore = new ConversationStore();
+
+// 定时清理由 memoryManager 统一触发
+memoryManager.registerCleanup(() => {
+  conversationStore.prune().catch(error => logger.warn('清理会话失败:', error.message));
+});
+
+export default conversationStore;
@@ -1,6 +1,7 @@
 // Claude 格式转换工具
 import config from '../../config/config.js';
-import { convertClaudeToolsToAntigravity } from '../toolConverter.js';
+import { convertClaudeToolsToAntigravity, claudeToolChoiceToFunctionCallingConfig } from '../toolConverter.js';
+import { claudeMediaToParts } from '../media.js';
 import {
   getSignatureContext,
   pushUserMessage,
@@ -27,16 +28,9 @@ function extractImagesFromClaudeContent(content) {
     for (const item of content) {
       if (item.type === 'text') {
         result.text += item.text || '';
-      } else if (item.type === 'image') {
-        const source = item.source;
-        if (source && source.type === 'base64' && source.data) {
-          result.images.push({
-            inlineData: {
-              mimeType: source.media_type || 'image/png',
-              data: source.data
-            }
-          });
-        }
+      } else {
+        // 图片、文档（PDF / 纯文本）转换为 inlineData
+        result.images.push(...claudeMediaToParts(item));
       }
     }
   }
@@ -150,6 +144,7 @@ export function generateClaudeRequestBody(claudeMessages, modelName, parameters,
     tools: tools,
     generationConfig: generateGenerationConfig(parameters, enableThinking, actualModelName),
     sessionId: token.sessionId,
-    systemInstruction: systemPrompt
+    systemInstruction: systemPrompt,
+    functionCallingConfig: claudeToolChoiceToFunctionCallingConfig(parameters.tool_choice)
   }, token, actualModelName);
 }
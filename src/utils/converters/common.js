@@ -186,11 +186,12 @@ export function pushModelMessage({ parts, toolCalls, hasContent }, antigravityMe
  * @param {Object} options.generationConfig - 生成配置
  * @param {string} options.sessionId - 会话 ID
  * @param {string} options.systemInstruction - 系统指令
+ * @param {Object} [options.functionCallingConfig] - 工具调用配置（由客户端 tool_choice 转换而来）
  * @param {Object} token - Token 对象
  * @param {string} actualModelName - 实际模型名称
  * @returns {Object} 请求体
  */
-export function buildRequestBody({ contents, tools, generationConfig, sessionId, systemInstruction }, token, actualModelName) {
+export function buildRequestBody({ contents, tools, generationConfig, sessionId, systemInstruction, functionCallingConfig }, token, actualModelName) {
   const hasTools = tools && tools.length > 0;
 
   const requestBody = {
@@ -209,7 +210,7 @@ export function buildRequestBody({ contents, tools, generationConfig, sessionId,
   // 只在有工具时才添加 tools 和 toolConfig 字段
   if (hasTools) {
     requestBody.request.tools = tools;
-    requestBody.request.toolConfig = { functionCallingConfig: { mode: 'VALIDATED' } };
+    requestBody.request.toolConfig = { functionCallingConfig: functionCallingConfig || { mode: 'VALIDATED' } };
   }
 
   // 构建系统提示词
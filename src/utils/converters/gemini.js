@@ -1,9 +1,9 @@
 // Gemini 格式转换工具
 import config from '../../config/config.js';
 import { generateRequestId } from '../idGenerator.js';
-import { convertGeminiToolsToAntigravity } from '../toolConverter.js';
+import { convertGeminiToolsToAntigravity, normalizeGeminiToolConfig } from '../toolConverter.js';
 import { getSignatureContext, createThoughtPart, modelMapping, isEnableThinking, buildSystemInstruction } from './common.js';
-import { normalizeGeminiParameters, toGenerationConfig } from '../parameterNormalizer.js';
+import { normalizeGeminiParameters, toGenerationConfig, resolveStopSequences } from '../parameterNormalizer.js';
 
 /**
  * 为 functionCall 生成唯一 ID
@@ -166,12 +166,14 @@ export function generateGeminiRequestBody(geminiBody, modelName, token) {
 
   // 转换为 generationConfig 格式
   request.generationConfig = toGenerationConfig(normalizedParams, enableThinking, actualModelName);
+  request.generationConfig.stopSequences = resolveStopSequences(normalizedParams.stop_sequences);
   request.sessionId = token.sessionId;
   delete request.safetySettings;
 
-  // 添加工具配置
-  if (request.tools && request.tools.length > 0 && !request.toolConfig) {
-    request.toolConfig = { functionCallingConfig: { mode: 'VALIDATED' } };
+  // 添加工具配置：客户端 toolConfig 的 allowedFunctionNames 需与转换后的工具名一致
+  if (request.tools && request.tools.length > 0) {
+    request.toolConfig = normalizeGeminiToolConfig(request.toolConfig || request.tool_config);
+    delete request.tool_config;
   }
 
   // 使用新的系统提示词构建函数，支持多 part 结构和位置配置
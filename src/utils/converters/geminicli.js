@@ -10,7 +10,14 @@
  */
 
 import config from '../../config/config.js';
-import { convertClaudeToolsToAntigravity, convertGeminiToolsToAntigravity } from '../toolConverter.js';
+import {
+  convertClaudeToolsToAntigravity,
+  convertGeminiToolsToAntigravity,
+  openaiToolChoiceToFunctionCallingConfig,
+  claudeToolChoiceToFunctionCallingConfig,
+  normalizeGeminiToolConfig,
+  FunctionCallingMode
+} from '../toolConverter.js';
 import { sanitizeToolName, cleanParameters, modelMapping, isEnableThinking } from '../utils.js';
 import { normalizeOpenAIParameters, normalizeClaudeParameters, normalizeGeminiParameters, toGenerationConfig } from '../parameterNormalizer.js';
 import {
@@ -347,7 +354,7 @@ function convertTools(tools) {
   const declarations = tools.map(tool => {
     const func = tool.function || {};
     const rawParams = func.parameters || {};
-    const cleanedParams = cleanParameters(rawParams) || {};
+    const cleanedParams = cleanParameters(rawParams, { keepAnyOf: true }) || {};
     
     if (cleanedParams.type === undefined) cleanedParams.type = 'OBJECT';
     else if (cleanedParams.type === 'object') cleanedParams.type = 'OBJECT';
@@ -474,9 +481,7 @@ export function convertOpenAIToGeminiCli(openaiRequest) {
   if (hasTools) {
     geminiRequest.tools = geminiTools;
     geminiRequest.toolConfig = {
-      functionCallingConfig: {
-        mode: 'AUTO'
-      }
+      functionCallingConfig: openaiToolChoiceToFunctionCallingConfig(rest.tool_choice, FunctionCallingMode.AUTO)
     };
   }
   
@@ -650,12 +655,9 @@ export function convertGeminiToGeminiCli(geminiRequest, modelName) {
   delete request.safetySettings;
   
   // 添加工具配置
-  if (hasTools && !request.toolConfig) {
-    request.toolConfig = {
-      functionCallingConfig: {
-        mode: 'AUTO'
-      }
-    };
+  if (hasTools) {
+    request.toolConfig = normalizeGeminiToolConfig(request.toolConfig || request.tool_config, FunctionCallingMode.AUTO);
+    delete request.tool_config;
   }
   
   // 处理系统指令
@@ -725,7 +727,7 @@ function convertClaudeTools(tools) {
   
   const declarations = tools.map(tool => {
     const rawParams = tool.input_schema || {};
-    const cleanedParams = cleanParameters(rawParams) || {};
+    const cleanedParams = cleanParameters(rawParams, { keepAnyOf: true }) || {};
     
     if (cleanedParams.type === undefined) cleanedParams.type = 'OBJECT';
     else if (cleanedParams.type === 'object') cleanedParams.type = 'OBJECT';
@@ -955,9 +957,7 @@ export function convertClaudeToGeminiCli(claudeRequest) {
   if (hasTools) {
     geminiRequest.tools = geminiTools;
     geminiRequest.toolConfig = {
-      functionCallingConfig: {
-        mode: 'AUTO'
-      }
+      functionCallingConfig: claudeToolChoiceToFunctionCallingConfig(rest.tool_choice, FunctionCallingMode.AUTO)
     };
   }
   
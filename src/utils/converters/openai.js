@@ -1,7 +1,8 @@
 // OpenAI 格式转换工具
 import config from '../../config/config.js';
 import { extractSystemInstruction } from '../utils.js';
-import { convertOpenAIToolsToAntigravity } from '../toolConverter.js';
+import { convertOpenAIToolsToAntigravity, openaiToolChoiceToFunctionCallingConfig } from '../toolConverter.js';
+import { openaiMediaToParts } from '../media.js';
 import {
   getSignatureContext,
   pushUserMessage,
@@ -27,17 +28,9 @@ function extractImagesFromContent(content) {
     for (const item of content) {
       if (item.type === 'text') {
         result.text += item.text;
-      } else if (item.type === 'image_url') {
-        const imageUrl = item.image_url?.url || '';
-        const match = imageUrl.match(/^data:image\/(\w+);base64,(.+)$/);
-        if (match) {
-          result.images.push({
-            inlineData: {
-              mimeType: `image/${match[1]}`,
-              data: match[2]
-            }
-          });
-        }
+      } else {
+        // 图片、音频、文件转换为 inlineData
+        result.images.push(...openaiMediaToParts(item));
       }
     }
   }
@@ -140,6 +133,7 @@ export function generateRequestBody(openaiMessages, modelName, parameters, opena
     tools: tools,
     generationConfig: generateGenerationConfig(parameters, enableThinking, actualModelName),
     sessionId: token.sessionId,
-    systemInstruction: mergedSystemInstruction
+    systemInstruction: mergedSystemInstruction,
+    functionCallingConfig: openaiToolChoiceToFunctionCallingConfig(parameters.tool_choice)
   }, token, actualModelName);
 }
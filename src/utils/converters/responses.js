@@ -0,0 +1,194 @@
+// OpenAI Responses API 格式转换工具
+// 将 Responses 的 input items 转换为 OpenAI Chat 消息，再复用 OpenAI 转换器生成 Antigravity 请求体
+import { generateRequestBody } from './openai.js';
+
+/**
+ * 提取 Responses 消息 content 为 Chat 格式 content
+ * @param {string|Array} content - input_text / output_text / input_image 等 part 数组
+ * @returns {string|Array}
+ */
+function convertMessageContent(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+
+  const parts = [];
+  for (const item of content) {
+    if (!item || typeof item !== 'object') continue;
+    if (item.type === 'input_text' || item.type === 'output_text' || item.type === 'text') {
+      parts.push({ type: 'text', text: item.text || '' });
+    } else if (item.type === 'refusal') {
+      parts.push({ type: 'text', text: item.refusal || '' });
+    } else if (item.type === 'input_image') {
+      const url = typeof item.image_url === 'string' ? item.image_url : item.image_url?.url;
+      if (url) parts.push({ type: 'image_url', image_url: { url } });
+    } else if (item.type === 'input_file') {
+      const { file_data, file_url, file_id, filename } = item;
+      parts.push({ type: 'file', file: { file_data, file_url, file_id, filename } });
+    } else if (item.type === 'input_audio') {
+      parts.push({ type: 'input_audio', input_audio: item.input_audio });
+    }
+  }
+  return parts;
+}
+
+/**
+ * 将 content 压平为纯文本（assistant 消息使用）
+ * @param {string|Array} content
+ * @returns {string}
+ */
+function flattenText(content) {
+  const converted = convertMessageContent(content);
+  if (typeof converted === 'string') return converted;
+  return converted.filter(p => p.type === 'text').map(p => p.text).join('');
+}
+
+/**
+ * 将 function_call_output 的 output 转换为字符串
+ * @param {string|Array|Object} output
+ * @returns {string}
+ */
+function stringifyToolOutput(output) {
+  if (typeof output === 'string') return output;
+  if (Array.isArray(output)) {
+    return output.map(p => (typeof p === 'string' ? p : (p?.text ?? ''))).join('');
+  }
+  if (output === undefined || output === null) return '';
+  return JSON.stringify(output);
+}
+
+/**
+ * 将 Responses 的 input items 转换为 OpenAI Chat 消息数组
+ * - reasoning item 挂到紧随其后的 assistant 消息上（reasoning_content + thoughtSignature）
+ * - 连续的 assistant 文本 / function_call 合并为同一条 assistant 消息
+ * - function_call_output 转为 role=tool 消息
+ * @param {string|Array} input - Responses input
+ * @returns {Array} OpenAI Chat 消息数组
+ */
+export function responsesInputToMessages(input) {
+  if (typeof input === 'string') {
+    return [{ role: 'user', content: input }];
+  }
+  if (!Array.isArray(input)) return [];
+
+  const messages = [];
+  // 当前正在拼装的 assistant 消息（用于合并 reasoning / 文本 / function_call）
+  let assistant = null;
+  const startAssistant = () => {
+    assistant = { role: 'assistant', content: '' };
+    messages.push(assistant);
+    return assistant;
+  };
+
+  for (const item of input) {
+    if (!item || typeof item !== 'object') continue;
+    const type = item.type || 'message';
+
+    if (type === 'message') {
+      const role = item.role === 'developer' ? 'system' : item.role;
+      if (role === 'assistant') {
+        const target = (assistant && !assistant.tool_calls) ? assistant : startAssistant();
+        target.content += flattenText(item.content);
+      } else if (role === 'user' || role === 'system') {
+        assistant = null;
+        messages.push({ role, content: convertMessageContent(item.content) });
+      }
+    } else if (type === 'reasoning') {
+      // reasoning 位于一轮 assistant 输出的开头；已有内容时另起一条
+      const isFresh = assistant && !assistant.content && !assistant.tool_calls && !assistant.reasoning_content;
+      const target = isFresh ? assistant : startAssistant();
+      const summaryText = Array.isArray(item.summary)
+        ? item.summary.map(s => s?.text || '').join('\n\n')
+        : '';
+      if (summaryText) target.reasoning_content = summaryText;
+      if (item.encrypted_content) target.thoughtSignature = item.encrypted_content;
+    } else if (type === 'function_call') {
+      const target = assistant || startAssistant();
+      if (!target.tool_calls) target.tool_calls = [];
+      target.tool_calls.push({
+        id: item.call_id || item.id,
+        type: 'function',
+        function: { name: item.name, arguments: item.arguments || '{}' }
+      });
+    } else if (type === 'function_call_output') {
+      assistant = null;
+      messages.push({
+        role: 'tool',
+        tool_call_id: item.call_id,
+        content: stringifyToolOutput(item.output)
+      });
+    }
+    // item_reference 等其他类型：忽略
+  }
+
+  return messages;
+}
+
+/**
+ * 将 Responses tools 转换为 OpenAI Chat tools（仅支持 function 类型）
+ * Responses 格式: [{ type: 'function', name, description, parameters }]
+ * @param {Array} tools
+ * @returns {Array}
+ */
+export function responsesToolsToOpenAI(tools) {
+  if (!Array.isArray(tools)) return [];
+  return tools
+    .filter(tool => tool && tool.type === 'function' && tool.name)
+    .map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+}
+
+/**
+ * 将 Responses 请求参数转换为 OpenAI Chat 参数
+ * @param {Object} body - Responses 请求体
+ * @returns {Object}
+ */
+export function responsesParamsToOpenAI(body) {
+  const params = {};
+  if (body.temperature !== undefined) params.temperature = body.temperature;
+  if (body.top_p !== undefined) params.top_p = body.top_p;
+  if (body.top_k !== undefined) params.top_k = body.top_k;
+  if (body.max_output_tokens !== undefined) params.max_tokens = body.max_output_tokens;
+  if (body.reasoning?.effort) params.reasoning_effort = body.reasoning.effort;
+  if (body.thinking_budget !== undefined) params.thinking_budget = body.thinking_budget;
+  if (body.tool_choice !== undefined) params.tool_choice = body.tool_choice;
+
+  const format = body.text?.format;
+  if (format?.type === 'json_object') {
+    params.response_format = { type: 'json_object' };
+  } else if (format?.type === 'json_schema') {
+    // Responses 的 text.format 把 name/schema 平铺在 format 上
+    params.response_format = {
+      type: 'json_schema',
+      json_schema: { name: format.name, description: format.description, schema: format.schema, strict: format.strict }
+    };
+  }
+  return params;
+}
+
+/**
+ * 生成 Antigravity 请求体
+ * previous_response_id 对应的历史由处理器从会话存储中拼接，这里只转换本轮 input
+ * @param {Object} body - Responses 请求体
+ * @param {Object} token - Token 对象
+ * @param {Array} [inputMessages] - 已转换（并下载远程媒体）的 input 消息，默认由 body.input 转换
+ * @returns {Object} Antigravity 请求体
+ */
+export function generateResponsesRequestBody(body, token, inputMessages = responsesInputToMessages(body.input)) {
+  const messages = [...inputMessages];
+  if (typeof body.instructions === 'string' && body.instructions.trim()) {
+    messages.unshift({ role: 'system', content: body.instructions });
+  }
+  return generateRequestBody(
+    messages,
+    body.model,
+    responsesParamsToOpenAI(body),
+    responsesToolsToOpenAI(body.tools),
+    token
+  );
+}
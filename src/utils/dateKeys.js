@@ -0,0 +1,23 @@
+// 本地时间分桶工具：用于按小时 / 按天统计
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * 获取本地日期键（YYYY-MM-DD）
+ * @param {number} timestamp - 毫秒时间戳
+ * @returns {string}
+ */
+export function getLocalDayKey(timestamp = Date.now()) {
+  const d = new Date(timestamp);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * 获取本地小时键（YYYY-MM-DD HH:00）
+ * @param {number} timestamp - 毫秒时间戳
+ * @returns {string}
+ */
+export function getLocalHourKey(timestamp = Date.now()) {
+  const d = new Date(timestamp);
+  return `${getLocalDayKey(timestamp)} ${pad(d.getHours())}:00`;
+}
@@ -104,3 +104,21 @@ export function updateEnvFile(filePath, updates) {
   
   fs.writeFileSync(filePath, content, 'utf8');
 }
+
+/**
+ * 删除 .env 文件中的键（包括多行值）
+ */
+export function removeEnvKeys(filePath, keys) {
+  let content = fs.readFileSync(filePath, 'utf8');
+
+  keys.forEach((key) => {
+    // 先尝试多行格式，再尝试单行格式（与 updateEnvFile 的匹配方式一致）
+    const multiLineRegex = new RegExp(`^${key}=["']([\\s\\S]*?)["']$\\n?`, 'm');
+    const singleLineRegex = new RegExp(`^${key}=.*$\\n?`, 'm');
+    content = multiLineRegex.test(content)
+      ? content.replace(multiLineRegex, '')
+      : content.replace(singleLineRegex, '');
+  });
+
+  fs.writeFileSync(filePath, content, 'utf8');
+}
@@ -238,6 +238,16 @@ export function buildClaudeErrorPayload(error, statusCode) {
   };
 }
 
+/**
+ * 错误带有重试等待时间（如所有账号额度耗尽）时设置 Retry-After 响应头
+ * @param {import('express').Response} res - 响应对象
+ * @param {Error} error - 错误对象
+ */
+export function setRetryAfterHeader(res, error) {
+  if (res.headersSent || !(error?.retryAfter > 0)) return;
+  res.setHeader('Retry-After', String(Math.ceil(error.retryAfter)));
+}
+
 /**
  * Express 错误处理中间件
  * @param {Error} err - 错误对象
@@ -264,6 +274,7 @@ export function errorHandler(err, req, res, next) {
 
   // 确定状态码
   const statusCode = err.statusCode || err.status || 500;
+  setRetryAfterHeader(res, err);
   
   // 构建错误响应
   const errorPayload = buildOpenAIErrorPayload(err, statusCode);
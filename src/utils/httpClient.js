@@ -4,6 +4,9 @@ import http from 'http';
 import https from 'https';
 import { Readable } from 'stream';
 import config from '../config/config.js';
+import { onConfigChange } from './configReloader.js';
+import { createProxyAgents } from './proxyTunnel.js';
+import logger from './logger.js';
 
 // ==================== DNS & 代理统一配置 ====================
 
@@ -23,31 +26,47 @@ function customLookup(hostname, options, callback) {
 }
 
 // 使用自定义 DNS 解析的 Agent（优先 IPv4，失败则 IPv6）
-const httpAgent = new http.Agent({
-  lookup: customLookup,
-  keepAlive: true
-});
+// 使用代理时经代理建立隧道（代理服务器地址同样使用自定义 DNS 解析）
+function createAgents(proxyUrl) {
+  const agentOptions = { lookup: customLookup, keepAlive: true };
+  if (proxyUrl) return createProxyAgents(proxyUrl, agentOptions);
+  return {
+    httpAgent: new http.Agent(agentOptions),
+    httpsAgent: new https.Agent(agentOptions)
+  };
+}
 
-const httpsAgent = new https.Agent({
-  lookup: customLookup,
-  keepAlive: true
-});
+// 代理地址（直连为空字符串）-> Agent，每个代理各自保持 keep-alive 连接
+let agentCache = new Map();
+
+function getAgents(proxyUrl) {
+  const key = proxyUrl || '';
+  let agents = agentCache.get(key);
+  if (!agents) {
+    agents = createAgents(key);
+    agentCache.set(key, agents);
+  }
+  return agents;
+}
 
-// 统一构建代理配置
-function buildProxyConfig() {
-  if (!config.proxy) return false;
-  try {
-    const proxyUrl = new URL(config.proxy);
-    return {
-      protocol: proxyUrl.protocol.replace(':', ''),
-      host: proxyUrl.hostname,
-      port: parseInt(proxyUrl.port, 10)
-    };
-  } catch {
-    return false;
+// 关闭旧 Agent 的空闲连接；使用中的连接不受影响，请求结束后随旧 Agent 一起释放
+function retireAgent(agent) {
+  for (const sockets of Object.values(agent.freeSockets)) {
+    for (const socket of sockets) socket.destroy();
   }
 }
 
+// 代理或代理池修改后重建 Agent，避免复用修改前建立的 keep-alive 连接
+onConfigChange(['proxy', 'proxyPool'], () => {
+  const previous = agentCache;
+  agentCache = new Map();
+  for (const { httpAgent, httpsAgent } of previous.values()) {
+    retireAgent(httpAgent);
+    retireAgent(httpsAgent);
+  }
+  logger.info('代理已更新，已重建 HTTP 连接池');
+});
+
 // 将数据转换为流以启用 chunked 编码
 function createChunkedStream(data) {
   const jsonStr = typeof data === 'string' ? data : JSON.stringify(data);
@@ -55,6 +74,7 @@ function createChunkedStream(data) {
 }
 
 // 为 axios 构建统一请求配置
+// proxyUrl：该请求使用的代理（账号的代理池代理，见 proxyPool.getProxyUrl），默认使用全局 PROXY，null 表示直连
 export function buildAxiosRequestConfig({
   method = 'POST',
   url,
@@ -62,8 +82,11 @@ export function buildAxiosRequestConfig({
   data = null,
   timeout = config.timeout,
   responseType,
-  useChunked = false
+  useChunked = false,
+  signal,
+  proxyUrl = config.proxy
 }) {
+  const { httpAgent, httpsAgent } = getAgents(proxyUrl);
   const axiosConfig = {
     method,
     url,
@@ -71,13 +94,15 @@ export function buildAxiosRequestConfig({
     timeout,
     httpAgent,
     httpsAgent,
-    proxy: buildProxyConfig(),
+    // 代理由 Agent 处理（支持账号密码和 SOCKS5），不使用 axios 自带的代理
+    proxy: false,
     // 禁用自动设置 Content-Length，让 axios 使用 Transfer-Encoding: chunked
     maxContentLength: Infinity,
     maxBodyLength: Infinity
   };
 
   if (responseType) axiosConfig.responseType = responseType;
+  if (signal) axiosConfig.signal = signal;
   
   if (data !== null) {
     if (useChunked) {
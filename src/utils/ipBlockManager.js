@@ -2,6 +2,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { getDataDir } from './paths.js';
 import logger from './logger.js';
+import { isSqliteStorage, getSqliteStorage, Collections } from '../storage/index.js';
 
 const BLOCKLIST_FILE = 'ip-blocklist.json';
 const TEMP_BLOCK_DURATION = 60 * 60 * 1000; // 1小时
@@ -35,6 +36,15 @@ class IpBlockManager {
   }
 
   async load() {
+    if (isSqliteStorage()) {
+      try {
+        this.data = { blocked_ips: Object.fromEntries(getSqliteStorage().getAll(Collections.IP_BLOCKLIST)) };
+      } catch (e) {
+        logger.error('加载封禁列表失败:', e.message);
+        this.data = { blocked_ips: {} };
+      }
+      return;
+    }
     try {
       // 确保目录存在
       await fs.mkdir(path.dirname(this.filePath), { recursive: true });
@@ -54,7 +64,24 @@ class IpBlockManager {
     }
   }
 
-  async save() {
+  /**
+   * 保存封禁列表
+   * @param {string} [ip] - 发生变化的 IP（SQLite 存储只写这一条记录）
+   */
+  async save(ip) {
+    if (isSqliteStorage()) {
+      try {
+        const storage = getSqliteStorage();
+        if (ip) {
+          storage.set(Collections.IP_BLOCKLIST, ip, this.data.blocked_ips[ip]);
+        } else {
+          storage.replaceAll(Collections.IP_BLOCKLIST, Object.entries(this.data.blocked_ips));
+        }
+      } catch (e) {
+        logger.error('保存封禁列表失败:', e.message);
+      }
+      return;
+    }
     // 串行写入防止冲突
     this.savePromise = this.savePromise.then(async () => {
       try {
@@ -128,7 +155,7 @@ class IpBlockManager {
         logger.warn(`IP ${ip} 因频繁违规(${type})被临时封禁 1 小时 (累计封禁 ${info.tempBlockCount} 次)`);
       }
       
-      await this.save();
+      await this.save(ip);
     }
   }
 }
@@ -0,0 +1,197 @@
+/**
+ * JSON Schema 校验工具
+ * 用于结构化输出模拟：上游模型不支持 responseSchema 时，校验模型回复是否符合客户端给出的 schema
+ * 只实现结构化输出常用的关键字（type/enum/const/properties/required/items/组合/长度与数值范围/$ref），
+ * 未识别的关键字忽略；同时兼容 Gemini responseSchema 的大写 type 和 nullable
+ * @module utils/jsonSchema
+ */
+
+// 最多收集的错误数（用于回传给模型，过多没有意义）
+const MAX_ERRORS = 10;
+
+/**
+ * 判断值是否属于 JSON Schema 类型
+ * @param {any} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  switch (String(type).toLowerCase()) {
+    case 'null': return value === null;
+    case 'boolean': return typeof value === 'boolean';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'string': return typeof value === 'string';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+/**
+ * 解析本地引用（#/$defs/xxx、#/definitions/xxx）
+ * @param {Object} root - 根 schema
+ * @param {string} ref
+ * @returns {Object|null}
+ */
+export function resolveRef(root, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) return null;
+  let node = root;
+  for (const segment of ref.slice(1).split('/').filter(Boolean)) {
+    const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!node || typeof node !== 'object' || !(key in node)) return null;
+    node = node[key];
+  }
+  return node;
+}
+
+function describe(path) {
+  return path || '$';
+}
+
+function validateNode(value, schema, path, root, errors, depth) {
+  if (errors.length >= MAX_ERRORS || schema === true || schema === undefined || schema === null) return;
+  if (schema === false) {
+    errors.push(`${describe(path)}: 不允许出现该值`);
+    return;
+  }
+  if (typeof schema !== 'object') return;
+  // 防止循环引用导致无限递归
+  if (depth > 64) return;
+
+  if (schema.$ref) {
+    const target = resolveRef(root, schema.$ref);
+    if (target) validateNode(value, target, path, root, errors, depth + 1);
+  }
+
+  if (value === null && schema.nullable === true) return;
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${describe(path)}: 类型应为 ${types.map(t => String(t).toLowerCase()).join(' | ')}`);
+      return;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+    errors.push(`${describe(path)}: 取值应为 ${schema.enum.map(item => JSON.stringify(item)).join(', ')} 之一`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${describe(path)}: 取值应为 ${JSON.stringify(schema.const)}`);
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach(sub => validateNode(value, sub, path, root, errors, depth + 1));
+  }
+  const anyOf = schema.anyOf || schema.oneOf;
+  if (Array.isArray(anyOf) && anyOf.length > 0) {
+    const matched = anyOf.some(sub => {
+      const subErrors = [];
+      validateNode(value, sub, path, root, subErrors, depth + 1);
+      return subErrors.length === 0;
+    });
+    if (!matched) errors.push(`${describe(path)}: 不符合任何一个候选 schema`);
+  }
+
+  if (typeof value === 'string') {
+    if (Number.isFinite(schema.minLength) && value.length < schema.minLength) {
+      errors.push(`${describe(path)}: 长度不能小于 ${schema.minLength}`);
+    }
+    if (Number.isFinite(schema.maxLength) && value.length > schema.maxLength) {
+      errors.push(`${describe(path)}: 长度不能大于 ${schema.maxLength}`);
+    }
+    if (typeof schema.pattern === 'string') {
+      try {
+        if (!new RegExp(schema.pattern, 'u').test(value)) {
+          errors.push(`${describe(path)}: 不匹配正则 ${schema.pattern}`);
+        }
+      } catch {
+        // 无法解析的正则忽略
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (Number.isFinite(schema.minimum) && value < schema.minimum) {
+      errors.push(`${describe(path)}: 不能小于 ${schema.minimum}`);
+    }
+    if (Number.isFinite(schema.maximum) && value > schema.maximum) {
+      errors.push(`${describe(path)}: 不能大于 ${schema.maximum}`);
+    }
+    if (Number.isFinite(schema.exclusiveMinimum) && value <= schema.exclusiveMinimum) {
+      errors.push(`${describe(path)}: 必须大于 ${schema.exclusiveMinimum}`);
+    }
+    if (Number.isFinite(schema.exclusiveMaximum) && value >= schema.exclusiveMaximum) {
+      errors.push(`${describe(path)}: 必须小于 ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (Number.isFinite(schema.minItems) && value.length < schema.minItems) {
+      errors.push(`${describe(path)}: 元素个数不能少于 ${schema.minItems}`);
+    }
+    if (Number.isFinite(schema.maxItems) && value.length > schema.maxItems) {
+      errors.push(`${describe(path)}: 元素个数不能多于 ${schema.maxItems}`);
+    }
+    const prefixItems = Array.isArray(schema.prefixItems) ? schema.prefixItems : [];
+    value.forEach((item, index) => {
+      const itemSchema = index < prefixItems.length ? prefixItems[index] : schema.items;
+      if (itemSchema !== undefined) validateNode(item, itemSchema, `${describe(path)}[${index}]`, root, errors, depth + 1);
+    });
+  }
+
+  if (matchesType(value, 'object')) {
+    const properties = schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+    if (Array.isArray(schema.required)) {
+      for (const key of schema.required) {
+        if (!(key in value)) errors.push(`${describe(path)}: 缺少必填字段 "${key}"`);
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const childPath = `${describe(path)}.${key}`;
+      if (key in properties) {
+        validateNode(item, properties[key], childPath, root, errors, depth + 1);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPath}: 不允许的字段`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(item, schema.additionalProperties, childPath, root, errors, depth + 1);
+      }
+    }
+  }
+}
+
+/**
+ * 按 JSON Schema 校验值
+ * @param {any} value - 待校验的值
+ * @param {Object} schema - JSON Schema
+ * @returns {string[]} 错误列表，为空表示通过
+ */
+export function validateJsonSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, '', schema, errors, 0);
+  return errors;
+}
+
+/**
+ * 从模型回复中解析 JSON（容忍 ```json 代码块包裹）
+ * @param {string} text - 模型回复
+ * @returns {{ok: true, value: any, text: string}|{ok: false, error: string}}
+ */
+export function parseJsonReply(text) {
+  let source = typeof text === 'string' ? text.trim() : '';
+  const fenced = source.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i);
+  if (fenced) source = fenced[1].trim();
+  if (!source) return { ok: false, error: '回复为空' };
+  try {
+    return { ok: true, value: JSON.parse(source), text: source };
+  } catch (error) {
+    return { ok: false, error: `不是合法的 JSON（${error.message}）` };
+  }
+}
+
+export default {
+  validateJsonSchema,
+  parseJsonReply,
+  resolveRef
+};
@@ -42,12 +42,14 @@ function logMessage(level, ...args) {
   logWsServer.storeLog(level, message);
 }
 
-function logRequest(method, path, status, duration) {
+function logRequest(method, path, status, duration, keyLabel = null) {
   const statusColor = status >= 500 ? colors.red : status >= 400 ? colors.yellow : colors.green;
-  const message = `[${method}] - ${path} ${status} ${duration}ms`;
+  // 多租户 API Key 请求附带 Key 标签，便于按项目追踪
+  const keySuffix = keyLabel ? ` [key:${keyLabel}]` : '';
+  const message = `[${method}] - ${path} ${status} ${duration}ms${keySuffix}`;
 
   // 输出到控制台
-  console.log(`${colors.cyan}[${method}]${colors.reset} - ${path} ${statusColor}${status}${colors.reset} ${colors.gray}${duration}ms${colors.reset}`);
+  console.log(`${colors.cyan}[${method}]${colors.reset} - ${path} ${statusColor}${status}${colors.reset} ${colors.gray}${duration}ms${keySuffix}${colors.reset}`);
 
   // 存储日志（根据状态码决定级别）
   const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'request';
@@ -0,0 +1,439 @@
+/**
+ * 媒体输入处理
+ * 客户端可以用 data URL / base64 或远程 URL 传入图片、PDF、音频和文本文档。
+ * 远程 URL 在转换请求体之前统一下载为 base64（转换器是同步的，且故障转移重建请求体时不需要重复下载），
+ * 下载时限制大小和 MIME 类型，并拒绝解析到内网地址的 URL（防止 SSRF）；
+ * 单个请求限制 URL 数量、总大小和并发数，下载结果按 URL 短时缓存
+ * @module utils/media
+ */
+
+import axios from 'axios';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import path from 'path';
+import config from '../config/config.js';
+import { AppError } from './errors.js';
+import { MEDIA_MAX_REDIRECTS, MEDIA_CACHE_TTL, MEDIA_CACHE_MAX_BYTES } from '../constants/index.js';
+
+// ==================== MIME 类型 ====================
+
+// 上游支持的 inlineData 类型前缀（text/* 按纯文本文档处理）
+const SUPPORTED_MIME_PREFIXES = ['image/', 'audio/', 'video/', 'text/'];
+const SUPPORTED_MIME_TYPES = new Set(['application/pdf']);
+
+// 按扩展名推断 MIME 类型（服务端返回 application/octet-stream 或 file 部分只给文件名时使用）
+const EXT_TO_MIME = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.pdf': 'application/pdf',
+  '.mp3': 'audio/mp3',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.flac': 'audio/flac',
+  '.aac': 'audio/aac',
+  '.m4a': 'audio/mp4',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.html': 'text/html',
+  '.xml': 'text/xml',
+  '.json': 'text/plain'
+};
+
+/**
+ * 是否为上游支持的媒体类型
+ * @param {string} mimeType
+ * @returns {boolean}
+ */
+export function isSupportedMediaType(mimeType) {
+  if (typeof mimeType !== 'string') return false;
+  const type = mimeType.toLowerCase();
+  return SUPPORTED_MIME_TYPES.has(type) || SUPPORTED_MIME_PREFIXES.some(prefix => type.startsWith(prefix));
+}
+
+/**
+ * 按文件名推断 MIME 类型
+ * @param {string} fileName - 文件名或 URL 路径
+ * @returns {string|null}
+ */
+export function guessMimeType(fileName) {
+  if (typeof fileName !== 'string') return null;
+  return EXT_TO_MIME[path.extname(fileName.split(/[?#]/)[0]).toLowerCase()] || null;
+}
+
+/**
+ * 解析 base64 data URL
+ * @param {string} url
+ * @returns {{mimeType: string, data: string}|null}
+ */
+export function parseDataUrl(url) {
+  if (typeof url !== 'string') return null;
+  const match = url.match(/^data:([\w.+-]+\/[\w.+-]+)(?:;[^,;]*)*;base64,(.*)$/s);
+  return match ? { mimeType: match[1].toLowerCase(), data: match[2] } : null;
+}
+
+function isRemoteUrl(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url);
+}
+
+function invalidMedia(message) {
+  return new AppError(message, 400, 'invalid_request_error');
+}
+
+// ==================== 内网地址检测 ====================
+
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * 是否为内网 / 回环 / 链路本地等不允许访问的地址
+ * @param {string} address - IP 地址
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return privateRanges.check(address, 'ipv4');
+  if (family === 6) {
+    // IPv4 映射地址（::ffff:127.0.0.1）按内嵌的 IPv4 判断
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return privateRanges.check(mapped[1], 'ipv4');
+    return privateRanges.check(address, 'ipv6');
+  }
+  return true;
+}
+
+/**
+ * 检查 URL 的主机（IP 字面量不经过 DNS 解析，需要在这里拦截）
+ * @param {string} hostname
+ */
+function assertPublicHost(hostname) {
+  if (config.media.allowPrivateNetwork) return;
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (host.toLowerCase() === 'localhost' || (net.isIP(host) && isPrivateAddress(host))) {
+    throw invalidMedia(`不允许访问内网地址: ${hostname}`);
+  }
+}
+
+// 解析域名后校验地址，连接时使用校验过的地址（防止 DNS 重绑定）
+// Node 20 默认启用 autoSelectFamily，会以 all: true 调用并期望返回地址列表
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address.map(item => item.address) : [address];
+    const blocked = config.media.allowPrivateNetwork ? null : addresses.find(isPrivateAddress);
+    if (blocked) {
+      return callback(invalidMedia(`不允许访问内网地址: ${hostname} (${blocked})`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+// ==================== 缓存 ====================
+
+// URL -> { mimeType, data, size, expiresAt }，Map 保持插入顺序，命中时移到末尾（LRU）
+const mediaCache = new Map();
+let mediaCacheBytes = 0;
+
+function removeCached(url) {
+  const entry = mediaCache.get(url);
+  if (!entry) return;
+  mediaCacheBytes -= entry.size;
+  mediaCache.delete(url);
+}
+
+function getCached(url) {
+  const entry = mediaCache.get(url);
+  if (!entry) return null;
+  removeCached(url);
+  if (Date.now() >= entry.expiresAt) return null;
+  mediaCache.set(url, entry);
+  mediaCacheBytes += entry.size;
+  return entry;
+}
+
+function setCached(url, media) {
+  if (media.size > MEDIA_CACHE_MAX_BYTES) return;
+  removeCached(url);
+  for (const key of mediaCache.keys()) {
+    if (mediaCacheBytes + media.size <= MEDIA_CACHE_MAX_BYTES) break;
+    removeCached(key);
+  }
+  mediaCache.set(url, { ...media, expiresAt: Date.now() + MEDIA_CACHE_TTL });
+  mediaCacheBytes += media.size;
+}
+
+// ==================== 下载 ====================
+
+/**
+ * 下载远程媒体并转换为 base64
+ * @param {string} url - http(s) URL
+ * @param {Object} [options]
+ * @param {string} [options.expectedPrefix] - 要求的 MIME 前缀（如 image/）
+ * @returns {Promise<{mimeType: string, data: string, size: number}>} size 为原始字节数
+ * @throws {AppError} 400：URL 不允许、下载失败、超出大小或类型不支持
+ */
+export async function fetchRemoteMedia(url, { expectedPrefix } = {}) {
+  if (!config.media.fetchRemote) {
+    throw invalidMedia('服务端未开启远程媒体下载，请使用 base64 传入文件');
+  }
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw invalidMedia(`无效的媒体 URL: ${url}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw invalidMedia(`不支持的媒体 URL 协议: ${parsed.protocol}`);
+  }
+  assertPublicHost(parsed.hostname);
+
+  const cached = getCached(parsed.href);
+  if (cached) {
+    if (expectedPrefix && !cached.mimeType.startsWith(expectedPrefix)) {
+      throw invalidMedia(`不支持的媒体类型 ${cached.mimeType}: ${url}`);
+    }
+    return { mimeType: cached.mimeType, data: cached.data, size: cached.size };
+  }
+
+  const { maxBytes, timeout } = config.media;
+  let response;
+  try {
+    response = await axios.get(parsed.href, {
+      responseType: 'arraybuffer',
+      timeout,
+      httpAgent,
+      httpsAgent,
+      // 经过代理时无法校验实际连接的地址，媒体下载始终直连
+      proxy: false,
+      maxRedirects: MEDIA_MAX_REDIRECTS,
+      maxContentLength: maxBytes,
+      beforeRedirect: (redirectOptions) => assertPublicHost(redirectOptions.hostname),
+      headers: { Accept: '*/*' }
+    });
+  } catch (error) {
+    // 地址校验失败的错误会被 axios / follow-redirects 逐层包装在 cause 中
+    for (let cause = error; cause; cause = cause.cause) {
+      if (cause instanceof AppError) throw cause;
+    }
+    if (error.message?.includes('maxContentLength')) {
+      throw invalidMedia(`媒体文件超过大小上限 ${maxBytes} 字节: ${url}`);
+    }
+    const status = error.response?.status;
+    throw invalidMedia(`媒体下载失败: ${url}（${status ? `HTTP ${status}` : error.message}）`);
+  }
+
+  const headerType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const mimeType = (headerType && headerType !== 'application/octet-stream' && headerType !== 'binary/octet-stream')
+    ? headerType
+    : (guessMimeType(parsed.pathname) || headerType);
+  if (!isSupportedMediaType(mimeType) || (expectedPrefix && !mimeType.startsWith(expectedPrefix))) {
+    throw invalidMedia(`不支持的媒体类型 ${mimeType || 'unknown'}: ${url}`);
+  }
+
+  const media = { mimeType, data: Buffer.from(response.data).toString('base64'), size: response.data.byteLength };
+  setCached(parsed.href, media);
+  return media;
+}
+
+/**
+ * 下载单个请求中的全部远程媒体：限制 URL 数量、总大小和并发数，任一失败即整体失败
+ * @param {Array<{url: string, expectedPrefix?: string, apply: Function}>} jobs - apply(media) 写回下载结果
+ * @throws {AppError} 400：URL 过多、总大小超限或任一下载失败
+ */
+async function fetchAllRemoteMedia(jobs) {
+  if (jobs.length === 0) return;
+  const { maxUrls, maxTotalBytes, concurrency } = config.media;
+  if (jobs.length > maxUrls) {
+    throw invalidMedia(`单个请求最多包含 ${maxUrls} 个远程媒体 URL，当前 ${jobs.length} 个`);
+  }
+
+  let next = 0;
+  let totalBytes = 0;
+  let failed = false;
+  const worker = async () => {
+    while (!failed && next < jobs.length) {
+      const job = jobs[next++];
+      try {
+        const media = await fetchRemoteMedia(job.url, { expectedPrefix: job.expectedPrefix });
+        totalBytes += media.size;
+        if (totalBytes > maxTotalBytes) {
+          throw invalidMedia(`远程媒体总大小超过上限 ${maxTotalBytes} 字节`);
+        }
+        job.apply(media);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, worker));
+}
+
+// ==================== 消息预处理 ====================
+
+/**
+ * 下载 OpenAI 消息中的远程媒体 URL，替换为 data URL（返回新数组，不修改原消息）
+ * 支持 image_url 和 file（file.file_url，Responses API 的 input_file 转换而来）
+ * @param {Array} messages - OpenAI 格式消息
+ * @returns {Promise<Array>}
+ */
+export async function resolveOpenAIMedia(messages) {
+  if (!Array.isArray(messages)) return messages;
+  const jobs = [];
+  const resolved = messages.map((message) => {
+    if (!Array.isArray(message?.content)) return message;
+    const content = [...message.content];
+    content.forEach((item, index) => {
+      if (item?.type === 'image_url' && isRemoteUrl(item.image_url?.url)) {
+        jobs.push({
+          url: item.image_url.url,
+          expectedPrefix: 'image/',
+          apply: (media) => {
+            content[index] = { ...item, image_url: { ...item.image_url, url: `data:${media.mimeType};base64,${media.data}` } };
+          }
+        });
+      } else if (item?.type === 'file' && isRemoteUrl(item.file?.file_url)) {
+        jobs.push({
+          url: item.file.file_url,
+          apply: (media) => {
+            const { file_url, ...file } = item.file;
+            content[index] = { ...item, file: { ...file, file_data: `data:${media.mimeType};base64,${media.data}` } };
+          }
+        });
+      }
+    });
+    return { ...message, content };
+  });
+  await fetchAllRemoteMedia(jobs);
+  return resolved;
+}
+
+/**
+ * 下载 Claude 消息中 source.type 为 url 的图片和文档，替换为 base64 source（返回新数组，不修改原消息）
+ * @param {Array} messages - Claude 格式消息
+ * @returns {Promise<Array>}
+ */
+export async function resolveClaudeMedia(messages) {
+  if (!Array.isArray(messages)) return messages;
+  const jobs = [];
+  const resolved = messages.map((message) => {
+    if (!Array.isArray(message?.content)) return message;
+    const content = [...message.content];
+    content.forEach((item, index) => {
+      if ((item?.type === 'image' || item?.type === 'document') && item.source?.type === 'url') {
+        jobs.push({
+          url: item.source.url,
+          expectedPrefix: item.type === 'image' ? 'image/' : undefined,
+          apply: (media) => {
+            content[index] = { ...item, source: { type: 'base64', media_type: media.mimeType, data: media.data } };
+          }
+        });
+      }
+    });
+    return { ...message, content };
+  });
+  await fetchAllRemoteMedia(jobs);
+  return resolved;
+}
+
+// ==================== inlineData 转换 ====================
+
+/**
+ * 构建 inlineData part
+ * @param {string} mimeType
+ * @param {string} data - base64
+ * @returns {Object}
+ * @throws {AppError} 400：类型不支持
+ */
+export function createInlineDataPart(mimeType, data) {
+  if (!isSupportedMediaType(mimeType)) {
+    throw invalidMedia(`不支持的媒体类型: ${mimeType || 'unknown'}`);
+  }
+  // markdown、csv 等文本格式统一按 text/plain 发送
+  const normalizedType = mimeType.startsWith('text/') ? 'text/plain' : mimeType;
+  return { inlineData: { mimeType: normalizedType, data } };
+}
+
+/**
+ * 将 OpenAI 媒体 content part 转换为 Gemini parts
+ * - image_url：data URL（远程 URL 需先经 resolveOpenAIMedia 下载）
+ * - input_audio：{ data, format }
+ * - file：{ file_data, filename }，file_data 可以是 data URL 或纯 base64（按文件名推断类型）
+ * @param {Object} item - content part
+ * @returns {Array<Object>} parts（非媒体 part 返回空数组）
+ */
+export function openaiMediaToParts(item) {
+  if (item?.type === 'image_url') {
+    const media = parseDataUrl(item.image_url?.url);
+    return media ? [createInlineDataPart(media.mimeType, media.data)] : [];
+  }
+  if (item?.type === 'input_audio') {
+    const audio = item.input_audio || {};
+    return audio.data ? [createInlineDataPart(`audio/${audio.format || 'wav'}`, audio.data)] : [];
+  }
+  if (item?.type === 'file') {
+    const file = item.file || {};
+    if (file.file_id && !file.file_data) {
+      throw invalidMedia('不支持 file_id 引用文件，请通过 file_data 传入 base64 内容');
+    }
+    if (!file.file_data) return [];
+    const media = parseDataUrl(file.file_data) || { mimeType: guessMimeType(file.filename), data: file.file_data };
+    return [createInlineDataPart(media.mimeType, media.data)];
+  }
+  return [];
+}
+
+/**
+ * 将 Claude 图片 / 文档 content block 转换为 Gemini parts
+ * - image：base64 source（url source 需先经 resolveClaudeMedia 下载）
+ * - document：base64（PDF）、text（纯文本）、content（内嵌 content block），title/context 作为说明文本
+ * @param {Object} item - content block
+ * @returns {Array<Object>} parts（非媒体 block 返回空数组）
+ */
+export function claudeMediaToParts(item) {
+  const source = item?.source;
+  if (item?.type === 'image') {
+    return source?.type === 'base64' && source.data
+      ? [createInlineDataPart(source.media_type || 'image/png', source.data)]
+      : [];
+  }
+  if (item?.type !== 'document' || !source) return [];
+  if (source.type === 'file') {
+    throw invalidMedia('不支持 file_id 引用文件，请通过 base64 或 URL 传入文档');
+  }
+
+  const parts = [];
+  const notes = [item.title && `Document: ${item.title}`, item.context].filter(Boolean);
+  if (notes.length > 0) parts.push({ text: notes.join('\n') });
+
+  if (source.type === 'base64' && source.data) {
+    parts.push(createInlineDataPart(source.media_type || 'application/pdf', source.data));
+  } else if (source.type === 'text' && typeof source.data === 'string') {
+    parts.push(createInlineDataPart('text/plain', Buffer.from(source.data, 'utf8').toString('base64')));
+  } else if (source.type === 'content') {
+    const blocks = typeof source.content === 'string' ? [{ type: 'text', text: source.content }] : (source.content || []);
+    for (const block of blocks) {
+      if (block?.type === 'text') parts.push({ text: block.text || '' });
+      else parts.push(...claudeMediaToParts(block));
+    }
+  }
+  return parts;
+}
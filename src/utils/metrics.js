@@ -0,0 +1,201 @@
+// Prometheus 指标注册表：计数器、仪表盘、直方图，输出 text exposition format (0.0.4)
+// 请求类指标在中间件中实时累加；账号池、对象池等状态类指标在抓取时通过 collector 现场采集
+
+import logger from './logger.js';
+
+const METRIC_PREFIX = 'antigravity_';
+// 请求耗时直方图桶（秒），覆盖从快速失败到长时间思考的流式响应
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * 指标基类：按标签组合保存序列
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = METRIC_PREFIX + name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // 序列 key -> { labels, value }
+    this.series = new Map();
+  }
+
+  _getSeries(labels = {}, init) {
+    const normalized = {};
+    for (const name of this.labelNames) normalized[name] = labels[name] ?? '';
+    const key = this.labelNames.map(name => normalized[name]).join('\u0000');
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: normalized, ...init() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    }
+    return lines;
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+    // 无标签指标始终输出（初始为 0）
+    if (this.labelNames.length === 0) this._getSeries({}, () => ({ value: 0 }));
+  }
+
+  inc(labels, value = 1) {
+    this._getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+    // 无标签指标始终输出（初始为 0）
+    if (this.labelNames.length === 0) this._getSeries({}, () => ({ value: 0 }));
+  }
+
+  set(labels, value) {
+    this._getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels, value = 1) {
+    this._getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels, value = 1) {
+    this.inc(labels, -value);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DURATION_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this._getSeries(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    }));
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) series.counts[i]++;
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(le) })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+
+    this.httpRequests = this.counter('http_requests_total', '客户端请求总数', ['route', 'model', 'status']);
+    this.httpDuration = this.histogram('http_request_duration_seconds', '客户端请求耗时（秒）', ['route', 'model', 'status']);
+    this.upstreamErrors = this.counter('upstream_errors_total', '上游返回的错误状态码次数（含 429/403）', ['upstream', 'status']);
+    this.activeStreams = this.gauge('active_streams', '当前活跃的 SSE 流数量');
+    this.heartbeats = this.counter('heartbeat_writes_total', 'SSE 心跳写入次数');
+  }
+
+  counter(name, help, labelNames) {
+    return this._register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this._register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this._register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  _register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * 注册抓取时执行的采集函数（用于账号池、对象池等状态类指标）
+   * @param {Function} collector - 可为异步函数
+   */
+  registerCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * 记录一次客户端请求
+   * @param {{route: string, model?: string|null, status: number, durationMs: number}} data
+   */
+  recordRequest({ route, model, status, durationMs }) {
+    const labels = { route, model: model || '', status: String(status) };
+    this.httpRequests.inc(labels);
+    this.httpDuration.observe(labels, durationMs / 1000);
+  }
+
+  /**
+   * 记录一次上游错误
+   * @param {string} upstream - 上游名称（antigravity / geminicli）
+   * @param {number} status - HTTP 状态码
+   */
+  recordUpstreamError(upstream, status) {
+    this.upstreamErrors.inc({ upstream, status: String(status) });
+  }
+
+  /**
+   * 执行采集函数并输出全部指标
+   * @returns {Promise<string>}
+   */
+  async render() {
+    for (const collector of this.collectors) {
+      try {
+        await collector();
+      } catch (error) {
+        logger.warn('采集指标失败:', error.message);
+      }
+    }
+    const lines = [];
+    for (const metric of this.metrics) lines.push(...metric.render());
+    return lines.join('\n') + '\n';
+  }
+}
+
+const metrics = new MetricsRegistry();
+
+export default metrics;
@@ -2,7 +2,8 @@
 // 将 OpenAI、Claude、Gemini 三种格式的参数统一转换为内部格式
 
 import config from '../config/config.js';
-import { REASONING_EFFORT_MAP } from '../constants/index.js';
+import { REASONING_EFFORT_MAP, DEFAULT_STOP_SEQUENCES } from '../constants/index.js';
+import { cleanParameters } from './utils.js';
 
 /**
  * 内部统一参数格式
@@ -12,8 +13,62 @@ import { REASONING_EFFORT_MAP } from '../constants/index.js';
  * @property {number} top_p - Top-P 采样
  * @property {number} top_k - Top-K 采样
  * @property {number|undefined} thinking_budget - 思考预算（undefined 表示使用默认值）
+ * @property {string[]|undefined} stop_sequences - 客户端停止序列（undefined 表示未指定）
+ * @property {Object|undefined} response_format - OpenAI response_format（json_object / json_schema）
+ * @property {string|undefined} response_mime_type - Gemini 原生 responseMimeType
+ * @property {Object|undefined} response_schema - Gemini 原生 responseSchema
+ * @property {Object|undefined} response_json_schema - Gemini 原生 responseJsonSchema
  */
 
+/**
+ * 上游模型是否原生支持 responseMimeType / responseSchema（仅 Gemini 模型）
+ * 其他模型的结构化输出由处理器校验回复并重试来模拟
+ * @param {string} actualModelName - 实际模型名称
+ * @returns {boolean}
+ */
+export function supportsResponseSchema(actualModelName) {
+  return !!actualModelName && actualModelName.toLowerCase().includes('gemini');
+}
+
+/**
+ * 从 OpenAI response_format 中取出 JSON Schema
+ * @param {Object|undefined} responseFormat
+ * @returns {{name: string, schema: Object}|null}
+ */
+export function getResponseFormatSchema(responseFormat) {
+  if (responseFormat?.type !== 'json_schema') return null;
+  const schema = responseFormat.json_schema?.schema;
+  if (!schema || typeof schema !== 'object') return null;
+  return { name: responseFormat.json_schema.name || 'response', schema };
+}
+
+/**
+ * 规范化停止序列：接受字符串或字符串数组，去掉空串和重复项
+ * @param {string|string[]|undefined} value
+ * @returns {string[]|undefined}
+ */
+export function normalizeStopSequences(value) {
+  const list = typeof value === 'string' ? [value] : (Array.isArray(value) ? value : []);
+  const sequences = [...new Set(list.filter(item => typeof item === 'string' && item.length > 0))];
+  return sequences.length > 0 ? sequences : undefined;
+}
+
+/**
+ * 计算最终发送给上游的停止序列
+ * merge（默认）：默认停止序列 + 客户端停止序列；replace：客户端指定时不再使用默认停止序列
+ * 上游命中停止序列时会去掉序列本身，无法得知命中的是哪一个，所以需要报告命中序列的端点（OpenAI / Claude）
+ * 传入 matchLocally，客户端停止序列不发送给上游，由 StopSequenceMatcher 在输出中匹配
+ * @param {string[]|undefined} stopSequences - 规范化后的客户端停止序列
+ * @param {{matchLocally?: boolean}} [options]
+ * @returns {string[]}
+ */
+export function resolveStopSequences(stopSequences, { matchLocally = false } = {}) {
+  if (!stopSequences || stopSequences.length === 0) return DEFAULT_STOP_SEQUENCES;
+  const defaults = config.defaults.stop_sequences_mode === 'replace' ? [] : DEFAULT_STOP_SEQUENCES;
+  if (matchLocally) return defaults;
+  return [...new Set([...defaults, ...stopSequences])];
+}
+
 /**
  * 从 OpenAI 格式提取参数
  * OpenAI 格式参数：
@@ -23,6 +78,7 @@ import { REASONING_EFFORT_MAP } from '../constants/index.js';
  * - top_k: number (非标准，但支持)
  * - thinking_budget: number (扩展)
  * - reasoning_effort: 'low' | 'medium' | 'high' (扩展)
+ * - stop: string | string[]
  * 
  * @param {Object} params - OpenAI 格式的参数对象
  * @returns {NormalizedParameters}
@@ -34,6 +90,7 @@ export function normalizeOpenAIParameters(params = {}) {
     top_p: params.top_p ?? config.defaults.top_p,
     top_k: params.top_k ?? config.defaults.top_k,
     response_format: params.response_format,
+    stop_sequences: normalizeStopSequences(params.stop),
   };
 
   // 处理思考预算
@@ -54,18 +111,20 @@ export function normalizeOpenAIParameters(params = {}) {
  * - top_p: number
  * - top_k: number
  * - thinking: { type: 'enabled' | 'disabled', budget_tokens?: number }
+ * - stop_sequences: string[]
  * 
  * @param {Object} params - Claude 格式的参数对象
  * @returns {NormalizedParameters}
  */
 export function normalizeClaudeParameters(params = {}) {
-  const { max_tokens, temperature, top_p, top_k, thinking, ...rest } = params;
+  const { max_tokens, temperature, top_p, top_k, thinking, stop_sequences, ...rest } = params;
   
   const normalized = {
     max_tokens: max_tokens ?? config.defaults.max_tokens,
     temperature: temperature ?? config.defaults.temperature,
     top_p: top_p ?? config.defaults.top_p,
     top_k: top_k ?? config.defaults.top_k,
+    stop_sequences: normalizeStopSequences(stop_sequences),
   };
 
   // 处理 Claude 的 thinking 参数
@@ -93,6 +152,8 @@ export function normalizeClaudeParameters(params = {}) {
  * - topK: number
  * - maxOutputTokens: number
  * - thinkingConfig: { includeThoughts: boolean, thinkingBudget?: number }
+ * - stopSequences: string[]
+ * - responseMimeType / responseSchema / responseJsonSchema: 结构化输出
  * 
  * @param {Object} generationConfig - Gemini 格式的 generationConfig 对象
  * @returns {NormalizedParameters}
@@ -103,6 +164,10 @@ export function normalizeGeminiParameters(generationConfig = {}) {
     temperature: generationConfig.temperature ?? config.defaults.temperature,
     top_p: generationConfig.topP ?? config.defaults.top_p,
     top_k: generationConfig.topK ?? config.defaults.top_k,
+    stop_sequences: normalizeStopSequences(generationConfig.stopSequences),
+    response_mime_type: generationConfig.responseMimeType,
+    response_schema: generationConfig.responseSchema,
+    response_json_schema: generationConfig.responseJsonSchema,
   };
 
   // 处理 Gemini 的 thinkingConfig 参数
@@ -172,11 +237,26 @@ export function toGenerationConfig(normalized, enableThinking, actualModelName)
     }
   };
 
-  // 处理 response_format 到 Gemini JSON 模式的映射
-  if (normalized.response_format && normalized.response_format.type === 'json_object') {
-    if (actualModelName && actualModelName.toLowerCase().includes('gemini')) {
+  // 客户端停止序列（是否合并默认停止序列由调用方决定）
+  if (normalized.stop_sequences?.length > 0) {
+    generationConfig.stopSequences = normalized.stop_sequences;
+  }
+
+  // 处理 response_format 到 Gemini JSON 模式的映射（json_schema 转换为 responseSchema）
+  if (supportsResponseSchema(actualModelName)) {
+    const formatType = normalized.response_format?.type;
+    if (formatType === 'json_object' || formatType === 'json_schema') {
       generationConfig.responseMimeType = "application/json";
     }
+    const formatSchema = getResponseFormatSchema(normalized.response_format);
+    if (formatSchema) {
+      generationConfig.responseSchema = cleanParameters(formatSchema.schema, { keepAnyOf: true });
+    }
+
+    // Gemini 原生结构化输出参数原样透传
+    if (normalized.response_mime_type) generationConfig.responseMimeType = normalized.response_mime_type;
+    if (normalized.response_schema) generationConfig.responseSchema = normalized.response_schema;
+    if (normalized.response_json_schema) generationConfig.responseJsonSchema = normalized.response_json_schema;
   }
 
   // Claude 模型在启用思考时不支持 topP
@@ -188,6 +268,10 @@ export function toGenerationConfig(normalized, enableThinking, actualModelName)
 }
 
 export default {
+  supportsResponseSchema,
+  getResponseFormatSchema,
+  normalizeStopSequences,
+  resolveStopSequences,
   normalizeOpenAIParameters,
   normalizeClaudeParameters,
   normalizeGeminiParameters,
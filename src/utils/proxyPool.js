@@ -0,0 +1,198 @@
+// 出口代理池：按账号选择上游代理，避免大量账号共用同一个出口 IP
+// 账号在 accounts.json 中通过 proxy 字段（代理名称）绑定代理；未绑定的账号在 sticky 模式下按账号固定分配，
+// 分配使用最高随机权重哈希（rendezvous hashing），代理增减或故障时只有受影响的账号会换代理
+
+import axios from 'axios';
+import crypto from 'crypto';
+import config from '../config/config.js';
+import { buildAxiosRequestConfig } from './httpClient.js';
+import { createProxyAgents } from './proxyTunnel.js';
+import { onConfigChange } from './configReloader.js';
+import logger from './logger.js';
+
+// 账号与代理的哈希权重
+function stickyWeight(accountKey, proxyName) {
+  return crypto.createHash('sha256').update(`${proxyName}\n${accountKey}`).digest().readUInt32BE(0);
+}
+
+class ProxyPool {
+  constructor() {
+    this.timer = null;
+    this.checking = null;
+    // 代理名称 -> { healthy, latency, checkedAt, error }（未检查过的代理视为可用）
+    this.health = new Map();
+    // 已提示过的无效绑定，避免每个请求都打印
+    this.warnedBindings = new Set();
+  }
+
+  /**
+   * 启用的代理
+   * @returns {Array<{name: string, url: string}>}
+   */
+  getProxies() {
+    return config.proxyPool.proxies.filter(proxy => proxy.enabled);
+  }
+
+  /**
+   * 是否存在该名称的代理（包括已停用的）
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name) {
+    return config.proxyPool.proxies.some(proxy => proxy.name === name);
+  }
+
+  isHealthy(name) {
+    return this.health.get(name)?.healthy !== false;
+  }
+
+  /**
+   * 账号使用的代理池代理
+   * 绑定的代理即使健康检查失败也继续使用；自动分配优先选择健康的代理
+   * @param {Object} token - 账号（使用 proxy 和 refresh_token 字段）
+   * @returns {{name: string, url: string}|null} 不使用代理池时返回 null
+   */
+  resolve(token) {
+    const proxies = this.getProxies();
+    if (proxies.length === 0) return null;
+
+    if (token?.proxy) {
+      const bound = proxies.find(proxy => proxy.name === token.proxy);
+      if (bound) return bound;
+      if (!this.warnedBindings.has(token.proxy)) {
+        this.warnedBindings.add(token.proxy);
+        logger.warn(`账号绑定的代理 ${token.proxy} 不存在或已停用，改为按分配规则选择`);
+      }
+    }
+
+    if (config.proxyPool.assignment !== 'sticky' || !token?.refresh_token) return null;
+    const healthy = proxies.filter(proxy => this.isHealthy(proxy.name));
+    const candidates = healthy.length > 0 ? healthy : proxies;
+    let selected = null;
+    let selectedWeight = -1;
+    for (const proxy of candidates) {
+      const weight = stickyWeight(token.refresh_token, proxy.name);
+      if (weight > selectedWeight) {
+        selected = proxy;
+        selectedWeight = weight;
+      }
+    }
+    return selected;
+  }
+
+  /**
+   * 账号请求上游时使用的代理地址：代理池代理，否则为全局 PROXY
+   * @param {Object} token
+   * @returns {string|null}
+   */
+  getProxyUrl(token) {
+    return this.resolve(token)?.url || config.proxy || null;
+  }
+
+  /**
+   * 检查单个代理：经代理请求 healthCheck.url，收到任意 HTTP 响应即为可用
+   * 每次检查使用新的连接，不复用请求的 keep-alive 连接
+   * @param {{name: string, url: string}} proxy
+   * @returns {Promise<Object>} 检查结果
+   */
+  async checkProxy(proxy) {
+    const { url, timeout } = config.proxyPool.healthCheck;
+    const { httpAgent, httpsAgent } = createProxyAgents(proxy.url);
+    const startedAt = Date.now();
+    let result;
+    try {
+      await axios({
+        ...buildAxiosRequestConfig({ method: 'GET', url, timeout, proxyUrl: null }),
+        httpAgent,
+        httpsAgent,
+        validateStatus: () => true
+      });
+      result = { healthy: true, latency: Date.now() - startedAt, checkedAt: Date.now(), error: null };
+    } catch (error) {
+      result = { healthy: false, latency: null, checkedAt: Date.now(), error: error.message };
+    } finally {
+      httpAgent.destroy();
+      httpsAgent.destroy();
+    }
+
+    const previous = this.health.get(proxy.name);
+    if (!result.healthy && previous?.healthy !== false) {
+      logger.warn(`代理 ${proxy.name} 不可用: ${result.error}`);
+    } else if (result.healthy && previous?.healthy === false) {
+      logger.info(`代理 ${proxy.name} 已恢复`);
+    }
+    this.health.set(proxy.name, result);
+    return result;
+  }
+
+  /**
+   * 检查所有启用的代理（检查进行中时复用同一次检查）
+   * @returns {Promise<void>}
+   */
+  checkAll() {
+    if (!this.checking) {
+      this.checking = Promise.all(this.getProxies().map(proxy => this.checkProxy(proxy)))
+        .then(() => {})
+        .finally(() => { this.checking = null; });
+    }
+    return this.checking;
+  }
+
+  start() {
+    const { enabled, interval } = config.proxyPool.healthCheck;
+    if (this.timer || !enabled || this.getProxies().length === 0) return;
+    this.checkAll();
+    this.timer = setInterval(() => this.checkAll(), interval);
+    // 使用 unref 避免阻止进程退出
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 代理池状态（代理地址中的账号密码已去除）
+   * 手动编辑 config.json 未经校验，地址无法解析的代理标记为 invalid，不影响其他代理
+   * @param {Array<{assignedProxy: string|null}>} [accounts] - 账号列表，用于统计每个代理的账号数
+   * @returns {Object}
+   */
+  getStatus(accounts = []) {
+    return {
+      assignment: config.proxyPool.assignment,
+      healthCheck: config.proxyPool.healthCheck,
+      proxies: config.proxyPool.proxies.map(proxy => {
+        let url = null;
+        try {
+          url = new URL(proxy.url);
+        } catch {
+          // 地址缺失或格式错误
+        }
+        return {
+          name: proxy.name,
+          url: url ? `${url.protocol}//${url.host}` : null,
+          hasCredentials: Boolean(url && (url.username || url.password)),
+          invalid: !url,
+          enabled: proxy.enabled,
+          health: this.health.get(proxy.name) || null,
+          accounts: accounts.filter(account => account.assignedProxy === proxy.name).length
+        };
+      })
+    };
+  }
+}
+
+const proxyPool = new ProxyPool();
+
+// 修改代理池后清空检查结果并重新检查（代理地址可能已修改）
+onConfigChange('proxyPool', () => {
+  proxyPool.health.clear();
+  proxyPool.warnedBindings.clear();
+  proxyPool.stop();
+  proxyPool.start();
+});
+
+export default proxyPool;
@@ -0,0 +1,299 @@
+/**
+ * JSON Schema 降级
+ * 上游工具声明只支持 OpenAPI Schema 的一个子集：不支持 $ref/$defs、allOf、oneOf、const，
+ * enum 只能是字符串，长度/数量类约束也会被拒绝。cleanParameters 直接删除这些关键字时，
+ * MCP 工具的嵌套定义和联合类型会整体丢失，这里先把 schema 改写为等价（或尽量接近）的简单结构：
+ * - $ref 内联（循环引用处停止展开）
+ * - allOf 合并为一个 schema
+ * - 字面量联合（anyOf/oneOf 的 const/enum）合并为 enum，const 转为单值 enum
+ * - 其他联合类型：允许 anyOf 时保留 anyOf，否则选择信息最完整的分支
+ * 无法表达的约束写入 description，让模型仍能看到
+ * @module utils/schemaLowering
+ */
+
+import { resolveRef } from './jsonSchema.js';
+
+// 最大展开深度，防止超大 schema 内联后体积爆炸
+const MAX_DEPTH = 64;
+
+// 上游不支持、改写到 description 中的约束
+const DESCRIBED_CONSTRAINTS = [
+  'minLength', 'maxLength', 'minItems', 'maxItems', 'uniqueItems',
+  'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf'
+];
+
+// 只描述属性组合、不含类型信息的联合分支（如 oneOf: [{ required: ['a'] }, { required: ['b'] }]）
+const REQUIRED_ONLY_KEYS = new Set(['required', 'title', 'description']);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function formatValue(value) {
+  return JSON.stringify(value);
+}
+
+/**
+ * 在 description 末尾追加说明
+ * @param {Object} schema
+ * @param {string} text
+ */
+function appendDescription(schema, text) {
+  if (!text) return;
+  schema.description = schema.description ? `${schema.description}\n${text}` : text;
+}
+
+/**
+ * 生成类型摘要（用于 description 中说明联合类型的各个分支）
+ * @param {Object} schema
+ * @returns {string}
+ */
+function describeType(schema) {
+  if (!isPlainObject(schema)) return 'any';
+  if (Array.isArray(schema.enum)) return schema.enum.map(formatValue).join(' | ');
+  if (Array.isArray(schema.anyOf)) return schema.anyOf.map(describeType).join(' | ');
+  if (schema.type === 'array') return `array<${describeType(schema.items)}>`;
+  if (schema.type === 'object' || isPlainObject(schema.properties)) {
+    if (schema.title) return schema.title;
+    return isPlainObject(schema.properties) ? `object{${Object.keys(schema.properties).join(', ')}}` : 'object';
+  }
+  return schema.type || 'any';
+}
+
+/**
+ * 将 source 合并到 target（用于 allOf 和 $ref 兄弟关键字），target 中已有的关键字优先
+ * @param {Object} target
+ * @param {Object} source
+ * @returns {Object} 新对象
+ */
+function mergeSchemas(target, source) {
+  if (!isPlainObject(source)) return target;
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    if (!(key in result)) {
+      result[key] = value;
+    } else if (key === 'properties' && isPlainObject(result.properties) && isPlainObject(value)) {
+      const properties = { ...result.properties };
+      for (const [name, property] of Object.entries(value)) {
+        properties[name] = name in properties ? mergeSchemas(properties[name], property) : property;
+      }
+      result.properties = properties;
+    } else if (key === 'required' && Array.isArray(result.required) && Array.isArray(value)) {
+      result.required = [...new Set([...result.required, ...value])];
+    } else if (key === 'enum' && Array.isArray(result.enum) && Array.isArray(value)) {
+      const allowed = new Set(value.map(formatValue));
+      result.enum = result.enum.filter(item => allowed.has(formatValue(item)));
+    } else if (key === 'description' && typeof value === 'string' && value && !String(result.description).includes(value)) {
+      result.description = `${result.description}\n${value}`;
+    }
+  }
+  return result;
+}
+
+/**
+ * 给联合分支打分，选择信息最完整的分支（对象 > 数组 > 字符串 > 其他）
+ */
+function scoreBranch(schema) {
+  if (schema.type === 'object' || isPlainObject(schema.properties)) {
+    return 3 + Object.keys(schema.properties || {}).length;
+  }
+  if (schema.type === 'array') return 2;
+  if (schema.type === 'string') return 1.5;
+  return schema.type ? 1 : 0;
+}
+
+function isStringEnum(schema) {
+  return Array.isArray(schema.enum) &&
+    schema.enum.every(item => typeof item === 'string') &&
+    (schema.type === undefined || schema.type === 'string');
+}
+
+function isRequiredOnly(schema) {
+  return Object.keys(schema).every(key => REQUIRED_ONLY_KEYS.has(key));
+}
+
+/**
+ * 降级联合类型
+ * @param {Object} base - 联合类型之外的关键字（已降级）
+ * @param {Array<Object>} branches - 已降级的分支
+ * @param {Object} ctx
+ * @returns {Object}
+ */
+function lowerUnion(base, branches, ctx) {
+  let nullable = false;
+  const variants = branches.filter(branch => {
+    if (!isPlainObject(branch)) return false;
+    if (branch.type === 'null') {
+      nullable = true;
+      return false;
+    }
+    if (branch.nullable === true) nullable = true;
+    return true;
+  });
+
+  let result;
+  if (variants.length === 0) {
+    result = { ...base };
+  } else if (variants.every(isStringEnum)) {
+    // 字面量联合：合并为一个字符串 enum，分支说明保留到 description
+    const values = [...new Set(variants.flatMap(variant => variant.enum))];
+    result = mergeSchemas(base, { type: 'string', enum: values });
+    const notes = variants
+      .filter(variant => variant.description && variant.enum.length === 1)
+      .map(variant => `${formatValue(variant.enum[0])}: ${variant.description}`);
+    if (notes.length > 0) appendDescription(result, `Values: ${notes.join('; ')}`);
+  } else if (variants.length === 1) {
+    result = mergeSchemas(base, variants[0]);
+  } else if (variants.every(isRequiredOnly)) {
+    result = { ...base };
+    appendDescription(result, `Requires one of the property sets: ${variants.map(variant => formatValue(variant.required || [])).join(', ')}`);
+  } else if (ctx.keepAnyOf) {
+    result = { ...base, anyOf: variants.map(({ nullable: _, ...variant }) => variant) };
+  } else {
+    const best = variants.reduce((picked, variant) => scoreBranch(variant) > scoreBranch(picked) ? variant : picked);
+    result = mergeSchemas(base, best);
+    appendDescription(result, `Accepts one of: ${variants.map(describeType).join(' | ')}`);
+  }
+
+  if (nullable) result.nullable = true;
+  return result;
+}
+
+/**
+ * 降级 $ref：内联引用目标，兄弟关键字优先；循环引用处用说明代替
+ */
+function lowerRef(schema, ctx, refs, depth) {
+  const { $ref, ...siblings } = schema;
+  const target = resolveRef(ctx.root, $ref);
+  if (!isPlainObject(target)) {
+    return lowerNode(siblings, ctx, refs, depth + 1);
+  }
+
+  const name = $ref.split('/').pop();
+  if (refs.includes($ref) || depth >= MAX_DEPTH) {
+    const result = { type: typeof target.type === 'string' ? target.type : 'object' };
+    if (siblings.description) result.description = siblings.description;
+    appendDescription(result, `Recursive reference to "${name}": same structure as the enclosing "${name}".`);
+    return result;
+  }
+  return lowerNode(mergeSchemas(siblings, target), ctx, [...refs, $ref], depth + 1);
+}
+
+/**
+ * 降级单个 schema 节点
+ * @param {Object} schema
+ * @param {{root: Object, keepAnyOf: boolean}} ctx
+ * @param {Array<string>} refs - 当前路径上已展开的 $ref（循环检测）
+ * @param {number} depth
+ * @returns {Object}
+ */
+function lowerNode(schema, ctx, refs, depth) {
+  if (!isPlainObject(schema)) return schema;
+  if (depth > MAX_DEPTH) {
+    return { type: 'object', description: schema.description || 'Nested schema omitted.' };
+  }
+
+  if (typeof schema.$ref === 'string') {
+    return lowerRef(schema, ctx, refs, depth);
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    const { allOf, ...rest } = schema;
+    return allOf.reduce(
+      (merged, branch) => mergeSchemas(merged, lowerNode(branch, ctx, refs, depth + 1)),
+      lowerNode(rest, ctx, refs, depth + 1)
+    );
+  }
+
+  const union = schema.anyOf || schema.oneOf;
+  if (Array.isArray(union)) {
+    const { anyOf, oneOf, discriminator, ...rest } = schema;
+    return lowerUnion(
+      lowerNode(rest, ctx, refs, depth + 1),
+      union.map(branch => lowerNode(branch, ctx, refs, depth + 1)),
+      ctx
+    );
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'properties' && isPlainObject(value)) {
+      result.properties = Object.fromEntries(
+        Object.entries(value).map(([name, property]) => [name, lowerNode(property, ctx, refs, depth + 1)])
+      );
+    } else if (key === 'items') {
+      // 旧版元组写法（items 为数组）按联合类型处理
+      result.items = Array.isArray(value)
+        ? lowerUnion({}, value.map(item => lowerNode(item, ctx, refs, depth + 1)), ctx)
+        : lowerNode(value, ctx, refs, depth + 1);
+    } else if (key === 'prefixItems' && Array.isArray(value)) {
+      if (schema.items === undefined) {
+        result.items = lowerUnion({}, value.map(item => lowerNode(item, ctx, refs, depth + 1)), ctx);
+      }
+    } else if (key === 'additionalProperties' && isPlainObject(value)) {
+      result.additionalProperties = lowerNode(value, ctx, refs, depth + 1);
+    } else if (key === 'const') {
+      result.enum = [value];
+    } else if (key === 'discriminator') {
+      continue;
+    } else {
+      result[key] = value;
+    }
+  }
+
+  // 联合 type（如 ["string", "null"]）：null 转为 nullable，多个类型只保留第一个
+  if (Array.isArray(result.type)) {
+    const types = result.type.filter(type => type !== 'null' && type !== null);
+    if (types.length < result.type.length) result.nullable = true;
+    if (types.length > 1) appendDescription(result, `Type: ${types.join(' | ')}`);
+    if (types.length > 0) result.type = types[0];
+    else delete result.type;
+  }
+
+  if (Array.isArray(result.enum)) {
+    if (result.enum.includes(null)) {
+      result.nullable = true;
+      result.enum = result.enum.filter(item => item !== null);
+    }
+    if (result.enum.length > 0 && result.enum.every(item => typeof item === 'string')) {
+      if (result.type === undefined) result.type = 'string';
+    } else if (result.enum.length > 0) {
+      // 上游 enum 只支持字符串，改为类型 + 说明，避免模型返回错误的参数类型
+      const values = result.enum.map(formatValue);
+      appendDescription(result, values.length === 1 ? `Must be ${values[0]}.` : `Allowed values: ${values.join(', ')}.`);
+      if (result.type === undefined) {
+        const type = typeof result.enum[0];
+        if (['number', 'boolean'].includes(type)) result.type = Number.isInteger(result.enum[0]) ? 'integer' : type;
+      }
+      delete result.enum;
+    } else {
+      delete result.enum;
+    }
+  }
+
+  const constraints = DESCRIBED_CONSTRAINTS
+    .filter(key => result[key] !== undefined && result[key] !== false)
+    .map(key => `${key}=${formatValue(result[key])}`);
+  if (constraints.length > 0) {
+    appendDescription(result, `Constraints: ${constraints.join(', ')}.`);
+  }
+  for (const key of DESCRIBED_CONSTRAINTS) delete result[key];
+
+  return result;
+}
+
+/**
+ * 将 JSON Schema 降级为上游支持的结构（不修改原对象）
+ * 结果仍是小写 type 的 JSON Schema，由 cleanParameters 继续清理不支持的关键字并转换大写类型
+ * @param {Object} schema - JSON Schema
+ * @param {{keepAnyOf?: boolean}} [options] - keepAnyOf：保留对象等复杂联合类型的 anyOf（Gemini 模型支持）
+ * @returns {Object}
+ */
+export function lowerJsonSchema(schema, options = {}) {
+  if (!isPlainObject(schema)) return schema;
+  return lowerNode(schema, { root: schema, keepAnyOf: options.keepAnyOf === true }, [], 0);
+}
+
+export default {
+  lowerJsonSchema
+};
@@ -0,0 +1,159 @@
+// SD WebUI 任务跟踪：记录进行中的 txt2img / img2img 任务，供 /sdapi/v1/progress 查询进度、/interrupt 中断
+// 上游不返回生成进度，单张图片的进度按最近完成的图片平均耗时估算
+// 任务按发起请求的 API Key（owner）隔离：只能查询和中断自己的任务
+
+import { SD_DEFAULT_IMAGE_DURATION } from '../constants/index.js';
+
+// 平均耗时只参考最近的若干张图片
+const DURATION_SAMPLES = 20;
+
+const IDLE_STATE = {
+  skipped: false,
+  interrupted: false,
+  job: '',
+  job_count: 0,
+  job_timestamp: '0',
+  job_no: 0,
+  sampling_step: 0,
+  sampling_steps: 0
+};
+
+/**
+ * SD WebUI 的 job_timestamp 格式：YYYYMMDDhhmmss（本地时间）
+ * @param {number} time
+ * @returns {string}
+ */
+function formatJobTimestamp(time) {
+  const date = new Date(time);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+class SdJobTracker {
+  constructor() {
+    /** @type {Set<Object>} 进行中的任务（按开始顺序） */
+    this.jobs = new Set();
+    /** @type {number[]} 最近完成的单张图片耗时（毫秒） */
+    this.durations = [];
+  }
+
+  /**
+   * 开始一个任务
+   * @param {'txt2img'|'img2img'} type
+   * @param {number} total - 图片总数
+   * @param {number} parallel - 同时进行的上游请求数
+   * @param {string|null} owner - 发起请求的 API Key ID（主密钥为 null）
+   * @returns {{type: string, owner: string|null, total: number, parallel: number, completed: number, startedAt: number, timestamp: string, interrupted: boolean, currentImage: string|null, controller: AbortController}}
+   */
+  start(type, total, parallel, owner) {
+    const startedAt = Date.now();
+    const job = {
+      type,
+      owner: owner ?? null,
+      total,
+      parallel: Math.max(1, Math.min(parallel, total)),
+      completed: 0,
+      startedAt,
+      timestamp: formatJobTimestamp(startedAt),
+      interrupted: false,
+      currentImage: null,
+      controller: new AbortController()
+    };
+    this.jobs.add(job);
+    return job;
+  }
+
+  /**
+   * 记录一张图片完成
+   * @param {Object} job
+   * @param {string} image - base64
+   * @param {number} durationMs - 这张图片的生成耗时
+   */
+  complete(job, image, durationMs) {
+    job.completed++;
+    job.currentImage = image;
+    this.durations.push(durationMs);
+    if (this.durations.length > DURATION_SAMPLES) this.durations.shift();
+  }
+
+  /**
+   * 结束任务（完成、失败或中断）
+   * @param {Object} job
+   */
+  finish(job) {
+    this.jobs.delete(job);
+  }
+
+  /**
+   * 某个 API Key 进行中的任务（按开始顺序）
+   * @param {string|null} owner
+   * @returns {Object[]}
+   */
+  getJobs(owner) {
+    return [...this.jobs].filter(job => job.owner === (owner ?? null));
+  }
+
+  /**
+   * 中断该 API Key 进行中的任务：停止发起新请求并中断进行中的上游请求
+   * @param {string|null} owner
+   * @returns {number} 被中断的任务数
+   */
+  interrupt(owner) {
+    const jobs = this.getJobs(owner);
+    for (const job of jobs) {
+      job.interrupted = true;
+      job.controller.abort();
+    }
+    return jobs.length;
+  }
+
+  /**
+   * 预估单张图片耗时
+   * @returns {number}
+   */
+  getAverageDuration() {
+    if (this.durations.length === 0) return SD_DEFAULT_IMAGE_DURATION;
+    return this.durations.reduce((sum, value) => sum + value, 0) / this.durations.length;
+  }
+
+  /**
+   * SD WebUI /sdapi/v1/progress 响应
+   * 只报告该 API Key 的任务，有多个任务时报告最早开始的一个；预计耗时 = 平均耗时 × 轮数（图片数 / 并行数）
+   * @param {string|null} owner - 请求方的 API Key ID
+   * @param {{skipCurrentImage?: boolean}} [options]
+   * @returns {Object}
+   */
+  getProgress(owner, { skipCurrentImage = false } = {}) {
+    const jobs = this.getJobs(owner);
+    const [job] = jobs;
+    if (!job) {
+      return { progress: 0, eta_relative: 0, state: { ...IDLE_STATE }, current_image: null, textinfo: null };
+    }
+
+    const elapsed = Date.now() - job.startedAt;
+    const expected = this.getAverageDuration() * Math.ceil(job.total / job.parallel);
+    // 已完成的比例为下限，未到预计时间前按时间线性推进，不到 100%
+    const progress = Math.min(0.99, Math.max(job.completed / job.total, elapsed / expected));
+    const eta = job.completed >= job.total ? 0 : Math.max(0, expected - elapsed) / 1000;
+
+    return {
+      progress: Number(progress.toFixed(4)),
+      eta_relative: Number(eta.toFixed(2)),
+      state: {
+        ...IDLE_STATE,
+        interrupted: job.interrupted,
+        job: job.type,
+        job_count: job.total,
+        job_timestamp: job.timestamp,
+        job_no: job.completed
+      },
+      current_image: skipCurrentImage ? null : job.currentImage,
+      textinfo: jobs.length > 1 ? `${jobs.length} jobs in progress` : null
+    };
+  }
+}
+
+const sdJobTracker = new SdJobTracker();
+
+export default sdJobTracker;
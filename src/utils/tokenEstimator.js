@@ -0,0 +1,189 @@
+/**
+ * 本地 token 估算
+ * 上游 countTokens 不可用时使用：按 BPE 分词器的常见规律估算文本（英文单词、CJK 字符、数字、符号分别计数），
+ * 图片按尺寸、PDF 按页数、音视频按时长估算，工具声明和系统提示词按序列化后的文本计入。
+ * 输入为转换后的上游请求（contents / systemInstruction / tools），所以各种客户端格式共用同一套估算。
+ * @module utils/tokenEstimator
+ */
+
+// CJK 字符（汉字、假名、谚文）在常见分词器中基本是一字一 token
+const TOKEN_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|[A-Za-z]+|[\p{L}\p{M}]+|\p{N}+|\s+|[\s\S]/gu;
+
+// 每条消息的角色标记等固定开销
+const MESSAGE_OVERHEAD = 4;
+// 每个 functionCall / functionResponse / 工具声明的结构开销
+const FUNCTION_OVERHEAD = 8;
+// Claude 模型有工具时上游附加的工具使用系统提示词
+const CLAUDE_TOOL_SYSTEM_TOKENS = 346;
+
+// 图片：Claude 按像素（约 750 像素 / token，长边缩放到 1568 以内），Gemini 按 768 像素切片（每片 258）
+const CLAUDE_IMAGE_MAX_TOKENS = 1600;
+const CLAUDE_IMAGE_MAX_EDGE = 1568;
+const GEMINI_TILE_TOKENS = 258;
+const GEMINI_TILE_SIZE = 768;
+// 无法解析尺寸的图片
+const DEFAULT_IMAGE = { width: 1024, height: 1024 };
+
+// PDF 每页（Claude 为文本 + 页面图片，Gemini 按一张图片计）
+const CLAUDE_PDF_PAGE_TOKENS = 1500;
+// 音视频（Gemini：音频 32 token/秒，视频 263 token/秒）；时长按常见码率由大小推算
+const AUDIO_TOKENS_PER_SECOND = 32;
+const VIDEO_TOKENS_PER_SECOND = 263;
+const AUDIO_BYTES_PER_SECOND = 16 * 1024;
+const VIDEO_BYTES_PER_SECOND = 256 * 1024;
+
+/**
+ * 估算文本 token 数
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTextTokens(text) {
+  if (typeof text !== 'string' || !text) return 0;
+  let tokens = 0;
+  for (const [piece] of text.matchAll(TOKEN_PATTERN)) {
+    const code = piece.codePointAt(0);
+    if (/^\s+$/.test(piece)) {
+      // 单个空格并入下一个单词；换行和连续空白单独计数
+      const newlines = piece.split('\n').length - 1;
+      tokens += newlines > 0 ? newlines : (piece.length > 1 ? Math.ceil(piece.length / 4) : 0);
+    } else if (/^[A-Za-z]+$/.test(piece)) {
+      // 常见英文单词是一个 token，长单词按约 6 字符 / token 拆分
+      tokens += Math.ceil(piece.length / 6);
+    } else if (/^\p{N}+$/u.test(piece)) {
+      tokens += Math.ceil(piece.length / 3);
+    } else if (piece.length > 1) {
+      // 其他字母文字（西里尔、阿拉伯文等）
+      tokens += Math.ceil(piece.length / 3);
+    } else {
+      // CJK 字符、ASCII 标点为 1，emoji 等其他符号通常拆成多个字节 token
+      tokens += code > 0xffff ? 2 : 1;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * 从图片文件头读取尺寸（支持 PNG / JPEG / GIF / WebP）
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number}|null}
+ */
+function readImageSize(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && buffer.toString('latin1', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 30 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    const format = buffer.toString('latin1', 12, 16);
+    if (format === 'VP8X') return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+    if (format === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    if (format === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    // 逐段查找 SOF 标记
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + length;
+    }
+  }
+  return null;
+}
+
+function estimateImageTokens(buffer, claude) {
+  const size = readImageSize(buffer) || DEFAULT_IMAGE;
+  const width = Math.max(1, size.width);
+  const height = Math.max(1, size.height);
+  if (claude) {
+    const scale = Math.min(1, CLAUDE_IMAGE_MAX_EDGE / Math.max(width, height));
+    return Math.min(CLAUDE_IMAGE_MAX_TOKENS, Math.ceil((width * scale) * (height * scale) / 750));
+  }
+  if (width <= 384 && height <= 384) return GEMINI_TILE_TOKENS;
+  return Math.ceil(width / GEMINI_TILE_SIZE) * Math.ceil(height / GEMINI_TILE_SIZE) * GEMINI_TILE_TOKENS;
+}
+
+function countPdfPages(buffer) {
+  const matches = buffer.toString('latin1').match(/\/Type\s*\/Page(?!s)/g);
+  return Math.max(1, matches ? matches.length : 1);
+}
+
+/**
+ * 估算 inlineData 的 token 数
+ * @param {{mimeType: string, data: string}} inlineData
+ * @param {boolean} claude
+ * @returns {number}
+ */
+function estimateInlineDataTokens(inlineData, claude) {
+  const mimeType = String(inlineData?.mimeType || '').toLowerCase();
+  const buffer = Buffer.from(inlineData?.data || '', 'base64');
+  if (mimeType.startsWith('image/')) return estimateImageTokens(buffer, claude);
+  if (mimeType === 'application/pdf') {
+    return countPdfPages(buffer) * (claude ? CLAUDE_PDF_PAGE_TOKENS : GEMINI_TILE_TOKENS);
+  }
+  if (mimeType.startsWith('text/')) return estimateTextTokens(buffer.toString('utf8'));
+  if (mimeType.startsWith('audio/')) {
+    return Math.ceil(buffer.length / AUDIO_BYTES_PER_SECOND) * AUDIO_TOKENS_PER_SECOND;
+  }
+  if (mimeType.startsWith('video/')) {
+    return Math.ceil(buffer.length / VIDEO_BYTES_PER_SECOND) * VIDEO_TOKENS_PER_SECOND;
+  }
+  return GEMINI_TILE_TOKENS;
+}
+
+function estimatePartTokens(part, claude) {
+  if (!part || typeof part !== 'object') return 0;
+  let tokens = 0;
+  if (typeof part.text === 'string') tokens += estimateTextTokens(part.text);
+  if (part.inlineData) tokens += estimateInlineDataTokens(part.inlineData, claude);
+  if (part.functionCall) {
+    tokens += FUNCTION_OVERHEAD + estimateTextTokens(`${part.functionCall.name || ''} ${JSON.stringify(part.functionCall.args || {})}`);
+  }
+  if (part.functionResponse) {
+    tokens += FUNCTION_OVERHEAD + estimateTextTokens(`${part.functionResponse.name || ''} ${JSON.stringify(part.functionResponse.response || {})}`);
+  }
+  return tokens;
+}
+
+/**
+ * 估算上游请求的输入 token 数
+ * @param {{contents?: Array, systemInstruction?: Object, tools?: Array}} request - 转换后的上游请求（requestBody.request）
+ * @param {{model?: string}} [options] - model：实际模型名，Claude 模型的图片、PDF 和工具按 Claude 规则计算
+ * @returns {number}
+ */
+export function estimateRequestTokens(request, { model = '' } = {}) {
+  const claude = String(model).toLowerCase().includes('claude');
+  let tokens = 0;
+
+  for (const part of request?.systemInstruction?.parts || []) {
+    tokens += estimatePartTokens(part, claude);
+  }
+  for (const content of request?.contents || []) {
+    tokens += MESSAGE_OVERHEAD;
+    for (const part of content?.parts || []) {
+      tokens += estimatePartTokens(part, claude);
+    }
+  }
+
+  const declarations = (request?.tools || []).flatMap(tool => tool?.functionDeclarations || []);
+  if (declarations.length > 0) {
+    if (claude) tokens += CLAUDE_TOOL_SYSTEM_TOKENS;
+    for (const declaration of declarations) {
+      tokens += FUNCTION_OVERHEAD + estimateTextTokens(JSON.stringify(declaration));
+    }
+  }
+  return tokens;
+}
+
+export default {
+  estimateTextTokens,
+  estimateRequestTokens
+};
@@ -20,7 +20,9 @@ function convertSingleTool(name, description, parameters, sessionId, actualModel
   }
   
   const rawParams = parameters || {};
-  const cleanedParams = cleanParameters(rawParams) || {};
+  // Gemini 模型支持 anyOf，联合类型原样保留；其他模型选择其中一个分支
+  const keepAnyOf = !!actualModelName && actualModelName.toLowerCase().includes('gemini');
+  const cleanedParams = cleanParameters(rawParams, { keepAnyOf }) || {};
   // 使用大写 OBJECT 以匹配官方 API 格式
   if (cleanedParams.type === undefined) cleanedParams.type = 'OBJECT';
   else if (cleanedParams.type === 'object') cleanedParams.type = 'OBJECT';
@@ -130,3 +132,96 @@ export function convertGeminiToolsToAntigravity(geminiTools, sessionId, actualMo
     functionDeclarations: allDeclarations
   }] : [];
 }
+
+/**
+ * 上游 functionCallingConfig 模式
+ * VALIDATED：默认模式（模型自行决定，并校验调用参数）；ANY：必须调用工具；NONE：禁止调用工具
+ */
+export const FunctionCallingMode = {
+  AUTO: 'AUTO',
+  ANY: 'ANY',
+  NONE: 'NONE',
+  VALIDATED: 'VALIDATED'
+};
+
+/**
+ * 构建 functionCallingConfig，指定工具名时按 sanitizeToolName 转换为上游声明中的名称
+ * @param {string} mode
+ * @param {Array<string>} [names]
+ * @returns {Object}
+ */
+function buildFunctionCallingConfig(mode, names) {
+  const allowed = (names || []).filter(name => typeof name === 'string' && name).map(sanitizeToolName);
+  return allowed.length > 0 ? { mode, allowedFunctionNames: allowed } : { mode };
+}
+
+/**
+ * 将 OpenAI tool_choice 转换为 functionCallingConfig
+ * - "auto" / 未指定：defaultMode
+ * - "none"：NONE；"required"：ANY
+ * - { type: 'function', function: { name } }（Responses API 为 { type: 'function', name }）：ANY + allowedFunctionNames
+ * - { type: 'allowed_tools', ... }：限定可调用的工具，mode 为 required 时使用 ANY
+ * @param {string|Object|undefined} toolChoice
+ * @param {string} defaultMode - 未指定时使用的模式
+ * @returns {Object} functionCallingConfig
+ */
+export function openaiToolChoiceToFunctionCallingConfig(toolChoice, defaultMode = FunctionCallingMode.VALIDATED) {
+  if (toolChoice === 'none') return { mode: FunctionCallingMode.NONE };
+  if (toolChoice === 'required') return { mode: FunctionCallingMode.ANY };
+  if (toolChoice && typeof toolChoice === 'object') {
+    if (toolChoice.type === 'function') {
+      const name = toolChoice.function?.name || toolChoice.name;
+      if (name) return buildFunctionCallingConfig(FunctionCallingMode.ANY, [name]);
+    } else if (toolChoice.type === 'allowed_tools') {
+      // Chat Completions 嵌套在 allowed_tools 中，Responses API 平铺
+      const spec = toolChoice.allowed_tools || toolChoice;
+      const names = (spec.tools || []).map(tool => tool?.function?.name || tool?.name);
+      const mode = spec.mode === 'required' ? FunctionCallingMode.ANY : defaultMode;
+      return buildFunctionCallingConfig(mode, names);
+    }
+  }
+  return { mode: defaultMode };
+}
+
+/**
+ * 将 Claude tool_choice 转换为 functionCallingConfig
+ * - { type: 'auto' } / 未指定：defaultMode
+ * - { type: 'any' }：ANY；{ type: 'none' }：NONE
+ * - { type: 'tool', name }：ANY + allowedFunctionNames
+ * disable_parallel_tool_use 上游没有对应参数，由处理器只保留第一个工具调用
+ * @param {Object|undefined} toolChoice
+ * @param {string} defaultMode - 未指定时使用的模式
+ * @returns {Object} functionCallingConfig
+ */
+export function claudeToolChoiceToFunctionCallingConfig(toolChoice, defaultMode = FunctionCallingMode.VALIDATED) {
+  switch (toolChoice?.type) {
+    case 'any':
+      return { mode: FunctionCallingMode.ANY };
+    case 'none':
+      return { mode: FunctionCallingMode.NONE };
+    case 'tool':
+      return toolChoice.name
+        ? buildFunctionCallingConfig(FunctionCallingMode.ANY, [toolChoice.name])
+        : { mode: FunctionCallingMode.ANY };
+    default:
+      return { mode: defaultMode };
+  }
+}
+
+/**
+ * 规范化客户端传入的 Gemini toolConfig（兼容下划线命名），工具名与转换后的声明保持一致
+ * @param {Object|undefined} toolConfig
+ * @param {string} defaultMode - 未指定模式时使用的模式
+ * @returns {Object} toolConfig
+ */
+export function normalizeGeminiToolConfig(toolConfig, defaultMode = FunctionCallingMode.VALIDATED) {
+  const source = toolConfig?.functionCallingConfig || toolConfig?.function_calling_config || {};
+  const mode = typeof source.mode === 'string' && FunctionCallingMode[source.mode.toUpperCase()]
+    ? source.mode.toUpperCase()
+    : defaultMode;
+  const { functionCallingConfig, function_calling_config, ...rest } = toolConfig || {};
+  return {
+    ...rest,
+    functionCallingConfig: buildFunctionCallingConfig(mode, source.allowedFunctionNames || source.allowed_function_names)
+  };
+}
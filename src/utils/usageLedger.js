@@ -0,0 +1,264 @@
+// 用量账本：逐条记录每次请求的 token 消耗、延迟和状态
+// 按本地日期写入 data/usage/YYYY-MM-DD.jsonl（每行一条记录），支持按小时/天聚合与 CSV 导出
+
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+import memoryManager from './memoryManager.js';
+import { getDataDir } from './paths.js';
+import { getLocalDayKey, getLocalHourKey } from './dateKeys.js';
+import { FILE_SAVE_DELAY } from '../constants/index.js';
+import logger from './logger.js';
+
+const USAGE_DIR = 'usage';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// CSV 导出列（与记录字段一一对应）
+const CSV_COLUMNS = [
+  'timestamp', 'route', 'model', 'account', 'email', 'apiKeyId', 'apiKeyLabel',
+  'status', 'stream', 'latencyMs', 'promptTokens', 'completionTokens', 'thinkingTokens', 'totalTokens'
+];
+
+// 聚合维度 -> 记录字段（API Key 按 ID 分组，标签可能重复或被修改，只用于显示）
+const GROUP_FIELDS = {
+  account: 'account',
+  model: 'model',
+  apiKey: 'apiKeyId',
+  route: 'route',
+  status: 'status'
+};
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+class UsageLedger {
+  constructor() {
+    this.dir = null;
+    // 待写入的记录：dayKey -> lines[]
+    this.pending = new Map();
+    this.flushTimer = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  _getDir() {
+    if (!this.dir) this.dir = path.join(getDataDir(), USAGE_DIR);
+    return this.dir;
+  }
+
+  /**
+   * 追加一条用量记录（合并后延迟写入）
+   * @param {{
+   *   timestamp?: number, route: string, model: string|null, account: string|null, email?: string|null,
+   *   apiKeyId?: string|null, apiKeyLabel?: string|null, status: number, stream?: boolean,
+   *   latencyMs: number, usage?: Object|null
+   * }} entry
+   */
+  record(entry) {
+    const timestamp = entry.timestamp || Date.now();
+    const usage = entry.usage || {};
+    const record = {
+      timestamp,
+      route: entry.route,
+      model: entry.model || null,
+      account: entry.account || null,
+      email: entry.email || null,
+      apiKeyId: entry.apiKeyId || null,
+      apiKeyLabel: entry.apiKeyLabel || null,
+      status: entry.status,
+      stream: entry.stream === true,
+      latencyMs: entry.latencyMs,
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      thinkingTokens: usage.completion_tokens_details?.reasoning_tokens || 0,
+      totalTokens: usage.total_tokens || 0
+    };
+
+    const dayKey = getLocalDayKey(timestamp);
+    if (!this.pending.has(dayKey)) this.pending.set(dayKey, []);
+    this.pending.get(dayKey).push(JSON.stringify(record));
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), FILE_SAVE_DELAY);
+      this.flushTimer.unref?.();
+    }
+  }
+
+  /**
+   * 将待写入记录追加到文件
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    const batches = [...this.pending.entries()];
+    this.pending.clear();
+    if (batches.length === 0) return this.writeQueue;
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await fs.mkdir(this._getDir(), { recursive: true });
+        for (const [dayKey, lines] of batches) {
+          await fs.appendFile(path.join(this._getDir(), `${dayKey}.jsonl`), lines.join('\n') + '\n', 'utf8');
+        }
+      } catch (error) {
+        logger.error('写入用量记录失败:', error.message);
+      }
+    });
+    return this.writeQueue;
+  }
+
+  /**
+   * 读取时间范围内的记录
+   * @param {number} from - 起始时间（毫秒，含）
+   * @param {number} to - 结束时间（毫秒，不含）
+   * @returns {Promise<Array>}
+   */
+  async query(from, to) {
+    await this.flush();
+    // 需要读取的日期文件（前后各多取一天以覆盖时区边界）
+    const dayKeys = new Set();
+    for (let t = from - DAY_MS; t < to + DAY_MS; t += DAY_MS) {
+      dayKeys.add(getLocalDayKey(t));
+    }
+
+    const records = [];
+    for (const dayKey of dayKeys) {
+      let content;
+      try {
+        content = await fs.readFile(path.join(this._getDir(), `${dayKey}.jsonl`), 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') logger.warn('读取用量记录失败:', error.message);
+        continue;
+      }
+      for (const line of content.split('\n')) {
+        if (!line) continue;
+        try {
+          const record = JSON.parse(line);
+          if (record.timestamp >= from && record.timestamp < to) records.push(record);
+        } catch {
+          // 跳过损坏的行
+        }
+      }
+    }
+    return records.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * 汇总记录总量
+   * @param {Array} records
+   * @returns {Object}
+   */
+  summarize(records) {
+    const totals = { requests: 0, errors: 0, promptTokens: 0, completionTokens: 0, thinkingTokens: 0, totalTokens: 0 };
+    for (const r of records) {
+      totals.requests++;
+      if (r.status >= 400) totals.errors++;
+      totals.promptTokens += r.promptTokens || 0;
+      totals.completionTokens += r.completionTokens || 0;
+      totals.thinkingTokens += r.thinkingTokens || 0;
+      totals.totalTokens += r.totalTokens || 0;
+    }
+    return totals;
+  }
+
+  /**
+   * 按时间桶和维度聚合
+   * @param {Array} records
+   * @param {{bucket?: 'hour'|'day', groupBy?: string}} options
+   * @returns {Array}
+   */
+  aggregate(records, { bucket = 'hour', groupBy = 'model' } = {}) {
+    const getBucket = bucket === 'day' ? getLocalDayKey : getLocalHourKey;
+    const dimension = groupBy in GROUP_FIELDS ? groupBy : 'model';
+    const field = GROUP_FIELDS[dimension];
+    const groups = new Map();
+
+    for (const r of records) {
+      const bucketKey = getBucket(r.timestamp);
+      const groupKey = r[field] ?? 'unknown';
+      const mapKey = `${bucketKey}\u0000${groupKey}`;
+      let item = groups.get(mapKey);
+      if (!item) {
+        item = {
+          bucket: bucketKey,
+          [dimension]: groupKey,
+          requests: 0,
+          errors: 0,
+          promptTokens: 0,
+          completionTokens: 0,
+          thinkingTokens: 0,
+          totalTokens: 0,
+          totalLatencyMs: 0
+        };
+        groups.set(mapKey, item);
+      }
+      // 按 API Key 分组时附带最新的标签
+      if (dimension === 'apiKey' && r.apiKeyLabel) item.apiKeyLabel = r.apiKeyLabel;
+      item.requests++;
+      if (r.status >= 400) item.errors++;
+      item.promptTokens += r.promptTokens || 0;
+      item.completionTokens += r.completionTokens || 0;
+      item.thinkingTokens += r.thinkingTokens || 0;
+      item.totalTokens += r.totalTokens || 0;
+      item.totalLatencyMs += r.latencyMs || 0;
+    }
+
+    return [...groups.values()]
+      .map(({ totalLatencyMs, ...item }) => ({
+        ...item,
+        avgLatencyMs: item.requests > 0 ? Math.round(totalLatencyMs / item.requests) : 0
+      }))
+      .sort((a, b) => a.bucket.localeCompare(b.bucket) || b.totalTokens - a.totalTokens);
+  }
+
+  /**
+   * 导出为 CSV
+   * @param {Array} records
+   * @returns {string}
+   */
+  toCsv(records) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const r of records) {
+      lines.push(CSV_COLUMNS.map(col => (
+        col === 'timestamp' ? new Date(r.timestamp).toISOString() : escapeCsv(r[col])
+      )).join(','));
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * 删除超过保留天数的记录文件
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    const oldestKey = getLocalDayKey(Date.now() - config.usage.retentionDays * DAY_MS);
+    let files;
+    try {
+      files = await fs.readdir(this._getDir());
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.warn('扫描用量目录失败:', error.message);
+      return;
+    }
+    for (const name of files) {
+      // 文件名形如 YYYY-MM-DD.jsonl，可直接按字符串比较
+      if (name.endsWith('.jsonl') && name.slice(0, -'.jsonl'.length) < oldestKey) {
+        await fs.unlink(path.join(this._getDir(), name)).catch(() => {});
+      }
+    }
+  }
+}
+
+const usageLedger = new UsageLedger();
+
+// 定时清理由 memoryManager 统一触发
+memoryManager.registerCleanup(() => {
+  usageLedger.prune().catch(error => logger.warn('清理用量记录失败:', error.message));
+});
+
+export { GROUP_FIELDS };
+export default usageLedger;
@@ -1,8 +1,9 @@
 // 通用工具函数
 import config from '../config/config.js';
 import os from 'os';
-import { REASONING_EFFORT_MAP, DEFAULT_STOP_SEQUENCES } from '../constants/index.js';
-import { toGenerationConfig } from './parameterNormalizer.js';
+import { REASONING_EFFORT_MAP, IMAGE_ASPECT_RATIOS } from '../constants/index.js';
+import { toGenerationConfig, normalizeStopSequences, resolveStopSequences } from './parameterNormalizer.js';
+import { lowerJsonSchema } from './schemaLowering.js';
 
 // ==================== 签名常量 ====================
 const CLAUDE_THOUGHT_SIGNATURE = 'RXNZRENrZ0lDaEFDR0FJcVFMZzVPTmZsd1ZHNmZKK3labDJ0TkNlRzc5QUpzUHV2OW9UZG1yc0JUUGNsUjFBQWhKNWlYcXhlU0dTaEtxeWJ1NUdaM2YvMXByaHJCSnk3OEhsWkxOd1NEREI5Mi8zQXFlYkUvY3RISEJvTXlGVHNzdzRJZXkxUTFkUURJakE3R3AwSXJQeW0xdWxLMVBXcFhuRElPdmJFRFd4LzV2cUZaQTg2NWU1SkM3QnY2dkxwZE43M2dLYkljaThobGR3cXF3S1VMbHE5b3NMdjc3QnNhZm5mbDhlbUd5NmJ6WVRpUnRWcXA0MDJabmZ2Tnl3T2hJd1BBV0l1SUNTdjFTemswZlNmemR0Z2R5eGgxaUJOZHhHNXVhZWhKdWhlUUwza3RDZWVxa2dMNFE0ZjRKWkFnR3pKOHNvaStjZ1pqRXJHT1lyNjJkdkxnUUVoT1E5MjN6bEUwRFd4aXdPU1JOK3VSRWdHZ0FKVkhZcjBKVzhrVTZvaEVaYk1IVkE4aG14ZElGMm9YK1ZxRnFUSGFDZWZEYWNQNTJVOW94VmJ0cFhrNnJUanQ2ZHpadEFMWThXQWs5RFI3bTJTbGova2VraXFzVVBRbFdIaFNUN3diZGpuVkYvdUVoODRWbXQ5WjdtaThtR2JEcTdaTHVOalF0T3hHMVpXbXJmeUpCMExwa0R1SnZDV01qZ3BqTHdsU0R4SUpmeEFoT2JzQlVpRzdLTDYwcUluanZaK1VTcXdjZGhmN0U3ZjgrN0l2ZXczRC9DZUYvdlptQ0JqU2JTcUdYYmFIQmdC';
@@ -58,11 +59,32 @@ const TYPE_UPPERCASE_MAP = {
   'array': 'ARRAY'
 };
 
-export function cleanParameters(obj) {
+/**
+ * 清理 JSON Schema 为上游支持的格式：先降级 $ref/allOf/anyOf/const 等结构，再移除不支持的关键字、转换大写类型
+ * @param {Object} obj - JSON Schema
+ * @param {{keepAnyOf?: boolean}} [options] - keepAnyOf：保留联合类型的 anyOf（仅 Gemini 模型支持）
+ * @returns {Object}
+ */
+export function cleanParameters(obj, options = {}) {
+  return cleanSchemaKeys(lowerJsonSchema(obj, options), options);
+}
+
+function cleanSchemaKeys(obj, options) {
   if (!obj || typeof obj !== 'object') return obj;
   const cleaned = Array.isArray(obj) ? [] : {};
   for (const [key, value] of Object.entries(obj)) {
+    if (key === 'anyOf' && options.keepAnyOf && Array.isArray(value)) {
+      cleaned[key] = value.map(item => cleanSchemaKeys(item, options));
+      continue;
+    }
     if (EXCLUDED_KEYS.has(key)) continue;
+    if (key === 'properties' && value && typeof value === 'object' && !Array.isArray(value)) {
+      // 属性名不是 schema 关键字（可能叫 type、const 等），只清理属性值
+      cleaned[key] = Object.fromEntries(
+        Object.entries(value).map(([name, property]) => [name, cleanSchemaKeys(property, options)])
+      );
+      continue;
+    }
     if (key === 'type') {
       // 处理 type 字段
       if (typeof value === 'string') {
@@ -83,7 +105,7 @@ export function cleanParameters(obj) {
         cleaned[key] = value;
       }
     } else {
-      cleaned[key] = (value && typeof value === 'object') ? cleanParameters(value) : value;
+      cleaned[key] = (value && typeof value === 'object') ? cleanSchemaKeys(value, options) : value;
     }
   }
   return cleaned;
@@ -162,6 +184,8 @@ export function generateGenerationConfig(parameters, enableThinking, actualModel
     max_tokens: parameters.max_tokens ?? config.defaults.max_tokens,
     thinking_budget: parameters.thinking_budget,
     response_format: parameters.response_format,
+    // OpenAI 原始参数为 stop，已规范化的参数为 stop_sequences
+    stop_sequences: normalizeStopSequences(parameters.stop_sequences ?? parameters.stop),
   };
 
   // 处理 reasoning_effort 到 thinking_budget 的转换
@@ -173,8 +197,13 @@ export function generateGenerationConfig(parameters, enableThinking, actualModel
   // 使用统一的参数转换函数
   const generationConfig = toGenerationConfig(normalizedParams, enableThinking, actualModelName);
 
-  // 添加 stopSequences
-  generationConfig.stopSequences = DEFAULT_STOP_SEQUENCES;
+  // 客户端停止序列由处理器在本地匹配（以便报告命中的序列），上游只使用默认停止序列
+  const stopSequences = resolveStopSequences(normalizedParams.stop_sequences, { matchLocally: true });
+  if (stopSequences.length > 0) {
+    generationConfig.stopSequences = stopSequences;
+  } else {
+    delete generationConfig.stopSequences;
+  }
 
   return generationConfig;
 }
@@ -207,7 +236,14 @@ export function extractSystemInstruction(openaiMessages) {
 }
 
 // ==================== 图片请求准备 ====================
-export function prepareImageRequest(requestBody) {
+/**
+ * 将生成请求转换为生图请求
+ * 未指定 imageSize 时按模型名后缀（-2K / -4K）选择分辨率
+ * @param {Object} requestBody - 上游请求体
+ * @param {{imageSize?: string, aspectRatio?: string}} [imageOptions] - 输出分辨率和宽高比
+ * @returns {Object}
+ */
+export function prepareImageRequest(requestBody, { imageSize: requestedSize, aspectRatio } = {}) {
   if (!requestBody || !requestBody.request) return requestBody;
   let imageSize = "1K";
   if (requestBody.model.includes('4K')) {
@@ -220,11 +256,11 @@ export function prepareImageRequest(requestBody) {
   if (imageSize !== "1K") {
     requestBody.model = requestBody.model.slice(0, -3);
   }
+  const imageConfig = { imageSize: requestedSize || imageSize };
+  if (aspectRatio) imageConfig.aspectRatio = aspectRatio;
   requestBody.request.generationConfig = {
     candidateCount: 1,
-    imageConfig: {
-      imageSize: imageSize
-    }
+    imageConfig
   };
   requestBody.requestType = 'image_gen';
   delete requestBody.request.systemInstruction;
@@ -233,6 +269,31 @@ export function prepareImageRequest(requestBody) {
   return requestBody;
 }
 
+/**
+ * 按宽高选择最接近的上游分辨率和宽高比
+ * 长边不超过 1536 为 1K，不超过 3072 为 2K，更大为 4K
+ * @param {number} width
+ * @param {number} height
+ * @returns {{imageSize: string, aspectRatio: string}}
+ */
+export function resolveImageConfig(width, height) {
+  const longEdge = Math.max(width, height);
+  const imageSize = longEdge <= 1536 ? '1K' : (longEdge <= 3072 ? '2K' : '4K');
+  // 按比值的对数距离比较，横竖方向对称
+  const target = Math.log(width / height);
+  let aspectRatio = '1:1';
+  let best = Infinity;
+  for (const ratio of IMAGE_ASPECT_RATIOS) {
+    const [w, h] = ratio.split(':').map(Number);
+    const distance = Math.abs(Math.log(w / h) - target);
+    if (distance < best) {
+      best = distance;
+      aspectRatio = ratio;
+    }
+  }
+  return { imageSize, aspectRatio };
+}
+
 // ==================== 其他工具 ====================
 export function getDefaultIp() {
   const interfaces = os.networkInterfaces();
@@ -257,3 +318,4 @@ export { generateRequestId } from './idGenerator.js';
 export { generateRequestBody } from './converters/openai.js';
 export { generateClaudeRequestBody } from './converters/claude.js';
 export { generateGeminiRequestBody } from './converters/gemini.js';
+export { generateResponsesRequestBody, responsesParamsToOpenAI, responsesInputToMessages } from './converters/responses.js';
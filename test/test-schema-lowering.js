@@ -0,0 +1,230 @@
+// 工具参数 JSON Schema 降级测试
+// 用法：npm run test:schema（node --test test/test-schema-lowering.js）
+// 用例取自常见 MCP 服务器生成的 schema：Python SDK（pydantic）、TypeScript SDK（zod-to-json-schema）等
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { lowerJsonSchema } from '../src/utils/schemaLowering.js';
+import { cleanParameters } from '../src/utils/utils.js';
+
+// 递归查找不应出现在上游请求中的关键字
+function findKeys(schema, keys, path = '$', found = []) {
+  if (!schema || typeof schema !== 'object') return found;
+  for (const [key, value] of Object.entries(schema)) {
+    if (keys.includes(key) && path.split('.').at(-1) !== 'properties') found.push(`${path}.${key}`);
+    findKeys(value, keys, `${path}.${key}`, found);
+  }
+  return found;
+}
+
+const UNSUPPORTED = ['$ref', '$defs', 'definitions', 'allOf', 'oneOf', 'anyOf', 'const', 'additionalProperties', 'minLength', 'maxItems'];
+
+// FastMCP / pydantic：$defs + Optional 字段（anyOf null）+ 嵌套模型
+const pydanticTasks = {
+  $defs: {
+    Priority: { enum: ['low', 'medium', 'high'], title: 'Priority', type: 'string' },
+    Task: {
+      properties: {
+        title: { title: 'Title', type: 'string', minLength: 1 },
+        priority: { $ref: '#/$defs/Priority', default: 'medium' },
+        due: { anyOf: [{ format: 'date', type: 'string' }, { type: 'null' }], default: null, title: 'Due' },
+        tags: { items: { type: 'string' }, title: 'Tags', type: 'array', maxItems: 5 }
+      },
+      required: ['title'],
+      title: 'Task',
+      type: 'object'
+    }
+  },
+  properties: {
+    tasks: { items: { $ref: '#/$defs/Task' }, title: 'Tasks', type: 'array' }
+  },
+  required: ['tasks'],
+  title: 'create_tasksArguments',
+  type: 'object'
+};
+
+// @modelcontextprotocol/server-filesystem edit_file（zod-to-json-schema）
+const filesystemEditFile = {
+  type: 'object',
+  properties: {
+    path: { type: 'string' },
+    edits: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          oldText: { type: 'string', description: 'Text to search for - must match exactly' },
+          newText: { type: 'string', description: 'Text to replace with' }
+        },
+        required: ['oldText', 'newText'],
+        additionalProperties: false
+      }
+    },
+    dryRun: { type: 'boolean', default: false, description: 'Preview changes using git-style diff format' }
+  },
+  required: ['path', 'edits'],
+  additionalProperties: false,
+  $schema: 'http://json-schema.org/draft-07/schema#'
+};
+
+// zod 字面量联合：z.union([z.literal('asc'), z.literal('desc')])
+const zodLiteralUnion = {
+  type: 'object',
+  properties: {
+    order: {
+      anyOf: [
+        { type: 'string', const: 'asc', description: 'Oldest first' },
+        { type: 'string', const: 'desc', description: 'Newest first' }
+      ]
+    }
+  }
+};
+
+// 递归结构（树形节点，如 Notion 块、文件树）
+const recursiveTree = {
+  $ref: '#/definitions/Node',
+  definitions: {
+    Node: {
+      type: 'object',
+      description: 'A tree node',
+      properties: {
+        name: { type: 'string' },
+        children: { type: 'array', items: { $ref: '#/definitions/Node' } }
+      },
+      required: ['name']
+    }
+  }
+};
+
+// pydantic 判别联合：Union[Circle, Square] + discriminator
+const discriminatedUnion = {
+  $defs: {
+    Circle: {
+      properties: { kind: { const: 'circle', type: 'string' }, radius: { type: 'number' } },
+      required: ['kind', 'radius'],
+      title: 'Circle',
+      type: 'object'
+    },
+    Square: {
+      properties: { kind: { const: 'square', type: 'string' }, side: { type: 'number' }, rotation: { type: 'number' } },
+      required: ['kind', 'side'],
+      title: 'Square',
+      type: 'object'
+    }
+  },
+  properties: {
+    shape: {
+      discriminator: { mapping: { circle: '#/$defs/Circle', square: '#/$defs/Square' }, propertyName: 'kind' },
+      oneOf: [{ $ref: '#/$defs/Circle' }, { $ref: '#/$defs/Square' }],
+      title: 'Shape'
+    }
+  },
+  required: ['shape'],
+  type: 'object'
+};
+
+test('pydantic $defs 内联，Optional 转为 nullable', () => {
+  const lowered = lowerJsonSchema(pydanticTasks);
+  const task = lowered.properties.tasks.items;
+  assert.equal(task.type, 'object');
+  assert.deepEqual(task.required, ['title']);
+  assert.deepEqual(task.properties.priority.enum, ['low', 'medium', 'high']);
+  assert.equal(task.properties.priority.default, 'medium');
+  assert.equal(task.properties.due.type, 'string');
+  assert.equal(task.properties.due.nullable, true);
+  assert.match(task.properties.title.description, /minLength=1/);
+  assert.match(task.properties.tags.description, /maxItems=5/);
+
+  const cleaned = cleanParameters(pydanticTasks);
+  assert.deepEqual(findKeys(cleaned, UNSUPPORTED), []);
+  assert.equal(cleaned.properties.tasks.items.properties.priority.type, 'STRING');
+});
+
+test('zod schema 去掉 additionalProperties/$schema 后结构不变', () => {
+  const cleaned = cleanParameters(filesystemEditFile);
+  assert.deepEqual(findKeys(cleaned, [...UNSUPPORTED, '$schema']), []);
+  assert.deepEqual(cleaned.properties.edits.items.required, ['oldText', 'newText']);
+  assert.equal(cleaned.properties.edits.items.properties.newText.type, 'STRING');
+  assert.equal(cleaned.properties.dryRun.type, 'BOOLEAN');
+});
+
+test('字面量联合转为 enum，分支说明保留在 description', () => {
+  const order = lowerJsonSchema(zodLiteralUnion).properties.order;
+  assert.equal(order.type, 'string');
+  assert.deepEqual(order.enum, ['asc', 'desc']);
+  assert.match(order.description, /"asc": Oldest first/);
+  assert.match(order.description, /"desc": Newest first/);
+});
+
+test('const 转为单值 enum，非字符串 const 写入 description', () => {
+  assert.deepEqual(lowerJsonSchema({ const: 'v1' }), { enum: ['v1'], type: 'string' });
+  const flag = lowerJsonSchema({ type: 'boolean', const: true });
+  assert.equal(flag.enum, undefined);
+  assert.equal(flag.type, 'boolean');
+  assert.match(flag.description, /Must be true/);
+  const level = lowerJsonSchema({ enum: [1, 2, 3] });
+  assert.equal(level.type, 'integer');
+  assert.match(level.description, /Allowed values: 1, 2, 3/);
+});
+
+test('循环引用只展开一层', () => {
+  const lowered = lowerJsonSchema(recursiveTree);
+  assert.equal(lowered.type, 'object');
+  assert.deepEqual(lowered.required, ['name']);
+  const child = lowered.properties.children.items;
+  assert.equal(child.type, 'object');
+  assert.equal(child.properties, undefined);
+  assert.match(child.description, /Recursive reference to "Node"/);
+  assert.deepEqual(findKeys(cleanParameters(recursiveTree), UNSUPPORTED), []);
+});
+
+test('allOf 合并属性和 required', () => {
+  const lowered = lowerJsonSchema({
+    description: 'Search request',
+    allOf: [
+      { type: 'object', properties: { query: { type: 'string' } }, required: ['query'] },
+      { properties: { limit: { type: 'integer', maximum: 100 } }, required: ['limit'], description: 'Paged' }
+    ]
+  });
+  assert.equal(lowered.type, 'object');
+  assert.deepEqual(Object.keys(lowered.properties), ['query', 'limit']);
+  assert.deepEqual(lowered.required, ['query', 'limit']);
+  assert.equal(lowered.properties.limit.maximum, 100);
+  assert.equal(lowered.description, 'Search request\nPaged');
+});
+
+test('对象联合：非 Gemini 模型选择最完整的分支，Gemini 模型保留 anyOf', () => {
+  const shape = lowerJsonSchema(discriminatedUnion).properties.shape;
+  assert.equal(shape.title, 'Shape');
+  assert.deepEqual(Object.keys(shape.properties), ['kind', 'side', 'rotation']);
+  assert.deepEqual(shape.properties.kind.enum, ['square']);
+  assert.match(shape.description, /Accepts one of: Circle \| Square/);
+  assert.equal(shape.discriminator, undefined);
+
+  const cleaned = cleanParameters(discriminatedUnion, { keepAnyOf: true });
+  assert.equal(cleaned.properties.shape.anyOf.length, 2);
+  assert.deepEqual(cleaned.properties.shape.anyOf[0].properties.kind, { enum: ['circle'], type: 'STRING' });
+  assert.deepEqual(findKeys(cleaned, UNSUPPORTED.filter(key => key !== 'anyOf')), []);
+});
+
+test('联合 type 数组转为 nullable', () => {
+  assert.deepEqual(lowerJsonSchema({ type: ['string', 'null'] }), { type: 'string', nullable: true });
+  const multi = lowerJsonSchema({ type: ['number', 'string'] });
+  assert.equal(multi.type, 'number');
+  assert.match(multi.description, /Type: number \| string/);
+});
+
+test('属性名与关键字同名时不被删除', () => {
+  const cleaned = cleanParameters({
+    type: 'object',
+    properties: { type: { type: 'string' }, const: { type: 'number' } }
+  });
+  assert.deepEqual(cleaned.properties, { type: { type: 'STRING' }, const: { type: 'NUMBER' } });
+});
+
+test('不修改原始 schema', () => {
+  const snapshot = JSON.stringify(pydanticTasks);
+  cleanParameters(pydanticTasks);
+  lowerJsonSchema(discriminatedUnion);
+  assert.equal(JSON.stringify(pydanticTasks), snapshot);
+});
@@ -0,0 +1,42 @@
+// 客户端停止序列测试
+// 用法：npm run test:stop（node --test test/test-stop-sequences.js）
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { StopSequenceMatcher } from '../src/server/handlers/common/stop.js';
+import { normalizeClaudeParameters } from '../src/utils/parameterNormalizer.js';
+import { generateGenerationConfig } from '../src/utils/utils.js';
+import { createClaudeResponse } from '../src/server/formatters/claude.js';
+import { DEFAULT_STOP_SEQUENCES } from '../src/constants/index.js';
+
+test('客户端停止序列不发送给上游', () => {
+  const generationConfig = generateGenerationConfig({ stop: ['END', '\n\nHuman:'] }, false, 'gemini-2.5-flash');
+  assert.ok(!generationConfig.stopSequences.includes('END'));
+  assert.ok(!generationConfig.stopSequences.includes('\n\nHuman:'));
+  assert.deepEqual(generationConfig.stopSequences, DEFAULT_STOP_SEQUENCES);
+});
+
+test('流式输出在客户端停止序列处结束', () => {
+  const { stop_sequences } = normalizeClaudeParameters({ stop_sequences: ['\n\nHuman:', 'END'] });
+  const matcher = new StopSequenceMatcher(stop_sequences);
+  // 停止序列跨越多个分片
+  const chunks = ['Hello', ' world\n', '\nHu', 'man: next turn', ' ignored'];
+  const output = chunks.map(chunk => matcher.push(chunk)).join('') + matcher.flush();
+
+  assert.equal(output, 'Hello world');
+  assert.equal(matcher.matched, '\n\nHuman:');
+  assert.equal(matcher.claudeStopReason(false), 'stop_sequence');
+
+  const response = createClaudeResponse('msg_1', 'claude', output, null, null, [], matcher.claudeStopReason(false), null, { stopSequence: matcher.matched });
+  assert.equal(response.stop_reason, 'stop_sequence');
+  assert.equal(response.stop_sequence, '\n\nHuman:');
+});
+
+test('未命中停止序列时按正常结束', () => {
+  const matcher = new StopSequenceMatcher(['END']);
+  // 暂存的停止序列前缀在流结束时输出
+  assert.equal(['The ', 'EN', 'd', ' E'].map(chunk => matcher.push(chunk)).join('') + matcher.flush(), 'The ENd E');
+  assert.equal(matcher.matched, null);
+  assert.equal(matcher.claudeStopReason(true), 'tool_use');
+  assert.equal(matcher.claudeStopReason(false), 'end_turn');
+});
@@ -0,0 +1,83 @@
+// 本地 token 估算测试
+// 用法：npm run test:tokens（node --test test/test-token-estimator.js）
+// 文本参考值为常见 BPE 分词器的大致结果，估算误差允许在 ±30% 以内
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTextTokens, estimateRequestTokens } from '../src/utils/tokenEstimator.js';
+
+function assertAround(actual, expected, tolerance = 0.3) {
+  assert.ok(
+    Math.abs(actual - expected) <= expected * tolerance,
+    `估算 ${actual}，期望约 ${expected}（±${tolerance * 100}%）`
+  );
+}
+
+// 只包含文件头的 PNG（IHDR 中的宽高）
+function pngHeader(width, height) {
+  const buffer = Buffer.alloc(24);
+  buffer.writeUInt32BE(0x89504e47, 0);
+  buffer.writeUInt32BE(0x0d0a1a0a, 4);
+  buffer.write('IHDR', 12, 'latin1');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer.toString('base64');
+}
+
+test('英文、中文和代码文本', () => {
+  assertAround(estimateTextTokens('The quick brown fox jumps over the lazy dog.'), 10);
+  assertAround(estimateTextTokens('今天天气很好，我们去公园散步吧。'), 16);
+  assertAround(estimateTextTokens('function add(a, b) {\n  return a + b;\n}\n'), 16);
+  assert.equal(estimateTextTokens(''), 0);
+  assert.equal(estimateTextTokens(undefined), 0);
+});
+
+test('图片按尺寸计算：Claude 按像素，Gemini 按切片', () => {
+  const request = (width, height) => ({
+    contents: [{ role: 'user', parts: [{ inlineData: { mimeType: 'image/png', data: pngHeader(width, height) } }] }]
+  });
+  // 1000x1000：Claude 约 1334，Gemini 为 2x2 切片
+  assertAround(estimateRequestTokens(request(1000, 1000), { model: 'claude-sonnet-4-5' }), 1334, 0.05);
+  assert.equal(estimateRequestTokens(request(1000, 1000), { model: 'gemini-2.5-flash' }), 4 + 4 * 258);
+  // 小图 Gemini 固定 258，超大图 Claude 有上限
+  assert.equal(estimateRequestTokens(request(200, 200), { model: 'gemini-2.5-flash' }), 4 + 258);
+  assert.ok(estimateRequestTokens(request(8000, 8000), { model: 'claude-sonnet-4-5' }) <= 4 + 1600);
+});
+
+test('系统提示词、工具声明和工具调用计入', () => {
+  const base = { contents: [{ role: 'user', parts: [{ text: 'What is the weather in Paris?' }] }] };
+  const withSystem = { ...base, systemInstruction: { role: 'user', parts: [{ text: 'You are a helpful assistant.' }] } };
+  const withTools = {
+    ...withSystem,
+    tools: [{
+      functionDeclarations: [{
+        name: 'get_weather',
+        description: 'Get the current weather for a city',
+        parameters: { type: 'OBJECT', properties: { city: { type: 'STRING' } }, required: ['city'] }
+      }]
+    }]
+  };
+  const plain = estimateRequestTokens(base, { model: 'claude-sonnet-4-5' });
+  const system = estimateRequestTokens(withSystem, { model: 'claude-sonnet-4-5' });
+  const claudeTools = estimateRequestTokens(withTools, { model: 'claude-sonnet-4-5' });
+  const geminiTools = estimateRequestTokens(withTools, { model: 'gemini-2.5-flash' });
+  assert.ok(system > plain);
+  // Claude 有工具时额外计入工具使用系统提示词
+  assert.ok(claudeTools - geminiTools >= 300);
+
+  const toolTurn = {
+    contents: [
+      ...base.contents,
+      { role: 'model', parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] },
+      { role: 'user', parts: [{ functionResponse: { name: 'get_weather', response: { output: 'Sunny, 24°C' } } }] }
+    ]
+  };
+  assert.ok(estimateRequestTokens(toolTurn) > estimateRequestTokens(base) + 20);
+});
+
+test('PDF 按页数计算', () => {
+  const pdf = Buffer.from('%PDF-1.4\n1 0 obj << /Type /Pages /Count 2 >>\n2 0 obj << /Type /Page >>\n3 0 obj << /Type /Page >>\n').toString('base64');
+  const request = { contents: [{ role: 'user', parts: [{ inlineData: { mimeType: 'application/pdf', data: pdf } }] }] };
+  assert.equal(estimateRequestTokens(request, { model: 'claude-sonnet-4-5' }), 4 + 2 * 1500);
+  assert.equal(estimateRequestTokens(request, { model: 'gemini-2.5-pro' }), 4 + 2 * 258);
+});